@@ -0,0 +1,401 @@
+/**
+ * abilities.js - Player Abilities
+ * 
+ * Besides building, the player can step in during a wave with the
+ * abilities in CONFIG.abilities: an orbital strike on a point they pick,
+ * an EMP that slows everything near the planet, and a shield burst that
+ * blasts nearby enemies and stops leaks for a few seconds. Each one costs
+ * credits and then has to recharge for its cooldown.
+ * 
+ * What an ability does is set by its `effect` (see ABILITY_EFFECTS), so
+ * another ability with an existing effect is just a new CONFIG entry.
+ * 
+ * Cooldowns and the shield burst count down in stepSimulation() during a
+ * wave and in stepBreak() between waves, in game time: they wait during a
+ * tactical pause, recharge faster at 3x, and a replay sees them exactly
+ * as the player did.
+ * 
+ * Targeted abilities (the orbital strike) are aimed with a reticle on the
+ * orbital plane, much like the placement preview for platforms (input.js
+ * moves it with the mouse).
+ * 
+ * Usage:
+ *   const result = useAbility('orbitalStrike', new THREE.Vector3(20, 0, -10));
+ *   if (!result.valid) console.log(result.reason); // e.g. "Recharging (12s)"
+ *   result.hits.forEach(showDamage);               // Like projectile hits
+ */
+
+import * as THREE from 'three';
+import { scene } from './scene.js';
+import { CONFIG } from './config.js';
+import { getEnemiesInRange, dealDamage, applyStatusEffect } from './enemy.js';
+import { getCredits, spendCredits } from './economy.js';
+import { recordDamage } from './simulation.js';
+
+// The home planet sits at the center of the map (see scene.js)
+const PLANET_POSITION = new THREE.Vector3(0, 0, 0);
+
+// Seconds until each ability is ready again, keyed by ability ID (missing = ready)
+let cooldowns = {};
+
+// Seconds the planet stays covered by a shield burst
+let planetShieldTime = 0;
+
+// Bubble drawn around the planet while a shield burst is up (created when first needed)
+let planetShieldMesh = null;
+
+// Ring on the orbital plane showing where a targeted ability will land
+let reticle = null;
+
+/**
+ * Current ability targeting state
+ * While active, mouse movement moves the reticle and a click fires the ability.
+ */
+export const abilityTargeting = {
+    active: false,                     // Is an ability being aimed?
+    abilityId: null,                   // Which one
+    position: new THREE.Vector3()      // Where the reticle is
+};
+
+/**
+ * What each ability effect does
+ * - targeted: whether the player picks a point for it
+ * - settings: fields its CONFIG entry needs (checked by validateAbilities)
+ * - apply(ability, target): carry it out; returns { hits, slowed }
+ */
+export const ABILITY_EFFECTS = {
+    strike: {
+        targeted: true,
+        settings: ['radius', 'damage', 'damageType'],
+        apply: (ability, target) => ({
+            hits: damageArea(target, ability.radius, ability.damage, ability.damageType),
+            slowed: []
+        })
+    },
+    emp: {
+        targeted: false,
+        settings: ['radius', 'slowFactor', 'duration'],
+        apply: (ability) => {
+            const slowed = getEnemiesInRange(PLANET_POSITION, ability.radius);
+            slowed.forEach(enemy => applyStatusEffect(enemy, 'slow', {
+                magnitude: 1 - ability.slowFactor,
+                duration: ability.duration,
+                source: 'ability'
+            }));
+            return { hits: [], slowed };
+        }
+    },
+    shield: {
+        targeted: false,
+        settings: ['radius', 'damage', 'damageType', 'duration'],
+        apply: (ability) => {
+            planetShieldTime = Math.max(planetShieldTime, ability.duration);
+            updatePlanetShieldMesh();
+            return {
+                hits: damageArea(PLANET_POSITION, ability.radius, ability.damage, ability.damageType),
+                slowed: []
+            };
+        }
+    }
+};
+
+// ==================== QUERIES ====================
+
+/**
+ * Check whether an ability needs a target point
+ * @param {string} id - Ability ID (a key of CONFIG.abilities)
+ * @returns {boolean} True for targeted abilities (the orbital strike)
+ */
+export function isAbilityTargeted(id) {
+    const ability = CONFIG.abilities[id];
+    return !!ability && !!ABILITY_EFFECTS[ability.effect] && ABILITY_EFFECTS[ability.effect].targeted;
+}
+
+/**
+ * Get how long an ability still has to recharge
+ * @param {string} id - Ability ID
+ * @returns {number} Seconds of game time (0 = ready)
+ */
+export function getAbilityCooldown(id) {
+    return cooldowns[id] || 0;
+}
+
+/**
+ * Check whether an ability can be used right now
+ * @param {string} id - Ability ID
+ * @returns {object} { valid: boolean, reason: string }
+ */
+export function canUseAbility(id) {
+    const ability = CONFIG.abilities[id];
+    if (!ability || !ABILITY_EFFECTS[ability.effect]) {
+        return { valid: false, reason: 'Unknown ability' };
+    }
+    
+    if (getAbilityCooldown(id) > 0) {
+        return { valid: false, reason: `Recharging (${Math.ceil(getAbilityCooldown(id))}s)` };
+    }
+    
+    if (getCredits() < ability.cost) {
+        return { valid: false, reason: 'Not enough credits' };
+    }
+    
+    return { valid: true, reason: '' };
+}
+
+/**
+ * Check whether a shield burst is protecting the planet
+ * @returns {boolean} True while leaked enemies do no damage
+ */
+export function isPlanetShielded() {
+    return planetShieldTime > 0;
+}
+
+/**
+ * Describe every ability for the ability bar
+ * @returns {Array<object>} { id, name, description, cost, cooldown, remaining, targeted,
+ *                            status } for each ability, in CONFIG order
+ */
+export function getAbilityStates() {
+    return Object.entries(CONFIG.abilities).map(([id, ability]) => ({
+        id,
+        name: ability.name,
+        description: ability.description,
+        cost: ability.cost,
+        cooldown: ability.cooldown,
+        remaining: getAbilityCooldown(id),
+        targeted: isAbilityTargeted(id),
+        status: canUseAbility(id)
+    }));
+}
+
+// ==================== USING ABILITIES ====================
+
+/**
+ * Use an ability
+ * The cost is paid with spendCredits() and the cooldown starts straight away.
+ * Hits count like any other (credits, score, kills by type and the run's
+ * statistics, where abilities show up as one more weapon).
+ * @param {string} id - Ability ID
+ * @param {THREE.Vector3|null} target - Point on the orbital plane (targeted abilities only)
+ * @returns {object} { valid, reason, hits, slowed } - hits are the enemies damaged, shaped
+ *                   like projectile hits; slowed the enemies an EMP slowed
+ */
+export function useAbility(id, target = null) {
+    const check = canUseAbility(id);
+    if (!check.valid) {
+        return { ...check, hits: [], slowed: [] };
+    }
+    
+    const ability = CONFIG.abilities[id];
+    const effect = ABILITY_EFFECTS[ability.effect];
+    if (effect.targeted && !target) {
+        return { valid: false, reason: 'Pick a target', hits: [], slowed: [] };
+    }
+    
+    if (!spendCredits(ability.cost)) {
+        return { valid: false, reason: 'Not enough credits', hits: [], slowed: [] };
+    }
+    cooldowns[id] = ability.cooldown;
+    
+    return { ...check, ...effect.apply(ability, target) };
+}
+
+/**
+ * Damage every enemy near a point
+ * @param {THREE.Vector3} center - Middle of the blast
+ * @param {number} radius - Blast radius
+ * @param {number} damage - Damage before resistances and armor
+ * @param {string} damageType - Damage type from CONFIG.damageTypes
+ * @returns {Array<object>} Hit results, like updateProjectiles() returns
+ */
+function damageArea(center, radius, damage, damageType) {
+    return getEnemiesInRange(center, radius).map(enemy => {
+        const hit = dealDamage(enemy, damage, damageType, 'ability');
+        recordDamage(hit);
+        return hit;
+    });
+}
+
+/**
+ * Recharge cooldowns and wear down the shield burst (called by stepSimulation and stepBreak)
+ * @param {number} deltaTime - Step length in seconds
+ */
+export function updateAbilities(deltaTime) {
+    Object.keys(cooldowns).forEach(id => {
+        cooldowns[id] -= deltaTime;
+        if (cooldowns[id] <= 0) delete cooldowns[id];
+    });
+    
+    if (planetShieldTime > 0) {
+        planetShieldTime = Math.max(0, planetShieldTime - deltaTime);
+        if (planetShieldTime === 0) updatePlanetShieldMesh();
+    }
+}
+
+/**
+ * Show the bubble around the planet while a shield burst is up
+ */
+function updatePlanetShieldMesh() {
+    if (!planetShieldMesh) {
+        if (!isPlanetShielded()) return;
+        
+        planetShieldMesh = new THREE.Mesh(
+            new THREE.SphereGeometry(CONFIG.path.planetRadius * 1.6, 32, 16),
+            new THREE.MeshBasicMaterial({ color: 0x00ccff, transparent: true, opacity: 0.2, depthWrite: false })
+        );
+        planetShieldMesh.name = 'planetShield';
+    }
+    
+    // The scene is replaced between headless test runs, so add it to the current one
+    if (planetShieldMesh.parent !== scene) {
+        scene.add(planetShieldMesh);
+    }
+    planetShieldMesh.visible = isPlanetShielded();
+}
+
+// ==================== NEW GAMES AND SAVED GAMES ====================
+
+/**
+ * Make every ability ready and drop the planet's shield (for a new game)
+ */
+export function resetAbilities() {
+    cooldowns = {};
+    planetShieldTime = 0;
+    if (planetShieldMesh) planetShieldMesh.visible = false;
+}
+
+/**
+ * Get the cooldowns and shield burst, for saving a run
+ * @returns {object} { cooldowns, planetShieldTime }
+ */
+export function getAbilityState() {
+    return { cooldowns: { ...cooldowns }, planetShieldTime };
+}
+
+/**
+ * Put saved cooldowns and shield burst back
+ * Abilities that no longer exist in CONFIG are skipped.
+ * @param {object} state - Value from getAbilityState()
+ */
+export function restoreAbilities(state) {
+    resetAbilities();
+    
+    Object.entries((state && state.cooldowns) || {}).forEach(([id, seconds]) => {
+        if (CONFIG.abilities[id] && seconds > 0) {
+            cooldowns[id] = seconds;
+        }
+    });
+    planetShieldTime = (state && state.planetShieldTime) || 0;
+    updatePlanetShieldMesh();
+}
+
+/**
+ * Check the abilities in CONFIG
+ * Every ability needs a known effect, a cost, a cooldown and its effect's
+ * settings; damage types must exist and an EMP must slow, not stop or speed up.
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+export function validateAbilities() {
+    const errors = [];
+    
+    Object.entries(CONFIG.abilities).forEach(([id, ability]) => {
+        const effect = ABILITY_EFFECTS[ability.effect];
+        if (!effect) {
+            errors.push(`${id}: unknown effect '${ability.effect}'`);
+            return;
+        }
+        
+        ['cost', 'cooldown'].forEach(field => {
+            if (typeof ability[field] !== 'number' || ability[field] < 0) {
+                errors.push(`${id}: ${field} must be a number of 0 or more`);
+            }
+        });
+        
+        effect.settings.forEach(field => {
+            if (field === 'damageType') {
+                if (!CONFIG.damageTypes[ability.damageType]) {
+                    errors.push(`${id}: unknown damage type '${ability.damageType}'`);
+                }
+            } else if (typeof ability[field] !== 'number' || ability[field] <= 0) {
+                errors.push(`${id}: ${ability.effect} needs a ${field} above 0`);
+            }
+        });
+        
+        if (ability.effect === 'emp' && ability.slowFactor >= 1) {
+            errors.push(`${id}: slowFactor must be below 1`);
+        }
+    });
+    
+    return { valid: errors.length === 0, errors };
+}
+
+// ==================== TARGETING RETICLE ====================
+
+/**
+ * Start aiming a targeted ability
+ * A ring the size of its blast follows the mouse on the orbital plane:
+ * orange when the ability is ready, red when it isn't.
+ * @param {string} id - Ability ID
+ */
+export function createAbilityReticle(id) {
+    removeAbilityReticle();
+    
+    const ability = CONFIG.abilities[id];
+    const segments = 64;
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+        const angle = (i / segments) * Math.PI * 2;
+        points.push(new THREE.Vector3(Math.cos(angle) * ability.radius, 0, Math.sin(angle) * ability.radius));
+    }
+    
+    reticle = new THREE.Group();
+    reticle.name = 'abilityReticle';
+    reticle.add(new THREE.Line(
+        new THREE.BufferGeometry().setFromPoints(points),
+        new THREE.LineBasicMaterial({ color: 0xff8800, transparent: true, opacity: 0.9 })
+    ));
+    
+    const disc = new THREE.Mesh(
+        new THREE.CircleGeometry(ability.radius, segments),
+        new THREE.MeshBasicMaterial({ color: 0xff8800, transparent: true, opacity: 0.15,
+                                      side: THREE.DoubleSide, depthWrite: false })
+    );
+    disc.rotation.x = -Math.PI / 2; // Lie flat on the orbital plane
+    reticle.add(disc);
+    
+    scene.add(reticle);
+    
+    abilityTargeting.active = true;
+    abilityTargeting.abilityId = id;
+}
+
+/**
+ * Move the reticle (called on mouse move while aiming)
+ * @param {THREE.Vector3} position - Point on the orbital plane under the mouse
+ */
+export function updateAbilityReticle(position) {
+    if (!reticle || !abilityTargeting.active) return;
+    
+    abilityTargeting.position.copy(position);
+    reticle.position.copy(position);
+    
+    const color = canUseAbility(abilityTargeting.abilityId).valid ? 0xff8800 : 0xff0000;
+    reticle.children.forEach(child => child.material.color.setHex(color));
+}
+
+/**
+ * Stop aiming and remove the reticle
+ */
+export function removeAbilityReticle() {
+    if (reticle) {
+        scene.remove(reticle);
+        reticle.children.forEach(child => {
+            child.geometry.dispose();
+            child.material.dispose();
+        });
+        reticle = null;
+    }
+    
+    abilityTargeting.active = false;
+    abilityTargeting.abilityId = null;
+}
@@ -130,7 +130,7 @@ export function getCameraDirection() {
  * Uses easing for a professional, polished feel
  * 
  * @param {THREE.Vector3} targetPosition - Where to move camera
- * @param {number} duration - How long the transition takes (seconds)
+ * @param {number} duration - How long the transition takes (seconds; 0 moves it at once)
  */
 export function setCameraPosition(targetPosition, duration = 1) {
     if (!camera) return;
@@ -140,7 +140,7 @@ export function setCameraPosition(targetPosition, duration = 1) {
     
     function animateCamera() {
         const elapsed = (performance.now() - startTime) / 1000;
-        const progress = Math.min(elapsed / duration, 1);
+        const progress = duration > 0 ? Math.min(elapsed / duration, 1) : 1;
         
         // Use easing for smooth acceleration/deceleration
         const easedProgress = easeInOutCubic(progress);
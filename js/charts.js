@@ -0,0 +1,94 @@
+/**
+ * charts.js - Small SVG Charts
+ * 
+ * Draws the charts in the post-game report as SVG markup, so they need
+ * no canvas setup or chart library and scale with the page. Each function
+ * returns a string to put in innerHTML; colors and sizes come from the
+ * caller and styles/game.css (.chart-*).
+ * 
+ * Bars are drawn as <rect class="chart-bar">, so the screen animations in
+ * ui.js can grow them in with GSAP.
+ * 
+ * Usage:
+ *   container.innerHTML = createBarChart([{ label: 'Basic', value: 12, color: '#ff4444' }]);
+ *   container.innerHTML = createLineChart([{ label: 'Earned', color: '#0f0', points: [{ x: 0, y: 0 }, ...] }]);
+ */
+
+// Space around the plot of a line chart, for the axis labels
+const LINE_PADDING = { left: 44, right: 10, top: 10, bottom: 22 };
+
+/**
+ * Draw a horizontal bar chart
+ * @param {Array<object>} bars - { label, value, color } per bar, in the order to draw them
+ * @param {object} options - Optional settings
+ * @param {number} options.width - Chart width (default 360)
+ * @param {number} options.barHeight - Height of each bar (default 16)
+ * @param {number} options.labelWidth - Space for the labels on the left (default 120)
+ * @param {Function} options.format - Turns a value into its label (default: as it is)
+ * @returns {string} SVG markup
+ */
+export function createBarChart(bars, { width = 360, barHeight = 16, labelWidth = 120, format = String } = {}) {
+    const gap = 6;
+    const valueWidth = 50;
+    const height = Math.max(1, bars.length) * (barHeight + gap);
+    const maxValue = Math.max(1, ...bars.map(bar => bar.value));
+    const plotWidth = width - labelWidth - valueWidth;
+    
+    const rows = bars.map((bar, index) => {
+        const y = index * (barHeight + gap);
+        const barWidth = Math.max(1, (bar.value / maxValue) * plotWidth);
+        return `
+            <text class="chart-label" x="${labelWidth - 6}" y="${y + barHeight * 0.75}" text-anchor="end">${bar.label}</text>
+            <rect class="chart-bar" x="${labelWidth}" y="${y}" width="${barWidth.toFixed(1)}" height="${barHeight}" fill="${bar.color}"/>
+            <text class="chart-value" x="${(labelWidth + barWidth + 4).toFixed(1)}" y="${y + barHeight * 0.75}">${format(bar.value)}</text>
+        `;
+    });
+    
+    return `<svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">${rows.join('')}</svg>`;
+}
+
+/**
+ * Draw a line chart of one or more series over the same x axis
+ * The axes start at 0 and end at the largest x and y in any series.
+ * @param {Array<object>} series - { label, color, points: [{ x, y }] } per line
+ * @param {object} options - Optional settings
+ * @param {number} options.width - Chart width (default 360)
+ * @param {number} options.height - Chart height (default 160)
+ * @param {Function} options.formatX - Turns an x value into its label (default: as it is)
+ * @param {Function} options.formatY - Turns a y value into its label (default: as it is)
+ * @returns {string} SVG markup, with a legend underneath
+ */
+export function createLineChart(series, { width = 360, height = 160, formatX = String, formatY = String } = {}) {
+    const points = series.flatMap(line => line.points);
+    const maxX = Math.max(1, ...points.map(point => point.x));
+    const maxY = Math.max(1, ...points.map(point => point.y));
+    
+    const left = LINE_PADDING.left;
+    const right = width - LINE_PADDING.right;
+    const top = LINE_PADDING.top;
+    const bottom = height - LINE_PADDING.bottom;
+    const toX = x => (left + (x / maxX) * (right - left)).toFixed(1);
+    const toY = y => (bottom - (y / maxY) * (bottom - top)).toFixed(1);
+    
+    const lines = series.map(line => {
+        const path = line.points.map(point => `${toX(point.x)},${toY(point.y)}`).join(' ');
+        return `<polyline class="chart-line" points="${path}" stroke="${line.color}"/>`;
+    });
+    
+    const legend = series.map(line =>
+        `<span class="chart-legend-item" style="color: ${line.color}">${line.label}</span>`);
+    
+    return `
+        <svg class="chart" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}">
+            <line class="chart-axis" x1="${left}" y1="${bottom}" x2="${right}" y2="${bottom}"/>
+            <line class="chart-axis" x1="${left}" y1="${top}" x2="${left}" y2="${bottom}"/>
+            <line class="chart-grid" x1="${left}" y1="${top}" x2="${right}" y2="${top}"/>
+            <text class="chart-label" x="${left - 4}" y="${top + 4}" text-anchor="end">${formatY(maxY)}</text>
+            <text class="chart-label" x="${left - 4}" y="${bottom}" text-anchor="end">${formatY(0)}</text>
+            <text class="chart-label" x="${left}" y="${height - 6}">${formatX(0)}</text>
+            <text class="chart-label" x="${right}" y="${height - 6}" text-anchor="end">${formatX(maxX)}</text>
+            ${lines.join('')}
+        </svg>
+        <div class="chart-legend">${legend.join('')}</div>
+    `;
+}
@@ -11,12 +11,21 @@
 export const CONFIG = {
     // ==================== ECONOMY ====================
     economy: {
-        startingCredits: 100,      // Credits player starts with
+        startingCredits: 100,      // Credits player starts with (levels can override)
+        startingLives: 10,         // Planet shield points (levels can override)
         creditsPerKill: {
             basic: 10,             // Credits for killing basic enemy
             fast: 15,              // Fast enemies are worth more
-            armored: 25            // Armored enemies worth the most
-        }
+            armored: 25,           // Armored enemies worth the most
+            shielded: 20,
+            splitter: 15,          // Its fragments pay out separately
+            healer: 25,            // Worth hunting down first
+            stealth: 20,
+            carrier: 40,
+            drone: 3               // Carriers launch plenty of these
+        },
+        sellRefundPercent: 0.5,    // Fraction of credits spent on a platform returned when sold
+        earlyCallPerSecond: 2      // Credits per second of spawning skipped by calling the next wave early
     },
 
     // ==================== STARBASE ====================
@@ -25,117 +34,606 @@ export const CONFIG = {
         fireRate: 1,               // Shots per second
         rotationSpeed: 2.0,        // How fast the starbase rotates (radians/sec)
         projectileSpeed: 50,       // How fast projectiles travel
-        range: 100                 // Maximum firing range
+        range: 100,                // Maximum firing range
+        barrels: 1,                // Shots per volley (the Twin Barrel upgrade adds one)
+        pierce: 0,                 // Extra enemies each shot passes through (Piercing Shots)
+        projectile: 'laser',       // Projectile kind (see PROJECTILES below)
+        damageType: 'kinetic',     // Solid slugs: steady against anything but shields (see DAMAGE TYPES)
+        detectionRange: 40         // Reveals stealth enemies this close (see ENEMIES)
+    },
+
+    // ==================== STARBASE UPGRADES ====================
+    // Bought between waves (see js/upgrades.js). Each upgrade's tiers are
+    // bought in order; a tier adds its "effects" to the starbase stats.
+    // "requires" names other upgrades and the tier they must have reached.
+    starbaseUpgrades: {
+        damage: {
+            name: 'Heavy Rounds',
+            description: 'More damage per shot',
+            tiers: [
+                { cost: 40, effects: { damage: 5 } },
+                { cost: 80, effects: { damage: 8 } },
+                { cost: 140, effects: { damage: 12 }, requires: { fireRate: 1 } }
+            ]
+        },
+        fireRate: {
+            name: 'Autoloader',
+            description: 'Fires more often',
+            tiers: [
+                { cost: 50, effects: { fireRate: 0.2 } },
+                { cost: 100, effects: { fireRate: 0.3 } },
+                { cost: 160, effects: { fireRate: 0.4 }, requires: { rotationSpeed: 1 } }
+            ]
+        },
+        rotationSpeed: {
+            name: 'Servo Motors',
+            description: 'Turret turns faster',
+            tiers: [
+                { cost: 25, effects: { rotationSpeed: 0.5 } },
+                { cost: 50, effects: { rotationSpeed: 0.75 } },
+                { cost: 90, effects: { rotationSpeed: 1 } }
+            ]
+        },
+        projectileSpeed: {
+            name: 'Rail Accelerator',
+            description: 'Faster shots miss less',
+            tiers: [
+                { cost: 25, effects: { projectileSpeed: 10 } },
+                { cost: 50, effects: { projectileSpeed: 15 } },
+                { cost: 90, effects: { projectileSpeed: 20 } }
+            ]
+        },
+        range: {
+            name: 'Targeting Array',
+            description: 'Longer firing range',
+            tiers: [
+                { cost: 45, effects: { range: 10 } },
+                { cost: 90, effects: { range: 15 }, requires: { projectileSpeed: 1 } },
+                { cost: 150, effects: { range: 20 }, requires: { projectileSpeed: 2 } }
+            ]
+        },
+        sensors: {
+            name: 'Sensor Suite',
+            description: 'Spots stealth enemies further out',
+            tiers: [
+                { cost: 40, effects: { detectionRange: 15 } },
+                { cost: 80, effects: { detectionRange: 20 } },
+                { cost: 120, effects: { detectionRange: 25 }, requires: { range: 1 } }
+            ]
+        },
+        // Specials - a single tier, unlocked by investing in the basics
+        twinBarrel: {
+            name: 'Twin Barrel',
+            description: 'Fires two shots at once',
+            special: true,
+            tiers: [
+                { cost: 250, effects: { barrels: 1 }, requires: { damage: 2, fireRate: 2 } }
+            ]
+        },
+        piercing: {
+            name: 'Piercing Shots',
+            description: 'Shots pass through one enemy and keep going',
+            special: true,
+            tiers: [
+                { cost: 300, effects: { pierce: 1 }, requires: { damage: 3, projectileSpeed: 2 } }
+            ]
+        }
     },
 
     // ==================== PLATFORMS ====================
+    // Each type's stats are its level 1. "levels" lists the upgrades to
+    // levels 2 and 3, and "branches" the level 4 choices (see the upgrade
+    // levels section of js/platform.js). An upgrade sets damage, range and
+    // fireRate to its values, and can switch to another `projectile` kind;
+    // "visual" describes what it adds to the mesh: glowing rings around the
+    // base, extra barrels on each side, and their color.
     platforms: {
         // Laser Battery - Fast-firing, medium-range weapon platform
         laserBattery: {
+            name: 'Laser Battery',  // Display name for the build menu
             damage: 20,            // Damage per shot (lower than starbase but faster firing)
             range: 80,              // Maximum firing range (units)
             fireRate: 1.2,          // Shots per second (faster than starbase)
-            cost: 50                // Credits required to build
+            rotationSpeed: 3.0,     // How fast the turret turns (radians/sec, snappier than starbase)
+            projectileSpeed: 60,    // How fast its projectiles travel
+            projectile: 'laser',    // Projectile kind it fires
+            damageType: 'energy',   // Strips shields fast, but armor soaks it up
+            detectionRange: 30,     // Its targeting scanner reveals stealth enemies nearby
+            cost: 50,               // Credits required to build
+            // Upgrade levels 2 and 3 (the stats above are level 1)
+            levels: [
+                { cost: 40, damage: 26, range: 85, fireRate: 1.35, visual: { rings: 1, color: 0x00aaff } },
+                { cost: 70, damage: 32, range: 90, fireRate: 1.5, visual: { rings: 2, color: 0x00aaff } }
+            ],
+            // Level 4: pick one branch
+            branches: {
+                pulse: {
+                    name: 'Pulse Array',
+                    description: 'Three barrels, very fast fire; ion bolts slow what they hit',
+                    cost: 150, damage: 30, range: 90, fireRate: 2.4, projectile: 'ionBolt',
+                    visual: { rings: 2, sideBarrels: 1, color: 0x00ffff }
+                },
+                lance: {
+                    name: 'Focusing Lance',
+                    description: 'Slow, heavy beam with long reach; marks targets to take more damage',
+                    cost: 150, damage: 65, range: 115, fireRate: 1.1, projectile: 'lanceBeam',
+                    visual: { rings: 3, color: 0xff44ff }
+                }
+            }
         },
         // Missile Launcher - High-damage, long-range weapon platform
         missileLauncher: {
+            name: 'Missile Launcher',
             damage: 40,            // Damage per shot (higher than laser battery)
             range: 100,             // Maximum firing range (units, same as starbase)
             fireRate: 0.8,          // Shots per second (slower than laser battery)
-            cost: 100               // Credits required to build (more expensive)
+            rotationSpeed: 1.5,     // Heavy launcher turns slowly
+            projectileSpeed: 40,    // Missiles travel slower than lasers
+            projectile: 'missile',  // Fires homing missiles with splash damage
+            damageType: 'explosive', // Cracks armor, but fast ships dodge the worst of the blast
+            cost: 100,              // Credits required to build (more expensive)
+            levels: [
+                { cost: 70, damage: 52, range: 105, fireRate: 0.9, visual: { rings: 1, color: 0xff8800 } },
+                { cost: 110, damage: 64, range: 110, fireRate: 1.0, visual: { rings: 2, color: 0xff8800 } }
+            ],
+            branches: {
+                swarm: {
+                    name: 'Swarm Pods',
+                    description: 'Extra launch tubes fire volleys of light missiles',
+                    cost: 200, damage: 45, range: 105, fireRate: 1.8,
+                    visual: { rings: 2, sideBarrels: 1, color: 0xffcc00 }
+                },
+                siege: {
+                    name: 'Siege Launcher',
+                    description: 'Huge warheads from far away; the blast stuns and sets ships alight',
+                    cost: 200, damage: 110, range: 130, fireRate: 0.8, projectile: 'siegeShell',
+                    visual: { rings: 3, color: 0xff2200 }
+                }
+            }
+        }
+    },
+
+    // ==================== ABILITIES ====================
+    // Powers the player fires from the ability bar during a wave (see js/abilities.js).
+    // Each costs credits, then needs `cooldown` seconds of game time to recharge.
+    // `effect` decides what it does:
+    // - strike: `damage` of `damageType` to every enemy within `radius` of a point the player picks
+    // - emp:    every enemy within `radius` of the planet is slowed to `slowFactor` of its
+    //           speed for `duration` seconds (the slow status effect)
+    // - shield: `damage` to every enemy within `radius` of the planet, then for `duration`
+    //           seconds enemies that reach the planet don't drain its shield
+    abilities: {
+        orbitalStrike: {
+            name: 'Orbital Strike',
+            description: 'Bombard a point of your choice',
+            effect: 'strike',
+            cost: 150,
+            cooldown: 45,
+            radius: 12,
+            damage: 250,
+            damageType: 'explosive'
+        },
+        emp: {
+            name: 'EMP',
+            description: 'Slow every enemy near the planet',
+            effect: 'emp',
+            cost: 75,
+            cooldown: 30,
+            radius: 45,
+            slowFactor: 0.4,
+            duration: 5
+        },
+        shieldBurst: {
+            name: 'Shield Burst',
+            description: 'Blast nearby enemies and stop leaks for a while',
+            effect: 'shield',
+            cost: 100,
+            cooldown: 60,
+            radius: 15,
+            damage: 60,
+            damageType: 'energy',
+            duration: 8
+        }
+    },
+
+    // ==================== DAMAGE TYPES ====================
+    // Every weapon deals one damage type (its `damageType`). A hit works
+    // through an enemy's defences in order (see damageEnemy() in js/enemy.js):
+    // 1. The enemy's resistance to the type scales it (0.25 = 25% less, -0.25 = 25% more)
+    // 2. A shield soaks up what it can; shieldMultiplier is how hard the type hits shields
+    // 3. Whatever gets through has the enemy's armor subtracted and comes off its health
+    damageTypes: {
+        kinetic: { name: 'Kinetic', shieldMultiplier: 0.5 },   // Shields deflect solid rounds
+        energy: { name: 'Energy', shieldMultiplier: 1.5 },     // Overloads shields
+        explosive: { name: 'Explosive', shieldMultiplier: 1 }
+    },
+
+    // ==================== STATUS EFFECTS ====================
+    // Effects weapons and abilities put on enemies for a while (see the
+    // status effects section of js/enemy.js). An application gives a
+    // `magnitude` and a `duration`; what the magnitude means depends on the effect:
+    // - slow: share of its speed the enemy loses (0.3 = 30% slower)
+    // - burn: damage per second, of `damageType`, dealt every `tickInterval` seconds
+    // - stun: none - the enemy stops, and can't heal others or launch drones
+    // - mark: extra damage the enemy takes from everything (0.25 = 25% more)
+    // `stacking` decides what happens when an enemy that has the effect gets it again:
+    // - strongest: keeps the stronger magnitude and the longer time left
+    // - stack:     adds a stack (up to `maxStacks`; the magnitude counts once per
+    //              stack), and otherwise works like strongest
+    // - ignore:    nothing, until the effect wears off
+    // Bosses shrug off effects with `affectsBosses: false`.
+    statusEffects: {
+        slow: { name: 'Slowed', icon: '❄', color: 0x66ccff, stacking: 'strongest' },
+        burn: {
+            name: 'Burning', icon: '🔥', color: 0xff6600, stacking: 'stack',
+            maxStacks: 3,
+            tickInterval: 0.5,
+            damageType: 'energy'
+        },
+        stun: { name: 'Stunned', icon: '⚡', color: 0xffee44, stacking: 'ignore', affectsBosses: false },
+        mark: { name: 'Marked', icon: '◎', color: 0xff44aa, stacking: 'strongest' }
+    },
+
+    // ==================== PROJECTILES ====================
+    // Each weapon picks a projectile kind with its `projectile` setting.
+    // The weapon's projectileSpeed overrides the kind's default speed.
+    // `effects` lists the status effects a kind puts on every enemy it
+    // damages (splash included): { type, magnitude, duration }.
+    projectiles: {
+        // Laser - fast, straight-flying energy bolt
+        laser: {
+            speed: 50,             // Default travel speed
+            turnRate: 0,           // Radians/sec it can steer (0 = flies straight)
+            splashRadius: 0,       // Area damage radius on hit (0 = single target)
+            splashDamage: 0,       // Fraction of damage dealt to other enemies in splash
+            maxDistance: 150,      // Removed after travelling this far
+            trail: false,          // Leave a particle trail?
+            mesh: {
+                shape: 'cylinder',
+                radius: 0.1,
+                length: 2,
+                color: [0, 2, 2.5],    // Bright cyan - HDR values (>1) for strong bloom
+                glowColor: 0x00ffff    // Point light that travels with the bolt
+            }
+        },
+        // Missile - slower, steers toward its target and explodes
+        missile: {
+            speed: 40,
+            turnRate: 4,           // Can't turn on a dime - fast enemies can outmaneuver it
+            splashRadius: 6,
+            splashDamage: 0.5,     // Nearby enemies take half damage
+            maxDistance: 250,      // Homing paths curve, so allow a longer flight
+            trail: true,
+            mesh: {
+                shape: 'cone',     // Pointy nose makes the heading easy to read
+                radius: 0.3,
+                length: 1.4,
+                color: [2.5, 1.2, 0.3],  // Hot orange (HDR)
+                glowColor: 0xff8800
+            },
+            effects: [
+                { type: 'burn', magnitude: 4, duration: 2 }   // Incendiary warheads
+            ]
+        },
+        // Ion bolt - Pulse Array: short laser bolts that drain engines
+        ionBolt: {
+            speed: 60,
+            turnRate: 0,
+            splashRadius: 0,
+            splashDamage: 0,
+            maxDistance: 150,
+            trail: false,
+            mesh: {
+                shape: 'cylinder',
+                radius: 0.12,
+                length: 1.2,
+                color: [0.8, 1.6, 3],  // Pale electric blue (HDR)
+                glowColor: 0x88ccff
+            },
+            effects: [
+                { type: 'slow', magnitude: 0.3, duration: 1.5 }
+            ]
+        },
+        // Lance beam - Focusing Lance: a long bolt that marks its target for every other weapon
+        lanceBeam: {
+            speed: 60,
+            turnRate: 0,
+            splashRadius: 0,
+            splashDamage: 0,
+            maxDistance: 180,      // The lance reaches further than the laser
+            trail: false,
+            mesh: {
+                shape: 'cylinder',
+                radius: 0.15,
+                length: 3.5,
+                color: [2.5, 0.6, 2.5],  // Magenta (HDR)
+                glowColor: 0xff44ff
+            },
+            effects: [
+                { type: 'mark', magnitude: 0.25, duration: 4 }
+            ]
+        },
+        // Siege shell - Siege Launcher: a heavy homing warhead whose blast stuns and burns
+        siegeShell: {
+            speed: 40,
+            turnRate: 3,
+            splashRadius: 8,
+            splashDamage: 0.5,
+            maxDistance: 300,
+            trail: true,
+            mesh: {
+                shape: 'cone',
+                radius: 0.45,
+                length: 2,
+                color: [3, 0.6, 0.2],  // Deep red-orange (HDR)
+                glowColor: 0xff2200
+            },
+            effects: [
+                { type: 'stun', duration: 0.6 },
+                { type: 'burn', magnitude: 6, duration: 3 }
+            ]
         }
     },
 
     // ==================== ENEMIES ====================
+    // Besides their stats, some enemies have a behavior (see js/enemy.js);
+    // wave scripts can tune any of them per group (see js/waves.js):
+    // - split:   on death, breaks into `count` enemies of `type` where it died
+    // - heal:    repairs other enemies within `radius` by `rate` health per second
+    // - stealth: can't be targeted unless a weapon's detectionRange reaches it
+    // - launch:  every `interval` seconds sends out `count` enemies of `type`,
+    //            until it has launched `capacity` of them
     enemies: {
         basic: {
             health: 100,
             speed: 5,              // Units per second
             armor: 0,              // Damage reduction
             size: 1,
-            color: 0xff4444        // Red
+            color: 0xff4444,       // Red
+            planetDamage: 1        // Shield points lost if it reaches the planet
         },
         fast: {
             health: 60,
             speed: 10,
             armor: 0,
+            resistances: {
+                explosive: 0.3     // Too nimble to catch the full blast
+            },
             size: 0.7,
-            color: 0xffff00        // Yellow
+            color: 0xffff00,       // Yellow
+            planetDamage: 1
         },
         armored: {
             health: 200,
             speed: 3,
             armor: 10,             // Reduces incoming damage by 10
+            resistances: {         // Fraction of each damage type shrugged off (see DAMAGE TYPES)
+                energy: 0.3,       // Ablative plating scatters lasers
+                explosive: -0.25   // ...but cracks under blasts
+            },
             size: 1.5,
-            color: 0x8844ff        // Purple
+            color: 0x8844ff,       // Purple
+            planetDamage: 3        // Heavy ships hit the shield hard
+        },
+        shielded: {
+            health: 120,
+            speed: 4,
+            armor: 0,
+            shield: {              // Regenerating layer that must be stripped before health drops
+                max: 100,
+                regen: 25,         // Points per second once it starts recharging
+                regenDelay: 2      // Seconds without being hit before it recharges
+            },
+            size: 1.2,
+            color: 0x44aaff,       // Blue
+            planetDamage: 2
+        },
+        splitter: {
+            health: 150,
+            speed: 4,
+            armor: 0,
+            split: {
+                type: 'fast',      // What it breaks into
+                count: 3
+            },
+            size: 1.3,
+            color: 0xff8800,       // Orange
+            planetDamage: 2
+        },
+        healer: {
+            health: 90,
+            speed: 4.5,
+            armor: 0,
+            heal: {
+                radius: 12,        // Units around the healer
+                rate: 12           // Health per second to each enemy in reach
+            },
+            size: 1,
+            color: 0x44ff66,       // Green
+            planetDamage: 1
+        },
+        stealth: {
+            health: 80,
+            speed: 6,
+            armor: 0,
+            stealth: true,         // Invisible to weapons until detected
+            size: 0.9,
+            color: 0x99aabb,       // Grey
+            planetDamage: 2
+        },
+        carrier: {
+            health: 300,
+            speed: 2.5,
+            armor: 5,
+            shield: {
+                max: 80,
+                regen: 15,
+                regenDelay: 3
+            },
+            launch: {
+                type: 'drone',
+                interval: 4,       // Seconds between launches
+                count: 2,          // Drones per launch
+                capacity: 8        // Drones it carries in total
+            },
+            size: 2,
+            color: 0x22ccaa,       // Teal
+            planetDamage: 4
+        },
+        drone: {
+            health: 25,
+            speed: 9,
+            armor: 0,
+            size: 0.5,
+            color: 0xff66cc,       // Pink
+            planetDamage: 1
         }
     },
 
-    // ==================== WAVES ====================
-    waves: {
-        // Wave 1: Easy introduction
-        1: {
-            enemies: [
-                { type: 'basic', count: 5, spawnDelay: 2 }
-            ],
-            bonusCredits: 50       // Bonus for completing wave
-        },
-        // Wave 2: More enemies
-        2: {
-            enemies: [
-                { type: 'basic', count: 8, spawnDelay: 1.5 }
-            ],
-            bonusCredits: 75
+    // ==================== BOSSES ====================
+    // Bosses come from a wave's "bosses" list (see js/waves.js), which gives
+    // each one its type, health scaling, a name and its phases. Phases kick
+    // in as the boss's health drops past their thresholds and can speed it
+    // up or call in escorts. These are the defaults every boss shares.
+    bosses: {
+        size: 1.5,                 // Drawn this much bigger than a normal enemy of its type
+        rewardMultiplier: 5        // Credits and points for the kill, times its type's (waves can override)
+    },
+
+    // ==================== ENDLESS MODE ====================
+    // Endless mode plays a level's own waves, then keeps going with waves
+    // built by js/endless.js. Each generated wave gets a budget that grows
+    // with the wave number and spends it on enemies, cheapest type first
+    // unlocking earliest. Every few waves a special or boss wave comes along.
+    endless: {
+        budget: { base: 10, perWave: 5 },        // Wave n can spend base + perWave * (n - 1)
+        healthGrowth: 0.08,                      // Generated enemies get +8% health per wave
+        bonusCredits: { base: 50, perWave: 10 }, // Wave n pays base + perWave * n for clearing it
+        maxGroups: 5,                            // Most enemy groups in one wave
+        bossEvery: 10,                           // Every 10th wave is a boss wave
+        specialChance: 0.2,                      // Chance of a special wave, from specialFromWave on
+        specialFromWave: 6,
+        
+        // What each type costs from the budget, and the first wave it can appear in
+        // (drones only come from carriers)
+        enemies: {
+            basic:    { cost: 1,   fromWave: 1 },
+            fast:     { cost: 1.5, fromWave: 2 },
+            shielded: { cost: 3,   fromWave: 3 },
+            armored:  { cost: 4,   fromWave: 4 },
+            splitter: { cost: 4,   fromWave: 5 },
+            healer:   { cost: 4,   fromWave: 6 },
+            stealth:  { cost: 3,   fromWave: 7 },
+            carrier:  { cost: 10,  fromWave: 9 }
         },
-        // Wave 3: Introduce fast enemies
-        3: {
-            enemies: [
-                { type: 'basic', count: 5, spawnDelay: 2 },
-                { type: 'fast', count: 3, spawnDelay: 1 }
-            ],
-            bonusCredits: 100
+        
+        // Special waves bend the usual rules (types limits the mix; the
+        // multipliers scale the budget, spawn gaps and enemy speed)
+        specialWaves: {
+            swarm:  { name: 'Swarm', types: ['basic', 'fast'], budgetMultiplier: 1.3, intervalMultiplier: 0.4 },
+            armada: { name: 'Armada', types: ['armored', 'shielded', 'carrier'], intervalMultiplier: 1.5 },
+            ghost:  { name: 'Ghost Fleet', stealth: true, budgetMultiplier: 0.8 },
+            rush:   { name: 'Rush', speedMultiplier: 1.4, budgetMultiplier: 0.8 }
         },
-        // Wave 4: Mixed enemies
-        4: {
-            enemies: [
-                { type: 'basic', count: 8, spawnDelay: 1.5 },
-                { type: 'fast', count: 5, spawnDelay: 1 }
-            ],
-            bonusCredits: 125
-        },
-        // Wave 5: Introduce armored
-        5: {
-            enemies: [
-                { type: 'basic', count: 5, spawnDelay: 1.5 },
-                { type: 'fast', count: 3, spawnDelay: 1 },
-                { type: 'armored', count: 2, spawnDelay: 3 }
-            ],
-            bonusCredits: 150
-        }
+        
+        // Boss waves put part of the budget into a boss of the heaviest unlocked type
+        boss: { budgetShare: 0.4, escortCount: 3 }
+    },
+    
+    // ==================== LEADERBOARD ====================
+    // Finished runs are kept per mode and level in localStorage (see js/leaderboard.js).
+    // The limits below are far beyond any real run - entries past them were edited.
+    leaderboard: {
+        limit: 10,                 // Runs kept per mode and level
+        maxNameLength: 16,
+        defaultName: 'Commander',  // Until the player picks a name
+        maxRewardMultiplier: 20,   // Most a kill's points can be scaled up (bosses)
+        maxPointsPerWave: 50000,   // Most a cleared wave's bonuses can add to the score
+        minSecondsPerWave: 5,      // No wave can be cleared faster than this
+        maxKillsPerSecond: 20
+    },
+    
+    // ==================== RUN REPORT ====================
+    // What js/stats.js keeps for the report on the victory and defeat screens
+    stats: {
+        creditSampleInterval: 5    // Seconds of play between points on the credits chart
+    },
+    
+    // ==================== SIMULATION ====================
+    // Game logic runs in fixed steps so results don't depend on frame rate
+    simulation: {
+        tickRate: 60,              // Simulation steps per second
+        maxFrameTime: 0.1,         // Longest frame we catch up on (prevents huge jumps after a stall)
+        speeds: [1, 2, 3]          // Game speeds the player can pick (see js/gameSpeed.js)
+    },
+    
+    // ==================== REPLAYS ====================
+    // Recorded games (see js/replay.js)
+    replay: {
+        seekStepsPerFrame: 600     // Steps run per frame when skipping through a replay
+    },
+
+    // ==================== LEVELS ====================
+    // Level files shown on the level-select screen, in order (see js/level.js
+    // for the format). Each level lists its own waves (see js/waves.js).
+    levels: [
+        'data/levels/sol-outpost.json',
+        'data/levels/asteroid-gate.json'
+    ],
+
+    // ==================== PLACEMENT ====================
+    // Default build zone, used when a level doesn't define its own
+    placement: {
+        minDistance: 15,           // Closest to the planet center a platform can go (planet radius + buffer)
+        maxDistance: 70,           // Furthest from the planet (must be closer than enemy spawn)
+        minSpacing: 10,            // Minimum distance between platforms
+        gridSpacing: 5             // Grid size for optional snap-to-grid placement
     },
 
     // ==================== PATH ====================
     path: {
-        // Path waypoints will be defined relative to scene
-        // These are offsets from center, the actual path curves around
-        spawnDistance: 80,         // How far from center enemies spawn
+        // Path waypoints are defined per level (see data/levels/)
+        spawnDistance: 80,         // Roughly how far from center enemies spawn
         planetRadius: 5            // The planet's size (lose if enemy reaches this)
     },
 
     // ==================== VISUAL ====================
     visual: {
-        projectileLength: 2,       // Length of laser projectiles
-        projectileColor: 0x00ffff, // Cyan laser color
         explosionDuration: 0.5,    // How long explosions last
         damageNumberDuration: 1    // How long damage numbers float
     },
 
+    // ==================== CONTROLS ====================
+    // Keyboard shortcuts, looked up through getBoundAction() in input.js.
+    // Values are KeyboardEvent.key values, so remapping is just editing this table.
+    keyBindings: {
+        pause: 'Escape',
+        nextWave: 'n',             // Starts the next wave - early, for a bonus, if one is running
+        tacticalPause: 'p',        // Stops game time; building and upgrading still work
+        gameSpeed: 'f',            // Steps through CONFIG.simulation.speeds
+        build: {
+            laserBattery: '1',
+            missileLauncher: '2'
+        },
+        abilities: {
+            orbitalStrike: 'q',
+            emp: 'e',
+            shieldBurst: 'r'
+        }
+    },
+
     // ==================== SCORING ====================
     scoring: {
         pointsPerKill: {
             basic: 100,
             fast: 150,
-            armored: 250
+            armored: 250,
+            shielded: 200,
+            splitter: 150,
+            healer: 250,
+            stealth: 200,
+            carrier: 400,
+            drone: 30
         },
         accuracyBonus: 0.5         // Multiplier for accuracy (0.5 = 50% bonus at 100% accuracy)
     }
@@ -143,7 +641,8 @@ export const CONFIG = {
 
 /**
  * Helper function to get enemy config by type
- * @param {string} type - Enemy type (basic, fast, armored)
+ * @param {string} type - Enemy type (basic, fast, armored, shielded, splitter, healer,
+ *                        stealth, carrier, drone)
  * @returns {object} Enemy configuration
  */
 export function getEnemyConfig(type) {
@@ -160,22 +659,19 @@ export function getPlatformConfig(type) {
 }
 
 /**
- * Helper function to get wave config
- * @param {number} waveNumber - Wave number
- * @returns {object} Wave configuration
+ * Helper function to get damage type config
+ * @param {string} type - Damage type (kinetic, energy, explosive)
+ * @returns {object} Damage type configuration
  */
-export function getWaveConfig(waveNumber) {
-    // If wave doesn't exist, generate a harder version of wave 5
-    if (!CONFIG.waves[waveNumber]) {
-        const scale = Math.floor(waveNumber / 5) + 1;
-        return {
-            enemies: [
-                { type: 'basic', count: 5 * scale, spawnDelay: 1.5 / scale },
-                { type: 'fast', count: 3 * scale, spawnDelay: 1 / scale },
-                { type: 'armored', count: 2 * scale, spawnDelay: 3 / scale }
-            ],
-            bonusCredits: 150 * scale
-        };
-    }
-    return CONFIG.waves[waveNumber];
+export function getDamageTypeConfig(type) {
+    return CONFIG.damageTypes[type] || CONFIG.damageTypes.kinetic;
+}
+
+/**
+ * Helper function to get projectile kind config
+ * @param {string} kind - Projectile kind (laser, missile, ...)
+ * @returns {object} Projectile configuration
+ */
+export function getProjectileConfig(kind) {
+    return CONFIG.projectiles[kind] || CONFIG.projectiles.laser;
 }
@@ -4,6 +4,8 @@
  * Manages the player's resources:
  * - Credits: Currency earned from kills and wave completions
  * - Score: Points for leaderboards and achievement tracking
+ * - Lives: The planet's shield pool - each enemy that reaches the planet
+ *   knocks off its type's planetDamage, and the game is lost at zero
  * 
  * The economy is carefully balanced to ensure:
  * 1. Players always have enough to make progress (starting credits)
@@ -11,31 +13,49 @@
  * 3. There's always something to save for (upgrades cost money)
  */
 
-import { CONFIG } from './config.js';
+import { CONFIG, getPlatformConfig } from './config.js';
+import { getLevelStartingCredits, getLevelLives } from './level.js';
 
 // Current economy state
 let credits = CONFIG.economy.startingCredits;
 let score = 0;
+let lives = CONFIG.economy.startingLives;
+let maxLives = CONFIG.economy.startingLives;
 let totalKills = 0;
 let shotsFired = 0;
 let shotsHit = 0;
+let killsByType = {}; // { basic: 12, fast: 4, ... }
+let playTime = 0;     // Seconds of game time this run (not counting pauses and menus)
+let creditsEarned = 0;
+let creditsSpent = 0;
 
 // Track earnings for display
 let creditsEarnedThisWave = 0;
 let scoreEarnedThisWave = 0;
 
+// Where the wave's counts started from (for the per-wave summary)
+let waveStart = { kills: 0, shotsFired: 0, shotsHit: 0, playTime: 0 };
+
 /**
  * Initialize economy for a new game
+ * Starting credits and lives come from the active level
  * @param {number} startingCredits - Override starting credits (optional)
  */
 export function initEconomy(startingCredits = null) {
-    credits = startingCredits !== null ? startingCredits : CONFIG.economy.startingCredits;
+    credits = startingCredits !== null ? startingCredits : getLevelStartingCredits();
+    lives = getLevelLives();
+    maxLives = lives;
     score = 0;
     totalKills = 0;
     shotsFired = 0;
     shotsHit = 0;
+    killsByType = {};
+    playTime = 0;
+    creditsEarned = 0;
+    creditsSpent = 0;
     creditsEarnedThisWave = 0;
     scoreEarnedThisWave = 0;
+    waveStart = { kills: 0, shotsFired: 0, shotsHit: 0, playTime: 0 };
 }
 
 /**
@@ -54,6 +74,32 @@ export function getScore() {
     return score;
 }
 
+/**
+ * Get remaining lives (planet shield points)
+ * @returns {number} Lives left
+ */
+export function getLives() {
+    return lives;
+}
+
+/**
+ * Get the lives the level started with (full shield)
+ * @returns {number} Maximum lives
+ */
+export function getMaxLives() {
+    return maxLives;
+}
+
+/**
+ * Lose lives when enemies reach the planet
+ * @param {number} amount - Lives to lose, usually the enemy's planetDamage (default 1)
+ * @returns {number} Lives left (never below 0)
+ */
+export function loseLives(amount = 1) {
+    lives = Math.max(0, lives - amount);
+    return lives;
+}
+
 /**
  * Add credits
  * @param {number} amount - Amount to add
@@ -61,6 +107,7 @@ export function getScore() {
  */
 export function addCredits(amount, reason = 'unspecified') {
     credits += amount;
+    creditsEarned += amount;
     creditsEarnedThisWave += amount;
     
     // Could log for debugging
@@ -75,6 +122,7 @@ export function addCredits(amount, reason = 'unspecified') {
 export function spendCredits(amount) {
     if (credits >= amount) {
         credits -= amount;
+        creditsSpent += amount;
         return true;
     }
     return false;
@@ -89,6 +137,33 @@ export function canAfford(amount) {
     return credits >= amount;
 }
 
+/**
+ * Check if player can afford to build a platform
+ * @param {string} type - Platform type (laserBattery, missileLauncher)
+ * @returns {boolean} True if player has enough credits for the platform
+ */
+export function canAffordPlatform(type) {
+    return canAfford(getPlatformConfig(type).cost);
+}
+
+/**
+ * Calculate how many credits selling something returns
+ * @param {number} totalSpent - Everything the player has spent on it
+ * @returns {number} Refund amount (rounded down)
+ */
+export function getSellRefund(totalSpent) {
+    return Math.floor(totalSpent * CONFIG.economy.sellRefundPercent);
+}
+
+/**
+ * Calculate the bonus for calling the next wave before this one has finished spawning
+ * @param {number} secondsSkipped - Spawn time left in the waves already running
+ * @returns {number} Bonus credits (rounded down)
+ */
+export function getEarlyCallBonus(secondsSkipped) {
+    return Math.floor(Math.max(0, secondsSkipped) * CONFIG.economy.earlyCallPerSecond);
+}
+
 /**
  * Add score
  * @param {number} amount - Points to add
@@ -102,16 +177,18 @@ export function addScore(amount) {
  * Record a kill (for statistics)
  * Also adds appropriate credits and score
  * @param {string} enemyType - Type of enemy killed
+ * @param {number} rewardMultiplier - Scales the credits and score (bosses pay more)
  */
-export function recordKill(enemyType) {
+export function recordKill(enemyType, rewardMultiplier = 1) {
     totalKills++;
+    killsByType[enemyType] = (killsByType[enemyType] || 0) + 1;
     
     // Add credits for the kill
-    const creditValue = CONFIG.economy.creditsPerKill[enemyType] || 10;
+    const creditValue = Math.round((CONFIG.economy.creditsPerKill[enemyType] || 10) * rewardMultiplier);
     addCredits(creditValue, `kill_${enemyType}`);
     
     // Add score for the kill
-    const scoreValue = CONFIG.scoring.pointsPerKill[enemyType] || 100;
+    const scoreValue = Math.round((CONFIG.scoring.pointsPerKill[enemyType] || 100) * rewardMultiplier);
     addScore(scoreValue);
 }
 
@@ -129,6 +206,15 @@ export function recordHit() {
     shotsHit++;
 }
 
+/**
+ * Add to the run's play time
+ * Called once per simulation step, so pauses and menus don't count.
+ * @param {number} seconds - Game time that passed
+ */
+export function recordPlayTime(seconds) {
+    playTime += seconds;
+}
+
 /**
  * Get accuracy percentage
  * @returns {number} Accuracy as percentage (0-100)
@@ -141,10 +227,10 @@ export function getAccuracy() {
 /**
  * Award wave completion bonus
  * @param {number} waveNumber - Which wave was completed
+ * @param {number} [bonusCredits] - Bonus from the wave script (defaults to 50 per wave number)
  */
-export function awardWaveBonus(waveNumber) {
-    const waveConfig = CONFIG.waves[waveNumber];
-    const bonus = waveConfig ? waveConfig.bonusCredits : 50 * waveNumber;
+export function awardWaveBonus(waveNumber, bonusCredits) {
+    const bonus = bonusCredits !== undefined ? bonusCredits : 50 * waveNumber;
     
     addCredits(bonus, `wave_${waveNumber}_complete`);
     
@@ -171,18 +257,24 @@ export function resetWaveTracking() {
     creditsEarnedThisWave = 0;
     scoreEarnedThisWave = 0;
     // Don't reset shotsFired/shotsHit - accuracy is per-game
+    waveStart = { kills: totalKills, shotsFired, shotsHit, playTime };
 }
 
 /**
  * Get wave summary
- * @returns {object} Summary of earnings this wave
+ * @returns {object} Summary of this wave: credits and score earned, kills,
+ *                   the game's accuracy and the wave's own (waveAccuracy),
+ *                   and how long it has lasted (seconds)
  */
 export function getWaveSummary() {
+    const waveShots = shotsFired - waveStart.shotsFired;
     return {
         credits: creditsEarnedThisWave,
         score: scoreEarnedThisWave,
-        kills: totalKills,
-        accuracy: getAccuracy()
+        kills: totalKills - waveStart.kills,
+        accuracy: getAccuracy(),
+        waveAccuracy: waveShots === 0 ? 100 : Math.round(((shotsHit - waveStart.shotsHit) / waveShots) * 100),
+        duration: playTime - waveStart.playTime
     };
 }
 
@@ -194,61 +286,58 @@ export function getGameStats() {
     return {
         credits,
         score,
+        lives,
         totalKills,
         shotsFired,
         shotsHit,
-        accuracy: getAccuracy()
+        accuracy: getAccuracy(),
+        killsByType: { ...killsByType },
+        playTime,
+        creditsEarned,
+        creditsSpent
     };
 }
 
 /**
- * Save progress to localStorage
- * Used for persisting between sessions
+ * Get everything the economy tracks, for saving a run (see js/save.js)
+ * @returns {object} Plain data that can be stored as JSON
  */
-export function saveProgress() {
-    const saveData = {
+export function getEconomyState() {
+    return {
         credits,
         score,
+        lives,
+        maxLives,
         totalKills,
-        timestamp: Date.now()
+        shotsFired,
+        shotsHit,
+        killsByType: { ...killsByType },
+        playTime,
+        creditsEarned,
+        creditsSpent,
+        creditsEarnedThisWave,
+        scoreEarnedThisWave,
+        waveStart: { ...waveStart }
     };
-    
-    try {
-        localStorage.setItem('solarDefense_progress', JSON.stringify(saveData));
-        return true;
-    } catch (e) {
-        console.warn('Could not save progress:', e);
-        return false;
-    }
-}
-
-/**
- * Load progress from localStorage
- * @returns {boolean} True if progress was loaded
- */
-export function loadProgress() {
-    try {
-        const saveData = localStorage.getItem('solarDefense_progress');
-        if (saveData) {
-            const data = JSON.parse(saveData);
-            credits = data.credits || CONFIG.economy.startingCredits;
-            score = data.score || 0;
-            totalKills = data.totalKills || 0;
-            return true;
-        }
-    } catch (e) {
-        console.warn('Could not load progress:', e);
-    }
-    return false;
 }
 
 /**
- * Clear saved progress
+ * Put the economy back the way getEconomyState() found it
+ * @param {object} state - Saved economy state
  */
-export function clearProgress() {
-    try {
-        localStorage.removeItem('solarDefense_progress');
-    } catch (e) {
-        console.warn('Could not clear progress:', e);
-    }
+export function restoreEconomyState(state) {
+    credits = state.credits;
+    score = state.score;
+    lives = state.lives;
+    maxLives = state.maxLives;
+    totalKills = state.totalKills;
+    shotsFired = state.shotsFired;
+    shotsHit = state.shotsHit;
+    killsByType = { ...state.killsByType };
+    playTime = state.playTime;
+    creditsEarned = state.creditsEarned;
+    creditsSpent = state.creditsSpent;
+    creditsEarnedThisWave = state.creditsEarnedThisWave;
+    scoreEarnedThisWave = state.scoreEarnedThisWave;
+    waveStart = { ...state.waveStart };
 }
@@ -0,0 +1,252 @@
+/**
+ * endless.js - Endless Mode Wave Generator
+ * 
+ * In endless mode there is no last wave. The level's own waves are played
+ * first; after that every wave is built here, on the spot, from a budget
+ * that grows with the wave number (CONFIG.endless).
+ * 
+ * A generated wave is an ordinary wave-script wave ({ bonusCredits, groups,
+ * bosses }), so it runs through the same simulation and passes the same
+ * validateWaveScript() check as a hand-written one. To build one:
+ * 1. Work out the budget and the health scaling for the wave number
+ * 2. Maybe make it special (a swarm, an armada...) or, every few waves,
+ *    spend part of the budget on a boss
+ * 3. Split what's left between a few groups of unlocked enemy types,
+ *    each with its own path and spawn cadence, overlapping in time
+ * 
+ * Every choice is drawn from the seeded generator (random.js), so the same
+ * seed gives the same endless run.
+ * 
+ * Usage:
+ *   const wave = waveNumber > getWaveCount()
+ *       ? generateEndlessWave(waveNumber, getPathNames())
+ *       : getWave(waveNumber);
+ */
+
+import { CONFIG } from './config.js';
+import { RANDOM_PATH } from './waves.js';
+import { random, randomChoice } from './random.js';
+
+// The ways a level can be played: its waves once through, or endlessly
+export const GAME_MODES = ['campaign', 'endless'];
+
+// Names for generated bosses
+const BOSS_NAMES = ['Behemoth', 'Leviathan', 'Colossus', 'Juggernaut', 'Titan', 'Warlord'];
+
+// When the first group of a generated wave spawns (seconds)
+const FIRST_SPAWN_TIME = 1.5;
+
+// ==================== WAVE SIZE ====================
+
+/**
+ * Get how much a generated wave can spend on enemies
+ * @param {number} waveNumber - Wave number (1-based)
+ * @returns {number} Budget in CONFIG.endless.enemies cost units
+ */
+export function getWaveBudget(waveNumber) {
+    const { base, perWave } = CONFIG.endless.budget;
+    return base + perWave * (waveNumber - 1);
+}
+
+/**
+ * Get how much tougher generated enemies are in a wave
+ * @param {number} waveNumber - Wave number (1-based)
+ * @returns {number} Health multiplier (1 on wave 1)
+ */
+export function getEndlessHealthMultiplier(waveNumber) {
+    return roundTo2(1 + CONFIG.endless.healthGrowth * (waveNumber - 1));
+}
+
+/**
+ * Get the bonus for clearing a generated wave
+ * Worked out from the wave number alone, so it's known without the wave.
+ * @param {number} waveNumber - Wave number (1-based)
+ * @returns {number} Credits
+ */
+export function getEndlessBonusCredits(waveNumber) {
+    const { base, perWave } = CONFIG.endless.bonusCredits;
+    return base + perWave * waveNumber;
+}
+
+/**
+ * List the enemy types that can appear in a wave
+ * @param {number} waveNumber - Wave number (1-based)
+ * @returns {Array<string>} Types whose fromWave has been reached, cheapest first
+ */
+export function getUnlockedTypes(waveNumber) {
+    return Object.entries(CONFIG.endless.enemies)
+        .filter(([, settings]) => settings.fromWave <= waveNumber)
+        .sort((a, b) => a[1].cost - b[1].cost)
+        .map(([type]) => type);
+}
+
+/**
+ * Describe a generated wave before it exists, for the next-wave preview
+ * Generating draws random numbers, so the wave itself is only built when
+ * it starts; this is what is already known from the wave number.
+ * @param {number} waveNumber - Wave number (1-based)
+ * @returns {object} { generated: true, name ('Boss Wave' or undefined), types (unlocked types), budget }
+ */
+export function getEndlessWavePreview(waveNumber) {
+    return {
+        generated: true,
+        name: waveNumber % CONFIG.endless.bossEvery === 0 ? 'Boss Wave' : undefined,
+        types: getUnlockedTypes(waveNumber),
+        budget: getWaveBudget(waveNumber)
+    };
+}
+
+// ==================== GENERATOR ====================
+
+/**
+ * Build a wave for endless mode
+ * 
+ * Uses the seeded generator, so call it once per wave (when the wave
+ * starts) to keep runs repeatable.
+ * 
+ * @param {number} waveNumber - Wave number (1-based)
+ * @param {Array<string>} pathNames - The level's paths
+ * @returns {object} A wave in wave-script format, plus a name for special
+ *                   and boss waves
+ */
+export function generateEndlessWave(waveNumber, pathNames) {
+    const settings = CONFIG.endless;
+    const unlocked = getUnlockedTypes(waveNumber);
+    const healthMultiplier = getEndlessHealthMultiplier(waveNumber);
+    
+    const isBossWave = waveNumber % settings.bossEvery === 0;
+    const special = !isBossWave && waveNumber >= settings.specialFromWave && random() < settings.specialChance
+        ? randomChoice(Object.keys(settings.specialWaves))
+        : null;
+    const rules = special ? settings.specialWaves[special] : {};
+    
+    const wave = { bonusCredits: getEndlessBonusCredits(waveNumber), groups: [] };
+    let budget = getWaveBudget(waveNumber) * (rules.budgetMultiplier || 1);
+    
+    if (isBossWave) {
+        const bossBudget = budget * settings.boss.budgetShare;
+        budget -= bossBudget;
+        wave.name = 'Boss Wave';
+        wave.bosses = [createBoss(unlocked, bossBudget, healthMultiplier, pathNames)];
+    } else if (special) {
+        wave.name = rules.name;
+    }
+    
+    // A special wave sticks to its own types, if any of them are unlocked yet
+    const allowed = rules.types ? unlocked.filter(type => rules.types.includes(type)) : [];
+    const pool = allowed.length > 0 ? allowed : unlocked;
+    
+    const groupCount = Math.min(settings.maxGroups, 1 + Math.floor(waveNumber / 3));
+    const groupBudget = budget / groupCount;
+    let startTime = FIRST_SPAWN_TIME;
+    
+    for (let i = 0; i < groupCount; i++) {
+        const type = randomChoice(pool);
+        const count = Math.max(1, Math.floor(groupBudget / settings.enemies[type].cost));
+        const interval = roundTo2((0.6 + random() * 0.9) * (rules.intervalMultiplier || 1));
+        
+        const group = {
+            type,
+            count,
+            interval,
+            startTime: roundTo2(startTime),
+            path: randomChoice([...pathNames, RANDOM_PATH])
+        };
+        if (healthMultiplier > 1) group.healthMultiplier = healthMultiplier;
+        if (rules.speedMultiplier) group.speedMultiplier = rules.speedMultiplier;
+        if (rules.stealth) group.stealth = true;
+        wave.groups.push(group);
+        
+        // The next group joins part-way through this one, so they overlap
+        startTime += count * interval * (0.4 + random() * 0.4);
+    }
+    
+    return wave;
+}
+
+/**
+ * Build the boss for a boss wave
+ * The boss is the heaviest unlocked type, scaled up until it is worth its
+ * share of the budget. Halfway down it calls escorts; near the end it speeds up.
+ * @param {Array<string>} unlocked - Unlocked types, cheapest first
+ * @param {number} budget - The boss's share of the wave budget
+ * @param {number} healthMultiplier - The wave's health scaling
+ * @param {Array<string>} pathNames - The level's paths
+ * @returns {object} A boss entry in wave-script format
+ */
+function createBoss(unlocked, budget, healthMultiplier, pathNames) {
+    const type = unlocked[unlocked.length - 1];
+    const cost = CONFIG.endless.enemies[type].cost;
+    const escortType = unlocked.includes('fast') ? 'fast' : unlocked[0];
+    
+    return {
+        type,
+        name: randomChoice(BOSS_NAMES),
+        startTime: 10,
+        path: randomChoice(pathNames),
+        healthMultiplier: roundTo2(healthMultiplier * Math.max(2, budget / cost)),
+        phases: [
+            { at: 0.5, escorts: { type: escortType, count: CONFIG.endless.boss.escortCount } },
+            { at: 0.25, name: 'Enraged', speedMultiplier: 1.3 }
+        ]
+    };
+}
+
+/**
+ * Round to 2 decimal places, so generated waves read cleanly when logged or saved
+ * @param {number} value - Number to round
+ * @returns {number} The rounded number
+ */
+function roundTo2(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Check CONFIG.endless for mistakes
+ * Reported in the console like level and wave script errors.
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+export function validateEndlessConfig() {
+    const errors = [];
+    const settings = CONFIG.endless;
+    const isPositive = value => typeof value === 'number' && value > 0;
+    
+    if (!isPositive(settings.budget.base) || !(settings.budget.perWave >= 0)) {
+        errors.push('budget: base must be a positive number and perWave 0 or more');
+    }
+    if (!Number.isInteger(settings.bossEvery) || settings.bossEvery < 1) {
+        errors.push('bossEvery must be a whole number of 1 or more');
+    }
+    
+    Object.entries(settings.enemies).forEach(([type, entry]) => {
+        if (!CONFIG.enemies[type]) {
+            errors.push(`enemies: unknown enemy type '${type}'`);
+        }
+        if (!isPositive(entry.cost)) {
+            errors.push(`enemies.${type}: cost must be a positive number`);
+        }
+        if (!Number.isInteger(entry.fromWave) || entry.fromWave < 1) {
+            errors.push(`enemies.${type}: fromWave must be a whole number of 1 or more`);
+        }
+    });
+    if (getUnlockedTypes(1).length === 0) {
+        errors.push('enemies: at least one type must be available from wave 1');
+    }
+    
+    Object.entries(settings.specialWaves).forEach(([id, special]) => {
+        (special.types || []).forEach(type => {
+            if (!settings.enemies[type]) {
+                errors.push(`specialWaves.${id}: '${type}' is not in endless.enemies`);
+            }
+        });
+        ['budgetMultiplier', 'intervalMultiplier', 'speedMultiplier'].forEach(field => {
+            if (special[field] !== undefined && !isPositive(special[field])) {
+                errors.push(`specialWaves.${id}: ${field} must be a positive number`);
+            }
+        });
+    });
+    
+    return { valid: errors.length === 0, errors };
+}
@@ -4,8 +4,12 @@
  * Manages all enemies in the game:
  * - Creating enemy objects with health, speed, and type
  * - Moving enemies along paths
- * - Displaying health bars
+ * - Displaying health bars (and shield bars for shielded enemies)
+ * - Damage: resistances, regenerating shields and armor
+ * - Behaviors: splitting on death, healing, stealth and launching drones
+ * - Status effects: slow, burn, stun and mark, with icons and tints
  * - Handling enemy destruction
+ * - Targeting: choosing which enemy a weapon shoots at
  * 
  * Each enemy is a 3D object (mesh) with additional properties
  * stored as a JavaScript object.
@@ -13,8 +17,9 @@
 
 import * as THREE from 'three';
 import { scene } from './scene.js';
-import { CONFIG, getEnemyConfig } from './config.js';
+import { CONFIG, getEnemyConfig, getDamageTypeConfig } from './config.js';
 import { getPositionOnPath, getDirectionOnPath, hasReachedPlanet } from './path.js';
+import { createExplosion } from './particles.js';
 
 // Store all active enemies
 export const enemies = [];
@@ -23,47 +28,106 @@ export const enemies = [];
 const enemyGeometries = {};
 const enemyMaterials = {};
 
+// Damage type used when a hit doesn't say (e.g. tests calling damageEnemy directly)
+export const DEFAULT_DAMAGE_TYPE = 'kinetic';
+
+// Bubble drawn around enemies while their shield is up (shared, scaled with the enemy)
+let shieldGeometry = null;
+
+// Aura drawn around healers, sized to their heal radius (shared)
+let healAuraGeometry = null;
+
+// Behaviors an enemy can have, each a settings object in its CONFIG entry
+// (stealth is a plain true/false). Wave scripts can override the settings.
+export const ENEMY_BEHAVIORS = ['split', 'heal', 'launch'];
+
+// How far apart (in path progress) split fragments and launched drones start
+const OFFSPRING_SPACING = 0.008;
+
+// Opacity of a stealth enemy no detector can see
+const CLOAKED_OPACITY = 0.2;
+
+// Whether enemies get HTML health bars (off when running without a page, e.g. in Node)
+let healthBarsEnabled = true;
+
 /**
  * Initialize enemy system
  * Pre-creates geometries and materials for efficiency
+ * @param {object} options - Optional settings
+ * @param {boolean} options.healthBars - Create HTML health bars (default true)
  */
-export function initEnemies() {
+export function initEnemies(options = {}) {
+    healthBarsEnabled = options.healthBars !== false;
+    
     // Create geometries for each enemy type
     // Different shapes help players identify enemy types quickly
     
     // Basic enemy - simple octahedron shape
-    enemyGeometries.basic = new THREE.OctahedronGeometry(1, 0);
-    enemyMaterials.basic = new THREE.MeshPhongMaterial({
-        color: CONFIG.enemies.basic.color,
-        emissive: new THREE.Color(CONFIG.enemies.basic.color).multiplyScalar(0.3),
-        flatShading: true
-    });
+    defineEnemyLook('basic', new THREE.OctahedronGeometry(1, 0));
     
     // Fast enemy - smaller, pointier (tetrahedron)
-    enemyGeometries.fast = new THREE.TetrahedronGeometry(1, 0);
-    enemyMaterials.fast = new THREE.MeshPhongMaterial({
-        color: CONFIG.enemies.fast.color,
-        emissive: new THREE.Color(CONFIG.enemies.fast.color).multiplyScalar(0.3),
-        flatShading: true
-    });
+    defineEnemyLook('fast', new THREE.TetrahedronGeometry(1, 0));
     
     // Armored enemy - larger, chunky (dodecahedron)
-    enemyGeometries.armored = new THREE.DodecahedronGeometry(1, 0);
-    enemyMaterials.armored = new THREE.MeshPhongMaterial({
-        color: CONFIG.enemies.armored.color,
-        emissive: new THREE.Color(CONFIG.enemies.armored.color).multiplyScalar(0.3),
+    defineEnemyLook('armored', new THREE.DodecahedronGeometry(1, 0));
+    
+    // Shielded enemy - rounder (icosahedron), wrapped in a shield bubble
+    defineEnemyLook('shielded', new THREE.IcosahedronGeometry(1, 0));
+    
+    // Splitter - a block that looks like it could break apart
+    defineEnemyLook('splitter', new THREE.BoxGeometry(1.4, 1.4, 1.4));
+    
+    // Healer - a ring, surrounded by a faint aura showing its reach
+    defineEnemyLook('healer', new THREE.TorusGeometry(0.8, 0.3, 6, 12));
+    
+    // Stealth enemy - a dart that fades out while cloaked
+    defineEnemyLook('stealth', new THREE.ConeGeometry(0.8, 2, 4));
+    
+    // Carrier - a wide hexagonal hull (also shielded)
+    defineEnemyLook('carrier', new THREE.CylinderGeometry(1, 1.2, 0.8, 6));
+    
+    // Drone - tiny, launched from carriers
+    defineEnemyLook('drone', new THREE.TetrahedronGeometry(1, 0));
+    
+    shieldGeometry = new THREE.SphereGeometry(1.6, 16, 12);
+    healAuraGeometry = new THREE.SphereGeometry(1, 16, 12);
+}
+
+/**
+ * Set the shape and material an enemy type is drawn with
+ * @param {string} type - Enemy type from CONFIG.enemies
+ * @param {THREE.BufferGeometry} geometry - Its shape (scaled by the type's size)
+ */
+function defineEnemyLook(type, geometry) {
+    enemyGeometries[type] = geometry;
+    enemyMaterials[type] = new THREE.MeshPhongMaterial({
+        color: CONFIG.enemies[type].color,
+        emissive: new THREE.Color(CONFIG.enemies[type].color).multiplyScalar(0.3),
         flatShading: true
     });
 }
 
 /**
  * Spawn a new enemy
- * @param {string} type - Enemy type (basic, fast, armored)
+ * @param {string} type - Enemy type from CONFIG.enemies
  * @param {string} pathName - Which path to follow
+ * @param {object} options - Optional stat scaling and behavior settings from the wave script
+ * @param {number} options.healthMultiplier - Multiplies base health and shield (default 1)
+ * @param {number} options.speedMultiplier - Multiplies base speed (default 1)
+ * @param {boolean} options.isBoss - Bosses are drawn larger, have no floating health bar and pay more
+ * @param {string} options.name - Bosses: name shown on the boss health bar
+ * @param {number} options.rewardMultiplier - Bosses: scales credits and points (default CONFIG.bosses)
+ * @param {Array<object>} options.phases - Bosses: { at, speedMultiplier, escorts, name } in order
+ *                                         (see updateBossPhases)
+ * @param {boolean} options.stealth - Cloak (or uncloak) the enemy, whatever its type
+ * @param {object} options.split - Overrides for the type's split settings (likewise heal, launch)
  * @returns {object} The created enemy object
  */
-export function spawnEnemy(type = 'basic', pathName = 'default') {
+export function spawnEnemy(type = 'basic', pathName = 'default', options = {}) {
     const config = getEnemyConfig(type);
+    const { healthMultiplier = 1, speedMultiplier = 1, isBoss = false } = options;
+    const behaviors = resolveBehaviors(config, options);
+    const rewardMultiplier = isBoss ? (options.rewardMultiplier || CONFIG.bosses.rewardMultiplier) : 1;
     
     // Create the 3D mesh
     const geometry = enemyGeometries[type] || enemyGeometries.basic;
@@ -71,8 +135,8 @@ export function spawnEnemy(type = 'basic', pathName = 'default') {
     
     const mesh = new THREE.Mesh(geometry, material.clone()); // Clone material for individual color changes
     
-    // Scale based on enemy type
-    const scale = config.size;
+    // Scale based on enemy type (bosses are bigger still)
+    const scale = config.size * (isBoss ? CONFIG.bosses.size : 1);
     mesh.scale.set(scale, scale, scale);
     
     // Get starting position from path
@@ -83,25 +147,98 @@ export function spawnEnemy(type = 'basic', pathName = 'default') {
     const enemy = {
         mesh,
         type,
-        health: config.health,
-        maxHealth: config.health,
-        speed: config.speed,
+        health: Math.round(config.health * healthMultiplier),
+        maxHealth: Math.round(config.health * healthMultiplier),
+        speed: config.speed * speedMultiplier,
         armor: config.armor,
+        resistances: { ...(config.resistances || {}) }, // Per damage type (see CONFIG.damageTypes)
+        
+        // Shield layer, stripped before health drops (0 for unshielded types)
+        shield: Math.round((config.shield ? config.shield.max : 0) * healthMultiplier),
+        maxShield: Math.round((config.shield ? config.shield.max : 0) * healthMultiplier),
+        shieldRegen: config.shield ? config.shield.regen : 0,
+        shieldRegenDelay: config.shield ? config.shield.regenDelay : 0,
+        shieldCooldown: 0,       // Seconds until the shield starts recharging
+        
+        // Behaviors (see ENEMY_BEHAVIORS): settings objects, or null if it doesn't have one
+        ...behaviors,
+        stealth: options.stealth !== undefined ? options.stealth : !!config.stealth,
+        detected: false,         // Stealth enemies: whether a detector can see it (updateStealthDetection)
+        launchTimer: 0,          // Carriers: seconds since the last launch
+        dronesLeft: behaviors.launch ? behaviors.launch.capacity : 0,
+        healthMultiplier,        // Passed on to split fragments and drones
+        
         pathName,
         pathProgress: 0, // 0 = start, 1 = end
         alive: true,
-        creditValue: CONFIG.economy.creditsPerKill[type] || 10,
-        pointValue: CONFIG.scoring.pointsPerKill[type] || 100,
+        isBoss,
+        planetDamage: config.planetDamage || 1,
+        rewardMultiplier,        // Bosses pay out several times their type's reward
+        creditValue: Math.round((CONFIG.economy.creditsPerKill[type] || 10) * rewardMultiplier),
+        pointValue: Math.round((CONFIG.scoring.pointsPerKill[type] || 100) * rewardMultiplier),
+        
+        // Boss phases (see updateBossPhases)
+        bossName: isBoss && options.name ? options.name : null,
+        phases: isBoss && options.phases ? options.phases.map(phase => ({ ...phase })) : [],
+        phase: 0,                // How many phases it has passed (0 = still in its first)
+        baseSpeed: config.speed * speedMultiplier, // Phases scale this
+        
+        // Slowed, burning, stunned or marked: { magnitude, duration, stacks, source,
+        // tickTimer } by effect (see applyStatusEffect)
+        statusEffects: {},
         
-        // Reference to health bar (created separately)
-        healthBar: null
+        // References to the health and shield bars and status icons (created separately)
+        healthBar: null,
+        shieldBar: null,
+        statusBar: null
     };
     
     // Store enemy reference on mesh for easy access during collision
     mesh.userData.enemy = enemy;
     
-    // Create health bar
-    enemy.healthBar = createHealthBar(enemy);
+    // Shielded enemies glow inside a bubble while the shield holds
+    if (enemy.maxShield > 0) {
+        const bubble = new THREE.Mesh(shieldGeometry, new THREE.MeshBasicMaterial({
+            color: CONFIG.enemies.shielded.color,
+            transparent: true,
+            opacity: 0.25,
+            depthWrite: false
+        }));
+        bubble.name = 'shieldBubble';
+        mesh.add(bubble);
+    }
+    
+    // Healers show how far their repairs reach (the aura is a child, so undo the mesh scale)
+    if (enemy.heal) {
+        const aura = new THREE.Mesh(healAuraGeometry, new THREE.MeshBasicMaterial({
+            color: CONFIG.enemies.healer.color,
+            transparent: true,
+            opacity: 0.06,
+            depthWrite: false
+        }));
+        aura.name = 'healAura';
+        aura.scale.setScalar(enemy.heal.radius / scale);
+        aura.raycast = () => {}; // Clicks go through it to whatever is underneath
+        mesh.add(aura);
+    }
+    
+    // Create health bar (and shield bar, and a row for status effect icons)
+    // Bosses don't get one - their health is on the boss bar at the top of the screen
+    if (healthBarsEnabled && !isBoss) {
+        enemy.healthBar = createHealthBar(enemy);
+        if (enemy.maxShield > 0) {
+            enemy.shieldBar = createHealthBar(enemy, 'shield-bar');
+        }
+        enemy.statusBar = document.createElement('div');
+        enemy.statusBar.className = 'status-icons';
+        document.body.appendChild(enemy.statusBar);
+    }
+    
+    // Stealth enemies start cloaked
+    if (enemy.stealth) {
+        mesh.material.transparent = true;
+        updateStealthVisuals(enemy);
+    }
     
     // Add to scene and tracking array
     scene.add(mesh);
@@ -110,18 +247,82 @@ export function spawnEnemy(type = 'basic', pathName = 'default') {
     return enemy;
 }
 
+/**
+ * Work out an enemy's behavior settings
+ * A behavior comes from the type's CONFIG entry; the wave script's options
+ * can change its settings, but can't give a type a behavior it lacks.
+ * @param {object} config - The type's CONFIG.enemies entry
+ * @param {object} options - Spawn options (may hold overrides for each behavior)
+ * @returns {object} { split, heal, launch }, each a settings object or null
+ */
+function resolveBehaviors(config, options) {
+    const behaviors = {};
+    ENEMY_BEHAVIORS.forEach(behavior => {
+        behaviors[behavior] = config[behavior] ? { ...config[behavior], ...(options[behavior] || {}) } : null;
+    });
+    return behaviors;
+}
+
+/**
+ * Put a saved enemy back into the game (used when loading a saved game)
+ * 
+ * The enemy is spawned as usual, then its saved health, speed and path
+ * progress replace the fresh values, so it continues exactly where it was.
+ * 
+ * @param {object} saved - Saved enemy: { type, pathName, pathProgress, health, maxHealth,
+ *                         speed, armor, shield, maxShield, shieldCooldown, isBoss,
+ *                         planetDamage, creditValue, pointValue, healthMultiplier,
+ *                         stealth, split, heal, launch, launchTimer, dronesLeft,
+ *                         rewardMultiplier, bossName, phases, phase, baseSpeed,
+ *                         statusEffects }
+ * @returns {object} The restored enemy object
+ */
+export function restoreEnemy(saved) {
+    const enemy = spawnEnemy(saved.type, saved.pathName, {
+        isBoss: saved.isBoss,
+        stealth: saved.stealth,
+        split: saved.split,
+        heal: saved.heal,
+        launch: saved.launch,
+        name: saved.bossName,
+        rewardMultiplier: saved.rewardMultiplier,
+        phases: saved.phases
+    });
+    
+    ['pathProgress', 'health', 'maxHealth', 'speed', 'armor', 'shield', 'maxShield', 'shieldCooldown',
+     'planetDamage', 'creditValue', 'pointValue', 'healthMultiplier', 'launchTimer', 'dronesLeft',
+     'phase', 'baseSpeed'].forEach(field => {
+        enemy[field] = saved[field];
+    });
+    
+    // Effects that no longer exist in CONFIG are dropped
+    Object.entries(saved.statusEffects || {}).forEach(([id, effect]) => {
+        if (CONFIG.statusEffects[id]) {
+            enemy.statusEffects[id] = { ...effect };
+        }
+    });
+    
+    enemy.mesh.position.copy(getPositionOnPath(enemy.pathName, enemy.pathProgress));
+    updateHealthBar(enemy);
+    updateStatusVisuals(enemy);
+    
+    return enemy;
+}
+
 /**
  * Creates a health bar for an enemy
- * Health bars are HTML elements positioned in screen space
+ * Health bars are HTML elements positioned in screen space. Shielded
+ * enemies get a second, blue bar for the shield, drawn just above.
  * @param {object} enemy - The enemy to create health bar for
+ * @param {string} barClass - 'health-bar' or 'shield-bar'
  * @returns {HTMLElement} The health bar container element
  */
-function createHealthBar(enemy) {
+function createHealthBar(enemy, barClass = 'health-bar') {
     const container = document.createElement('div');
     container.className = 'health-bar-container';
     
     const bar = document.createElement('div');
-    bar.className = 'health-bar high';
+    bar.className = barClass === 'health-bar' ? 'health-bar high' : barClass;
     bar.style.width = '100%';
     
     container.appendChild(bar);
@@ -135,11 +336,15 @@ function createHealthBar(enemy) {
  * Called every frame to move enemies and update their visuals
  * @param {number} deltaTime - Time since last frame in seconds
  * @returns {object} Info about enemies that reached the planet or were destroyed
+ *          { reachedPlanet: boolean, leaked: Array<object>, destroyed: Array<object>,
+ *            statusHits: Array<object> } - statusHits are burn damage, shaped like projectile hits
  */
 export function updateEnemies(deltaTime) {
     const result = {
         reachedPlanet: false,
-        destroyed: []
+        leaked: [],        // Enemies that reached the planet this frame
+        destroyed: [],
+        statusHits: []     // Damage from status effects (burning)
     };
     
     for (let i = enemies.length - 1; i >= 0; i--) {
@@ -147,9 +352,16 @@ export function updateEnemies(deltaTime) {
         
         if (!enemy.alive) continue;
         
+        // Status effects tick and wear off first - a burning enemy can burn up here
+        if (Object.keys(enemy.statusEffects).length > 0) {
+            result.statusHits.push(...updateStatusEffects(enemy, deltaTime));
+            if (!enemy.alive) continue;
+        }
+        
         // Calculate how much to move based on speed and time
-        // We convert speed to path progress (path length normalized to 0-1)
-        const pathSpeed = (enemy.speed / 100) * deltaTime;
+        // We convert speed to path progress (path length normalized to 0-1);
+        // slowed enemies cover less of it, and stunned ones none
+        const pathSpeed = (enemy.speed * getSpeedMultiplier(enemy) / 100) * deltaTime;
         enemy.pathProgress += pathSpeed;
         
         // Get new position on path
@@ -167,19 +379,107 @@ export function updateEnemies(deltaTime) {
         // Add some wobble rotation for visual interest
         enemy.mesh.rotation.z += deltaTime * 2;
         
+        // A shield recharges once the enemy hasn't been hit for a while
+        if (enemy.shield < enemy.maxShield) {
+            rechargeShield(enemy, deltaTime);
+        }
+        
+        // Carriers send out drones until they run out (not while stunned)
+        // (new enemies go on the end of the array, so this loop won't reach them this step)
+        if (enemy.launch && enemy.dronesLeft > 0 && !enemy.statusEffects.stun) {
+            launchDrones(enemy, deltaTime);
+        }
+        
         // Update health bar position
         updateHealthBarPosition(enemy);
         
         // Check if enemy reached the planet
         if (hasReachedPlanet(newPosition) || enemy.pathProgress >= 1) {
             result.reachedPlanet = true;
+            result.leaked.push(enemy);
+            enemy.alive = false;
             removeEnemy(enemy, i);
         }
     }
     
+    // Healers repair everyone near them (after moving, so the order enemies are listed in doesn't matter)
+    enemies.forEach(healer => {
+        if (healer.alive && healer.heal && !healer.statusEffects.stun) {
+            healNearbyEnemies(healer, deltaTime);
+        }
+    });
+    
     return result;
 }
 
+/**
+ * Repair the enemies around a healer
+ * Healers don't heal themselves, and nobody goes above full health.
+ * @param {object} healer - An enemy with the heal behavior
+ * @param {number} deltaTime - Step length in seconds
+ */
+function healNearbyEnemies(healer, deltaTime) {
+    getEnemiesInRange(healer.mesh.position, healer.heal.radius).forEach(enemy => {
+        if (enemy === healer || enemy.health >= enemy.maxHealth) return;
+        
+        enemy.health = Math.min(enemy.maxHealth, enemy.health + healer.heal.rate * deltaTime);
+        updateHealthBar(enemy);
+    });
+}
+
+/**
+ * Launch a carrier's next batch of drones when its timer comes round
+ * @param {object} carrier - An enemy with the launch behavior and drones left
+ * @param {number} deltaTime - Step length in seconds
+ */
+function launchDrones(carrier, deltaTime) {
+    carrier.launchTimer += deltaTime;
+    if (carrier.launchTimer < carrier.launch.interval) return;
+    
+    carrier.launchTimer -= carrier.launch.interval;
+    const count = Math.min(carrier.launch.count, carrier.dronesLeft);
+    carrier.dronesLeft -= count;
+    spawnOffspring(carrier, carrier.launch.type, count);
+}
+
+/**
+ * Spawn enemies where another one is (split fragments, launched drones, boss escorts)
+ * They start at the parent's path progress, strung out just behind it so
+ * they don't sit on top of each other, and share its health scaling -
+ * unless the parent is a boss, whose scaling is what makes it a boss.
+ * @param {object} parent - The splitting or launching enemy
+ * @param {string} type - Enemy type to spawn
+ * @param {number} count - How many
+ * @returns {Array<object>} The new enemies
+ */
+function spawnOffspring(parent, type, count) {
+    const offspring = [];
+    for (let i = 0; i < count; i++) {
+        const child = spawnEnemy(type, parent.pathName, { healthMultiplier: parent.isBoss ? 1 : parent.healthMultiplier });
+        child.pathProgress = Math.max(0, parent.pathProgress - i * OFFSPRING_SPACING);
+        child.mesh.position.copy(getPositionOnPath(child.pathName, child.pathProgress));
+        updateHealthBarPosition(child);
+        offspring.push(child);
+    }
+    return offspring;
+}
+
+/**
+ * Recharge an enemy's shield
+ * Nothing happens until shieldCooldown has run out (every hit restarts it).
+ * @param {object} enemy - A shielded enemy below full shield
+ * @param {number} deltaTime - Step length in seconds
+ */
+function rechargeShield(enemy, deltaTime) {
+    if (enemy.shieldCooldown > 0) {
+        enemy.shieldCooldown = Math.max(0, enemy.shieldCooldown - deltaTime);
+        return;
+    }
+    
+    enemy.shield = Math.min(enemy.maxShield, enemy.shield + enemy.shieldRegen * deltaTime);
+    updateHealthBar(enemy);
+}
+
 /**
  * Update health bar position to follow enemy in screen space
  * @param {object} enemy - Enemy whose health bar to update
@@ -204,7 +504,9 @@ export function projectHealthBars(camera) {
         if (!enemy.healthBar || !enemy.alive) return;
         
         // Convert 3D position to screen coordinates
-        const vector = enemy.healthBarPosition || enemy.mesh.position.clone();
+        // (clone, because this can run several frames between simulation steps
+        // and project() would otherwise keep transforming the same vector)
+        const vector = (enemy.healthBarPosition || enemy.mesh.position).clone();
         vector.y += 2;
         vector.project(camera);
         
@@ -213,28 +515,69 @@ export function projectHealthBars(camera) {
         const y = (-(vector.y * 0.5) + 0.5) * window.innerHeight;
         
         // Check if enemy is in front of camera
-        if (vector.z < 1) {
-            enemy.healthBar.style.display = 'block';
-            enemy.healthBar.style.left = (x - 25) + 'px'; // Center the 50px bar
-            enemy.healthBar.style.top = (y - 15) + 'px';
-        } else {
-            enemy.healthBar.style.display = 'none';
+        const bars = enemy.shieldBar ? [enemy.healthBar, enemy.shieldBar] : [enemy.healthBar];
+        bars.forEach((bar, index) => {
+            if (vector.z < 1) {
+                bar.style.display = 'block';
+                bar.style.left = (x - 25) + 'px'; // Center the 50px bar
+                bar.style.top = (y - 15 - index * 8) + 'px'; // Shield bar sits just above
+            } else {
+                bar.style.display = 'none';
+            }
+        });
+        
+        // Status effect icons sit just right of the health bar
+        if (enemy.statusBar) {
+            enemy.statusBar.style.display = vector.z < 1 ? 'flex' : 'none';
+            enemy.statusBar.style.left = (x + 28) + 'px';
+            enemy.statusBar.style.top = (y - 20) + 'px';
         }
     });
 }
 
 /**
  * Damage an enemy
+ * 
+ * The hit works through the enemy's defences in order:
+ * 0. A marked enemy takes more of everything (see STATUS_EFFECTS)
+ * 1. Its resistance to the damage type scales the damage
+ * 2. Its shield soaks up what it can (hit harder or softer depending on
+ *    the type's shieldMultiplier), and stops recharging for a while
+ * 3. Whatever is left has armor subtracted (at least 1) and comes off health
+ * 
  * @param {object} enemy - Enemy to damage
  * @param {number} damage - Amount of damage
+ * @param {string} damageType - Damage type from CONFIG.damageTypes
  * @returns {boolean} True if enemy was destroyed
  */
-export function damageEnemy(enemy, damage) {
+export function damageEnemy(enemy, damage, damageType = DEFAULT_DAMAGE_TYPE) {
     if (!enemy.alive) return false;
     
+    // Resistances: 0.25 takes a quarter off, negative values add to it
+    let remaining = damage * getDamageTakenMultiplier(enemy) * (1 - (enemy.resistances[damageType] || 0));
+    
+    // The shield goes first; only damage it couldn't absorb reaches the hull
+    if (enemy.maxShield > 0) {
+        enemy.shieldCooldown = enemy.shieldRegenDelay;
+        
+        if (enemy.shield > 0) {
+            const multiplier = getDamageTypeConfig(damageType).shieldMultiplier;
+            const shieldDamage = remaining * multiplier;
+            
+            if (shieldDamage <= enemy.shield) {
+                enemy.shield -= shieldDamage;
+                remaining = 0;
+            } else {
+                remaining = (shieldDamage - enemy.shield) / multiplier;
+                enemy.shield = 0;
+            }
+        }
+    }
+    
     // Apply armor reduction
-    const actualDamage = Math.max(1, damage - enemy.armor);
-    enemy.health -= actualDamage;
+    if (remaining > 0) {
+        enemy.health -= Math.max(1, remaining - enemy.armor);
+    }
     
     // Update health bar
     updateHealthBar(enemy);
@@ -249,17 +592,178 @@ export function damageEnemy(enemy, damage) {
         if (index !== -1) {
             removeEnemy(enemy, index);
         }
+        
+        // Splitters break apart where they died
+        if (enemy.split) {
+            spawnOffspring(enemy, enemy.split.type, enemy.split.count);
+        }
         return true;
     }
     
     return false;
 }
 
+/**
+ * Damage an enemy and describe what happened, as a hit
+ * 
+ * Besides what the game shows on screen, each hit records what dealt it
+ * (source) and how much health and shield it really removed (damageDealt -
+ * after resistances and armor, and not counting overkill), so statistics
+ * such as damage per weapon can be worked out from the hit list alone.
+ * shieldDamage is the part of that which went into the shield. Projectile
+ * hits, burn ticks and ability blasts are all made here.
+ * 
+ * @param {object} enemy - Enemy to damage
+ * @param {number} damage - Damage before resistances and armor
+ * @param {string} damageType - Damage type from CONFIG.damageTypes
+ * @param {string|number|null} source - What dealt it ('starbase', a platform ID or 'ability')
+ * @param {THREE.Vector3} position - Where the hit happened (default: where the enemy is)
+ * @returns {object} Hit result: { enemy, damage, damageType, damageDealt, shieldDamage, destroyed,
+ *                   position, source, creditValue, pointValue }
+ */
+export function dealDamage(enemy, damage, damageType, source, position = enemy.mesh.position) {
+    const healthBefore = enemy.health;
+    const shieldBefore = enemy.shield;
+    const hitPosition = position.clone();
+    const destroyed = damageEnemy(enemy, damage, damageType);
+    const shieldDamage = shieldBefore - enemy.shield;
+    
+    return {
+        enemy,
+        damage,
+        damageType,
+        damageDealt: healthBefore - Math.max(0, enemy.health) + shieldDamage,
+        shieldDamage,
+        destroyed,
+        position: hitPosition,
+        source,
+        creditValue: destroyed ? enemy.creditValue : 0,
+        pointValue: destroyed ? enemy.pointValue : 0
+    };
+}
+
+/**
+ * Check the damage model in CONFIG
+ * 
+ * Every weapon must deal a known damage type, every damage type must hit
+ * shields at least a little, resistances must name known types and can't
+ * make an enemy immune, and shields need a size, recharge rate and delay.
+ * 
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+export function validateDamageModel() {
+    const errors = [];
+    const damageTypes = Object.keys(CONFIG.damageTypes);
+    
+    Object.entries(CONFIG.damageTypes).forEach(([type, config]) => {
+        if (!(config.shieldMultiplier > 0)) {
+            errors.push(`Damage type '${type}': shieldMultiplier must be above 0`);
+        }
+    });
+    
+    const weapons = [['Starbase', CONFIG.starbase.damageType],
+        ...Object.entries(CONFIG.platforms).map(([type, config]) => [`Platform '${type}'`, config.damageType])];
+    weapons.forEach(([name, damageType]) => {
+        if (!damageTypes.includes(damageType)) {
+            errors.push(`${name}: unknown damage type '${damageType}'`);
+        }
+    });
+    
+    Object.entries(CONFIG.enemies).forEach(([type, config]) => {
+        Object.entries(config.resistances || {}).forEach(([damageType, resistance]) => {
+            if (!damageTypes.includes(damageType)) {
+                errors.push(`Enemy '${type}': resistance to unknown damage type '${damageType}'`);
+            } else if (!(resistance < 1)) {
+                errors.push(`Enemy '${type}': resistance to ${damageType} must be below 1`);
+            }
+        });
+        
+        const shield = config.shield;
+        if (shield && !(shield.max > 0 && shield.regen >= 0 && shield.regenDelay >= 0)) {
+            errors.push(`Enemy '${type}': shield needs max above 0 and a regen and regenDelay of 0 or more`);
+        }
+    });
+    
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check the enemy behaviors in CONFIG
+ * 
+ * Split fragments and launched drones must be known enemy types, and a
+ * type can't split into or launch itself (that would never end). Counts
+ * must be whole numbers, and radii, rates and intervals above 0.
+ * 
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+export function validateEnemyBehaviors() {
+    const errors = [];
+    
+    Object.entries(CONFIG.enemies).forEach(([type, config]) => {
+        errors.push(...checkBehaviorSettings(config, `Enemy '${type}'`, type));
+        
+        if (config.stealth !== undefined && typeof config.stealth !== 'boolean') {
+            errors.push(`Enemy '${type}': stealth must be true or false`);
+        }
+    });
+    
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check an enemy's behavior settings (from CONFIG or a wave script's overrides)
+ * @param {object} settings - Object that may hold split, heal and launch settings
+ * @param {string} label - Where the settings are (for error messages)
+ * @param {string} type - The enemy type they belong to
+ * @returns {Array<string>} Problems found (empty if none)
+ */
+export function checkBehaviorSettings(settings, label, type) {
+    const errors = [];
+    const enemyTypes = Object.keys(CONFIG.enemies);
+    
+    const checks = {
+        split: { type: 'type', count: 'count' },
+        heal: { radius: 'positive', rate: 'positive' },
+        launch: { type: 'type', interval: 'positive', count: 'count', capacity: 'count' }
+    };
+    
+    ENEMY_BEHAVIORS.forEach(behavior => {
+        const values = settings[behavior];
+        if (values === undefined || values === null) return;
+        
+        if (typeof values !== 'object') {
+            errors.push(`${label}: ${behavior} must be an object`);
+            return;
+        }
+        
+        Object.entries(values).forEach(([field, value]) => {
+            const kind = checks[behavior][field];
+            if (!kind) {
+                errors.push(`${label}: unknown ${behavior} setting '${field}'`);
+            } else if (kind === 'type' && !enemyTypes.includes(value)) {
+                errors.push(`${label}: ${behavior} type '${value}' is not an enemy type`);
+            } else if (kind === 'type' && value === type) {
+                errors.push(`${label}: can't ${behavior} into its own type`);
+            } else if (kind === 'count' && !(Number.isInteger(value) && value >= 1)) {
+                errors.push(`${label}: ${behavior} ${field} must be a whole number of 1 or more`);
+            } else if (kind === 'positive' && !(typeof value === 'number' && value > 0)) {
+                errors.push(`${label}: ${behavior} ${field} must be a number greater than 0`);
+            }
+        });
+    });
+    
+    return errors;
+}
+
 /**
  * Update health bar visual based on current health
+ * Also updates the shield bar and bubble of shielded enemies.
  * @param {object} enemy - Enemy to update
  */
 function updateHealthBar(enemy) {
+    if (enemy.maxShield > 0) {
+        updateShieldVisuals(enemy);
+    }
     if (!enemy.healthBar) return;
     
     const bar = enemy.healthBar.querySelector('.health-bar');
@@ -276,17 +780,35 @@ function updateHealthBar(enemy) {
     }
 }
 
+/**
+ * Update the shield bar and fade the bubble as the shield weakens
+ * @param {object} enemy - A shielded enemy
+ */
+function updateShieldVisuals(enemy) {
+    const fraction = enemy.shield / enemy.maxShield;
+    
+    const bubble = enemy.mesh.getObjectByName('shieldBubble');
+    if (bubble) {
+        bubble.visible = fraction > 0;
+        bubble.material.opacity = 0.1 + fraction * 0.2;
+    }
+    
+    if (enemy.shieldBar) {
+        enemy.shieldBar.querySelector('.shield-bar').style.width = (fraction * 100) + '%';
+    }
+}
+
 /**
  * Flash enemy to show it was hit
+ * It goes back to its status effect tint (which may have changed meanwhile).
  * @param {object} enemy - Enemy to flash
  */
 function flashEnemy(enemy) {
-    const originalColor = enemy.mesh.material.emissive.getHex();
     enemy.mesh.material.emissive.setHex(0xffffff);
     
     setTimeout(() => {
         if (enemy.mesh.material) {
-            enemy.mesh.material.emissive.setHex(originalColor);
+            updateStatusTint(enemy);
         }
     }, 100);
 }
@@ -297,10 +819,16 @@ function flashEnemy(enemy) {
  * @param {number} index - Index in enemies array
  */
 function removeEnemy(enemy, index) {
-    // Remove health bar from DOM
+    // Remove health bar (and shield bar) from DOM
     if (enemy.healthBar) {
         enemy.healthBar.remove();
     }
+    if (enemy.shieldBar) {
+        enemy.shieldBar.remove();
+    }
+    if (enemy.statusBar) {
+        enemy.statusBar.remove();
+    }
     
     // Remove mesh from scene
     scene.remove(enemy.mesh);
@@ -310,13 +838,388 @@ function removeEnemy(enemy, index) {
     if (enemy.mesh.material) {
         enemy.mesh.material.dispose();
     }
+    ['shieldBubble', 'healAura'].forEach(name => {
+        const extra = enemy.mesh.getObjectByName(name);
+        if (extra) {
+            extra.material.dispose();
+        }
+    });
     
     // Remove from array
     enemies.splice(index, 1);
 }
 
+// ==================== STATUS EFFECTS ====================
+
+/**
+ * What each status effect does (its name, icon, color and stacking rule
+ * are in CONFIG.statusEffects). Each entry has:
+ * - magnitude: what an application's magnitude must be - 'fraction' (above
+ *   0, at most 1), 'positive' (above 0) or null (it doesn't use one)
+ * - speedMultiplier(effect): scales how far the enemy moves each step
+ * - damageMultiplier(effect): scales all damage the enemy takes
+ * - tick(enemy, effect, config): runs every config.tickInterval seconds; returns a hit
+ * 
+ * An enemy's active effects are in enemy.statusEffects, keyed by effect:
+ * { magnitude, duration (seconds left), stacks, source, tickTimer }.
+ */
+export const STATUS_EFFECTS = {
+    slow: {
+        magnitude: 'fraction',
+        speedMultiplier: (effect) => 1 - effect.magnitude
+    },
+    burn: {
+        magnitude: 'positive',
+        tick: (enemy, effect, config) => burnEnemy(enemy, effect.magnitude * effect.stacks * config.tickInterval,
+            config.damageType, effect.source)
+    },
+    stun: {
+        magnitude: null,
+        speedMultiplier: () => 0
+    },
+    mark: {
+        magnitude: 'positive',
+        damageMultiplier: (effect) => 1 + effect.magnitude
+    }
+};
+
+// How an effect combines with itself when an enemy gets it again (see CONFIG.statusEffects)
+export const STACKING_RULES = ['strongest', 'stack', 'ignore'];
+
+/**
+ * Put a status effect on an enemy
+ * 
+ * If the enemy already has it, the effect's stacking rule decides: keep
+ * the stronger magnitude and the longer time left ('strongest'), do that
+ * and add a stack ('stack'), or leave it be ('ignore').
+ * 
+ * @param {object} enemy - Enemy to affect
+ * @param {string} id - Effect from CONFIG.statusEffects
+ * @param {object} application - { magnitude, duration, source }; source is what applied it
+ *                               ('starbase', a platform ID or 'ability') - burn damage counts for it
+ * @returns {boolean} True if the effect was put on or renewed
+ */
+export function applyStatusEffect(enemy, id, application) {
+    const config = CONFIG.statusEffects[id];
+    if (!enemy.alive || !config || !STATUS_EFFECTS[id]) return false;
+    if (enemy.isBoss && config.affectsBosses === false) return false;
+    
+    const { magnitude = 0, duration, source = null } = application;
+    const current = enemy.statusEffects[id];
+    
+    if (!current) {
+        enemy.statusEffects[id] = { magnitude, duration, stacks: 1, source, tickTimer: 0 };
+    } else if (config.stacking === 'ignore') {
+        return false;
+    } else {
+        if (config.stacking === 'stack') {
+            current.stacks = Math.min(config.maxStacks, current.stacks + 1);
+        }
+        if (magnitude >= current.magnitude) {
+            current.magnitude = magnitude;
+            current.source = source;
+        }
+        current.duration = Math.max(current.duration, duration);
+    }
+    
+    updateStatusVisuals(enemy);
+    return true;
+}
+
+/**
+ * Check whether an enemy has a status effect
+ * @param {object} enemy - The enemy
+ * @param {string} id - Effect from CONFIG.statusEffects
+ * @returns {boolean} True while the effect lasts
+ */
+export function hasStatusEffect(enemy, id) {
+    return !!enemy.statusEffects[id];
+}
+
+/**
+ * Get how much of its speed an enemy keeps (slowed and stunned enemies less)
+ * @param {object} enemy - The enemy
+ * @returns {number} Multiplier for its movement (1 = unaffected, 0 = stopped)
+ */
+export function getSpeedMultiplier(enemy) {
+    return Object.entries(enemy.statusEffects).reduce((multiplier, [id, effect]) => {
+        const behavior = STATUS_EFFECTS[id];
+        return behavior && behavior.speedMultiplier ? multiplier * behavior.speedMultiplier(effect) : multiplier;
+    }, 1);
+}
+
+/**
+ * Get how much more damage an enemy takes (marked enemies more)
+ * @param {object} enemy - The enemy
+ * @returns {number} Multiplier for incoming damage (1 = unaffected)
+ */
+export function getDamageTakenMultiplier(enemy) {
+    return Object.entries(enemy.statusEffects).reduce((multiplier, [id, effect]) => {
+        const behavior = STATUS_EFFECTS[id];
+        return behavior && behavior.damageMultiplier ? multiplier * behavior.damageMultiplier(effect) : multiplier;
+    }, 1);
+}
+
+/**
+ * List an enemy's status effects for display, in CONFIG order
+ * @param {object} enemy - The enemy
+ * @returns {Array<object>} { id, name, icon, color, magnitude, duration, stacks } for each
+ */
+export function getStatusEffectList(enemy) {
+    return Object.entries(CONFIG.statusEffects)
+        .filter(([id]) => enemy.statusEffects[id])
+        .map(([id, config]) => ({
+            id,
+            name: config.name,
+            icon: config.icon,
+            color: config.color,
+            ...enemy.statusEffects[id]
+        }));
+}
+
+/**
+ * Tick an enemy's status effects and remove the ones that have worn off
+ * @param {object} enemy - An enemy with at least one effect
+ * @param {number} deltaTime - Step length in seconds
+ * @returns {Array<object>} Hits dealt by the effects this step (burn ticks)
+ */
+function updateStatusEffects(enemy, deltaTime) {
+    const hits = [];
+    let expired = false;
+    
+    Object.entries(enemy.statusEffects).forEach(([id, effect]) => {
+        const config = CONFIG.statusEffects[id];
+        const behavior = STATUS_EFFECTS[id];
+        
+        if (behavior.tick) {
+            effect.tickTimer += deltaTime;
+            while (effect.tickTimer >= config.tickInterval && enemy.alive) {
+                effect.tickTimer -= config.tickInterval;
+                hits.push(behavior.tick(enemy, effect, config));
+            }
+        }
+        
+        effect.duration -= deltaTime;
+        if (effect.duration <= 0) {
+            delete enemy.statusEffects[id];
+            expired = true;
+        }
+    });
+    
+    if (expired && enemy.alive) {
+        updateStatusVisuals(enemy);
+    }
+    return hits;
+}
+
+/**
+ * Deal one tick of burn damage
+ * It goes through damageEnemy() like any hit, so armor takes its share
+ * of every tick.
+ * @param {object} enemy - The burning enemy
+ * @param {number} damage - Damage this tick
+ * @param {string} damageType - Damage type from CONFIG.damageTypes
+ * @param {string|number|null} source - What set it alight
+ * @returns {object} Hit result from dealDamage() (statusEffect says it was a burn)
+ */
+function burnEnemy(enemy, damage, damageType, source) {
+    const hit = dealDamage(enemy, damage, damageType, source);
+    
+    // A few embers fly off with every tick
+    createExplosion(hit.position, new THREE.Color(2.5, 0.9, 0.1), 6, 2);
+    
+    return { ...hit, statusEffect: 'burn' };
+}
+
+/**
+ * Show an enemy's status effects: a tint and the icons by its health bar
+ * @param {object} enemy - The enemy
+ */
+function updateStatusVisuals(enemy) {
+    updateStatusTint(enemy);
+    
+    if (enemy.statusBar) {
+        enemy.statusBar.innerHTML = getStatusEffectList(enemy).map(effect => {
+            const color = new THREE.Color(effect.color).getHexString();
+            const stacks = effect.stacks > 1 ? `<sub>${effect.stacks}</sub>` : '';
+            return `<span class="status-icon" style="color: #${color}" title="${effect.name}">${effect.icon}${stacks}</span>`;
+        }).join('');
+    }
+}
+
+/**
+ * Tint an enemy's glow toward the colors of its status effects
+ * @param {object} enemy - The enemy
+ */
+function updateStatusTint(enemy) {
+    const tint = (enemyMaterials[enemy.type] || enemyMaterials.basic).emissive.clone();
+    getStatusEffectList(enemy).forEach(effect => {
+        tint.lerp(new THREE.Color(effect.color), 0.6);
+    });
+    enemy.mesh.material.emissive.copy(tint);
+}
+
+/**
+ * Check the status effects in CONFIG and the ones projectiles apply
+ * 
+ * Every effect needs a known stacking rule (stacking ones a maxStacks),
+ * effects that tick an interval and a damage type, and every application
+ * a duration and a magnitude that suits its effect.
+ * 
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+export function validateStatusEffects() {
+    const errors = [];
+    
+    Object.entries(CONFIG.statusEffects).forEach(([id, config]) => {
+        const behavior = STATUS_EFFECTS[id];
+        if (!behavior) {
+            errors.push(`Status effect '${id}': no such effect`);
+            return;
+        }
+        
+        if (!STACKING_RULES.includes(config.stacking)) {
+            errors.push(`Status effect '${id}': unknown stacking rule '${config.stacking}'`);
+        } else if (config.stacking === 'stack' && !(Number.isInteger(config.maxStacks) && config.maxStacks >= 1)) {
+            errors.push(`Status effect '${id}': maxStacks must be a whole number of 1 or more`);
+        }
+        
+        if (behavior.tick) {
+            if (!(typeof config.tickInterval === 'number' && config.tickInterval > 0)) {
+                errors.push(`Status effect '${id}': tickInterval must be a number greater than 0`);
+            }
+            if (!CONFIG.damageTypes[config.damageType]) {
+                errors.push(`Status effect '${id}': unknown damage type '${config.damageType}'`);
+            }
+        }
+    });
+    
+    Object.entries(CONFIG.projectiles).forEach(([kind, config]) => {
+        (config.effects || []).forEach(application => {
+            errors.push(...checkStatusApplication(application, `Projectile '${kind}'`));
+        });
+    });
+    
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Check one status effect application ({ type, magnitude, duration })
+ * @param {object} application - The application
+ * @param {string} label - Where it is (for error messages)
+ * @returns {Array<string>} Problems found (empty if none)
+ */
+function checkStatusApplication(application, label) {
+    const { type, magnitude, duration } = application;
+    const behavior = STATUS_EFFECTS[type];
+    if (!behavior || !CONFIG.statusEffects[type]) {
+        return [`${label}: unknown status effect '${type}'`];
+    }
+    
+    const errors = [];
+    if (!(typeof duration === 'number' && duration > 0)) {
+        errors.push(`${label}: ${type} duration must be a number greater than 0`);
+    }
+    if (behavior.magnitude === 'fraction' && !(typeof magnitude === 'number' && magnitude > 0 && magnitude <= 1)) {
+        errors.push(`${label}: ${type} magnitude must be above 0 and at most 1`);
+    } else if (behavior.magnitude === 'positive' && !(typeof magnitude === 'number' && magnitude > 0)) {
+        errors.push(`${label}: ${type} magnitude must be a number greater than 0`);
+    }
+    return errors;
+}
+
+// ==================== BOSSES ====================
+
+/**
+ * Move bosses on to their next phase once their health drops far enough
+ * 
+ * Each phase starts when the boss's health falls to `at` (a fraction of
+ * its maximum). A phase can set the boss's speed to speedMultiplier times
+ * what it spawned with, and call in `escorts` ({ type, count }) around it.
+ * A single big hit can pass several thresholds; every phase it passes
+ * still happens, in order. Called by stepSimulation() after hits land.
+ * 
+ * @returns {Array<object>} One entry per phase started:
+ *          { enemy, phase, name, escorts } - phase counts from 2 (the first
+ *          change), name is the phase's name (or null), escorts the enemies spawned
+ */
+export function updateBossPhases() {
+    const transitions = [];
+    
+    enemies.forEach(enemy => {
+        if (!enemy.alive || !enemy.isBoss) return;
+        
+        while (enemy.phase < enemy.phases.length && enemy.health <= enemy.phases[enemy.phase].at * enemy.maxHealth) {
+            const phase = enemy.phases[enemy.phase];
+            enemy.phase++;
+            
+            if (phase.speedMultiplier) {
+                enemy.speed = enemy.baseSpeed * phase.speedMultiplier;
+            }
+            const escorts = phase.escorts ? spawnOffspring(enemy, phase.escorts.type, phase.escorts.count) : [];
+            
+            transitions.push({ enemy, phase: enemy.phase + 1, name: phase.name || null, escorts });
+        }
+    });
+    
+    return transitions;
+}
+
+/**
+ * Get the boss the boss health bar should show
+ * @returns {object|null} The first boss still alive, or null
+ */
+export function getActiveBoss() {
+    return enemies.find(enemy => enemy.alive && enemy.isBoss) || null;
+}
+
+// ==================== STEALTH ====================
+
+/**
+ * Work out which stealth enemies can be seen
+ * 
+ * A stealth enemy is detected while it is within the detectionRange of at
+ * least one detector (the starbase, laser batteries). Until then no weapon
+ * can target it - though a shot or blast that happens to hit it still counts.
+ * Called by stepSimulation() after enemies move and before weapons aim.
+ * 
+ * @param {Array<object>} detectors - { position: THREE.Vector3, range: number } for each detector
+ */
+export function updateStealthDetection(detectors) {
+    enemies.forEach(enemy => {
+        if (!enemy.alive || !enemy.stealth) return;
+        
+        const detected = detectors.some(detector => detector.position.distanceTo(enemy.mesh.position) <= detector.range);
+        if (detected !== enemy.detected) {
+            enemy.detected = detected;
+            updateStealthVisuals(enemy);
+        }
+    });
+}
+
+/**
+ * Check whether weapons may aim at an enemy
+ * @param {object} enemy - The enemy
+ * @returns {boolean} False for dead enemies and undetected stealth enemies
+ */
+export function isTargetable(enemy) {
+    return enemy.alive && (!enemy.stealth || enemy.detected);
+}
+
+/**
+ * Fade a stealth enemy out while it is cloaked
+ * @param {object} enemy - A stealth enemy
+ */
+function updateStealthVisuals(enemy) {
+    enemy.mesh.material.opacity = enemy.detected ? 1 : CLOAKED_OPACITY;
+    if (enemy.healthBar) {
+        enemy.healthBar.classList.toggle('cloaked', !enemy.detected);
+    }
+}
+
 /**
  * Get the closest enemy to a position
+ * Undetected stealth enemies are skipped.
  * @param {THREE.Vector3} position - Position to check from
  * @param {number} maxRange - Maximum range to consider (optional)
  * @returns {object|null} Closest enemy or null if none in range
@@ -326,7 +1229,7 @@ export function getClosestEnemy(position, maxRange = Infinity) {
     let closestDistance = maxRange;
     
     enemies.forEach(enemy => {
-        if (!enemy.alive) return;
+        if (!isTargetable(enemy)) return;
         
         const distance = position.distanceTo(enemy.mesh.position);
         if (distance < closestDistance) {
@@ -351,6 +1254,113 @@ export function getEnemiesInRange(position, range) {
     });
 }
 
+// ==================== TARGETING ====================
+
+/**
+ * Targeting priority modes
+ * 
+ * The starbase and every platform pick their target with selectTarget(),
+ * each using its own mode. A mode scores every enemy in range and the
+ * highest score wins; on a tie the enemy that spawned first wins, so the
+ * choice is the same every time the game is replayed.
+ * 
+ * "sticky" keeps shooting the same enemy for as long as it stays alive
+ * and in range, and only then picks the nearest one.
+ */
+export const TARGETING_MODES = {
+    nearest: {
+        name: 'Nearest',
+        description: 'Closest to the weapon',
+        score: (enemy, distance) => -distance
+    },
+    first: {
+        name: 'First',
+        description: 'Furthest along its path',
+        score: (enemy) => enemy.pathProgress
+    },
+    last: {
+        name: 'Last',
+        description: 'Least far along its path',
+        score: (enemy) => -enemy.pathProgress
+    },
+    strongest: {
+        name: 'Strongest',
+        description: 'Most health left',
+        score: (enemy) => enemy.health
+    },
+    weakest: {
+        name: 'Weakest',
+        description: 'Least health left',
+        score: (enemy) => -enemy.health
+    },
+    fastest: {
+        name: 'Fastest',
+        description: 'Highest speed',
+        score: (enemy) => enemy.speed * getSpeedMultiplier(enemy) // As it moves now, slows included
+    },
+    closestToPlanet: {
+        name: 'Closest to Planet',
+        description: 'Nearest the planet, whatever its path',
+        score: (enemy) => -enemy.mesh.position.length() // The planet is at (0, 0, 0)
+    },
+    sticky: {
+        name: 'Stick to Target',
+        description: 'Keep the current target until it dies or escapes',
+        score: (enemy, distance) => -distance,
+        sticky: true
+    }
+};
+
+// Mode new weapons start with (the original "closest enemy" behavior)
+export const DEFAULT_TARGETING_MODE = 'nearest';
+
+/**
+ * Check that a targeting mode exists
+ * @param {string} mode - Mode name
+ * @returns {boolean} True if it is one of TARGETING_MODES
+ */
+export function isTargetingMode(mode) {
+    return Object.prototype.hasOwnProperty.call(TARGETING_MODES, mode);
+}
+
+/**
+ * Choose the enemy a weapon should shoot at
+ * Undetected stealth enemies can't be chosen (see isTargetable).
+ * @param {THREE.Vector3} position - The weapon's position
+ * @param {number} range - The weapon's range
+ * @param {string} mode - One of TARGETING_MODES (unknown modes act like the default)
+ * @param {object|null} currentTarget - The weapon's target from last step (for "sticky")
+ * @returns {object|null} The enemy to shoot, or null if none is in range
+ */
+export function selectTarget(position, range, mode = DEFAULT_TARGETING_MODE, currentTarget = null) {
+    const targeting = TARGETING_MODES[mode] || TARGETING_MODES[DEFAULT_TARGETING_MODE];
+    
+    // Sticky weapons stay on their target while they can still hit it
+    if (targeting.sticky && currentTarget && isTargetable(currentTarget)
+        && position.distanceTo(currentTarget.mesh.position) <= range) {
+        return currentTarget;
+    }
+    
+    let best = null;
+    let bestScore = -Infinity;
+    
+    enemies.forEach(enemy => {
+        if (!isTargetable(enemy)) return;
+        
+        const distance = position.distanceTo(enemy.mesh.position);
+        if (distance > range) return;
+        
+        // Strictly greater, so ties go to the enemy that spawned first
+        const score = targeting.score(enemy, distance);
+        if (best === null || score > bestScore) {
+            best = enemy;
+            bestScore = score;
+        }
+    });
+    
+    return best;
+}
+
 /**
  * Get count of active enemies
  * @returns {number} Number of alive enemies
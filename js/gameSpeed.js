@@ -0,0 +1,93 @@
+/**
+ * gameSpeed.js - Game Speed and Tactical Pause
+ * 
+ * The player can run the game faster (CONFIG.simulation.speeds, e.g. 1x,
+ * 2x, 3x) or stop it with a tactical pause. Unlike the pause screen, a
+ * tactical pause only stops game time: the player can still look around,
+ * select things, build, upgrade and sell while planning the next move.
+ * 
+ * Speed never changes the length of a simulation step. main.js turns real
+ * frame time into game time with toGameTime() and spends it in the usual
+ * fixed steps, so a faster game just runs more steps per frame and plays
+ * out exactly as it would at 1x. The GSAP animations that belong to the
+ * game (damage numbers, popups and the boss entrance) get the speed as
+ * their timeScale, and 0 during a tactical pause.
+ * 
+ * Usage:
+ *   setGameSpeed(2);
+ *   setTacticalPause(true);
+ *   each frame: accumulator += toGameTime(deltaTime);
+ */
+
+import { CONFIG } from './config.js';
+
+// Game seconds per real second (one of CONFIG.simulation.speeds)
+let speed = 1;
+
+// Whether game time is stopped for planning
+let tacticalPause = false;
+
+/**
+ * Get the chosen game speed
+ * @returns {number} Game seconds per real second (still the chosen speed while paused)
+ */
+export function getGameSpeed() {
+    return speed;
+}
+
+/**
+ * Choose a game speed
+ * @param {number} newSpeed - One of CONFIG.simulation.speeds
+ * @returns {object} { valid, reason }
+ */
+export function setGameSpeed(newSpeed) {
+    if (!CONFIG.simulation.speeds.includes(newSpeed)) {
+        return { valid: false, reason: `Speed must be one of: ${CONFIG.simulation.speeds.join(', ')}` };
+    }
+    
+    speed = newSpeed;
+    return { valid: true, reason: '' };
+}
+
+/**
+ * Move to the next speed in CONFIG.simulation.speeds (back to the first after the last)
+ * @returns {number} The new speed
+ */
+export function cycleGameSpeed() {
+    const speeds = CONFIG.simulation.speeds;
+    speed = speeds[(speeds.indexOf(speed) + 1) % speeds.length];
+    return speed;
+}
+
+/**
+ * Check whether game time is stopped for planning
+ * @returns {boolean} True during a tactical pause
+ */
+export function isTacticalPaused() {
+    return tacticalPause;
+}
+
+/**
+ * Stop or restart game time without leaving the game
+ * @param {boolean} paused - True to stop game time
+ */
+export function setTacticalPause(paused) {
+    tacticalPause = paused;
+}
+
+/**
+ * Turn real time into game time
+ * @param {number} realSeconds - Real time that passed (e.g. the frame time)
+ * @returns {number} Game time to simulate: realSeconds times the speed, or 0 while paused
+ */
+export function toGameTime(realSeconds) {
+    return tacticalPause ? 0 : realSeconds * speed;
+}
+
+/**
+ * Go back to 1x, unpaused (for a new game)
+ */
+export function resetGameSpeed() {
+    speed = 1;
+    tacticalPause = false;
+}
@@ -13,6 +13,8 @@
 
 import * as THREE from 'three';
 import { camera } from './camera.js';
+import { CONFIG } from './config.js';
+import { showFloatingText } from './ui.js';
 import { 
     placementState, 
     updatePlacementPreview, 
@@ -21,6 +23,7 @@ import {
     createPlacementPreview,
     removePlacementPreview
 } from './platform.js';
+import { abilityTargeting, createAbilityReticle, updateAbilityReticle, removeAbilityReticle } from './abilities.js';
 
 // Current input state - other modules read this
 export const inputState = {
@@ -58,6 +61,26 @@ export const inputState = {
 // Raycaster for mouse picking (clicking on 3D objects)
 const raycaster = new THREE.Raycaster();
 
+// How far (in pixels) the mouse may move between press and release for it
+// to still count as a click. Anything further is a camera drag, which
+// OrbitControls handles - it shouldn't also select what's under the cursor.
+const CLICK_MOVE_TOLERANCE = 5;
+
+// Called when the game view is clicked outside placement mode
+// (set with setClickHandler)
+let onGameClicked = null;
+
+// Builds the platform when a placement is confirmed (set with setPlacementHandler;
+// null = placePlatform() directly)
+let onPlacementConfirmed = null;
+
+// Fires the ability being aimed when a target is clicked (set with setAbilityTargetHandler)
+let onAbilityTargetPicked = null;
+
+// Where the left button went down over the game view, or null if the press
+// can't become a click (placement mode, or it started on a HUD panel)
+let clickStart = null;
+
 /**
  * Initialize input listeners
  * Call this once when the game starts
@@ -100,6 +123,25 @@ function onMouseMove(event) {
     if (placementState.active) {
         updatePlacementPreviewPosition();
     }
+    
+    // Likewise the reticle of an ability being aimed
+    if (abilityTargeting.active) {
+        updateAbilityReticlePosition();
+    }
+}
+
+/**
+ * Check if a pointer event happened over the 3D game view
+ * 
+ * The HUD lets clicks pass through to the canvas, except on interactive
+ * panels like the build menu. Clicking a menu button shouldn't also
+ * place a platform behind it!
+ * 
+ * @param {MouseEvent} event - The mouse event
+ * @returns {boolean} True if the event target is the game canvas
+ */
+function isPointerOverGame(event) {
+    return event.target instanceof HTMLCanvasElement;
 }
 
 /**
@@ -110,18 +152,27 @@ function onMouseDown(event) {
         inputState.mouseDown = true;
         inputState.leftClickJustPressed = true;
         
-        // If in placement mode, try to place the platform
-        if (placementState.active) {
+        // If in placement mode, try to place the platform (or, aiming an
+        // ability, fire it); otherwise this may be the start of a click that selects something
+        clickStart = null;
+        if (placementState.active && isPointerOverGame(event)) {
             handlePlacementClick();
+        } else if (abilityTargeting.active && isPointerOverGame(event)) {
+            handleAbilityTargetClick();
+        } else if (!placementState.active && isPointerOverGame(event)) {
+            clickStart = { x: event.clientX, y: event.clientY };
         }
     } else if (event.button === 2) {
         inputState.rightMouseDown = true;
         inputState.rightClickJustPressed = true;
         
-        // Right-click cancels placement mode
+        // Right-click cancels placement mode and aiming
         if (placementState.active) {
             cancelPlacement();
         }
+        if (abilityTargeting.active) {
+            removeAbilityReticle();
+        }
     }
 }
 
@@ -131,6 +182,16 @@ function onMouseDown(event) {
 function onMouseUp(event) {
     if (event.button === 0) {
         inputState.mouseDown = false;
+        
+        // A press and release in (nearly) the same spot is a click;
+        // if the mouse travelled, the player was dragging the camera
+        if (clickStart && onGameClicked) {
+            const moved = Math.hypot(event.clientX - clickStart.x, event.clientY - clickStart.y);
+            if (moved <= CLICK_MOVE_TOLERANCE) {
+                onGameClicked();
+            }
+        }
+        clickStart = null;
     } else if (event.button === 2) {
         inputState.rightMouseDown = false;
     }
@@ -173,10 +234,8 @@ function onKeyDown(event) {
             break;
         case 'escape':
             inputState.keys.escape = true;
-            // ESC cancels placement mode
-            if (placementState.active) {
-                cancelPlacement();
-            }
+            // Cancelling placement is handled by the 'pause' key binding in main.js,
+            // so ESC doesn't both cancel placement and pause the game
             break;
     }
 }
@@ -221,6 +280,52 @@ function onKeyUp(event) {
     }
 }
 
+/**
+ * Look up which game action a key is bound to
+ * 
+ * Bindings come from CONFIG.keyBindings, so nothing else in the game
+ * needs to know which physical key does what.
+ * 
+ * @param {string} key - KeyboardEvent.key value
+ * @returns {object|null} The action, e.g. { action: 'build', platformType: 'laserBattery' },
+ *                        { action: 'ability', abilityId: 'emp' }
+ *                        or { action: 'pause' } (also 'nextWave', 'tacticalPause', 'gameSpeed'),
+ *                        or null if the key isn't bound
+ */
+export function getBoundAction(key) {
+    const bindings = CONFIG.keyBindings;
+    
+    if (key === bindings.pause) {
+        return { action: 'pause' };
+    }
+    
+    if (key === bindings.nextWave) {
+        return { action: 'nextWave' };
+    }
+    
+    if (key === bindings.tacticalPause) {
+        return { action: 'tacticalPause' };
+    }
+    
+    if (key === bindings.gameSpeed) {
+        return { action: 'gameSpeed' };
+    }
+    
+    for (const [platformType, boundKey] of Object.entries(bindings.build)) {
+        if (key === boundKey) {
+            return { action: 'build', platformType };
+        }
+    }
+    
+    for (const [abilityId, boundKey] of Object.entries(bindings.abilities)) {
+        if (key === boundKey) {
+            return { action: 'ability', abilityId };
+        }
+    }
+    
+    return null;
+}
+
 /**
  * Get the rotation direction from keyboard input
  * @returns {number} -1, 0, or 1 for left, none, or right
@@ -269,6 +374,45 @@ export function getMouseWorldPosition(cam, planeHeight = 0) {
     return result;
 }
 
+/**
+ * Set what happens when the game view is clicked outside placement mode
+ * 
+ * The handler runs on release, and only if the mouse stayed within a few
+ * pixels of where it was pressed, so dragging the camera never selects
+ * anything. Use getMouseRay() in the handler to find what was clicked.
+ * 
+ * @param {Function} handler - Called with no arguments
+ */
+export function setClickHandler(handler) {
+    onGameClicked = handler;
+}
+
+/**
+ * Set what builds the platform when the player confirms a placement
+ * 
+ * The handler gets the platform type and position and returns
+ * { valid, reason, platform } like placePlatform(), which it usually
+ * calls. main.js uses this to record each build for replays.
+ * 
+ * @param {Function} handler - Called with (type, position)
+ */
+export function setPlacementHandler(handler) {
+    onPlacementConfirmed = handler;
+}
+
+/**
+ * Set what fires an ability when the player clicks a target for it
+ * 
+ * The handler gets the ability ID and the point clicked on the orbital
+ * plane, and returns { valid, reason }. Aiming ends when it works; when
+ * it doesn't, the reason is shown and the player can try again.
+ * 
+ * @param {Function} handler - Called with (abilityId, position)
+ */
+export function setAbilityTargetHandler(handler) {
+    onAbilityTargetPicked = handler;
+}
+
 /**
  * Check if a key was just pressed (for one-time actions)
  * Note: For this to work properly, you'd need to track previous state
@@ -315,14 +459,16 @@ function updatePlacementPreviewPosition() {
  */
 function handlePlacementClick() {
     // Try to confirm the placement
-    const platform = confirmPlacement();
+    const platform = onPlacementConfirmed ? confirmPlacement(onPlacementConfirmed) : confirmPlacement();
     
     if (platform) {
         console.log(`Platform placed successfully: ${platform.type}`);
         // Platform was placed - preview is automatically removed
     } else {
-        console.log('Placement failed - invalid position');
+        const reason = placementState.invalidReason || 'Invalid position';
+        console.log(`Placement failed - ${reason}`);
         // Placement failed - preview stays so player can try again
+        showFloatingText(reason, inputState.mouseX, inputState.mouseY, '#ff4444');
     }
 }
 
@@ -334,6 +480,9 @@ function handlePlacementClick() {
  * @param {string} platformType - The type of platform to place ('laserBattery' or 'missileLauncher')
  */
 export function enterPlacementMode(platformType) {
+    // Only one thing can follow the mouse at a time
+    removeAbilityReticle();
+    
     // Create the placement preview
     createPlacementPreview(platformType);
     
@@ -372,3 +521,61 @@ export function clearInputFlags() {
 export function isInPlacementMode() {
     return placementState.active;
 }
+
+// ==================== ABILITY TARGETING ====================
+
+/**
+ * Moves the ability reticle to where the mouse points on the game plane.
+ */
+function updateAbilityReticlePosition() {
+    const worldPosition = getMouseWorldPosition(camera, 0);
+    
+    if (worldPosition) {
+        updateAbilityReticle(worldPosition);
+    }
+}
+
+/**
+ * Handles a click while aiming an ability: fires it at the reticle.
+ */
+function handleAbilityTargetClick() {
+    const result = onAbilityTargetPicked
+        ? onAbilityTargetPicked(abilityTargeting.abilityId, abilityTargeting.position.clone())
+        : { valid: false, reason: 'Abilities are not available' };
+    
+    if (result.valid) {
+        removeAbilityReticle();
+    } else {
+        // Aiming carries on so the player can try again (or right-click to cancel)
+        showFloatingText(result.reason, inputState.mouseX, inputState.mouseY, '#ff4444');
+    }
+}
+
+/**
+ * Starts aiming a targeted ability (from the ability bar or a hotkey).
+ * 
+ * @param {string} abilityId - Key of CONFIG.abilities
+ */
+export function enterAbilityTargeting(abilityId) {
+    // Only one thing can follow the mouse at a time
+    cancelPlacement();
+    
+    createAbilityReticle(abilityId);
+    updateAbilityReticlePosition();
+}
+
+/**
+ * Stops aiming without firing.
+ */
+export function exitAbilityTargeting() {
+    removeAbilityReticle();
+}
+
+/**
+ * Checks if the player is aiming an ability.
+ * 
+ * @returns {boolean} True while an ability's reticle follows the mouse
+ */
+export function isInAbilityTargeting() {
+    return abilityTargeting.active;
+}
@@ -0,0 +1,104 @@
+/**
+ * interpolation.js - Smooth Rendering Between Simulation Steps
+ * 
+ * The game logic runs in fixed steps (e.g. exactly 60 per second), but the
+ * screen refreshes whenever the browser is ready - 30, 60, 144 times a second.
+ * If we drew objects exactly where the last step left them, movement would
+ * stutter whenever the two rates don't line up.
+ * 
+ * Instead, each moving object remembers where it was before the latest step.
+ * When drawing, we blend between "previous" and "current" by how far we are
+ * into the next step (alpha):
+ * 
+ *   drawn position = previous + (current - previous) * alpha
+ * 
+ * The blended position is only for drawing. Before the next simulation step
+ * runs, every object is put back at its real ("simulation") position, so
+ * the game logic never sees the interpolated values.
+ * 
+ * Usage each frame (see animate() in main.js):
+ *   restoreSimulationState(objects);       // undo last frame's blending
+ *   for each fixed step:
+ *       savePreviousState(objects);        // remember where things were
+ *       update(FIXED_STEP);                // move them
+ *   applyInterpolation(objects, alpha);    // blend for drawing
+ */
+
+import * as THREE from 'three';
+
+/**
+ * Remember each object's position and rotation before a simulation step
+ * @param {Array<THREE.Object3D>} objects - Objects the simulation moves
+ */
+export function savePreviousState(objects) {
+    objects.forEach(object => {
+        const data = getInterpolationData(object);
+        data.previousPosition.copy(object.position);
+        data.previousQuaternion.copy(object.quaternion);
+        data.hasPrevious = true;
+    });
+}
+
+/**
+ * Move objects to the blended position between the last two steps
+ * 
+ * Objects created during the latest step have no "previous" state yet,
+ * so they are simply drawn where they are.
+ * 
+ * @param {Array<THREE.Object3D>} objects - Objects the simulation moves
+ * @param {number} alpha - How far into the next step we are (0 to 1)
+ */
+export function applyInterpolation(objects, alpha) {
+    objects.forEach(object => {
+        const data = getInterpolationData(object);
+        
+        // Keep the real position so it can be restored before the next step
+        // (rotation is saved as Euler angles, because game code reads values
+        // like turret.rotation.y directly and those must come back unchanged)
+        data.simulationPosition.copy(object.position);
+        data.simulationRotation.copy(object.rotation);
+        data.simulationQuaternion.copy(object.quaternion);
+        data.interpolated = true;
+        
+        if (!data.hasPrevious) return;
+        
+        object.position.lerpVectors(data.previousPosition, data.simulationPosition, alpha);
+        object.quaternion.slerpQuaternions(data.previousQuaternion, data.simulationQuaternion, alpha);
+    });
+}
+
+/**
+ * Put objects back at their real simulation position
+ * Call this before running any simulation steps.
+ * @param {Array<THREE.Object3D>} objects - Objects the simulation moves
+ */
+export function restoreSimulationState(objects) {
+    objects.forEach(object => {
+        const data = object.userData.interpolation;
+        if (!data || !data.interpolated) return;
+        
+        object.position.copy(data.simulationPosition);
+        object.rotation.copy(data.simulationRotation);
+        data.interpolated = false;
+    });
+}
+
+/**
+ * Get (or create) the interpolation bookkeeping stored on an object
+ * @param {THREE.Object3D} object - Object to look up
+ * @returns {object} Saved previous/simulation transforms
+ */
+function getInterpolationData(object) {
+    if (!object.userData.interpolation) {
+        object.userData.interpolation = {
+            previousPosition: new THREE.Vector3(),
+            previousQuaternion: new THREE.Quaternion(),
+            simulationPosition: new THREE.Vector3(),
+            simulationRotation: new THREE.Euler(),
+            simulationQuaternion: new THREE.Quaternion(),
+            hasPrevious: false,
+            interpolated: false
+        };
+    }
+    return object.userData.interpolation;
+}
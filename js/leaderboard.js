@@ -0,0 +1,405 @@
+/**
+ * leaderboard.js - Local Leaderboard
+ * 
+ * Every finished run is offered to the leaderboard for its mode and level,
+ * stored in localStorage. Each board keeps the best CONFIG.leaderboard.limit
+ * runs: campaigns by score, endless runs by how many waves they cleared
+ * (then score), since an endless run always ends in defeat.
+ * 
+ * TABLE FORMAT:
+ * =============
+ * {
+ *   "campaign": {
+ *     "sol-outpost": [
+ *       { "name": "Commander", "score": 48210, "waves": 5, "accuracy": 72,
+ *         "kills": { "basic": 30, "fast": 12, ... }, "duration": 412.5,
+ *         "date": 1718000000000, "check": "3f9a0c1e5b7d2a44" },
+ *       ...
+ *     ]
+ *   },
+ *   "endless": { ... }
+ * }
+ * 
+ * "waves" is the number of waves cleared and "duration" the seconds of game
+ * time the run took (pauses don't count).
+ * 
+ * TAMPER CHECK:
+ * =============
+ * Entries are checked whenever they are read or imported, and dropped if:
+ * - "check" doesn't match the rest of the entry (and its mode and level), so
+ *   editing a number by hand or moving an entry to another board breaks it.
+ *   Anyone reading this file can work out a new check - it only stops casual edits.
+ * - the numbers can't come from a real run: more score than its kills and
+ *   waves could give, waves cleared faster than CONFIG.leaderboard allows, etc.
+ * 
+ * Usage:
+ *   const rank = recordRun('campaign', level.id, { name, score, waves, accuracy, kills, duration });
+ *   if (rank > 0) console.log(`New high score - #${rank}!`);
+ */
+
+import { CONFIG } from './config.js';
+import { GAME_MODES } from './endless.js';
+
+// localStorage keys
+const LEADERBOARD_KEY = 'solarDefense_leaderboard';
+const PLAYER_NAME_KEY = 'solarDefense_playerName';
+
+// What an exported file says it is, so other JSON isn't imported by mistake
+const EXPORT_FORMAT = 'solar-defense-leaderboard';
+const EXPORT_VERSION = 1;
+
+// Mixed into every check, so an entry's check isn't just a hash of what's shown
+const CHECK_SALT = 'solar-defense:leaderboard:v1';
+
+// ==================== BOARDS ====================
+
+/**
+ * Get a board's runs, best first
+ * @param {string} mode - 'campaign' or 'endless'
+ * @param {string} levelId - Level ID
+ * @returns {Array<object>} Entries (see TABLE FORMAT)
+ */
+export function getLeaderboard(mode, levelId) {
+    const board = readTable()[mode];
+    return (board && board[levelId]) || [];
+}
+
+/**
+ * Add a finished run to its board
+ * The run only stays if it makes the top CONFIG.leaderboard.limit. Runs
+ * that fail the tamper check are refused (a warning is logged).
+ * @param {string} mode - 'campaign' or 'endless'
+ * @param {string} levelId - Level ID
+ * @param {object} run - { name, score, waves, accuracy, kills, duration } (see TABLE FORMAT)
+ * @returns {number} The run's place on the board (1 = best), or 0 if it didn't make it
+ */
+export function recordRun(mode, levelId, run) {
+    const entry = {
+        name: cleanName(run.name),
+        score: run.score,
+        waves: run.waves,
+        accuracy: run.accuracy,
+        kills: { ...run.kills },
+        duration: Math.round(run.duration * 10) / 10,
+        date: Date.now()
+    };
+    entry.check = createCheck(mode, levelId, entry);
+    
+    const result = validateLeaderboardEntry(mode, levelId, entry);
+    if (!result.valid) {
+        console.warn(`Run not added to the leaderboard:\n  ${result.errors.join('\n  ')}`);
+        return 0;
+    }
+    
+    const table = readTable();
+    const entries = addEntries(table, mode, levelId, [entry]);
+    writeTable(table);
+    
+    return entries.indexOf(entry) + 1;
+}
+
+/**
+ * Forget every run on every board
+ */
+export function clearLeaderboard() {
+    try {
+        localStorage.removeItem(LEADERBOARD_KEY);
+    } catch (e) {
+        console.warn('Could not clear the leaderboard:', e);
+    }
+}
+
+/**
+ * Put entries on a board, keeping it sorted and within the limit
+ * Entries already on the board (same check and date) are skipped.
+ * @param {object} table - The whole table (changed in place)
+ * @param {string} mode - 'campaign' or 'endless'
+ * @param {string} levelId - Level ID
+ * @param {Array<object>} newEntries - Valid entries to add
+ * @returns {Array<object>} The board after adding them
+ */
+function addEntries(table, mode, levelId, newEntries) {
+    const board = table[mode] || (table[mode] = {});
+    const entries = [...(board[levelId] || [])];
+    
+    newEntries.forEach(entry => {
+        if (!entries.some(existing => existing.check === entry.check && existing.date === entry.date)) {
+            entries.push(entry);
+        }
+    });
+    
+    entries.sort(mode === 'endless'
+        ? (a, b) => b.waves - a.waves || b.score - a.score
+        : (a, b) => b.score - a.score || b.waves - a.waves);
+    board[levelId] = entries.slice(0, CONFIG.leaderboard.limit);
+    return board[levelId];
+}
+
+// ==================== PLAYER NAME ====================
+
+/**
+ * Get the name runs are recorded under
+ * @returns {string} The last name the player chose, or CONFIG.leaderboard.defaultName
+ */
+export function getPlayerName() {
+    try {
+        return cleanName(localStorage.getItem(PLAYER_NAME_KEY));
+    } catch (e) {
+        return CONFIG.leaderboard.defaultName;
+    }
+}
+
+/**
+ * Change the name runs are recorded under
+ * @param {string} name - New name (trimmed and cut to CONFIG.leaderboard.maxNameLength)
+ * @returns {string} The name as it will be recorded
+ */
+export function setPlayerName(name) {
+    const cleaned = cleanName(name);
+    try {
+        localStorage.setItem(PLAYER_NAME_KEY, cleaned);
+    } catch (e) {
+        console.warn('Could not save the player name:', e);
+    }
+    return cleaned;
+}
+
+/**
+ * Tidy a player name for the leaderboard
+ * @param {*} name - Name as typed (or anything else)
+ * @returns {string} Trimmed and shortened name, or the default if it's empty
+ */
+function cleanName(name) {
+    const trimmed = typeof name === 'string' ? name.trim().slice(0, CONFIG.leaderboard.maxNameLength).trim() : '';
+    return trimmed || CONFIG.leaderboard.defaultName;
+}
+
+// ==================== EXPORT & IMPORT ====================
+
+/**
+ * Write every board out as JSON, for backing up or sharing
+ * @returns {string} JSON text that importLeaderboard() reads back
+ */
+export function exportLeaderboard() {
+    return JSON.stringify({
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: Date.now(),
+        boards: readTable()
+    }, null, 2);
+}
+
+/**
+ * Merge runs from exported JSON into the leaderboard
+ * Entries that fail the tamper check are left out and reported; runs
+ * already on a board aren't added twice.
+ * @param {string} text - JSON from exportLeaderboard()
+ * @returns {object} { valid: boolean, imported: number, rejected: number, errors: Array<string> }
+ *                   valid is false if the file couldn't be used at all
+ */
+export function importLeaderboard(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { valid: false, imported: 0, rejected: 0, errors: ['Not a JSON file'] };
+    }
+    if (!data || data.format !== EXPORT_FORMAT || typeof data.boards !== 'object' || data.boards === null) {
+        return { valid: false, imported: 0, rejected: 0, errors: ['Not an exported leaderboard'] };
+    }
+    if (data.version > EXPORT_VERSION) {
+        return { valid: false, imported: 0, rejected: 0, errors: [`Leaderboard version ${data.version} is newer than this game`] };
+    }
+    
+    const table = readTable();
+    const errors = [];
+    let imported = 0;
+    let rejected = 0;
+    
+    forEachBoard(data.boards, (mode, levelId, entries) => {
+        const valid = entries.filter((entry, index) => {
+            const result = validateLeaderboardEntry(mode, levelId, entry);
+            if (!result.valid) {
+                rejected++;
+                errors.push(`${mode} / ${levelId}, entry ${index + 1}: ${result.errors.join('; ')}`);
+            }
+            return result.valid;
+        });
+        
+        // Only runs that make the top of their board count as imported
+        const board = addEntries(table, mode, levelId, valid);
+        imported += valid.filter(entry => board.includes(entry)).length;
+    }, errors);
+    
+    writeTable(table);
+    return { valid: true, imported, rejected, errors };
+}
+
+// ==================== TAMPER CHECK ====================
+
+/**
+ * Check an entry for signs of editing
+ * @param {string} mode - The board's mode
+ * @param {string} levelId - The board's level ID
+ * @param {object} entry - Leaderboard entry
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+export function validateLeaderboardEntry(mode, levelId, entry) {
+    const errors = [];
+    const limits = CONFIG.leaderboard;
+    const isCount = value => Number.isInteger(value) && value >= 0;
+    
+    if (!entry || typeof entry !== 'object') {
+        return { valid: false, errors: ['Entry must be an object'] };
+    }
+    
+    if (typeof entry.name !== 'string' || entry.name !== cleanName(entry.name)) {
+        errors.push(`name must be 1 to ${limits.maxNameLength} characters`);
+    }
+    if (!isCount(entry.score) || !isCount(entry.waves)) {
+        errors.push('score and waves must be whole numbers of 0 or more');
+    }
+    if (typeof entry.accuracy !== 'number' || entry.accuracy < 0 || entry.accuracy > 100) {
+        errors.push('accuracy must be between 0 and 100');
+    }
+    if (typeof entry.duration !== 'number' || !(entry.duration >= 0)) {
+        errors.push('duration must be 0 or more seconds');
+    }
+    if (typeof entry.date !== 'number' || entry.date <= 0 || entry.date > Date.now() + 24 * 60 * 60 * 1000) {
+        errors.push('date is not a real date');
+    }
+    
+    const kills = entry.kills && typeof entry.kills === 'object' ? entry.kills : null;
+    if (!kills) {
+        errors.push('kills must be an object');
+    } else {
+        Object.entries(kills).forEach(([type, count]) => {
+            if (!CONFIG.enemies[type]) {
+                errors.push(`kills: unknown enemy type '${type}'`);
+            } else if (!isCount(count)) {
+                errors.push(`kills.${type} must be a whole number of 0 or more`);
+            }
+        });
+    }
+    
+    // Numbers a real run can't reach (only worth checking once the fields are sound)
+    if (errors.length === 0) {
+        const killCount = Object.values(kills).reduce((total, count) => total + count, 0);
+        const killPoints = Object.entries(kills).reduce((total, [type, count]) =>
+            total + count * (CONFIG.scoring.pointsPerKill[type] || 100), 0);
+        
+        if (entry.score > killPoints * limits.maxRewardMultiplier + entry.waves * limits.maxPointsPerWave) {
+            errors.push(`score ${entry.score} is more than ${killCount} kills and ${entry.waves} waves can give`);
+        }
+        if (entry.duration < entry.waves * limits.minSecondsPerWave) {
+            errors.push(`${entry.waves} waves can't be cleared in ${entry.duration} seconds`);
+        }
+        if (killCount > Math.max(1, entry.duration) * limits.maxKillsPerSecond) {
+            errors.push(`${killCount} kills in ${entry.duration} seconds is too many`);
+        }
+        if (entry.check !== createCheck(mode, levelId, entry)) {
+            errors.push('check does not match the entry');
+        }
+    }
+    
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Work out an entry's check
+ * @param {string} mode - The board's mode
+ * @param {string} levelId - The board's level ID
+ * @param {object} entry - Leaderboard entry (its own check is ignored)
+ * @returns {string} 16 hex digits
+ */
+function createCheck(mode, levelId, entry) {
+    const kills = Object.keys(entry.kills).sort().map(type => `${type}=${entry.kills[type]}`).join(',');
+    return hashText([CHECK_SALT, mode, levelId, entry.name, entry.score, entry.waves, entry.accuracy,
+                     kills, entry.duration, entry.date].join('|'));
+}
+
+/**
+ * Hash some text (two FNV-1a variants side by side)
+ * Also used for the CONFIG hash in replays (see js/replay.js).
+ * @param {string} text - Text to hash
+ * @returns {string} 16 hex digits
+ */
+export function hashText(text) {
+    let a = 0x811c9dc5;
+    let b = 0x9747b28c;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        a = Math.imul(a ^ code, 0x01000193);
+        b = Math.imul(b ^ code, 0x5bd1e995);
+    }
+    return (a >>> 0).toString(16).padStart(8, '0') + (b >>> 0).toString(16).padStart(8, '0');
+}
+
+// ==================== STORAGE ====================
+
+/**
+ * Visit every board in a table
+ * Boards for unknown modes, or that aren't lists, are skipped.
+ * @param {object} boards - { mode: { levelId: entries } }
+ * @param {Function} callback - Called with (mode, levelId, entries)
+ * @param {Array<string>} errors - Skipped boards are reported here
+ */
+function forEachBoard(boards, callback, errors) {
+    Object.entries(boards).forEach(([mode, levels]) => {
+        if (!GAME_MODES.includes(mode) || !levels || typeof levels !== 'object') {
+            errors.push(`Unknown mode '${mode}'`);
+            return;
+        }
+        Object.entries(levels).forEach(([levelId, entries]) => {
+            if (Array.isArray(entries)) {
+                callback(mode, levelId, entries);
+            } else {
+                errors.push(`${mode} / ${levelId} is not a list of runs`);
+            }
+        });
+    });
+}
+
+/**
+ * Read the whole table
+ * Entries that fail the tamper check are dropped (with a warning).
+ * @returns {object} Boards keyed by mode, then level ID (empty if none can be read)
+ */
+function readTable() {
+    let stored;
+    try {
+        const text = localStorage.getItem(LEADERBOARD_KEY);
+        stored = text ? JSON.parse(text) : {};
+    } catch (e) {
+        console.warn('Could not read the leaderboard:', e);
+        return {};
+    }
+    if (!stored || typeof stored !== 'object') return {};
+    
+    const table = {};
+    const errors = [];
+    forEachBoard(stored, (mode, levelId, entries) => {
+        const valid = entries.filter(entry => validateLeaderboardEntry(mode, levelId, entry).valid);
+        if (valid.length < entries.length) {
+            errors.push(`${mode} / ${levelId}: ${entries.length - valid.length} edited run(s) dropped`);
+        }
+        (table[mode] || (table[mode] = {}))[levelId] = valid;
+    }, errors);
+    
+    if (errors.length > 0) {
+        console.warn(`Leaderboard has errors:\n  ${errors.join('\n  ')}`);
+    }
+    return table;
+}
+
+/**
+ * Write the whole table
+ * @param {object} table - Boards keyed by mode, then level ID
+ */
+function writeTable(table) {
+    try {
+        localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(table));
+    } catch (e) {
+        console.warn('Could not save the leaderboard:', e);
+    }
+}
@@ -0,0 +1,321 @@
+/**
+ * level.js - Level (Map) Definitions
+ * 
+ * A level bundles everything that makes one map different from another:
+ * the paths enemies fly along, where the player may build, how many
+ * credits and lives they start with, and which waves they must survive.
+ * 
+ * Levels are JSON files listed in CONFIG.levels. Only the active level
+ * is used by the rest of the game - path.js builds its paths from it,
+ * platform.js checks placement against it and economy.js reads the
+ * starting credits and lives from it.
+ * 
+ * LEVEL FORMAT:
+ * =============
+ * {
+ *   "id": "solOutpost",                  // Unique identifier
+ *   "name": "Sol Outpost",               // Shown on the level-select screen
+ *   "description": "...",
+ *   "startingCredits": 100,
+ *   "lives": 10,                         // Enemies that may reach the planet
+ *   "paths": {                           // Waypoint lists, [x, y, z] each
+ *     "default": [[80, 10, 56], [20, 2, 25], [0, 0, 0]]
+ *   },
+ *   "placement": {
+ *     "minSpacing": 10,                  // Distance between platforms
+ *     "allowed": [                       // Build anywhere inside one of these
+ *       { "shape": "ring", "center": [0, 0], "minRadius": 15, "maxRadius": 70 }
+ *     ],
+ *     "forbidden": [                     // ...but never inside one of these
+ *       { "shape": "circle", "center": [40, -20], "radius": 8, "label": "Asteroid field" }
+ *     ]
+ *   },
+ *   "waveScript": "data/waves/campaign.json"   // OR an inline "waves": [...] list
+ * }
+ * 
+ * Regions are measured on the orbital (X-Z) plane. Supported shapes:
+ * - ring:   center, minRadius, maxRadius
+ * - circle: center, radius
+ * - rect:   min [x, z], max [x, z]
+ */
+
+import { CONFIG } from './config.js';
+import { loadWaveScript, validateWaveScript } from './waves.js';
+
+// The level currently being played
+let activeLevel = null;
+
+const REGION_SHAPES = ['ring', 'circle', 'rect'];
+
+// ==================== LOADING ====================
+
+/**
+ * Load and validate every level in a list
+ * 
+ * Levels with errors are skipped (and reported in the console) so one
+ * broken file doesn't stop the others from being playable.
+ * 
+ * @param {Array<string>} urls - Level files (relative to index.html)
+ * @returns {Promise<Array<object>>} The levels that loaded successfully, in list order
+ */
+export async function loadLevels(urls) {
+    const results = await Promise.allSettled(urls.map(url => loadLevel(url)));
+    
+    const levels = [];
+    results.forEach(result => {
+        if (result.status === 'fulfilled') {
+            levels.push(result.value);
+        } else {
+            console.error(result.reason);
+        }
+    });
+    
+    return levels;
+}
+
+/**
+ * Load a single level file
+ * 
+ * If the level points at a wave script instead of listing its waves,
+ * the script is loaded too and its waves are copied into the level.
+ * 
+ * @param {string} url - Level file (relative to index.html)
+ * @returns {Promise<object>} The validated level
+ */
+export async function loadLevel(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load level "${url}" (HTTP ${response.status})`);
+    }
+    
+    const level = await response.json();
+    
+    const result = validateLevel(level);
+    if (!result.valid) {
+        throw new Error(`Level "${url}" has errors:\n  ${result.errors.join('\n  ')}`);
+    }
+    
+    if (!level.waves) {
+        const script = await loadWaveScript(level.waveScript, Object.keys(level.paths));
+        level.waves = script.waves;
+    }
+    
+    return level;
+}
+
+// ==================== VALIDATION ====================
+
+/**
+ * Check a level definition for mistakes
+ * 
+ * Like validateWaveScript(), this returns every problem at once.
+ * Inline waves are checked against the level's own paths.
+ * 
+ * @param {object} level - The parsed level
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+export function validateLevel(level) {
+    const errors = [];
+    
+    if (!level || typeof level !== 'object') {
+        return { valid: false, errors: ['Level must be an object'] };
+    }
+    
+    if (typeof level.id !== 'string' || level.id === '') {
+        errors.push('Level needs an "id"');
+    }
+    if (typeof level.name !== 'string' || level.name === '') {
+        errors.push('Level needs a "name"');
+    }
+    if (level.startingCredits !== undefined && !isNonNegativeNumber(level.startingCredits)) {
+        errors.push('startingCredits must be a number of 0 or more');
+    }
+    if (level.lives !== undefined && !(Number.isInteger(level.lives) && level.lives >= 1)) {
+        errors.push('lives must be a whole number of 1 or more');
+    }
+    
+    // Paths
+    const paths = level.paths;
+    if (!paths || typeof paths !== 'object' || Object.keys(paths).length === 0) {
+        errors.push('Level needs at least one path in "paths"');
+    } else {
+        Object.entries(paths).forEach(([name, waypoints]) => {
+            if (!Array.isArray(waypoints) || waypoints.length < 2) {
+                errors.push(`Path '${name}': needs at least 2 waypoints`);
+                return;
+            }
+            waypoints.forEach((point, index) => {
+                if (!isNumberList(point, 3)) {
+                    errors.push(`Path '${name}', waypoint ${index + 1}: must be [x, y, z]`);
+                }
+            });
+        });
+    }
+    
+    // Placement regions
+    const placement = level.placement || {};
+    if (placement.minSpacing !== undefined && !isNonNegativeNumber(placement.minSpacing)) {
+        errors.push('placement.minSpacing must be a number of 0 or more');
+    }
+    ['allowed', 'forbidden'].forEach(listName => {
+        const regions = placement[listName];
+        if (regions === undefined) return;
+        if (!Array.isArray(regions)) {
+            errors.push(`placement.${listName} must be an array`);
+            return;
+        }
+        regions.forEach((region, index) => {
+            validateRegion(region, `placement.${listName}[${index}]`, errors);
+        });
+    });
+    
+    // Waves
+    if (level.waves !== undefined) {
+        const pathNames = paths && typeof paths === 'object' ? Object.keys(paths) : [];
+        const waveResult = validateWaveScript({ waves: level.waves }, pathNames);
+        errors.push(...waveResult.errors);
+    } else if (typeof level.waveScript !== 'string') {
+        errors.push('Level needs either a "waves" list or a "waveScript" file');
+    }
+    
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a single placement region
+ * @param {object} region - Region definition
+ * @param {string} label - Where the region is (for error messages)
+ * @param {Array<string>} errors - Error list to add to
+ */
+function validateRegion(region, label, errors) {
+    if (!region || !REGION_SHAPES.includes(region.shape)) {
+        errors.push(`${label}: shape must be one of ${REGION_SHAPES.join(', ')}`);
+        return;
+    }
+    
+    if (region.center !== undefined && !isNumberList(region.center, 2)) {
+        errors.push(`${label}: center must be [x, z]`);
+    }
+    
+    if (region.shape === 'ring') {
+        if (!isNonNegativeNumber(region.minRadius) || !isNonNegativeNumber(region.maxRadius)
+            || region.minRadius >= region.maxRadius) {
+            errors.push(`${label}: ring needs minRadius < maxRadius`);
+        }
+    } else if (region.shape === 'circle') {
+        if (!isNonNegativeNumber(region.radius)) {
+            errors.push(`${label}: circle needs a radius`);
+        }
+    } else if (region.shape === 'rect') {
+        if (!isNumberList(region.min, 2) || !isNumberList(region.max, 2)) {
+            errors.push(`${label}: rect needs min [x, z] and max [x, z]`);
+        }
+    }
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a finite number >= 0
+ */
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * @param {*} value - Value to check
+ * @param {number} length - Expected length
+ * @returns {boolean} True if value is an array of `length` finite numbers
+ */
+function isNumberList(value, length) {
+    return Array.isArray(value) && value.length === length
+        && value.every(n => typeof n === 'number' && Number.isFinite(n));
+}
+
+// ==================== ACTIVE LEVEL ====================
+
+/**
+ * Make a level the one being played
+ * @param {object} level - A validated level
+ */
+export function setActiveLevel(level) {
+    activeLevel = level;
+}
+
+/**
+ * Get the level being played
+ * @returns {object|null} The active level, or null before one is chosen
+ */
+export function getActiveLevel() {
+    return activeLevel;
+}
+
+/**
+ * Get the starting credits for the active level
+ * @returns {number} Starting credits (CONFIG default if the level doesn't say)
+ */
+export function getLevelStartingCredits() {
+    if (activeLevel && activeLevel.startingCredits !== undefined) {
+        return activeLevel.startingCredits;
+    }
+    return CONFIG.economy.startingCredits;
+}
+
+/**
+ * Get the starting lives for the active level
+ * @returns {number} Starting lives (CONFIG default if the level doesn't say)
+ */
+export function getLevelLives() {
+    if (activeLevel && activeLevel.lives !== undefined) {
+        return activeLevel.lives;
+    }
+    return CONFIG.economy.startingLives;
+}
+
+/**
+ * Get the placement rules for the active level
+ * 
+ * Anything the level leaves out falls back to CONFIG.placement, which
+ * describes the classic "ring around the planet" build zone.
+ * 
+ * @returns {object} { allowed: Array, forbidden: Array, minSpacing: number }
+ */
+export function getPlacementRules() {
+    const placement = (activeLevel && activeLevel.placement) || {};
+    
+    return {
+        allowed: placement.allowed || [{
+            shape: 'ring',
+            center: [0, 0],
+            minRadius: CONFIG.placement.minDistance,
+            maxRadius: CONFIG.placement.maxDistance
+        }],
+        forbidden: placement.forbidden || [],
+        minSpacing: placement.minSpacing !== undefined ? placement.minSpacing : CONFIG.placement.minSpacing
+    };
+}
+
+// ==================== REGIONS ====================
+
+/**
+ * Check whether a point on the orbital plane is inside a region
+ * @param {object} region - Region definition (ring, circle or rect)
+ * @param {number} x - X coordinate
+ * @param {number} z - Z coordinate
+ * @returns {boolean} True if the point is inside
+ */
+export function isPointInRegion(region, x, z) {
+    const [centerX, centerZ] = region.center || [0, 0];
+    const distance = Math.hypot(x - centerX, z - centerZ);
+    
+    switch (region.shape) {
+        case 'ring':
+            return distance >= region.minRadius && distance <= region.maxRadius;
+        case 'circle':
+            return distance <= region.radius;
+        case 'rect':
+            return x >= region.min[0] && x <= region.max[0]
+                && z >= region.min[1] && z <= region.max[1];
+        default:
+            return false;
+    }
+}
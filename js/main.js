@@ -13,6 +13,7 @@
  */
 
 import * as THREE from 'three';
+import gsap from 'gsap';
 
 // ==================== POST-PROCESSING IMPORTS ====================
 // These add visual effects like bloom (glow), color correction, etc.
@@ -25,20 +26,48 @@ import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
 
 // Import all our game systems
 import { createScene, scene, updateScene } from './scene.js';
-import { createCamera, camera, updateCamera, handleResize, shakeCamera } from './camera.js';
-import { initInput, enterPlacementMode, exitPlacementMode, isInPlacementMode, clearInputFlags } from './input.js';
-import { initPaths, getRandomPathName } from './path.js';
-import { initEnemies, spawnEnemy, updateEnemies, clearEnemies, 
-         projectHealthBars, getEnemyCount, enemies } from './enemy.js';
-import { createStarbase, updateStarbase, resetStarbaseStats } from './starbase.js';
-import { createProjectile, updateProjectiles, clearProjectiles, createHitEffect } from './projectile.js';
-import { initParticles, updateParticles, createEnemyDeathEffect, createMuzzleSparks } from './particles.js';
-import { initEconomy, recordKill, recordShot, recordHit, awardWaveBonus,
-         resetWaveTracking, getWaveSummary, getCredits, getScore } from './economy.js';
+import { createCamera, camera, controls, updateCamera, handleResize, shakeCamera, setCameraPosition } from './camera.js';
+import { initInput, enterPlacementMode, exitPlacementMode, isInPlacementMode, clearInputFlags,
+         getBoundAction, setClickHandler, setPlacementHandler, getMouseRay, enterAbilityTargeting,
+         exitAbilityTargeting, isInAbilityTargeting, setAbilityTargetHandler } from './input.js';
+import { initPaths, getPathNames } from './path.js';
+import { initEnemies, clearEnemies, projectHealthBars, enemies, validateDamageModel,
+         validateEnemyBehaviors, validateStatusEffects } from './enemy.js';
+import { createStarbase, resetStarbaseStats, starbase, setStarbaseTargetingMode } from './starbase.js';
+import { clearAllPlatforms, platforms, setPlatformTargetingMode, upgradePlatform, sellPlatform,
+         placePlatform, validatePlatformLevels } from './platform.js';
+import { clearProjectiles, createHitEffect, projectiles } from './projectile.js';
+import { initParticles, updateParticles, createEnemyDeathEffect, createMuzzleSparks, createExplosion,
+         createSparks } from './particles.js';
+import { initEconomy, awardWaveBonus, getWaveSummary, getCredits, getGameStats, recordPlayTime, addCredits,
+         getEarlyCallBonus } from './economy.js';
 import { initUI, setupUICallbacks, updateHUD, showScreen, hideAllScreens,
          setHUDVisible, showDamageNumber, showFloatingText, showWaveAnnouncement,
-         showWaveSummary, worldToScreen } from './ui.js';
-import { CONFIG, getWaveConfig } from './config.js';
+         showWaveSummary, worldToScreen, setLevelList, flashShieldBar, setSaveList,
+         showUpgradePanel, hideUpgradePanel, showPlatformPanel, hidePlatformPanel,
+         showBossAnnouncement, showRunResults, showWavePreview, updateWavePreview,
+         hideWavePreview, setGameSpeedDisplay, showReplayBar, updateReplayBar, hideReplayBar } from './ui.js';
+import { CONFIG } from './config.js';
+import { setWaveScript, getWave, getWaveCount } from './waves.js';
+import { startWaveSimulation, addWaveToSimulation, stepSimulation, stepBreak, getRemainingSpawnTime,
+         getWavesInFlight } from './simulation.js';
+import { createSaveData, writeSave, deleteSave, listSaves, restoreSaveData } from './save.js';
+import { purchaseUpgrade, resetUpgrades, validateUpgradeTree } from './upgrades.js';
+import { loadLevels, setActiveLevel, getActiveLevel } from './level.js';
+import { generateEndlessWave, getEndlessBonusCredits, getEndlessWavePreview,
+         validateEndlessConfig } from './endless.js';
+import { initRunStats, recordWaveStats, recordLostWave, sampleCredits, getRunReport } from './stats.js';
+import { recordRun, getLeaderboard, getPlayerName, exportLeaderboard, importLeaderboard } from './leaderboard.js';
+import { setRandomSeed, getRandomSeed, createRandomSeed, random } from './random.js';
+import { savePreviousState, applyInterpolation, restoreSimulationState } from './interpolation.js';
+import { pickSelectable, setSelection, clearSelection, updateSelectionRing } from './selection.js';
+import { getGameSpeed, setGameSpeed, cycleGameSpeed, isTacticalPaused, setTacticalPause, toGameTime,
+         resetGameSpeed } from './gameSpeed.js';
+import { startRecording, recordCommand, stopRecording, getLastReplay, notePlatformBuilt, startPlayback,
+         stopPlayback, isPlayingBack, getPlaybackReplay, takeNextCommand, hashConfig, exportReplay,
+         importReplay } from './replay.js';
+import { useAbility, isAbilityTargeted, canUseAbility, resetAbilities, validateAbilities,
+         abilityTargeting } from './abilities.js';
 
 // ==================== GAME STATE ====================
 // The game can be in one of these states at any time
@@ -60,17 +89,41 @@ let renderer;
 let clock;
 let composer; // Post-processing effect composer
 let currentWave = 1;
-let totalWaves = 5; // Number of waves to win
-let enemiesSpawnedThisWave = 0;
-let enemiesToSpawnThisWave = 0;
-let spawnTimer = 0;
-let currentSpawnDelay = 2;
-let currentEnemyTypeIndex = 0;
-let waveEnemyQueue = []; // Queue of enemies to spawn
-
-// For wave transition timing
+let totalWaves = 0; // Number of waves to win (set when a level starts; Infinity in endless mode)
+let gameMode = 'campaign'; // 'campaign' or 'endless' (see GAME_MODES in endless.js)
+let availableLevels = []; // Levels that loaded successfully (for level select and saved games)
+
+// Fixed-timestep simulation
+// The game logic always advances in steps of exactly FIXED_STEP seconds.
+// Game time (real frame time times the game speed, see js/gameSpeed.js) piles up
+// in the accumulator and is spent one step at a time; whatever is left over
+// (less than one step) is used to interpolate rendering.
+const FIXED_STEP = 1 / CONFIG.simulation.tickRate;
+let accumulator = 0;
+
+// Steps run since the level started - replays time every command by it (see js/replay.js)
+let simulationTick = 0;
+
+// Skipping through a replay: the tick to stop at, or null. While skipping,
+// steps run as fast as CONFIG.replay allows and show no effects.
+let replaySeekTarget = null;
+let fastForwarding = false;
+
+// Saved vignette settings while a damage flash is showing (see flashDamageVignette)
+let vignetteFlash = null;
+
+// After the last wave, victory follows after a short pause
+// (between other waves the break lasts until the player starts the next one)
 let waveTransitionTimer = 0;
-const WAVE_TRANSITION_DELAY = 3; // Seconds between waves
+const WAVE_TRANSITION_DELAY = 3; // Seconds
+
+// Boss entrance: the camera flies in to look at a new boss, holds, then flies back.
+// The game keeps running underneath - it's short, and the boss is slow.
+const BOSS_CINEMATIC = {
+    flyTime: 1,    // Seconds to fly in (and again to fly back)
+    holdTime: 1.5  // Seconds spent looking at the boss
+};
+let bossCinematic = null; // { timeline, returnPosition } while one is playing
 
 // ==================== INITIALIZATION ====================
 
@@ -104,10 +157,48 @@ function init() {
     
     // Initialize game systems
     initInput();
-    initPaths();
     initEnemies();
     initUI();
     initEconomy();
+    
+    // Mistakes in CONFIG.starbaseUpgrades are reported like level and wave script errors
+    const upgradeTree = validateUpgradeTree();
+    if (!upgradeTree.valid) {
+        console.warn(`Starbase upgrade tree has errors:\n  ${upgradeTree.errors.join('\n  ')}`);
+    }
+    const platformLevels = validatePlatformLevels();
+    if (!platformLevels.valid) {
+        console.warn(`Platform upgrade levels have errors:\n  ${platformLevels.errors.join('\n  ')}`);
+    }
+    const damageModel = validateDamageModel();
+    if (!damageModel.valid) {
+        console.warn(`Damage types have errors:\n  ${damageModel.errors.join('\n  ')}`);
+    }
+    const enemyBehaviors = validateEnemyBehaviors();
+    if (!enemyBehaviors.valid) {
+        console.warn(`Enemy behaviors have errors:\n  ${enemyBehaviors.errors.join('\n  ')}`);
+    }
+    const statusEffects = validateStatusEffects();
+    if (!statusEffects.valid) {
+        console.warn(`Status effects have errors:\n  ${statusEffects.errors.join('\n  ')}`);
+    }
+    const abilities = validateAbilities();
+    if (!abilities.valid) {
+        console.warn(`Abilities have errors:\n  ${abilities.errors.join('\n  ')}`);
+    }
+    const endlessConfig = validateEndlessConfig();
+    if (!endlessConfig.valid) {
+        console.warn(`Endless mode settings have errors:\n  ${endlessConfig.errors.join('\n  ')}`);
+    }
+    
+    // Load the level files for the level-select screen
+    // (paths are built later, once the player picks a level).
+    // Saved games name their level, so they are listed once the levels are in.
+    loadLevels(CONFIG.levels).then(levels => {
+        availableLevels = levels;
+        setLevelList(levels);
+        setSaveList(listSaves());
+    });
 
     // Initialize particle effects system
     // This creates pooled particle systems for explosions, sparks, trails
@@ -120,44 +211,80 @@ function init() {
     setupUICallbacks({
         onStart: startGame,
         onRestart: restartGame,
-        onResume: resumeGame
+        onResume: resumeGame,
+        onBuild: selectPlatformToBuild,
+        onTargetingChange: (weaponId, mode) => issueCommand({ type: 'targeting',
+            weapon: weaponId === 'starbase' ? 'starbase' : Number(weaponId), mode }),
+        onUpgrade: (upgradeId) => issueCommand({ type: 'buyUpgrade', upgradeId }),
+        onNextWave: () => issueCommand({ type: 'startWave' }),
+        onCallWave: () => issueCommand({ type: 'callWave' }),
+        onSpeedChange: changeGameSpeed,
+        onTacticalPause: toggleTacticalPause,
+        onAbility: selectAbility,
+        onPlatformUpgrade: (platformId, branch) => issueCommand({ type: 'upgrade', platform: platformId, branch }),
+        onPlatformSell: (platformId) => issueCommand({ type: 'sell', platform: platformId }),
+        onLoad: loadGame,
+        onSave: saveGame,
+        onExportLeaderboard: exportLeaderboard,
+        onImportLeaderboard: importLeaderboard,
+        onExportReplay: exportCurrentReplay,
+        onWatchReplay: watchReplay,
+        onReplaySeek: seekReplay,
+        onReplayExit: exitReplay
     });
     
+    // Confirmed placements are built (and recorded) like every other command
+    setPlacementHandler((platformType, position) => issueCommand({ type: 'build', platformType,
+        x: position.x, y: position.y, z: position.z }));
+    
+    // So are abilities fired at the point the player clicked
+    setAbilityTargetHandler((abilityId, position) => issueCommand({ type: 'ability', ability: abilityId,
+        x: position.x, y: position.y, z: position.z }));
+    
+    // Clicking a weapon or enemy selects it for the inspector
+    // (platforms also open their upgrade/sell panel)
+    setClickHandler(selectUnderMouse);
+    
     // Handle window resize
     window.addEventListener('resize', onWindowResize);
     
-    // Handle pause with Escape key
+    // Handle keyboard shortcuts (bindings live in CONFIG.keyBindings)
     window.addEventListener('keydown', (e) => {
-        if (e.key === 'Escape') {
-            // If in placement mode, just exit placement (don't pause)
+        const binding = getBoundAction(e.key);
+        if (!binding) return;
+        
+        if (binding.action === 'pause') {
+            // If in placement mode (or aiming an ability), just exit it (don't pause)
             if (isInPlacementMode()) {
                 exitPlacementMode();
                 return;
             }
+            if (isInAbilityTargeting()) {
+                exitAbilityTargeting();
+                return;
+            }
             
             if (currentState === GameState.PLAYING) {
                 pauseGame();
             } else if (currentState === GameState.PAUSED) {
                 resumeGame();
             }
-        }
-        
-        // ==================== TEMPORARY DEBUG KEYS ====================
-        // These allow testing placement without the full UI
-        // Press 1 for Laser Battery, 2 for Missile Launcher
-        // TODO: Remove these when UI is implemented (Task 5.x)
-        if (currentState === GameState.PLAYING) {
-            if (e.key === '1') {
-                enterPlacementMode('laserBattery');
-                console.log('DEBUG: Press 1 - Laser Battery placement mode');
-            } else if (e.key === '2') {
-                enterPlacementMode('missileLauncher');
-                console.log('DEBUG: Press 2 - Missile Launcher placement mode');
+        } else if (binding.action === 'build') {
+            selectPlatformToBuild(binding.platformType);
+        } else if (binding.action === 'ability') {
+            const result = selectAbility(binding.abilityId);
+            if (!result.valid) {
+                showFloatingText(result.reason, window.innerWidth / 2, window.innerHeight / 2, '#ff4444');
             }
+        } else if (binding.action === 'nextWave') {
+            // Ends the break, or calls the next wave early during one
+            issueCommand({ type: currentState === GameState.WAVE_COMPLETE ? 'startWave' : 'callWave' });
+        } else if (binding.action === 'tacticalPause') {
+            toggleTacticalPause();
+        } else if (binding.action === 'gameSpeed') {
+            cycleSpeed();
         }
     });
-
-    
     
     // Create clock for delta time calculation
     clock = new THREE.Clock();
@@ -344,50 +471,424 @@ export function setVignetteIntensity(intensity) {
  * Apply a temporary red vignette effect (damage feedback)
  * 
  * @param {number} duration - How long the effect lasts (ms)
+ * @param {number} strength - How red/dark the flash is (0 = none, 1 = maximum)
  */
-export function flashDamageVignette(duration = 300) {
+export function flashDamageVignette(duration = 300, strength = 0.5) {
     if (composer && composer.vignettePass) {
         const pass = composer.vignettePass;
-        const originalIntensity = pass.uniforms.vignetteIntensity.value;
-        const originalTint = pass.uniforms.colorTint.value.clone();
+        
+        // Remember the normal look only if we aren't already mid-flash,
+        // otherwise overlapping flashes would "restore" to red
+        if (!vignetteFlash) {
+            vignetteFlash = {
+                intensity: pass.uniforms.vignetteIntensity.value,
+                tint: pass.uniforms.colorTint.value.clone(),
+                timeout: null
+            };
+        }
+        clearTimeout(vignetteFlash.timeout);
         
         // Red damage flash
-        pass.uniforms.vignetteIntensity.value = 0.7;
-        pass.uniforms.colorTint.value.set(0.4, 0, 0); // Red tint
+        pass.uniforms.vignetteIntensity.value = 0.4 + strength * 0.5;
+        pass.uniforms.colorTint.value.set(0.2 + strength * 0.4, 0, 0); // Red tint
         
         // Reset after duration
-        setTimeout(() => {
-            pass.uniforms.vignetteIntensity.value = originalIntensity;
-            pass.uniforms.colorTint.value.copy(originalTint);
+        vignetteFlash.timeout = setTimeout(() => {
+            pass.uniforms.vignetteIntensity.value = vignetteFlash.intensity;
+            pass.uniforms.colorTint.value.copy(vignetteFlash.tint);
+            vignetteFlash = null;
         }, duration);
     }
 }
 
+/**
+ * Show the planet's shield taking damage when enemies get through
+ * 
+ * The shield itself is drained by the simulation step (each enemy type
+ * deals its own planetDamage). The camera shake and red vignette scale
+ * with the total, so a stray scout is a nudge and an armored ship is a jolt.
+ * 
+ * @param {number} damage - Shield damage taken this step
+ */
+function showPlanetDamage(damage) {
+    // 5 or more damage in one go gets the maximum effect
+    const severity = Math.min(damage / 5, 1);
+    shakeCamera(0.5 + severity * 2, 3);
+    flashDamageVignette(200 + severity * 600, severity);
+    flashShieldBar(damage);
+    
+    // Show the damage over the planet
+    const planetScreen = worldToScreen(new THREE.Vector3(0, 0, 0), camera);
+    showFloatingText(`-${damage} Shield`, planetScreen.x, planetScreen.y, '#ff4444');
+}
+
 // ==================== GAME STATE MANAGEMENT ====================
 
 /**
- * Start a new game
+ * Start a new game on a level
+ * @param {object} level - Level chosen on the level-select screen
+ *                         (defaults to the current level, for restarts)
+ * @param {string} mode - 'campaign' or 'endless' (defaults to the current mode, for restarts)
+ * @param {object|null} replay - A replay to watch instead of playing (see watchReplay)
  */
-function startGame() {
-    console.log('Starting game...');
+function startGame(level = getActiveLevel(), mode = gameMode, replay = null) {
+    if (!level) {
+        console.warn('No level selected');
+        return;
+    }
+    
+    console.log(`Starting ${mode} game on ${level.name}${replay ? ' (replay)' : ''}...`);
     
     currentState = GameState.PLAYING;
     currentWave = 1;
     
+    // A replay starts from the seed it was recorded with
+    setUpLevel(level, mode, replay ? replay.seed : createRandomSeed());
+    
     // Reset systems
     clearEnemies();
     clearProjectiles();
+    clearAllPlatforms();
     resetStarbaseStats();
+    resetUpgrades();
+    resetAbilities();
     initEconomy();
+    initRunStats();
     
     // Hide menu, show HUD
     hideAllScreens();
     setHUDVisible(true);
     
+    // Record the game so it can be watched again - or, for a replay, feed in its commands
+    if (replay) {
+        startPlayback(replay);
+        showReplayBar(replay.ticks, replay.config === hashConfig() ? ''
+            : 'Recorded with different game settings - it may not play out the same');
+    } else {
+        stopPlayback();
+        hideReplayBar();
+        startRecording({ level: level.id, mode, seed: getRandomSeed() });
+    }
+    
     // Start first wave
     startWave(currentWave);
 }
 
+/**
+ * Make a level the active one: paths, waves and the random seed
+ * Shared by new games and loaded games.
+ * @param {object} level - The level to play
+ * @param {string} mode - 'campaign' or 'endless'
+ * @param {number} seed - Random seed (a loaded game replaces it with the saved one)
+ */
+function setUpLevel(level, mode, seed = createRandomSeed()) {
+    // The game being left stays available as the last replay
+    stopRecording(simulationTick);
+    
+    // The seed alone decides every random choice the simulation makes
+    setRandomSeed(seed);
+    console.log(`Random seed: ${seed}`);
+    accumulator = 0;
+    simulationTick = 0;
+    replaySeekTarget = null;
+    
+    // Every game starts at normal speed, unpaused
+    resetGameSpeed();
+    showGameSpeed();
+    
+    // Load the level: paths and waves (the economy reads credits and lives from it later)
+    setActiveLevel(level);
+    initPaths();
+    setWaveScript({ name: level.name, waves: level.waves });
+    
+    // Endless mode never runs out of waves (they're generated past the level's own)
+    gameMode = mode;
+    totalWaves = mode === 'endless' ? Infinity : getWaveCount();
+    
+    if (isInPlacementMode()) exitPlacementMode();
+    if (isInAbilityTargeting()) exitAbilityTargeting();
+    hideUpgradePanel();
+    hidePlatformPanel();
+    clearSelection();
+    endBossEntrance(true);
+}
+
+// ==================== SAVED GAMES ====================
+
+/**
+ * Continue a saved game (from the Continue button or the load screen)
+ * @param {object} save - A save from listSaves() (see js/save.js)
+ */
+function loadGame(save) {
+    // Saves migrated from the old format don't know their level - use the first one
+    const level = save.levelId === null
+        ? availableLevels[0]
+        : availableLevels.find(candidate => candidate.id === save.levelId);
+    
+    if (!level) {
+        console.warn(`Can't load save: level "${save.levelId}" is not available`);
+        return;
+    }
+    if (save.mode !== 'endless' && save.wave.number > level.waves.length) {
+        console.warn(`Can't load save: ${level.name} has no wave ${save.wave.number}`);
+        return;
+    }
+    
+    console.log(`Loading saved game on ${level.name}, wave ${save.wave.number}...`);
+    
+    setUpLevel(level, save.mode);
+    restoreSaveData(save);
+    
+    // Replays start from the beginning of a game, so loaded games aren't recorded
+    stopPlayback();
+    hideReplayBar();
+    
+    hideAllScreens();
+    setHUDVisible(true);
+    
+    if (save.wave.inProgress) {
+        // Carry on mid-wave
+        currentWave = save.wave.number;
+        currentState = GameState.PLAYING;
+        showNextWavePreview();
+    } else if (save.wave.number === 1) {
+        currentWave = 1;
+        currentState = GameState.PLAYING;
+        startWave(currentWave);
+    } else {
+        // Saved between waves: resume the break before the next wave
+        currentWave = save.wave.number - 1;
+        currentState = GameState.WAVE_COMPLETE;
+        showUpgradePanel(save.wave.number);
+        showNextWavePreview();
+    }
+}
+
+/**
+ * Save the game in progress (Save Game button on the pause screen)
+ * @returns {boolean} True if the game was saved
+ */
+function saveGame() {
+    if (currentState !== GameState.PAUSED || isPlayingBack()) return false;
+    
+    // The game can only be paused mid-wave
+    const saved = writeSave('manual', createSaveData({ waveNumber: currentWave, inProgress: true, mode: gameMode }));
+    setSaveList(listSaves());
+    return saved;
+}
+
+/**
+ * Save automatically at the end of a wave
+ * The save resumes in the break before the next wave.
+ */
+function autosave() {
+    if (currentWave >= totalWaves) return; // Nothing left to continue
+    if (isPlayingBack()) return;           // A replay mustn't replace the player's own game
+    
+    writeSave('autosave', createSaveData({ waveNumber: currentWave + 1, inProgress: false, mode: gameMode }));
+    setSaveList(listSaves());
+}
+
+// ==================== UPGRADES ====================
+
+/**
+ * Buy the next tier of a starbase upgrade (upgrade panel, between waves)
+ * The autosave is refreshed so the purchase isn't lost if the player quits.
+ * @param {string} upgradeId - Key of CONFIG.starbaseUpgrades
+ * @returns {object} { valid, reason } from purchaseUpgrade()
+ */
+function buyUpgrade(upgradeId) {
+    if (currentState !== GameState.WAVE_COMPLETE) {
+        return { valid: false, reason: 'Upgrades are bought between waves' };
+    }
+    
+    const result = purchaseUpgrade(upgradeId);
+    if (result.valid) {
+        autosave();
+    }
+    return result;
+}
+
+/**
+ * End the break and start the next wave (Start Wave button)
+ * @returns {object} { valid, reason }
+ */
+function startNextWave() {
+    if (currentState !== GameState.WAVE_COMPLETE || currentWave >= totalWaves) {
+        return { valid: false, reason: 'No break to end' };
+    }
+    
+    hideUpgradePanel();
+    nextWave();
+    return { valid: true, reason: '' };
+}
+
+/**
+ * Start the next wave while this one is still running (Call Early button)
+ * The two waves overlap. The player is paid for the spawning they skipped
+ * (getEarlyCallBonus), and both waves' bonuses come when the field is clear.
+ * @returns {object} { valid, reason }
+ */
+function callNextWave() {
+    if (currentState !== GameState.PLAYING || currentWave >= totalWaves) {
+        return { valid: false, reason: 'No wave to call' };
+    }
+    
+    const bonus = getEarlyCallBonus(getRemainingSpawnTime());
+    
+    // The report gets a row for the wave being called over
+    recordWaveStats(currentWave, getWaveSummary(), true, true);
+    
+    currentWave++;
+    console.log(`Calling Wave ${currentWave} early (+${bonus} credits)`);
+    
+    const wave = getWaveDefinition(currentWave);
+    addWaveToSimulation(wave);
+    if (bonus > 0) {
+        addCredits(bonus, 'earlyCall');
+    }
+    
+    if (!fastForwarding) {
+        showWaveAnnouncement(currentWave, wave.name);
+    }
+    showNextWavePreview();
+    return { valid: true, reason: '' };
+}
+
+/**
+ * Show what the wave after the current one holds, or hide the preview after the last
+ * Generated endless waves aren't built until they start, so they show
+ * what can be known in advance (see getEndlessWavePreview).
+ */
+function showNextWavePreview() {
+    const waveNumber = currentWave + 1;
+    if (waveNumber > totalWaves) {
+        hideWavePreview();
+        return;
+    }
+    
+    const wave = gameMode === 'endless' && waveNumber > getWaveCount()
+        ? getEndlessWavePreview(waveNumber)
+        : getWave(waveNumber);
+    showWavePreview(waveNumber, wave, currentState === GameState.PLAYING);
+}
+
+// ==================== SELECTION & PLATFORM UPGRADES ====================
+
+/**
+ * Select whatever was clicked (a platform, the starbase or an enemy)
+ * The inspector follows the selection; a platform also opens its
+ * upgrade/sell panel. Clicking empty space clears the selection.
+ */
+function selectUnderMouse() {
+    if (currentState !== GameState.PLAYING && currentState !== GameState.WAVE_COMPLETE) return;
+    
+    const selection = pickSelectable(getMouseRay(camera));
+    setSelection(selection);
+    
+    if (selection && selection.kind === 'platform') {
+        showPlatformPanel(selection.target);
+    } else {
+        hidePlatformPanel();
+    }
+}
+
+/**
+ * Find a placed platform by ID
+ * @param {number} platformId - Platform ID
+ * @returns {object|undefined} The platform
+ */
+function findPlatform(platformId) {
+    return platforms.find(platform => platform.id === platformId && platform.alive);
+}
+
+/**
+ * Upgrade a platform to its next level (platform panel)
+ * Like building, this works during waves and between them; between waves
+ * the autosave is refreshed so the upgrade isn't lost.
+ * @param {number} platformId - Platform ID
+ * @param {string|null} branch - Level 4 branch, or null below level 4
+ * @returns {object} { valid, reason } from upgradePlatform()
+ */
+function upgradeSelectedPlatform(platformId, branch) {
+    if (currentState !== GameState.PLAYING && currentState !== GameState.WAVE_COMPLETE) {
+        return { valid: false, reason: 'Not in a game' };
+    }
+    
+    const result = upgradePlatform(findPlatform(platformId), branch);
+    if (result.valid && currentState === GameState.WAVE_COMPLETE) {
+        autosave();
+    }
+    return result;
+}
+
+/**
+ * Sell a platform (platform panel)
+ * @param {number} platformId - Platform ID
+ * @returns {object} { valid, reason }
+ */
+function sellSelectedPlatform(platformId) {
+    if (currentState !== GameState.PLAYING && currentState !== GameState.WAVE_COMPLETE) {
+        return { valid: false, reason: 'Not in a game' };
+    }
+    
+    const platform = findPlatform(platformId);
+    if (!platform) return { valid: false, reason: 'No such platform' };
+    
+    sellPlatform(platform);
+    hidePlatformPanel();
+    if (currentState === GameState.WAVE_COMPLETE) {
+        autosave();
+    }
+    return { valid: true, reason: '' };
+}
+
+/**
+ * Enter placement mode for a platform type (from the build menu or a hotkey)
+ * Building is allowed during waves and in the break between them (not while watching a replay).
+ * @param {string} platformType - Platform type to place
+ */
+function selectPlatformToBuild(platformType) {
+    if (currentState !== GameState.PLAYING && currentState !== GameState.WAVE_COMPLETE) return;
+    if (isPlayingBack()) return;
+    
+    enterPlacementMode(platformType);
+}
+
+/**
+ * Buy and build a platform (a confirmed placement, or a replay's build)
+ * @param {string} platformType - Platform type
+ * @param {THREE.Vector3} position - Where to build
+ * @returns {object} { valid, reason, platform } from placePlatform()
+ */
+function buildPlatform(platformType, position) {
+    if (currentState !== GameState.PLAYING && currentState !== GameState.WAVE_COMPLETE) {
+        return { valid: false, reason: 'Not in a game', platform: null };
+    }
+    
+    const result = placePlatform(platformType, position);
+    if (result.valid) {
+        notePlatformBuilt(result.platform.id);
+    }
+    return result;
+}
+
+/**
+ * Change a weapon's targeting mode (from the targeting panel)
+ * @param {string|number} weaponId - 'starbase' or a platform ID
+ * @param {string} mode - One of TARGETING_MODES (enemy.js)
+ * @returns {object} { valid, reason }
+ */
+function setWeaponTargeting(weaponId, mode) {
+    const platform = weaponId === 'starbase' ? null : findPlatform(weaponId);
+    if (weaponId !== 'starbase' && !platform) {
+        return { valid: false, reason: 'No such platform' };
+    }
+    
+    const changed = platform ? setPlatformTargetingMode(platform, mode) : setStarbaseTargetingMode(mode);
+    return changed ? { valid: true, reason: '' } : { valid: false, reason: `Unknown targeting mode '${mode}'` };
+}
+
 /**
  * Restart the game (after victory/defeat)
  */
@@ -417,6 +918,308 @@ function resumeGame() {
     clock.start();
 }
 
+// ==================== COMMANDS & REPLAYS ====================
+
+/**
+ * Carry out a command from the player, and record it for the replay
+ * While a replay plays, the player's commands are ignored - the replay gives them.
+ * @param {object} command - { type, ...fields } (see REPLAY_COMMANDS in replay.js), naming platforms by ID
+ * @returns {object} { valid, reason } (builds also return the platform)
+ */
+function issueCommand(command) {
+    if (isPlayingBack()) {
+        return { valid: false, reason: 'Watching a replay' };
+    }
+    
+    // Between frames, moving objects are where they're drawn, blended between
+    // steps; commands must see them where the simulation has them (an orbital
+    // strike has to hit the same enemies when the replay runs it)
+    restoreSimulationState(getInterpolatedObjects());
+    const result = runCommand(command);
+    applyInterpolation(getInterpolatedObjects(), accumulator / FIXED_STEP);
+    
+    if (result.valid) {
+        recordCommand(simulationTick, command);
+    }
+    return result;
+}
+
+/**
+ * Carry out a command, whether the player gave it or a replay did
+ * Both go through the same functions, so a replay plays out like the game it was recorded from.
+ * @param {object} command - { type, ...fields } (see REPLAY_COMMANDS in replay.js), naming platforms by ID
+ * @returns {object} { valid, reason }
+ */
+function runCommand(command) {
+    switch (command.type) {
+        case 'build':
+            return buildPlatform(command.platformType, new THREE.Vector3(command.x, command.y, command.z));
+        case 'upgrade':
+            return upgradeSelectedPlatform(command.platform, command.branch);
+        case 'sell':
+            return sellSelectedPlatform(command.platform);
+        case 'targeting':
+            return setWeaponTargeting(command.weapon, command.mode);
+        case 'buyUpgrade':
+            return buyUpgrade(command.upgradeId);
+        case 'startWave':
+            return startNextWave();
+        case 'callWave':
+            return callNextWave();
+        case 'ability':
+            return fireAbility(command.ability, command.x === null ? null
+                : new THREE.Vector3(command.x, command.y, command.z));
+        default:
+            return { valid: false, reason: `Unknown command '${command.type}'` };
+    }
+}
+
+/**
+ * Get the replay file for the game that just ended (Export Replay button)
+ * @returns {string|null} Replay JSON, or null if there is nothing to export
+ */
+function exportCurrentReplay() {
+    const replay = getPlaybackReplay() || getLastReplay();
+    return replay ? exportReplay(replay) : null;
+}
+
+/**
+ * Watch a replay file (Watch Replay button)
+ * The replay's level starts with the recorded seed, and its commands are
+ * fed in at their ticks (see simulationStep).
+ * @param {string} text - The replay file's contents
+ * @returns {object} { valid, reason }
+ */
+function watchReplay(text) {
+    const { valid, replay, errors } = importReplay(text);
+    if (!valid) {
+        return { valid: false, reason: errors.join('; ') };
+    }
+    
+    const level = availableLevels.find(candidate => candidate.id === replay.level);
+    if (!level) {
+        return { valid: false, reason: `Level "${replay.level}" is not available` };
+    }
+    if (replay.config !== hashConfig()) {
+        console.warn(`Replay was recorded with CONFIG ${replay.config}, this game has ${hashConfig()}`);
+    }
+    
+    startGame(level, replay.mode, replay);
+    return { valid: true, reason: '' };
+}
+
+/**
+ * Jump to a point in the replay being watched (the replay scrubber)
+ * Going back restarts the replay; either way the steps up to the target
+ * are run quickly over the next frames (see fastForwardReplay). The game
+ * speed and tactical pause are kept.
+ * @param {number} tick - Tick to go to
+ */
+function seekReplay(tick) {
+    const replay = getPlaybackReplay();
+    if (!replay) return;
+    
+    if (tick < simulationTick || !isSimulationRunning()) {
+        const speed = getGameSpeed();
+        const paused = isTacticalPaused();
+        
+        startGame(getActiveLevel(), gameMode, replay);
+        setGameSpeed(speed);
+        setTacticalPause(paused);
+        showGameSpeed();
+    }
+    replaySeekTarget = Math.min(Math.max(0, tick), replay.ticks);
+}
+
+/**
+ * Run a batch of steps towards the replay's seek target, without effects
+ * The batch size (CONFIG.replay.seekStepsPerFrame) keeps the page responsive on long jumps.
+ */
+function fastForwardReplay() {
+    fastForwarding = true;
+    for (let i = 0; i < CONFIG.replay.seekStepsPerFrame && simulationTick < replaySeekTarget
+        && isSimulationRunning(); i++) {
+        savePreviousState(getInterpolatedObjects());
+        simulationStep(FIXED_STEP);
+    }
+    fastForwarding = false;
+    
+    if (simulationTick >= replaySeekTarget || !isSimulationRunning()) {
+        replaySeekTarget = null;
+        accumulator = 0;
+    }
+}
+
+/**
+ * Check whether the replay being watched has reached the end of its recording
+ * @returns {boolean} True once every recorded step has run
+ */
+function isReplayOver() {
+    const replay = getPlaybackReplay();
+    return replay !== null && simulationTick >= replay.ticks;
+}
+
+/**
+ * Stop watching a replay and go back to the start screen (replay bar's Exit button)
+ */
+function exitReplay() {
+    if (!isPlayingBack()) return;
+    
+    stopPlayback();
+    currentState = GameState.MENU;
+    replaySeekTarget = null;
+    
+    resetAbilities();
+    clearSelection();
+    endBossEntrance(true);
+    clearEnemies();
+    clearProjectiles();
+    clearAllPlatforms();
+    
+    hideReplayBar();
+    setHUDVisible(false);
+    showScreen('start');
+}
+
+// ==================== ABILITIES ====================
+
+/**
+ * Use an ability (ability bar or hotkey)
+ * Targeted abilities start aiming - clicking the game fires them (see
+ * setAbilityTargetHandler), and picking the same ability again stops
+ * aiming. The others fire straight away.
+ * @param {string} abilityId - Key of CONFIG.abilities
+ * @returns {object} { valid, reason }
+ */
+function selectAbility(abilityId) {
+    if (isPlayingBack()) {
+        return { valid: false, reason: 'Watching a replay' };
+    }
+    if (currentState !== GameState.PLAYING) {
+        return { valid: false, reason: 'Abilities are used during waves' };
+    }
+    
+    if (!isAbilityTargeted(abilityId)) {
+        return issueCommand({ type: 'ability', ability: abilityId, x: null, y: null, z: null });
+    }
+    
+    if (abilityTargeting.abilityId === abilityId) {
+        exitAbilityTargeting();
+        return { valid: true, reason: '' };
+    }
+    
+    const check = canUseAbility(abilityId);
+    if (check.valid) {
+        enterAbilityTargeting(abilityId);
+    }
+    return check;
+}
+
+/**
+ * Fire an ability (the player's, or a replay's)
+ * @param {string} abilityId - Key of CONFIG.abilities
+ * @param {THREE.Vector3|null} target - Point on the orbital plane, for targeted abilities
+ * @returns {object} { valid, reason, hits, slowed } from useAbility()
+ */
+function fireAbility(abilityId, target) {
+    if (currentState !== GameState.PLAYING) {
+        return { valid: false, reason: 'Abilities are used during waves' };
+    }
+    
+    const result = useAbility(abilityId, target);
+    if (result.valid && !fastForwarding) {
+        showAbilityEffects(CONFIG.abilities[abilityId], target, result);
+    }
+    return result;
+}
+
+/**
+ * Show an ability going off: the blast, camera shake and damage numbers
+ * @param {object} ability - The ability's CONFIG entry
+ * @param {THREE.Vector3|null} target - Where it was aimed (targeted abilities)
+ * @param {object} result - What useAbility() returned
+ */
+function showAbilityEffects(ability, target, result) {
+    const planet = new THREE.Vector3();
+    
+    if (ability.effect === 'strike') {
+        createExplosion(target, new THREE.Color(3, 1.6, 0.4), 200, ability.radius * 1.5);
+        createSparks(target, null, 40);
+        shakeCamera(1.2, 4);
+    } else if (ability.effect === 'emp') {
+        // Particles race out to the edge of the pulse
+        createExplosion(planet, new THREE.Color(0.6, 1.4, 3), 150, ability.radius);
+        shakeCamera(0.3, 6);
+    } else if (ability.effect === 'shield') {
+        createExplosion(planet, new THREE.Color(0.3, 2, 2.5), 120, ability.radius * 1.5);
+        shakeCamera(0.5, 6);
+    }
+    
+    const screenPos = worldToScreen(target || planet, camera);
+    const detail = result.slowed.length > 0 ? ` - ${result.slowed.length} slowed` : '';
+    showFloatingText(`${ability.name}${detail}`, screenPos.x, screenPos.y - 30, '#ff8800');
+    
+    result.hits.forEach(hit => processEnemyHit(hit, false));
+}
+
+// ==================== GAME SPEED ====================
+
+/**
+ * Play at a different speed (speed buttons)
+ * Picking a speed also ends a tactical pause.
+ * @param {number} speed - One of CONFIG.simulation.speeds
+ */
+function changeGameSpeed(speed) {
+    if (!isSimulationRunning()) return;
+    
+    const result = setGameSpeed(speed);
+    if (!result.valid) {
+        console.warn(`Can't change speed: ${result.reason}`);
+        return;
+    }
+    
+    setTacticalPause(false);
+    showGameSpeed();
+}
+
+/**
+ * Step to the next game speed (speed hotkey); also ends a tactical pause
+ */
+function cycleSpeed() {
+    if (!isSimulationRunning()) return;
+    
+    cycleGameSpeed();
+    setTacticalPause(false);
+    showGameSpeed();
+}
+
+/**
+ * Stop or restart game time without leaving the game (pause button and hotkey)
+ * 
+ * Unlike pauseGame(), nothing covers the game: the player can still move
+ * the camera, select, build, upgrade and sell. Only the simulation, and the
+ * effects that belong to it, wait.
+ */
+function toggleTacticalPause() {
+    if (!isSimulationRunning()) return;
+    
+    setTacticalPause(!isTacticalPaused());
+    showGameSpeed();
+}
+
+/**
+ * Show the game speed and tactical pause on the speed controls, and play
+ * the GSAP animations that belong to the game at that speed: the HUD's
+ * damage numbers and popups (see setGameSpeedDisplay()) and the boss entrance.
+ */
+function showGameSpeed() {
+    const paused = isTacticalPaused();
+    setGameSpeedDisplay(getGameSpeed(), paused);
+    if (bossCinematic) {
+        bossCinematic.timeline.timeScale(paused ? 0 : getGameSpeed());
+    }
+}
+
 /**
  * Handle victory
  */
@@ -424,6 +1227,18 @@ function handleVictory() {
     console.log('Victory!');
     currentState = GameState.VICTORY;
     setHUDVisible(false);
+    clearSelection();
+    endBossEntrance(true);
+    
+    stopRecording(simulationTick);
+    
+    // A finished run can't be continued (a replay's run was never the player's to continue)
+    if (!isPlayingBack()) {
+        deleteSave('autosave');
+        setSaveList(listSaves());
+    }
+    
+    showRunResults('victory', recordFinishedRun(totalWaves));
     showScreen('victory');
 }
 
@@ -434,9 +1249,50 @@ function handleDefeat() {
     console.log('Defeat!');
     currentState = GameState.DEFEAT;
     setHUDVisible(false);
+    clearSelection();
+    endBossEntrance(true);
+    if (isInAbilityTargeting()) exitAbilityTargeting();
+    stopRecording(simulationTick);
+    
+    if (!isPlayingBack()) {
+        deleteSave('autosave');
+        setSaveList(listSaves());
+    }
+    
+    // Endless runs always end here - the waves before the ones still in flight were
+    // cleared (a wave called early over another wasn't beaten)
+    const wavesCleared = currentWave - getWavesInFlight();
+    recordLostWave(currentWave, getWaveSummary(), wavesCleared);
+    showRunResults('defeat', recordFinishedRun(wavesCleared));
     showScreen('defeat');
 }
 
+/**
+ * Put the run that just ended on the leaderboard for its mode and level
+ * A replay's run is only shown against the board - it was recorded when it was played.
+ * @param {number} wavesCleared - Waves the player got through
+ * @returns {object} { mode, entry, rank, entries, report } for showRunResults()
+ *                   (rank 0 = didn't make the board; report from getRunReport())
+ */
+function recordFinishedRun(wavesCleared) {
+    const levelId = getActiveLevel().id;
+    const stats = getGameStats();
+    const run = {
+        name: getPlayerName(),
+        score: stats.score,
+        waves: wavesCleared,
+        accuracy: stats.accuracy,
+        kills: stats.killsByType,
+        duration: stats.playTime
+    };
+    
+    const rank = isPlayingBack() ? 0 : recordRun(gameMode, levelId, run);
+    const entries = getLeaderboard(gameMode, levelId);
+    setLevelList(availableLevels); // Endless level cards show the best run
+    
+    return { mode: gameMode, entry: rank > 0 ? entries[rank - 1] : run, rank, entries, report: getRunReport() };
+}
+
 // ==================== WAVE MANAGEMENT ====================
 
 /**
@@ -446,32 +1302,41 @@ function handleDefeat() {
 function startWave(waveNumber) {
     console.log(`Starting Wave ${waveNumber}`);
     
-    const waveConfig = getWaveConfig(waveNumber);
+    // Build the spawn queue and reset wave tracking
+    const wave = getWaveDefinition(waveNumber);
+    startWaveSimulation(wave);
     
-    // Build spawn queue
-    waveEnemyQueue = [];
-    waveConfig.enemies.forEach(enemyGroup => {
-        for (let i = 0; i < enemyGroup.count; i++) {
-            waveEnemyQueue.push({
-                type: enemyGroup.type,
-                spawnDelay: enemyGroup.spawnDelay
-            });
-        }
-    });
-    
-    // Shuffle queue slightly for variety (optional)
-    // waveEnemyQueue = shuffleArray(waveEnemyQueue);
-    
-    enemiesToSpawnThisWave = waveEnemyQueue.length;
-    enemiesSpawnedThisWave = 0;
-    spawnTimer = 0;
-    currentEnemyTypeIndex = 0;
-    
-    // Reset wave tracking
-    resetWaveTracking();
-    
-    // Show wave announcement
-    showWaveAnnouncement(waveNumber);
+    // Show wave announcement (not while skipping through a replay)
+    if (!fastForwarding) {
+        showWaveAnnouncement(waveNumber, wave.name);
+    }
+    showNextWavePreview();
+}
+
+/**
+ * Get the wave to play
+ * In endless mode, waves past the level's own are generated. Only call
+ * this when the wave starts - generating uses the seeded random numbers.
+ * @param {number} waveNumber - Wave number (1-based)
+ * @returns {object} The wave, in wave-script format
+ */
+function getWaveDefinition(waveNumber) {
+    if (gameMode === 'endless' && waveNumber > getWaveCount()) {
+        return generateEndlessWave(waveNumber, getPathNames());
+    }
+    return getWave(waveNumber);
+}
+
+/**
+ * Get the bonus for clearing a wave
+ * @param {number} waveNumber - Wave number (1-based)
+ * @returns {number|undefined} Credits (undefined = the default bonus)
+ */
+function getWaveBonusCredits(waveNumber) {
+    if (waveNumber > getWaveCount()) {
+        return getEndlessBonusCredits(waveNumber);
+    }
+    return getWave(waveNumber).bonusCredits;
 }
 
 /**
@@ -482,14 +1347,32 @@ function completeWave() {
     
     currentState = GameState.WAVE_COMPLETE;
     
-    // Award wave bonus
-    const bonusResult = awardWaveBonus(currentWave);
+    // Abilities are for waves - stop aiming one
+    if (isInAbilityTargeting()) exitAbilityTargeting();
     
-    // Show wave summary
+    // Award the wave bonus - for every wave in flight, if later ones were called early
+    for (let waveNumber = currentWave - getWavesInFlight() + 1; waveNumber <= currentWave; waveNumber++) {
+        awardWaveBonus(waveNumber, getWaveBonusCredits(waveNumber));
+    }
+    
+    // Show wave summary (and keep it for the post-game report)
     const summary = getWaveSummary();
-    showWaveSummary(summary);
+    recordWaveStats(currentWave, summary, true);
+    if (!fastForwarding) {
+        showWaveSummary(summary);
+    }
     
-    waveTransitionTimer = WAVE_TRANSITION_DELAY;
+    // The preview stays up through the break (without the Call Early button)
+    showNextWavePreview();
+    
+    if (currentWave < totalWaves) {
+        // Shop for upgrades until the player starts the next wave
+        showUpgradePanel(currentWave + 1);
+    } else {
+        waveTransitionTimer = WAVE_TRANSITION_DELAY;
+    }
+    
+    autosave();
 }
 
 /**
@@ -511,32 +1394,73 @@ function nextWave() {
 /**
  * Main game loop
  * This runs every frame (ideally 60 times per second)
+ * 
+ * Game logic and drawing run at different rates:
+ * - The simulation advances in fixed steps (CONFIG.simulation.tickRate per second),
+ *   however long the frame took, so the outcome never depends on frame rate
+ * - Rendering happens once per frame, blending moving objects between the
+ *   last two steps so motion stays smooth
  */
 function animate() {
     // Request next frame (this creates the loop)
     requestAnimationFrame(animate);
     
     // Calculate delta time (time since last frame)
-    const deltaTime = Math.min(clock.getDelta(), 0.1); // Cap at 100ms to prevent huge jumps
+    const deltaTime = Math.min(clock.getDelta(), CONFIG.simulation.maxFrameTime); // Cap to prevent huge jumps
+    
+    // Game time runs at the chosen speed and stands still in a tactical pause
+    // (menus keep real time for the background)
+    const gameDeltaTime = isSimulationRunning() ? toGameTime(deltaTime) : deltaTime;
     
-    // Only update game logic if playing
+    // Put moving objects back where the simulation left them (undo last frame's blending)
+    restoreSimulationState(getInterpolatedObjects());
+    
+    // Run as many fixed steps as the elapsed time covers
+    // (or, when skipping through a replay, a batch towards where it's going)
+    if (replaySeekTarget !== null) {
+        fastForwardReplay();
+    } else if (isSimulationRunning()) {
+        accumulator += gameDeltaTime;
+        
+        while (accumulator >= FIXED_STEP && isSimulationRunning() && !isReplayOver()) {
+            savePreviousState(getInterpolatedObjects());
+            simulationStep(FIXED_STEP);
+            accumulator -= FIXED_STEP;
+        }
+        
+        // A replay stops where its recording ends
+        if (isReplayOver()) {
+            accumulator = 0;
+        }
+    }
+    
+    // Blend moving objects between the last two steps for drawing
+    applyInterpolation(getInterpolatedObjects(), accumulator / FIXED_STEP);
+    
+    // The selection ring follows the drawn (interpolated) position
+    updateSelectionRing(deltaTime);
+    
+    // Per-frame UI (uses the interpolated positions)
     if (currentState === GameState.PLAYING) {
-        update(deltaTime);
+        projectHealthBars(camera);
+        updateHUD(currentWave);
+        updateWavePreview(getEarlyCallBonus(getRemainingSpawnTime()));
     } else if (currentState === GameState.WAVE_COMPLETE) {
-        // Handle wave transition timing
-        waveTransitionTimer -= deltaTime;
-        if (waveTransitionTimer <= 0) {
-            nextWave();
-        }
+        // Keep credits and the build menu current between waves
+        updateHUD(currentWave);
+    }
+    if (isPlayingBack()) {
+        updateReplayBar(simulationTick);
     }
     
     // Always update camera and render (even in menus for pretty background)
-    // Pass deltaTime for camera shake decay
-    updateCamera(deltaTime);
-    updateScene(deltaTime);
+    // Camera shake decays at the game speed, but still settles in a tactical pause
+    // so the player can look around calmly
+    updateCamera(isSimulationRunning() ? deltaTime * getGameSpeed() : deltaTime);
+    updateScene(gameDeltaTime);
     
-    // Update particle effects (explosions, sparks, trails)
-    updateParticles(deltaTime);
+    // Update particle effects (explosions, sparks, trails) - frozen with the game
+    updateParticles(gameDeltaTime);
     
     // Render the scene through the post-processing composer
     // This applies bloom and other effects automatically
@@ -548,104 +1472,233 @@ function animate() {
 }
 
 /**
- * Update all game systems
- * Called every frame during gameplay
- * @param {number} deltaTime - Time since last frame in seconds
+ * Whether the simulation should advance
+ * It runs during waves and the break between them, not in menus or while paused.
+ * @returns {boolean} True if simulation steps should run
  */
-function update(deltaTime) {
-    // --- SPAWNING ---
-    // Spawn enemies according to wave configuration
-    if (enemiesSpawnedThisWave < enemiesToSpawnThisWave) {
-        spawnTimer += deltaTime;
-        
-        if (waveEnemyQueue.length > 0) {
-            const nextEnemy = waveEnemyQueue[0];
-            
-            if (spawnTimer >= nextEnemy.spawnDelay) {
-                spawnTimer = 0;
-                waveEnemyQueue.shift();
-                
-                // Spawn with random path for variety
-                const pathName = getRandomPathName();
-                spawnEnemy(nextEnemy.type, pathName);
-                enemiesSpawnedThisWave++;
+function isSimulationRunning() {
+    return currentState === GameState.PLAYING || currentState === GameState.WAVE_COMPLETE;
+}
+
+/**
+ * Run one fixed simulation step
+ * Everything that affects the outcome of a game happens in here
+ * Commands from a replay go in first, at the tick they were recorded at.
+ * @param {number} deltaTime - Always FIXED_STEP
+ */
+function simulationStep(deltaTime) {
+    // A replay's commands go in at the tick they were given
+    if (isPlayingBack()) {
+        let command;
+        while ((command = takeNextCommand(simulationTick))) {
+            const result = runCommand(command);
+            if (!result.valid) {
+                console.warn(`Replay ${command.type} at tick ${command.tick} failed: ${result.reason}`);
             }
         }
     }
+    simulationTick++;
     
-    // --- ENEMIES ---
-    const enemyResult = updateEnemies(deltaTime);
+    recordPlayTime(deltaTime);
+    sampleCredits();
     
-    // Check lose condition
-    if (enemyResult.reachedPlanet) {
-        // Big camera shake when enemy reaches planet!
-        shakeCamera(2, 3); // Intense shake, slow decay
-        
-        // Flash red vignette for dramatic impact
-        flashDamageVignette(500);
+    if (currentState === GameState.PLAYING) {
+        update(deltaTime);
+    } else if (currentState === GameState.WAVE_COMPLETE) {
+        // Abilities keep recharging through the break
+        stepBreak(deltaTime);
         
+        // Last wave done - victory after a short pause
+        if (currentWave >= totalWaves) {
+            waveTransitionTimer -= deltaTime;
+            if (waveTransitionTimer <= 0) {
+                nextWave();
+            }
+        }
+    }
+}
+
+/**
+ * Get every object the simulation moves, so rendering can interpolate them
+ * @returns {Array<THREE.Object3D>} Enemy and projectile meshes, and turrets
+ */
+function getInterpolatedObjects() {
+    const objects = [];
+    
+    enemies.forEach(enemy => objects.push(enemy.mesh));
+    projectiles.forEach(projectile => objects.push(projectile.mesh));
+    platforms.forEach(platform => {
+        const turret = platform.mesh.getObjectByName('turret');
+        if (turret) objects.push(turret);
+    });
+    
+    const starbaseTurret = starbase && starbase.getObjectByName('turret');
+    if (starbaseTurret) objects.push(starbaseTurret);
+    
+    return objects;
+}
+
+/**
+ * Update all game systems
+ * Called once per fixed simulation step during gameplay
+ * @param {number} deltaTime - Step length in seconds (FIXED_STEP)
+ */
+function update(deltaTime) {
+    // All game logic happens in the shared simulation step (js/simulation.js);
+    // this function only turns what happened into effects on screen
+    const events = stepSimulation(deltaTime);
+    
+    // Enemies that reached the planet drained its shield - defeat only at zero
+    // (skipping through a replay only needs the outcome, not the effects)
+    if (events.planetDamage > 0 && !fastForwarding) {
+        showPlanetDamage(events.planetDamage);
+    }
+    if (events.defeated) {
         handleDefeat();
         return;
     }
     
-    // --- STARBASE ---
-    const projectileData = updateStarbase(deltaTime);
-    
-    // Create projectile if starbase fired
-    if (projectileData) {
-        createProjectile(projectileData);
-        recordShot(); // Track for accuracy
+    if (!fastForwarding) {
+        showStepEffects(events);
     }
     
-    // --- PROJECTILES ---
-    const hits = updateProjectiles(deltaTime);
+    // --- WIN CONDITION ---
+    // Check if wave is complete (all enemies spawned and destroyed)
+    if (events.waveCleared) {
+        completeWave();
+    }
+}
+
+/**
+ * Show what happened in a step: boss entrances and phases, hits, burns and kills
+ * @param {object} events - Events from stepSimulation()
+ */
+function showStepEffects(events) {
+    // Bosses get an entrance, and every phase change is announced
+    events.bossSpawned.forEach(boss => {
+        showBossAnnouncement(boss.bossName || 'Boss', 'Approaching');
+        playBossEntrance(boss);
+    });
+    events.bossPhases.forEach(change => {
+        const bossName = change.enemy.bossName || 'Boss';
+        showBossAnnouncement(change.name || `Phase ${change.phase}`,
+            change.escorts.length > 0 ? `${bossName} calls for escorts` : bossName);
+        shakeCamera(0.6, 4);
+    });
     
     // Process hits
-    hits.forEach(hit => {
-        recordHit(); // Track for accuracy
-        
-        // Show damage number at hit position
-        const screenPos = worldToScreen(hit.position, camera);
-        showDamageNumber(hit.damage, screenPos.x, screenPos.y, hit.destroyed);
+    events.hits.forEach(hit => {
+        processEnemyHit(hit);
         
-        // Create visual effect
+        // Splash damage from explosive projectiles (missiles)
+        if (hit.splashHits) {
+            hit.splashHits.forEach(splashHit => processEnemyHit(splashHit, false));
+        }
+    });
+    
+    // Burn damage (the embers are drawn by enemy.js)
+    events.statusHits.forEach(hit => processEnemyHit(hit, false));
+}
+
+/**
+ * Show feedback for damage dealt to an enemy
+ * @param {object} hit - Hit result from updateProjectiles()
+ * @param {boolean} showImpact - Whether to draw the impact flash (off for splash damage)
+ */
+function processEnemyHit(hit, showImpact = true) {
+    // Show the damage that got through resistances and armor (blue if the shield took it all)
+    const screenPos = worldToScreen(hit.position, camera);
+    const shieldOnly = hit.shieldDamage > 0 && hit.shieldDamage === hit.damageDealt;
+    showDamageNumber(hit.damageDealt, screenPos.x, screenPos.y, hit.destroyed, shieldOnly);
+    
+    // Create visual effect
+    if (showImpact) {
         createHitEffect(hit.position);
+    }
+    
+    // Celebrate if the enemy was destroyed
+    if (hit.destroyed) {
+        // Create awesome particle explosion effect!
+        // Color and particle count based on enemy type
+        createEnemyDeathEffect(hit.position, hit.enemy.type);
         
-        // Record kill if enemy was destroyed
-        if (hit.destroyed) {
-            recordKill(hit.enemy.type);
-            
-            // Create awesome particle explosion effect!
-            // Color and particle count based on enemy type
-            createEnemyDeathEffect(hit.position, hit.enemy.type);
-            
-            // Small camera shake for enemy destruction feedback
-            // Armored enemies cause bigger shake (more satisfying!)
-            const shakeAmount = hit.enemy.type === 'armored' ? 0.3 : 0.15;
+        // Small camera shake for enemy destruction feedback
+        // Heavy ships (armored, carriers) cause bigger shake (more satisfying!)
+        // and bosses bigger still
+        if (hit.enemy.isBoss) {
+            shakeCamera(1, 3);
+            showBossAnnouncement(hit.enemy.bossName || 'Boss', 'Destroyed');
+        } else {
+            const shakeAmount = ['armored', 'carrier'].includes(hit.enemy.type) ? 0.3 : 0.15;
             shakeCamera(shakeAmount, 10);
-            
-            // Show credit earned
-            showFloatingText(
-                `+${hit.creditValue}`,
-                screenPos.x + 20,
-                screenPos.y - 10,
-                '#ffff00'
-            );
         }
+        
+        // Show credit earned
+        showFloatingText(
+            `+${hit.creditValue}`,
+            screenPos.x + 20,
+            screenPos.y - 10,
+            '#ffff00'
+        );
+    }
+}
+
+/**
+ * Fly the camera in to show a boss that just arrived, then back
+ * 
+ * The orbit target swings over to the boss while the camera
+ * flies in from the planet's side, so the boss is framed
+ * against the path it is about to take. The player's camera controls are
+ * off until it's over. It plays at the game speed, and waits out a
+ * tactical pause, since the boss keeps moving at that speed meanwhile.
+ * If a second boss arrives during the cinematic, it only gets its announcement.
+ * 
+ * @param {object} boss - The boss enemy
+ */
+function playBossEntrance(boss) {
+    if (bossCinematic) return;
+    
+    const bossPosition = boss.mesh.position.clone();
+    const returnPosition = camera.position.clone();
+    const closeUp = bossPosition.clone().multiplyScalar(0.7).setY(bossPosition.y + 12);
+    const { flyTime, holdTime } = BOSS_CINEMATIC;
+    
+    // The timeline flies a stand-in, and each frame the camera module moves the camera to it
+    const cameraPosition = returnPosition.clone();
+    controls.enabled = false;
+    const timeline = gsap.timeline({
+        onUpdate: () => setCameraPosition(cameraPosition, 0),
+        onComplete: () => endBossEntrance(false)
     });
     
-    // --- HEALTH BARS ---
-    // Update health bar screen positions
-    projectHealthBars(camera);
+    timeline.to(cameraPosition, { x: closeUp.x, y: closeUp.y, z: closeUp.z,
+        duration: flyTime, ease: 'power2.inOut' }, 0);
+    timeline.to(controls.target, { x: bossPosition.x, y: bossPosition.y, z: bossPosition.z,
+        duration: flyTime, ease: 'power2.inOut' }, 0);
     
-    // --- UI ---
-    updateHUD(currentWave);
+    timeline.to(cameraPosition, { x: returnPosition.x, y: returnPosition.y, z: returnPosition.z,
+        duration: flyTime, ease: 'power2.inOut' }, flyTime + holdTime);
+    timeline.to(controls.target, { x: 0, y: 0, z: 0, duration: flyTime, ease: 'power2.inOut' }, flyTime + holdTime);
     
-    // --- WIN CONDITION ---
-    // Check if wave is complete (all enemies spawned and destroyed)
-    if (enemiesSpawnedThisWave >= enemiesToSpawnThisWave && getEnemyCount() === 0) {
-        completeWave();
+    bossCinematic = { timeline, returnPosition };
+    showGameSpeed();
+}
+
+/**
+ * Finish (or cut short) the boss entrance and hand the camera back
+ * @param {boolean} restoreCamera - Cut short: also fly straight back to where the player had the camera
+ */
+function endBossEntrance(restoreCamera) {
+    if (!bossCinematic) return;
+    
+    bossCinematic.timeline.kill();
+    if (restoreCamera) {
+        setCameraPosition(bossCinematic.returnPosition, 0.3);
     }
+    bossCinematic = null;
+    
+    controls.target.set(0, 0, 0);
+    controls.enabled = true;
 }
 
 // ==================== UTILITY FUNCTIONS ====================
@@ -675,7 +1728,7 @@ function onWindowResize() {
 function shuffleArray(array) {
     const shuffled = [...array];
     for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
     }
     return shuffled;
@@ -390,27 +390,50 @@ function updateParticleSystem(system, deltaTime) {
     }
 }
 
+/**
+ * How each enemy type goes out
+ * color/count/speed describe the main explosion; the optional extras are:
+ * - sparks:    a spray of sparks on top (splitters flinging fragments, carriers' hulls breaking up)
+ * - secondary: a second, slower burst that lingers (healers venting, carriers' reactors going up)
+ * Every explosion shares one color, so the secondary burst uses the same one.
+ */
+const DEATH_EFFECTS = {
+    basic: { color: new THREE.Color(2, 0.5, 0.5), count: 30, speed: 8 },        // Bright red
+    fast: { color: new THREE.Color(2, 2, 0.3), count: 30, speed: 12 },          // Bright yellow
+    armored: { color: new THREE.Color(1.5, 0.5, 2), count: 50, speed: 8 },      // Bright purple
+    shielded: { color: new THREE.Color(0.4, 1.2, 2.5), count: 30, speed: 8 },   // Bright blue
+    splitter: { color: new THREE.Color(2.5, 1.2, 0.2), count: 35, speed: 10, sparks: 16 },  // Orange
+    healer: {
+        color: new THREE.Color(0.4, 2.5, 0.8), count: 30, speed: 6,                          // Green
+        secondary: { count: 20, speed: 3 }
+    },
+    stealth: { color: new THREE.Color(1, 1.2, 1.5), count: 20, speed: 14 },     // A quick pale flicker
+    carrier: {
+        color: new THREE.Color(0.3, 2.2, 1.8), count: 60, speed: 9, sparks: 20,             // Teal
+        secondary: { count: 40, speed: 4 }
+    },
+    drone: { color: new THREE.Color(2.5, 0.8, 2), count: 12, speed: 6 }         // Small pink pop
+};
+
 /**
  * Create an enemy death explosion with colored particles
  * 
- * Automatically chooses color based on enemy type
+ * Automatically chooses the effect based on enemy type (see DEATH_EFFECTS)
  * 
  * @param {THREE.Vector3} position - Where enemy died
- * @param {string} enemyType - Type of enemy ('basic', 'fast', 'armored')
+ * @param {string} enemyType - Type of enemy from CONFIG.enemies
  */
 export function createEnemyDeathEffect(position, enemyType) {
-    // Color based on enemy type
-    const colors = {
-        basic: new THREE.Color(2, 0.5, 0.5),    // Bright red
-        fast: new THREE.Color(2, 2, 0.3),       // Bright yellow
-        armored: new THREE.Color(1.5, 0.5, 2)   // Bright purple
-    };
+    const effect = DEATH_EFFECTS[enemyType] || DEATH_EFFECTS.basic;
     
-    const color = colors[enemyType] || colors.basic;
-    const count = enemyType === 'armored' ? 50 : 30;
-    const speed = enemyType === 'fast' ? 12 : 8;
+    createExplosion(position, effect.color, effect.count, effect.speed);
     
-    createExplosion(position, color, count, speed);
+    if (effect.secondary) {
+        createExplosion(position, effect.color, effect.secondary.count, effect.secondary.speed);
+    }
+    if (effect.sparks) {
+        createSparks(position, null, effect.sparks);
+    }
 }
 
 /**
@@ -8,12 +8,14 @@
  * Key concepts:
  * - Waypoints: Specific points the path passes through
  * - Interpolation: Calculating positions between waypoints for smooth movement
- * - Multiple paths: Different routes for variety (in later sprints)
+ * - Multiple paths: Different routes for variety, defined per level
  */
 
 import * as THREE from 'three';
 import { CONFIG } from './config.js';
 import { scene } from './scene.js';
+import { getActiveLevel } from './level.js';
+import { randomChoice } from './random.js';
 
 // Store path data
 const paths = {};
@@ -21,105 +23,70 @@ let pathVisuals = []; // Visual representation of paths (for debugging)
 
 /**
  * Initialize the path system
- * Creates the default paths enemies will follow
+ * Builds one path for every waypoint list in the active level
+ * (see js/level.js for the level format)
  */
 export function initPaths() {
-    // Create the default path - a spiral approach to the planet
-    createPath('default', generateDefaultPath());
+    clearPaths();
     
-    // Create additional paths for variety
-    createPath('leftFlank', generateLeftFlankPath());
-    createPath('rightFlank', generateRightFlankPath());
-}
-
-/**
- * Generates the default approach path
- * Enemies come from far away and spiral inward toward the planet
- * @returns {Array<THREE.Vector3>} Array of waypoints
- */
-function generateDefaultPath() {
-    const waypoints = [];
-    const spawnDistance = CONFIG.path.spawnDistance;
-    
-    // Start far away (top-right)
-    waypoints.push(new THREE.Vector3(spawnDistance, 10, spawnDistance * 0.7));
-    
-    // Curve around through space
-    waypoints.push(new THREE.Vector3(spawnDistance * 0.5, 5, spawnDistance * 0.3));
-    waypoints.push(new THREE.Vector3(20, 2, 25));
-    waypoints.push(new THREE.Vector3(-10, 0, 20));
-    waypoints.push(new THREE.Vector3(-15, -2, 5));
-    waypoints.push(new THREE.Vector3(-5, 0, -10));
-    waypoints.push(new THREE.Vector3(10, 0, -5));
-    
-    // Final approach to planet center
-    waypoints.push(new THREE.Vector3(5, 0, 2));
-    waypoints.push(new THREE.Vector3(0, 0, 0)); // Planet center
-    
-    return waypoints;
-}
-
-/**
- * Generates a left flank approach path
- * @returns {Array<THREE.Vector3>} Array of waypoints
- */
-function generateLeftFlankPath() {
-    const waypoints = [];
-    const spawnDistance = CONFIG.path.spawnDistance;
-    
-    // Start from the left
-    waypoints.push(new THREE.Vector3(-spawnDistance, 5, spawnDistance * 0.5));
-    waypoints.push(new THREE.Vector3(-spawnDistance * 0.6, 3, 30));
-    waypoints.push(new THREE.Vector3(-30, 0, 15));
-    waypoints.push(new THREE.Vector3(-20, -2, 0));
-    waypoints.push(new THREE.Vector3(-10, 0, -5));
-    waypoints.push(new THREE.Vector3(0, 0, 0));
+    const level = getActiveLevel();
+    if (!level) {
+        console.warn('initPaths() called before a level was chosen - no paths created');
+        return;
+    }
     
-    return waypoints;
+    Object.entries(level.paths).forEach(([name, waypoints]) => {
+        createPath(name, waypoints);
+    });
 }
 
 /**
- * Generates a right flank approach path
- * @returns {Array<THREE.Vector3>} Array of waypoints
+ * Remove all paths (and their debug visuals)
+ * Called before building the paths for a new level
  */
-function generateRightFlankPath() {
-    const waypoints = [];
-    const spawnDistance = CONFIG.path.spawnDistance;
-    
-    // Start from the right
-    waypoints.push(new THREE.Vector3(spawnDistance, 5, -spawnDistance * 0.5));
-    waypoints.push(new THREE.Vector3(spawnDistance * 0.6, 3, -30));
-    waypoints.push(new THREE.Vector3(30, 0, -15));
-    waypoints.push(new THREE.Vector3(20, -2, 0));
-    waypoints.push(new THREE.Vector3(10, 0, 5));
-    waypoints.push(new THREE.Vector3(0, 0, 0));
-    
-    return waypoints;
+function clearPaths() {
+    setPathsVisible(false);
+    Object.keys(paths).forEach(name => delete paths[name]);
 }
 
 /**
  * Creates a named path from waypoints
  * @param {string} name - Path identifier
- * @param {Array<THREE.Vector3>} waypoints - Points along the path
+ * @param {Array<Array<number>|THREE.Vector3>} waypoints - Points along the path,
+ *        either [x, y, z] lists (as written in level files) or Vector3s
  */
-function createPath(name, waypoints) {
+export function createPath(name, waypoints) {
+    const points = waypoints.map(point => Array.isArray(point)
+        ? new THREE.Vector3(point[0], point[1], point[2])
+        : point.clone());
+    
     // Calculate total path length (used for progress calculation)
     let totalLength = 0;
     const segmentLengths = [];
     
-    for (let i = 0; i < waypoints.length - 1; i++) {
-        const length = waypoints[i].distanceTo(waypoints[i + 1]);
+    for (let i = 0; i < points.length - 1; i++) {
+        const length = points[i].distanceTo(points[i + 1]);
         segmentLengths.push(length);
         totalLength += length;
     }
     
     paths[name] = {
-        waypoints,
+        waypoints: points,
         segmentLengths,
         totalLength
     };
 }
 
+/**
+ * Look up a path by name
+ * Unknown names fall back to the level's first path so a typo can't crash the game
+ * @param {string} pathName - Path identifier
+ * @returns {object} Path data { waypoints, segmentLengths, totalLength }
+ */
+function getPath(pathName) {
+    return paths[pathName] || Object.values(paths)[0];
+}
+
 /**
  * Get position along a path at a given progress (0 to 1)
  * Uses Catmull-Rom spline for smooth interpolation
@@ -129,7 +96,7 @@ function createPath(name, waypoints) {
  * @returns {THREE.Vector3} Position on the path
  */
 export function getPositionOnPath(pathName, progress) {
-    const path = paths[pathName] || paths['default'];
+    const path = getPath(pathName);
     const waypoints = path.waypoints;
     
     // Clamp progress to 0-1 range
@@ -229,17 +196,25 @@ export function getDirectionOnPath(pathName, progress) {
  * @returns {THREE.Vector3} Starting position
  */
 export function getPathSpawnPosition(pathName) {
-    const path = paths[pathName] || paths['default'];
+    const path = getPath(pathName);
     return path.waypoints[0].clone();
 }
 
 /**
  * Get a random path name
+ * Uses the seeded generator so the same seed picks the same paths
  * @returns {string} Path name
  */
 export function getRandomPathName() {
-    const pathNames = Object.keys(paths);
-    return pathNames[Math.floor(Math.random() * pathNames.length)];
+    return randomChoice(Object.keys(paths));
+}
+
+/**
+ * Get the names of all paths
+ * @returns {Array<string>} Path names
+ */
+export function getPathNames() {
+    return Object.keys(paths);
 }
 
 /**
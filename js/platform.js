@@ -8,68 +8,76 @@
  * Platforms are similar to the starbase but can be placed anywhere on the
  * orbital plane. Each platform type has different stats (damage, range, fire rate).
  * 
- * For Task 1.2, we're creating the base structure:
- * - Platform class/object structure
- * - Basic visual representation
- * - Scene integration
- * 
- * Future tasks will add:
- * - Distinct visuals for each platform type (Task 1.3, 1.4)
- * - Placement system (Task 2.x)
- * - Combat system (Task 3.x)
+ * This module covers:
+ * - Platform class/object structure and visuals (Task 1.x)
+ * - Placement system with validation and preview (Task 2.x)
+ * - Combat system: targeting, turret tracking and firing (Task 3.x)
+ * - Upgrade levels: 1-3, then a choice of two level 4 branches, each with
+ *   its own stats (from CONFIG.platforms) and extra visuals on the mesh
  */
 
 import * as THREE from 'three';
 import { scene } from './scene.js';
 import { getPlatformConfig, CONFIG } from './config.js';
+import { selectTarget, isTargetingMode, DEFAULT_TARGETING_MODE } from './enemy.js';
+import { canAfford, spendCredits, addCredits, getSellRefund } from './economy.js';
+import { getPlacementRules, isPointInRegion } from './level.js';
+
+// dampAngle gives the same smooth, frame-rate independent turret motion as the starbase
+import { dampAngle } from './mathUtils.js';
+
+// Particle effects for muzzle sparks
+import { createMuzzleSparks } from './particles.js';
 
 // Store all active platforms
 export const platforms = [];
 
-// ==================== PLACEMENT CONSTANTS ====================
-// These define the rules for where platforms can be placed
-
-/**
- * Minimum distance from planet center where platforms can be placed.
- * This should be larger than the planet radius to prevent platforms
- * from being inside the planet.
- * 
- * The planet radius is defined in CONFIG.path.planetRadius (default 5).
- * We add a buffer zone so platforms aren't touching the planet.
- */
-const MIN_PLACEMENT_DISTANCE = 15; // Must be further than planet radius + buffer
+// Next platform ID to hand out.
+// IDs must stay unique even after platforms are removed, so we can't
+// just use the array index (removing one would shift everyone else).
+let nextPlatformId = 0;
 
-/**
- * Maximum distance from planet center where platforms can be placed.
- * This keeps platforms in a reasonable "orbital defense zone".
- * 
- * The enemy spawn distance is CONFIG.path.spawnDistance (default 80).
- * We want platforms closer than where enemies spawn.
- */
-const MAX_PLACEMENT_DISTANCE = 70; // Must be closer than enemy spawn
+// Name given to every mesh an upgrade level adds (rings, side barrels),
+// so they can be found and replaced when the platform levels up again
+const LEVEL_VISUAL_NAME = 'levelVisual';
 
-/**
- * Minimum distance between platforms.
- * This prevents platforms from being placed too close together,
- * which would look bad and could cause targeting issues.
- */
-const MIN_PLATFORM_SPACING = 10;
+// ==================== PLACEMENT VALIDATION FUNCTIONS ====================
+// Where platforms can be placed is decided by the active level
+// (allowed/forbidden regions and spacing, see js/level.js).
+// CONFIG.placement holds the defaults for levels that don't say.
 
 /**
- * Grid spacing for optional snap-to-grid placement.
- * When enabled, platforms will snap to the nearest grid point.
- * This creates a cleaner, more organized look.
+ * Checks if the player may place a platform of the given type at a position.
+ * 
+ * This combines the purchase check with the position rules from
+ * isValidPlacementPosition(). Credits are checked first, because if the
+ * player can't afford the platform, no position will work.
+ * 
+ * @param {string} type - Platform type ('laserBattery' or 'missileLauncher')
+ * @param {THREE.Vector3|object} position - The position to validate
+ * @returns {object} Result object with { valid: boolean, reason: string }
  */
-const GRID_SPACING = 5;
-
-// ==================== PLACEMENT VALIDATION FUNCTIONS ====================
+export function validatePlacement(type, position) {
+    const config = getPlatformConfig(type);
+    
+    if (!canAfford(config.cost)) {
+        return {
+            valid: false,
+            reason: 'Not enough credits'
+        };
+    }
+    
+    return isValidPlacementPosition(position);
+}
 
 /**
  * Checks if a position is valid for placing a platform.
  * 
- * This is the main validation function that checks all placement rules:
- * 1. Position must be within the valid distance range from planet center
- * 2. Position must not overlap with existing platforms
+ * This is the main validation function that checks all placement rules
+ * of the active level:
+ * 1. Position must be inside at least one allowed region
+ * 2. Position must not be inside any forbidden region
+ * 3. Position must not overlap with existing platforms
  * 
  * @param {THREE.Vector3|object} position - The position to validate
  * @returns {object} Result object with { valid: boolean, reason: string }
@@ -84,23 +92,23 @@ export function isValidPlacementPosition(position) {
         ? position 
         : new THREE.Vector3(position.x || 0, position.y || 0, position.z || 0);
     
-    // Calculate distance from planet center (which is at origin 0,0,0)
-    // We only care about horizontal distance (X-Z plane), not height (Y)
-    const horizontalDistance = Math.sqrt(pos.x * pos.x + pos.z * pos.z);
+    const rules = getPlacementRules();
     
-    // Check minimum distance (not too close to planet)
-    if (horizontalDistance < MIN_PLACEMENT_DISTANCE) {
+    // Regions live on the orbital plane, so only X and Z matter (not height)
+    // Must be inside at least one allowed region
+    if (!rules.allowed.some(region => isPointInRegion(region, pos.x, pos.z))) {
         return {
             valid: false,
-            reason: 'Too close to planet'
+            reason: getOutsideZoneReason(rules.allowed, pos)
         };
     }
     
-    // Check maximum distance (not too far from planet)
-    if (horizontalDistance > MAX_PLACEMENT_DISTANCE) {
+    // Must not be inside any forbidden region
+    const forbidden = rules.forbidden.find(region => isPointInRegion(region, pos.x, pos.z));
+    if (forbidden) {
         return {
             valid: false,
-            reason: 'Too far from planet'
+            reason: forbidden.label || 'Inside a no-build zone'
         };
     }
     
@@ -120,11 +128,30 @@ export function isValidPlacementPosition(position) {
     };
 }
 
+/**
+ * Explain why a position is outside the build zone
+ * 
+ * For the classic single ring around the planet we can be specific
+ * ("Too close" / "Too far"); other layouts get a general message.
+ * 
+ * @param {Array<object>} allowed - The level's allowed regions
+ * @param {THREE.Vector3} pos - The rejected position
+ * @returns {string} Reason to show the player
+ */
+function getOutsideZoneReason(allowed, pos) {
+    if (allowed.length === 1 && allowed[0].shape === 'ring') {
+        const [centerX, centerZ] = allowed[0].center || [0, 0];
+        const distance = Math.hypot(pos.x - centerX, pos.z - centerZ);
+        return distance < allowed[0].minRadius ? 'Too close to planet' : 'Too far from planet';
+    }
+    return 'Outside the build zone';
+}
+
 /**
  * Checks if a position would overlap with any existing platform.
  * 
- * "Overlap" means the position is within MIN_PLATFORM_SPACING distance
- * of any existing platform.
+ * "Overlap" means the position is within the level's minimum platform
+ * spacing of any existing platform.
  * 
  * @param {THREE.Vector3|object} position - The position to check
  * @param {object|null} excludePlatform - Optional platform to exclude from check
@@ -165,7 +192,7 @@ export function checkPlatformOverlap(position, excludePlatform = null) {
     }
     
     // Check if the nearest platform is too close
-    const overlapping = nearestDistance < MIN_PLATFORM_SPACING;
+    const overlapping = nearestDistance < getPlacementRules().minSpacing;
     
     return {
         overlapping,
@@ -178,13 +205,13 @@ export function checkPlatformOverlap(position, excludePlatform = null) {
  * Snaps a position to the nearest grid point.
  * 
  * This is optional but creates a cleaner look when placing platforms.
- * The grid is based on GRID_SPACING units.
+ * The grid is based on CONFIG.placement.gridSpacing units.
  * 
  * @param {THREE.Vector3|object} position - The position to snap
  * @returns {THREE.Vector3} The snapped position
  * 
  * How snapping works:
- * If GRID_SPACING is 5, then positions snap to multiples of 5:
+ * If the grid spacing is 5, then positions snap to multiples of 5:
  * - 7 snaps to 5
  * - 8 snaps to 10
  * - 12 snaps to 10
@@ -197,8 +224,9 @@ export function snapToGrid(position) {
         : new THREE.Vector3(position.x || 0, position.y || 0, position.z || 0);
     
     // Snap X and Z to grid (Y stays the same - platforms are on the orbital plane)
-    pos.x = Math.round(pos.x / GRID_SPACING) * GRID_SPACING;
-    pos.z = Math.round(pos.z / GRID_SPACING) * GRID_SPACING;
+    const gridSpacing = CONFIG.placement.gridSpacing;
+    pos.x = Math.round(pos.x / gridSpacing) * gridSpacing;
+    pos.z = Math.round(pos.z / gridSpacing) * gridSpacing;
     
     return pos;
 }
@@ -208,14 +236,13 @@ export function snapToGrid(position) {
  * 
  * This allows the UI to show the valid placement zone to the player.
  * 
- * @returns {object} The placement constraints
+ * @returns {object} The placement constraints for the active level
+ *          { allowed, forbidden, minSpacing, gridSpacing }
  */
 export function getPlacementConstraints() {
     return {
-        minDistance: MIN_PLACEMENT_DISTANCE,
-        maxDistance: MAX_PLACEMENT_DISTANCE,
-        minSpacing: MIN_PLATFORM_SPACING,
-        gridSpacing: GRID_SPACING
+        ...getPlacementRules(),
+        gridSpacing: CONFIG.placement.gridSpacing
     };
 }
 
@@ -246,7 +273,8 @@ export const placementState = {
     active: false,           // Is placement mode active?
     selectedType: null,      // Which platform type is selected ('laserBattery' or 'missileLauncher')
     previewPosition: new THREE.Vector3(), // Current preview position
-    isValidPosition: false   // Is the current position valid for placement?
+    isValidPosition: false,  // Is the current position valid for placement?
+    invalidReason: null      // Why the current position is invalid (for UI feedback)
 };
 
 /**
@@ -418,9 +446,10 @@ export function updatePlacementPreview(position) {
         rangeIndicator.position.copy(pos);
     }
     
-    // Check if position is valid
-    const validationResult = isValidPlacementPosition(pos);
+    // Check if position is valid (and the player can afford the platform)
+    const validationResult = validatePlacement(placementState.selectedType, pos);
     placementState.isValidPosition = validationResult.valid;
+    placementState.invalidReason = validationResult.valid ? null : validationResult.reason;
     
     // Update colors based on validity
     updatePreviewColor(validationResult.valid);
@@ -490,36 +519,39 @@ export function removePlacementPreview() {
     placementState.active = false;
     placementState.selectedType = null;
     placementState.isValidPosition = false;
+    placementState.invalidReason = null;
 }
 
 /**
  * Attempts to place a platform at the current preview position.
  * 
  * This is called when the player clicks to confirm placement.
- * It validates the position and creates the platform if valid.
+ * It validates the position, charges the platform's cost, and creates
+ * the platform if everything checks out.
+ * 
+ * If placement fails, placementState.invalidReason says why
+ * (e.g. "Not enough credits" or "Too close to planet").
  * 
+ * @param {Function} place - Builds the platform: called with (type, position), returns
+ *                           { valid, reason, platform } like placePlatform() (the default).
+ *                           main.js passes its own, which also records the build for replays.
  * @returns {object|null} The created platform, or null if placement failed
  */
-export function confirmPlacement() {
+export function confirmPlacement(place = placePlatform) {
     if (!placementState.active || !placementState.selectedType) {
         console.log('No active placement to confirm');
         return null;
     }
     
-    // Validate position one more time
-    const validationResult = isValidPlacementPosition(placementState.previewPosition);
+    const result = place(placementState.selectedType, placementState.previewPosition.clone());
     
-    if (!validationResult.valid) {
-        console.log(`Cannot place platform: ${validationResult.reason}`);
+    if (!result.valid) {
+        placementState.invalidReason = result.reason;
+        console.log(`Cannot place platform: ${result.reason}`);
         return null;
     }
     
-    // Create the actual platform
-    const platform = createPlatform(
-        placementState.selectedType,
-        placementState.previewPosition.clone()
-    );
-    
+    const platform = result.platform;
     console.log(`Platform placed at (${platform.position.x.toFixed(1)}, ${platform.position.z.toFixed(1)})`);
     
     // Remove the preview (placement complete)
@@ -528,6 +560,39 @@ export function confirmPlacement() {
     return platform;
 }
 
+/**
+ * Buys and builds a platform at a position, without the placement preview.
+ * 
+ * Runs the same checks as the player's click (validatePlacement), charges
+ * the cost and creates the platform. confirmPlacement() uses this for the
+ * preview position; scripted builds (e.g. the balance simulator) call it
+ * directly.
+ * 
+ * @param {string} type - Platform type ('laserBattery' or 'missileLauncher')
+ * @param {THREE.Vector3|object} position - Where to build
+ * @returns {object} { valid: boolean, reason: string, platform: object|null }
+ */
+export function placePlatform(type, position) {
+    // Validate position (and cost) one more time
+    const validationResult = validatePlacement(type, position);
+    
+    if (!validationResult.valid) {
+        return { valid: false, reason: validationResult.reason, platform: null };
+    }
+    
+    // Pay for the platform
+    const cost = getPlatformConfig(type).cost;
+    if (!spendCredits(cost)) {
+        return { valid: false, reason: 'Not enough credits', platform: null };
+    }
+    
+    // Create the actual platform
+    const platform = createPlatform(type, position);
+    platform.totalSpent += cost;
+    
+    return { valid: true, reason: validationResult.reason, platform };
+}
+
 /**
  * Cancels the current placement operation.
  * 
@@ -582,14 +647,25 @@ export function createPlatform(type, position) {
         damage: config.damage,
         range: config.range,
         fireRate: config.fireRate,
+        rotationSpeed: config.rotationSpeed,
+        projectileSpeed: config.projectileSpeed,
+        projectileKind: config.projectile, // Which CONFIG.projectiles kind it fires
+        damageType: config.damageType,     // Which CONFIG.damageTypes type it deals
+        detectionRange: config.detectionRange || 0, // Reveals stealth enemies this close (0 = can't)
         cost: config.cost,
+        totalSpent: 0,           // Credits the player has put into this platform (for sell refunds)
+        level: 1,                // Upgrade level (see UPGRADE LEVELS below)
+        branch: null,            // Level 4 branch chosen (a key of config.branches), or null
         
-        // Combat state (will be used in Task 3.x)
+        // Combat state (updated by updatePlatforms)
         timeSinceLastShot: 0,    // Track firing cooldown
         currentTarget: null,     // Currently targeted enemy
+        targetingMode: DEFAULT_TARGETING_MODE, // Which enemy to prefer (TARGETING_MODES in enemy.js)
+        kills: 0,                // Enemies this platform has destroyed (shown in the inspector)
+        damageDealt: 0,          // Health its shots have taken off enemies
         
-        // Platform ID for tracking
-        id: platforms.length,     // Simple ID based on array index
+        // Platform ID for tracking (also used as the projectile source)
+        id: nextPlatformId++,
         
         // Reference for easy access during interactions
         // Similar to how enemies store reference on mesh
@@ -614,11 +690,15 @@ export function createPlatform(type, position) {
  * This will be replaced with distinct visuals in Tasks 1.3 and 1.4.
  * 
  * We use a simple box/cylinder combination to represent the platform.
+ * Upgraded platforms also get the extras their level's "visual" asks for
+ * (see addLevelVisuals).
  * 
  * @param {string} type - Platform type
+ * @param {object|null} visual - Level visuals from CONFIG ({ rings, sideBarrels, color }),
+ *                               or null for a level 1 platform
  * @returns {THREE.Group} The platform mesh group
  */
-function createPlatformMesh(type) {
+function createPlatformMesh(type, visual = null) {
     // Use a Group to combine multiple meshes (like starbase does)
     const platformGroup = new THREE.Group();
     
@@ -659,9 +739,73 @@ function createPlatformMesh(type) {
     barrel.name = 'barrel';       // Named for easy access later
     turret.add(barrel);
     
+    addLevelVisuals(platformGroup, visual);
+    
     return platformGroup;
 }
 
+/**
+ * Adds the extras an upgrade level shows on the mesh
+ * 
+ * - Glowing rings stacked around the base, one per "rings"
+ * - "sideBarrels" extra barrels on each side of the main one (they turn
+ *   with the turret; shots still leave from the main barrel)
+ * 
+ * Every extra is named LEVEL_VISUAL_NAME so it can be swapped out when
+ * the platform is upgraded again.
+ * 
+ * @param {THREE.Group} platformGroup - Mesh from createPlatformMesh()
+ * @param {object|null} visual - { rings, sideBarrels, color }, or null for none
+ */
+function addLevelVisuals(platformGroup, visual) {
+    if (!visual) return;
+    
+    // Rings: bright unlit color so bloom makes them glow
+    for (let i = 0; i < (visual.rings || 0); i++) {
+        const ring = new THREE.Mesh(
+            new THREE.TorusGeometry(2.7 + i * 0.35, 0.08, 8, 32),
+            new THREE.MeshBasicMaterial({ color: visual.color })
+        );
+        ring.rotation.x = Math.PI / 2; // Lie flat around the base
+        ring.position.y = 0.1 + i * 0.2;
+        ring.name = LEVEL_VISUAL_NAME;
+        platformGroup.add(ring);
+    }
+    
+    // Side barrels: copies of the main barrel with a glowing tip
+    const turret = platformGroup.getObjectByName('turret');
+    const mainBarrel = platformGroup.getObjectByName('barrel');
+    for (let i = 1; i <= (visual.sideBarrels || 0); i++) {
+        [-1, 1].forEach(side => {
+            const sideBarrel = new THREE.Mesh(mainBarrel.geometry.clone(), mainBarrel.material.clone());
+            sideBarrel.rotation.copy(mainBarrel.rotation);
+            sideBarrel.position.set(side * 0.5 * i, mainBarrel.position.y, mainBarrel.position.z * 0.8);
+            sideBarrel.material.emissive.set(visual.color);
+            sideBarrel.material.emissiveIntensity = 0.4;
+            sideBarrel.name = LEVEL_VISUAL_NAME;
+            turret.add(sideBarrel);
+        });
+    }
+}
+
+/**
+ * Replaces a platform's level extras with the ones for its current level
+ * @param {object} platform - The platform (its mesh is updated in place)
+ */
+function updateLevelVisuals(platform) {
+    const oldVisuals = [];
+    platform.mesh.traverse(child => {
+        if (child.name === LEVEL_VISUAL_NAME) oldVisuals.push(child);
+    });
+    oldVisuals.forEach(child => {
+        child.parent.remove(child);
+        child.geometry.dispose();
+        child.material.dispose();
+    });
+    
+    addLevelVisuals(platform.mesh, getPlatformLevelStats(platform.type, platform.level, platform.branch).visual);
+}
+
 /**
  * Removes a platform from the scene
  * 
@@ -693,6 +837,27 @@ export function removePlatform(platform) {
     platform.alive = false;
 }
 
+/**
+ * Sells a platform, refunding part of what the player spent on it.
+ * 
+ * The refund is CONFIG.economy.sellRefundPercent of the platform's
+ * totalSpent (its build cost plus anything spent on it since).
+ * 
+ * @param {object} platform - The platform to sell
+ * @returns {number} Credits refunded (0 if the platform wasn't active)
+ */
+export function sellPlatform(platform) {
+    if (!platform || !platform.alive) return 0;
+    
+    const refund = getSellRefund(platform.totalSpent);
+    addCredits(refund, `sell_${platform.type}`);
+    
+    removePlatform(platform);
+    
+    console.log(`Sold ${platform.type} for ${refund} credits`);
+    return refund;
+}
+
 /**
  * Clears all platforms from the scene
  * 
@@ -709,3 +874,380 @@ export function clearAllPlatforms() {
     // Ensure array is empty
     platforms.length = 0;
 }
+
+// ==================== UPGRADE LEVELS ====================
+// 
+// A platform starts at level 1 with the stats in CONFIG.platforms[type].
+// The type's "levels" array holds the upgrades to levels 2 and 3, and its
+// "branches" the level 4 choices - the player picks one branch, and that
+// platform can't take the other. Each upgrade sets damage, range and
+// fireRate to its own values (they are the platform's new stats, not
+// amounts to add) and changes the mesh through its "visual".
+
+/**
+ * Gets a platform type's stats at an upgrade level
+ * 
+ * @param {string} type - Platform type
+ * @param {number} level - 1 to 4
+ * @param {string|null} branch - Level 4 branch (ignored below level 4)
+ * @returns {object|null} { damage, range, fireRate, projectile, visual }, or null if the
+ *                        type has no such level or branch
+ */
+export function getPlatformLevelStats(type, level, branch = null) {
+    const config = getPlatformConfig(type);
+    const levels = config.levels || [];
+    
+    let entry;
+    if (level === 1) {
+        entry = { ...config, visual: null };
+    } else if (level <= levels.length + 1) {
+        entry = levels[level - 2];
+    } else if (level === levels.length + 2) {
+        entry = config.branches && config.branches[branch];
+    }
+    if (!entry) return null;
+    
+    return {
+        damage: entry.damage,
+        range: entry.range,
+        fireRate: entry.fireRate,
+        projectile: entry.projectile || config.projectile, // Branches can fire another kind
+        visual: entry.visual || null
+    };
+}
+
+/**
+ * Lists the upgrades a platform can take next
+ * 
+ * Before the last numbered level there is one option; after it there is
+ * one per branch; a platform that has chosen its branch has none.
+ * 
+ * @param {object} platform - The platform
+ * @returns {Array<object>} { level, branch, name, description, cost, stats } for each option;
+ *                          stats is { damage, range, fireRate } at that level
+ */
+export function getPlatformUpgradeOptions(platform) {
+    const config = getPlatformConfig(platform.type);
+    const levels = config.levels || [];
+    const nextLevel = platform.level + 1;
+    
+    if (nextLevel <= levels.length + 1) {
+        const entry = levels[nextLevel - 2];
+        return [{
+            level: nextLevel,
+            branch: null,
+            name: `Level ${nextLevel}`,
+            description: '',
+            cost: entry.cost,
+            stats: pickLevelStats(entry)
+        }];
+    }
+    
+    if (nextLevel === levels.length + 2 && config.branches) {
+        return Object.entries(config.branches).map(([branch, entry]) => ({
+            level: nextLevel,
+            branch,
+            name: entry.name,
+            description: entry.description || '',
+            cost: entry.cost,
+            stats: pickLevelStats(entry)
+        }));
+    }
+    
+    return [];
+}
+
+/**
+ * Copies the stats an upgrade level sets
+ * @param {object} entry - A level or branch from CONFIG
+ * @returns {object} { damage, range, fireRate }
+ */
+function pickLevelStats(entry) {
+    return { damage: entry.damage, range: entry.range, fireRate: entry.fireRate };
+}
+
+/**
+ * Checks whether a platform can take an upgrade right now
+ * 
+ * @param {object} platform - The platform to upgrade
+ * @param {string|null} branch - Level 4 branch to take (needed only for level 4)
+ * @returns {object} { valid: boolean, reason: string }
+ */
+export function canUpgradePlatform(platform, branch = null) {
+    if (!platform || !platform.alive) {
+        return { valid: false, reason: 'Platform not active' };
+    }
+    
+    const options = getPlatformUpgradeOptions(platform);
+    if (options.length === 0) {
+        return { valid: false, reason: 'Fully upgraded' };
+    }
+    
+    const option = findUpgradeOption(options, branch);
+    if (!option) {
+        return { valid: false, reason: branch ? `Unknown branch '${branch}'` : 'Choose a branch' };
+    }
+    
+    if (!canAfford(option.cost)) {
+        return { valid: false, reason: 'Not enough credits' };
+    }
+    
+    return { valid: true, reason: '' };
+}
+
+/**
+ * Finds the option matching a branch (null matches the single, unbranched option)
+ * @param {Array<object>} options - From getPlatformUpgradeOptions()
+ * @param {string|null} branch - Branch asked for
+ * @returns {object|undefined} The option
+ */
+function findUpgradeOption(options, branch) {
+    return options.find(option => option.branch === (branch || null));
+}
+
+/**
+ * Upgrades a platform to its next level, paying with spendCredits()
+ * 
+ * The cost is added to the platform's totalSpent, so selling an upgraded
+ * platform refunds part of its upgrades too.
+ * 
+ * @param {object} platform - The platform to upgrade
+ * @param {string|null} branch - Level 4 branch to take (needed only for level 4)
+ * @returns {object} { valid: boolean, reason: string }
+ */
+export function upgradePlatform(platform, branch = null) {
+    const check = canUpgradePlatform(platform, branch);
+    if (!check.valid) return check;
+    
+    const option = findUpgradeOption(getPlatformUpgradeOptions(platform), branch);
+    if (!spendCredits(option.cost)) {
+        return { valid: false, reason: 'Not enough credits' };
+    }
+    
+    platform.totalSpent += option.cost;
+    setPlatformLevel(platform, option.level, option.branch);
+    
+    console.log(`Upgraded ${platform.type} #${platform.id} to ${option.name}`);
+    return check;
+}
+
+/**
+ * Puts a platform at a level without paying for it
+ * 
+ * Sets damage, range, fireRate and the projectile kind to that level's
+ * values and swaps the mesh's level extras. Used by upgradePlatform() and
+ * by saved games.
+ * 
+ * @param {object} platform - The platform
+ * @param {number} level - 1 to 4
+ * @param {string|null} branch - Level 4 branch
+ * @returns {boolean} True if the type has that level (and branch)
+ */
+export function setPlatformLevel(platform, level, branch = null) {
+    const stats = getPlatformLevelStats(platform.type, level, branch);
+    if (!stats) return false;
+    
+    const levels = getPlatformConfig(platform.type).levels || [];
+    platform.level = level;
+    platform.branch = level === levels.length + 2 ? branch : null;
+    platform.damage = stats.damage;
+    platform.range = stats.range;
+    platform.fireRate = stats.fireRate;
+    platform.projectileKind = stats.projectile;
+    
+    updateLevelVisuals(platform);
+    return true;
+}
+
+/**
+ * Checks that every platform type's levels and branches make sense
+ * Each needs a positive cost and numeric damage, range and fireRate, and
+ * a projectile kind it switches to must exist.
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+export function validatePlatformLevels() {
+    const errors = [];
+    
+    Object.entries(CONFIG.platforms).forEach(([type, config]) => {
+        const entries = [
+            ...(config.levels || []).map((entry, index) => [`${type} level ${index + 2}`, entry]),
+            ...Object.entries(config.branches || {}).map(([branch, entry]) => [`${type} branch '${branch}'`, entry])
+        ];
+        
+        entries.forEach(([label, entry]) => {
+            if (typeof entry.cost !== 'number' || entry.cost <= 0) {
+                errors.push(`${label}: cost must be a positive number`);
+            }
+            ['damage', 'range', 'fireRate'].forEach(stat => {
+                if (typeof entry[stat] !== 'number' || entry[stat] <= 0) {
+                    errors.push(`${label}: ${stat} must be a positive number`);
+                }
+            });
+            if (entry.projectile !== undefined && !CONFIG.projectiles[entry.projectile]) {
+                errors.push(`${label}: unknown projectile kind '${entry.projectile}'`);
+            }
+        });
+    });
+    
+    return { valid: errors.length === 0, errors };
+}
+
+// ==================== COMBAT SYSTEM ====================
+
+/**
+ * Finds the enemy a platform should shoot at.
+ * 
+ * Each platform has its own targeting mode, so one laser can pick off
+ * fast enemies while the missiles focus on the strongest. A "sticky"
+ * platform keeps its current target while it stays in range.
+ * 
+ * @param {object} platform - The platform looking for a target
+ * @returns {object|null} The enemy to target, or null if none is in range
+ */
+export function findTarget(platform) {
+    return selectTarget(platform.position, platform.range, platform.targetingMode, platform.currentTarget);
+}
+
+/**
+ * Counts damage a platform's shots dealt (called by stepSimulation).
+ * 
+ * Shots carry their platform's ID as their source. If the platform was
+ * sold while its shot was in flight, there's nothing to credit and the
+ * hit is ignored.
+ * 
+ * @param {number} platformId - The shot's source
+ * @param {number} damage - Health the enemy lost
+ * @param {boolean} destroyed - Whether the hit killed it
+ */
+export function recordPlatformDamage(platformId, damage, destroyed) {
+    const platform = platforms.find(candidate => candidate.id === platformId);
+    if (!platform) return;
+    
+    platform.damageDealt += damage;
+    if (destroyed) platform.kills++;
+}
+
+/**
+ * Changes which enemies a platform prefers.
+ * 
+ * @param {object} platform - The platform to change
+ * @param {string} mode - One of TARGETING_MODES (enemy.js)
+ * @returns {boolean} True if the mode was known and applied
+ */
+export function setPlatformTargetingMode(platform, mode) {
+    if (!isTargetingMode(mode)) return false;
+    platform.targetingMode = mode;
+    return true;
+}
+
+/**
+ * Smoothly rotates a platform's turret to face its target.
+ * 
+ * Works exactly like the starbase turret: we find the horizontal angle to
+ * the target and use dampAngle to ease toward it, so the rotation always
+ * takes the shortest way around and looks the same at any frame rate.
+ * 
+ * @param {object} platform - The platform to rotate
+ * @param {object} target - The enemy to face
+ * @param {number} deltaTime - Time since last frame in seconds
+ * @returns {boolean} True if the turret is aimed (within 5 degrees of the target)
+ */
+export function updatePlatformRotation(platform, target, deltaTime) {
+    const turret = platform.mesh.getObjectByName('turret');
+    if (!turret || !target) return false;
+    
+    // Direction from platform to target on the orbital plane
+    const directionToTarget = new THREE.Vector3()
+        .subVectors(target.mesh.position, platform.position);
+    const targetAngle = Math.atan2(directionToTarget.x, directionToTarget.z);
+    
+    // Same lambda scaling as the starbase so rotationSpeed means the same thing
+    const lambda = platform.rotationSpeed * 3;
+    turret.rotation.y = dampAngle(turret.rotation.y, targetAngle, lambda, deltaTime);
+    
+    // Remaining angle difference (wrapped to -PI..PI) for the aim check
+    let angleDiff = targetAngle - turret.rotation.y;
+    while (angleDiff > Math.PI) angleDiff -= Math.PI * 2;
+    while (angleDiff < -Math.PI) angleDiff += Math.PI * 2;
+    
+    // Consider "aimed" if we're within 5 degrees (0.087 radians)
+    return Math.abs(angleDiff) < 0.087;
+}
+
+/**
+ * Builds projectile data for a platform shot at a target.
+ * 
+ * The platform doesn't create the projectile itself - like the starbase,
+ * it returns data that main.js passes to createProjectile(). That way
+ * shots and hits are counted in one place for every weapon.
+ * 
+ * @param {object} platform - The firing platform
+ * @param {object} target - The enemy being shot at
+ * @returns {object} Projectile data (position, direction, damage, speed, source, kind, target)
+ */
+export function firePlatformProjectile(platform, target) {
+    const turret = platform.mesh.getObjectByName('turret');
+    
+    // Make sure the turret's world matrix reflects this frame's rotation
+    turret.updateWorldMatrix(true, false);
+    
+    // Barrel tip in turret space: the barrel sits at y=0.5 and is 2 units
+    // long starting at the turret center, so its end is at z=2
+    const barrelTip = new THREE.Vector3(0, 0.5, 2);
+    turret.localToWorld(barrelTip);
+    
+    // Aim at the target itself, not just where the turret faces
+    const direction = new THREE.Vector3()
+        .subVectors(target.mesh.position, barrelTip)
+        .normalize();
+    
+    createMuzzleSparks(barrelTip, direction);
+    
+    return {
+        position: barrelTip,
+        direction,
+        damage: platform.damage,
+        speed: platform.projectileSpeed,
+        source: platform.id,
+        kind: platform.projectileKind,
+        damageType: platform.damageType,
+        target                   // Homing kinds steer toward this enemy
+    };
+}
+
+/**
+ * Updates every platform: find a target, turn toward it, and fire.
+ * 
+ * Called from stepSimulation() in simulation.js every step during gameplay.
+ * 
+ * @param {number} deltaTime - Time since last frame in seconds
+ * @returns {Array<object>} Projectile data for every platform that fired this frame
+ */
+export function updatePlatforms(deltaTime) {
+    const shots = [];
+    
+    for (const platform of platforms) {
+        if (!platform.alive) continue;
+        
+        // Cooldown always ticks, even without a target, so a platform
+        // that's been idle can fire as soon as something comes in range
+        platform.timeSinceLastShot += deltaTime;
+        
+        // === FIND TARGET ===
+        platform.currentTarget = findTarget(platform);
+        const target = platform.currentTarget;
+        if (!target || !target.alive) continue;
+        
+        // === AIM ===
+        const isAimed = updatePlatformRotation(platform, target, deltaTime);
+        
+        // === FIRE ===
+        const fireInterval = 1 / platform.fireRate;
+        if (isAimed && platform.timeSinceLastShot >= fireInterval) {
+            platform.timeSinceLastShot = 0;
+            shots.push(firePlatformProjectile(platform, target));
+        }
+    }
+    
+    return shots;
+}
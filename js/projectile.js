@@ -3,36 +3,64 @@
  * 
  * Handles all projectiles in the game:
  * - Creating projectiles (lasers, missiles, etc.)
- * - Moving projectiles each frame
- * - Detecting collisions with enemies
+ * - Moving projectiles each frame (homing kinds steer toward their target)
+ * - Detecting collisions with enemies, including splash damage
  * - Cleaning up projectiles that miss
  * 
- * Projectiles are lightweight objects that travel in a straight line
- * until they hit something or go out of bounds.
+ * Projectile kinds are data-driven: CONFIG.projectiles defines each kind's
+ * mesh, speed, turn rate and splash radius, and each weapon picks a kind.
+ * A kind with turnRate 0 (like the laser) travels in a straight line until
+ * it hits something or goes out of range. Piercing projectiles (see the
+ * starbase's Piercing Shots upgrade) carry on through a number of enemies
+ * before they stop. A kind can also list status `effects` (burning,
+ * slowing...) that it puts on every enemy it damages.
  */
 
 import * as THREE from 'three';
 import { scene } from './scene.js';
-import { CONFIG } from './config.js';
-import { enemies, damageEnemy } from './enemy.js';
+import { getProjectileConfig } from './config.js';
+import { enemies, dealDamage, getClosestEnemy, getEnemiesInRange, applyStatusEffect,
+         DEFAULT_DAMAGE_TYPE } from './enemy.js';
+import { createTrailParticle, createExplosion } from './particles.js';
 
 // Store all active projectiles
 export const projectiles = [];
 
-// Shared geometry for laser projectiles (performance optimization)
-const laserGeometry = new THREE.CylinderGeometry(0.1, 0.1, CONFIG.visual.projectileLength, 8);
+// Shared geometries and materials per projectile kind (performance optimization)
+// Built the first time a kind is fired, then reused
+const kindGeometries = {};
+const kindMaterials = {};
 
-// Create a bright, glowing laser material for bloom effect
-// Using HDR colors (values > 1) makes the bloom effect pick up the projectile
-// and create that beautiful "energy beam" glow you see in sci-fi games!
-const laserMaterial = new THREE.MeshBasicMaterial({
-    color: new THREE.Color(0, 2, 2.5), // Bright cyan - HDR values for strong bloom glow!
-    transparent: true,
-    opacity: 0.95
-});
+// The axis projectile meshes are built along (see getKindVisuals)
+const PROJECTILE_UP = new THREE.Vector3(0, 1, 0);
 
-// Maximum distance before projectiles are removed
-const MAX_DISTANCE = 150;
+/**
+ * Get (or build) the shared geometry and material for a projectile kind
+ * 
+ * Uses bright HDR colors (values > 1) so the bloom effect picks up the
+ * projectile and creates that "energy beam" glow you see in sci-fi games!
+ * 
+ * @param {string} kind - Projectile kind name
+ * @param {object} meshConfig - The kind's mesh settings from CONFIG
+ * @returns {object} { geometry, material }
+ */
+function getKindVisuals(kind, meshConfig) {
+    if (!kindGeometries[kind]) {
+        // Both shapes are built along the Y axis; we rotate them to face
+        // the direction of travel when creating each projectile
+        kindGeometries[kind] = meshConfig.shape === 'cone'
+            ? new THREE.ConeGeometry(meshConfig.radius, meshConfig.length, 8)
+            : new THREE.CylinderGeometry(meshConfig.radius, meshConfig.radius, meshConfig.length, 8);
+        
+        kindMaterials[kind] = new THREE.MeshBasicMaterial({
+            color: new THREE.Color(...meshConfig.color),
+            transparent: true,
+            opacity: 0.95
+        });
+    }
+    
+    return { geometry: kindGeometries[kind], material: kindMaterials[kind] };
+}
 
 /**
  * Create a new projectile
@@ -40,36 +68,53 @@ const MAX_DISTANCE = 150;
  * @param {THREE.Vector3} data.position - Starting position
  * @param {THREE.Vector3} data.direction - Direction of travel
  * @param {number} data.damage - Damage on hit
- * @param {number} data.speed - Travel speed
- * @param {string} data.source - What fired it (starbase, platform, etc.)
+ * @param {string} data.damageType - Damage type from CONFIG.damageTypes (default 'kinetic')
+ * @param {number} data.speed - Travel speed (defaults to the kind's speed)
+ * @param {string|number} data.source - What fired it ('starbase' or a platform id)
+ * @param {string} data.kind - Projectile kind from CONFIG.projectiles (default 'laser')
+ * @param {object} data.target - Enemy to steer toward (only used by homing kinds)
+ * @param {number} data.pierce - Extra enemies it passes through before stopping (default 0)
  * @returns {object} The created projectile
  */
 export function createProjectile(data) {
+    const kind = data.kind || 'laser';
+    const kindConfig = getProjectileConfig(kind);
+    const { geometry, material } = getKindVisuals(kind, kindConfig.mesh);
+    
     // Create the visual mesh
-    const mesh = new THREE.Mesh(laserGeometry, laserMaterial.clone());
+    const mesh = new THREE.Mesh(geometry, material.clone());
     
     // Position at spawn point
     mesh.position.copy(data.position);
     
     // Rotate to point in direction of travel
-    // Cylinders are vertical by default, so we need to rotate
-    mesh.quaternion.setFromUnitVectors(
-        new THREE.Vector3(0, 1, 0), // Default up direction
-        data.direction.clone().normalize()
-    );
+    // Cylinders and cones are vertical by default, so we need to rotate
+    const direction = data.direction.clone().normalize();
+    mesh.quaternion.setFromUnitVectors(PROJECTILE_UP, direction);
     
     // Add a glow effect using a point light
-    const glow = new THREE.PointLight(CONFIG.visual.projectileColor, 0.5, 5);
+    const glow = new THREE.PointLight(kindConfig.mesh.glowColor, 0.5, 5);
     mesh.add(glow);
     
     // Create projectile data object
     const projectile = {
         mesh,
-        direction: data.direction.clone().normalize(),
-        speed: data.speed,
+        kind,
+        direction,
+        speed: data.speed || kindConfig.speed,
         damage: data.damage,
+        damageType: data.damageType || DEFAULT_DAMAGE_TYPE,
         source: data.source,
+        target: data.target || null,
+        turnRate: kindConfig.turnRate,
+        splashRadius: kindConfig.splashRadius,
+        splashDamage: kindConfig.splashDamage,
+        maxDistance: kindConfig.maxDistance,
+        trail: kindConfig.trail,
+        effects: kindConfig.effects || [], // Status effects put on enemies it damages
         distanceTraveled: 0,
+        pierce: data.pierce || 0,
+        enemiesHit: [],          // Enemies already pierced (can't be hit twice)
         alive: true
     };
     
@@ -85,9 +130,10 @@ export function createProjectile(data) {
 
 /**
  * Update all projectiles
- * Moves projectiles and checks for collisions
+ * Moves projectiles (steering homing ones) and checks for collisions
  * @param {number} deltaTime - Time since last frame in seconds
- * @returns {Array} Array of hit results (enemy, damage, position)
+ * @returns {Array} Array of hit results (enemy, damage, damageType, damageDealt, shieldDamage, source,
+ *                  projectile, position, splashHits, pierced - true for hits after a piercing projectile's first)
  */
 export function updateProjectiles(deltaTime) {
     const hits = [];
@@ -97,6 +143,11 @@ export function updateProjectiles(deltaTime) {
         
         if (!projectile.alive) continue;
         
+        // Homing projectiles turn toward their target before moving
+        if (projectile.turnRate > 0) {
+            steerProjectile(projectile, deltaTime);
+        }
+        
         // Calculate movement
         const moveDistance = projectile.speed * deltaTime;
         const movement = projectile.direction.clone().multiplyScalar(moveDistance);
@@ -108,17 +159,34 @@ export function updateProjectiles(deltaTime) {
         projectile.mesh.position.add(movement);
         projectile.distanceTraveled += moveDistance;
         
+        // Leave a trail behind (missiles)
+        if (projectile.trail) {
+            createTrailParticle(oldPosition);
+        }
+        
         // Check for collisions using raycast between old and new position
         const hit = checkProjectileCollision(projectile, oldPosition, projectile.mesh.position);
         
         if (hit) {
+            // Area damage to everything else nearby
+            if (projectile.splashRadius > 0) {
+                hit.splashHits = applySplashDamage(projectile, hit);
+            }
+            hit.pierced = projectile.enemiesHit.length > 0;
             hits.push(hit);
-            removeProjectile(projectile, i);
-            continue;
+            
+            // Piercing projectiles keep flying until they run out of pierce
+            if (projectile.pierce > 0) {
+                projectile.pierce--;
+                projectile.enemiesHit.push(hit.enemy);
+            } else {
+                removeProjectile(projectile, i);
+                continue;
+            }
         }
         
         // Remove if traveled too far
-        if (projectile.distanceTraveled > MAX_DISTANCE) {
+        if (projectile.distanceTraveled > projectile.maxDistance) {
             removeProjectile(projectile, i);
         }
     }
@@ -126,6 +194,74 @@ export function updateProjectiles(deltaTime) {
     return hits;
 }
 
+/**
+ * Turn a homing projectile toward its target
+ * 
+ * The projectile can only turn turnRate radians per second, so it flies
+ * a curved path instead of snapping onto the target. If the target has
+ * died, it locks onto the closest remaining enemy instead.
+ * 
+ * @param {object} projectile - The homing projectile
+ * @param {number} deltaTime - Time since last frame in seconds
+ */
+function steerProjectile(projectile, deltaTime) {
+    // Re-target if our target is gone
+    if (!projectile.target || !projectile.target.alive) {
+        projectile.target = getClosestEnemy(projectile.mesh.position);
+        if (!projectile.target) return; // Nothing left - keep flying straight
+    }
+    
+    const desired = new THREE.Vector3()
+        .subVectors(projectile.target.mesh.position, projectile.mesh.position)
+        .normalize();
+    
+    const angle = projectile.direction.angleTo(desired);
+    if (angle < 1e-4) return;
+    
+    const maxTurn = projectile.turnRate * deltaTime;
+    
+    if (angle <= maxTurn) {
+        projectile.direction.copy(desired);
+    } else {
+        // Rotate part of the way: slerp from "no rotation" toward the full
+        // rotation by the fraction of the angle we're allowed to turn
+        const fullTurn = new THREE.Quaternion().setFromUnitVectors(projectile.direction, desired);
+        const partialTurn = new THREE.Quaternion().slerp(fullTurn, maxTurn / angle);
+        projectile.direction.applyQuaternion(partialTurn).normalize();
+    }
+    
+    // Point the mesh along its new heading
+    projectile.mesh.quaternion.setFromUnitVectors(PROJECTILE_UP, projectile.direction);
+}
+
+/**
+ * Damage every other enemy within a projectile's splash radius
+ * 
+ * The directly hit enemy already took full damage in the collision check;
+ * everything else found by getEnemiesInRange() takes splashDamage of it.
+ * 
+ * @param {object} projectile - The exploding projectile
+ * @param {object} hit - The direct hit result
+ * @returns {Array} Hit results for each enemy caught in the blast
+ */
+function applySplashDamage(projectile, hit) {
+    const splashDamage = Math.round(projectile.damage * projectile.splashDamage);
+    const splashHits = [];
+    
+    // Fiery burst so the blast radius is visible
+    createExplosion(hit.position, new THREE.Color(2.5, 1.2, 0.3), 25, projectile.splashRadius * 2);
+    
+    if (splashDamage <= 0) return splashHits;
+    
+    getEnemiesInRange(hit.position, projectile.splashRadius).forEach(enemy => {
+        if (enemy === hit.enemy) return;
+        
+        splashHits.push(hitEnemy(projectile, enemy, splashDamage, enemy.mesh.position));
+    });
+    
+    return splashHits;
+}
+
 /**
  * Check if a projectile hit any enemy
  * Uses simple distance checking for performance
@@ -137,7 +273,7 @@ export function updateProjectiles(deltaTime) {
 function checkProjectileCollision(projectile, oldPos, newPos) {
     // Check each enemy
     for (const enemy of enemies) {
-        if (!enemy.alive) continue;
+        if (!enemy.alive || projectile.enemiesHit.includes(enemy)) continue;
         
         const enemyPos = enemy.mesh.position;
         const enemyRadius = enemy.mesh.scale.x * 1.5; // Approximate hit radius
@@ -148,38 +284,44 @@ function checkProjectileCollision(projectile, oldPos, newPos) {
         
         if (distToEnemy < enemyRadius) {
             // Hit! Apply damage
-            const destroyed = damageEnemy(enemy, projectile.damage);
-            
-            return {
-                enemy,
-                damage: projectile.damage,
-                destroyed,
-                position: newPos.clone(),
-                creditValue: destroyed ? enemy.creditValue : 0,
-                pointValue: destroyed ? enemy.pointValue : 0
-            };
+            return hitEnemy(projectile, enemy, projectile.damage, newPos);
         }
         
         // Also check if projectile passed through enemy (for fast projectiles)
         // Using closest point on line segment to enemy center
         const closestPoint = closestPointOnSegment(oldPos, newPos, enemyPos);
         if (closestPoint.distanceTo(enemyPos) < enemyRadius) {
-            const destroyed = damageEnemy(enemy, projectile.damage);
-            
-            return {
-                enemy,
-                damage: projectile.damage,
-                destroyed,
-                position: closestPoint.clone(),
-                creditValue: destroyed ? enemy.creditValue : 0,
-                pointValue: destroyed ? enemy.pointValue : 0
-            };
+            return hitEnemy(projectile, enemy, projectile.damage, closestPoint);
         }
     }
     
     return null;
 }
 
+/**
+ * Damage an enemy and describe what happened
+ * 
+ * The hit is the one dealDamage() describes, with the weapon that fired
+ * as its source, plus the projectile itself, for tools that follow a shot
+ * from firing to hit. Enemies that survive get the projectile kind's
+ * status effects.
+ * 
+ * @param {object} projectile - The projectile that hit
+ * @param {object} enemy - The enemy that was hit
+ * @param {number} damage - Damage before resistances and armor
+ * @param {THREE.Vector3} position - Where the hit happened
+ * @returns {object} Hit result
+ */
+function hitEnemy(projectile, enemy, damage, position) {
+    const hit = dealDamage(enemy, damage, projectile.damageType, projectile.source, position);
+    
+    projectile.effects.forEach(({ type, magnitude, duration }) => {
+        applyStatusEffect(enemy, type, { magnitude, duration, source: projectile.source });
+    });
+    
+    return { ...hit, projectile };
+}
+
 /**
  * Find the closest point on a line segment to a target point
  * Used for accurate collision detection with fast projectiles
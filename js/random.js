@@ -0,0 +1,95 @@
+/**
+ * random.js - Seeded Random Numbers
+ * 
+ * Math.random() gives different numbers every run, so two games can never
+ * play out the same way. Game logic uses this module instead: it produces
+ * a sequence of numbers that is completely decided by a starting "seed".
+ * Same seed + same player actions = exactly the same game, which is what
+ * makes replays, headless tests and balance simulations possible.
+ * 
+ * Purely visual randomness (particles, camera shake, starfield) can keep
+ * using Math.random() - it never changes the outcome of a game.
+ * 
+ * The generator is "mulberry32": tiny, fast and plenty random for a game.
+ */
+
+// Internal generator state (changes every time a number is drawn)
+let state = 0;
+
+// The seed the current sequence started from
+let currentSeed = 0;
+
+/**
+ * Start a new random sequence
+ * @param {number} seed - Any integer; the same seed always gives the same sequence
+ */
+export function setRandomSeed(seed) {
+    currentSeed = seed >>> 0; // Force to an unsigned 32-bit integer
+    state = currentSeed;
+}
+
+/**
+ * Get the seed the current sequence started from
+ * @returns {number} The seed
+ */
+export function getRandomSeed() {
+    return currentSeed;
+}
+
+/**
+ * Get how far through its sequence the generator is
+ * Saved games store this so a loaded run continues the same sequence.
+ * @returns {number} The internal generator state
+ */
+export function getRandomState() {
+    return state;
+}
+
+/**
+ * Continue a sequence from a saved point
+ * @param {number} seed - The seed the sequence started from
+ * @param {number} savedState - Value from getRandomState()
+ */
+export function restoreRandomState(seed, savedState) {
+    currentSeed = seed >>> 0;
+    state = savedState >>> 0;
+}
+
+/**
+ * Pick a fresh seed for a new game
+ * This is the one place where real randomness is wanted.
+ * @returns {number} A random 32-bit seed
+ */
+export function createRandomSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Get the next random number (drop-in replacement for Math.random())
+ * @returns {number} A number from 0 (inclusive) to 1 (exclusive)
+ */
+export function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Get a random whole number
+ * @param {number} max - Upper limit (exclusive)
+ * @returns {number} An integer from 0 to max - 1
+ */
+export function randomInt(max) {
+    return Math.floor(random() * max);
+}
+
+/**
+ * Pick a random item from an array
+ * @param {Array} items - Items to choose from
+ * @returns {*} One of the items (undefined if the array is empty)
+ */
+export function randomChoice(items) {
+    return items[randomInt(items.length)];
+}
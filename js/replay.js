@@ -0,0 +1,383 @@
+/**
+ * replay.js - Recording and Playing Back a Run
+ * 
+ * A game is decided by its level, the random seed and what the player did
+ * at which simulation step (see js/random.js and the fixed-step loop in
+ * main.js). So a replay doesn't store the game itself: it stores the seed,
+ * a hash of CONFIG and every command the player gave, each with the tick
+ * (the number of simulation steps run so far) it was given at. Playing it
+ * back starts the same level with the same seed and feeds the commands in
+ * at the same ticks, through the same functions the player's clicks use.
+ * 
+ * Only things that change the outcome are commands. The camera, selection,
+ * game speed and pauses aren't recorded.
+ * 
+ * REPLAY FILE FORMAT (version 1):
+ * ===============================
+ * Written without spaces to keep files small.
+ * {
+ *   "format": "solar-defense-replay",
+ *   "version": 1,
+ *   "level": "sol-outpost",              // Level ID
+ *   "mode": "campaign",                  // or "endless"
+ *   "seed": 123456,
+ *   "config": "3f9a0c1e5b7d2a44",        // hashConfig() when recorded
+ *   "tickRate": 60,                      // CONFIG.simulation.tickRate when recorded
+ *   "ticks": 21600,                      // How long the recording runs
+ *   "commands": [
+ *     // [tick, type, ...the type's fields in REPLAY_COMMANDS order]
+ *     [95, "build", "laserBattery", 20.5, 0, -12.25],
+ *     [1210, "upgrade", 0, null],
+ *     [1302, "targeting", "starbase", "strongest"],
+ *     [1475, "ability", "orbitalStrike", -31.5, 0, 18.25],
+ *     [1800, "startWave"]
+ *   ]
+ * }
+ * 
+ * Platforms are named by build number - 0 for the first platform built in
+ * the run, 1 for the next and so on - since platform IDs differ from one
+ * page load to the next.
+ * 
+ * A replay recorded with a different CONFIG (see hashConfig) can still be
+ * played, but may not turn out the same; main.js warns about it.
+ * 
+ * Usage:
+ *   startRecording({ level: level.id, mode, seed });
+ *   recordCommand(tick, { type: 'callWave' });
+ *   const text = exportReplay(stopRecording(tick));
+ * 
+ *   const { valid, replay } = importReplay(text);
+ *   startPlayback(replay);
+ *   before each step: while ((command = takeNextCommand(tick))) runCommand(command);
+ */
+
+import { CONFIG } from './config.js';
+import { GAME_MODES } from './endless.js';
+import { hashText } from './leaderboard.js';
+
+// What a replay file says it is, so other JSON isn't played by mistake
+const REPLAY_FORMAT = 'solar-defense-replay';
+export const REPLAY_VERSION = 1;
+
+/**
+ * Commands a replay can hold, with their fields in file order
+ * - build: a platform of platformType at (x, y, z)
+ * - upgrade: platform (build number) to its next level; branch at level 4, else null
+ * - sell: platform (build number)
+ * - targeting: weapon ('starbase' or a build number) to mode (TARGETING_MODES in enemy.js)
+ * - buyUpgrade: a starbase upgrade (CONFIG.starbaseUpgrades key)
+ * - startWave: end the break between waves
+ * - callWave: call the next wave early
+ * - ability: use an ability (CONFIG.abilities key) at (x, y, z); null coordinates when it isn't aimed
+ */
+export const REPLAY_COMMANDS = {
+    build: ['platformType', 'x', 'y', 'z'],
+    upgrade: ['platform', 'branch'],
+    sell: ['platform'],
+    targeting: ['weapon', 'mode'],
+    buyUpgrade: ['upgradeId'],
+    startWave: [],
+    callWave: [],
+    ability: ['ability', 'x', 'y', 'z']
+};
+
+// The replay being recorded (commands as objects), or null
+let recording = null;
+
+// The last replay recorded, kept after the game ends so it can be exported
+let lastReplay = null;
+
+// The replay being played back and how many of its commands have been run, or null
+let playback = null;
+
+// Platform ID of each platform built this run, by build number
+let builtPlatformIds = [];
+
+// ==================== RECORDING ====================
+
+/**
+ * Start recording a new game
+ * @param {object} game - { level, mode, seed }: level ID, 'campaign' or 'endless', random seed
+ */
+export function startRecording({ level, mode, seed }) {
+    recording = {
+        level,
+        mode,
+        seed,
+        config: hashConfig(),
+        tickRate: CONFIG.simulation.tickRate,
+        ticks: 0,
+        commands: []
+    };
+    builtPlatformIds = [];
+}
+
+/**
+ * Check whether a game is being recorded
+ * @returns {boolean} True while recording
+ */
+export function isRecording() {
+    return recording !== null;
+}
+
+/**
+ * Add a command the player gave (ignored when nothing is being recorded)
+ * @param {number} tick - Simulation steps run so far
+ * @param {object} command - { type, ...fields } (see REPLAY_COMMANDS), naming platforms by ID
+ */
+export function recordCommand(tick, command) {
+    if (!recording) return;
+    
+    recording.commands.push({ tick, ...swapPlatforms(command, getPlatformNumber) });
+}
+
+/**
+ * Stop recording
+ * The replay is kept for getLastReplay().
+ * @param {number} ticks - Simulation steps the game ran for
+ * @returns {object|null} The replay, or null if nothing was being recorded
+ */
+export function stopRecording(ticks) {
+    if (!recording) return null;
+    
+    recording.ticks = ticks;
+    lastReplay = recording;
+    recording = null;
+    return lastReplay;
+}
+
+/**
+ * Get the last replay recorded
+ * @returns {object|null} The replay, or null if no game has been recorded yet
+ */
+export function getLastReplay() {
+    return lastReplay;
+}
+
+// ==================== PLATFORM NUMBERS ====================
+
+/**
+ * Note a platform built by a command, so later commands can name it by build number
+ * Call this for every build, whether the player's or a replay's.
+ * @param {number} platformId - The new platform's ID
+ */
+export function notePlatformBuilt(platformId) {
+    builtPlatformIds.push(platformId);
+}
+
+/**
+ * Get a platform's build number
+ * @param {number} platformId - Platform ID
+ * @returns {number} Build number, or -1 if the platform wasn't built this run
+ */
+function getPlatformNumber(platformId) {
+    return builtPlatformIds.indexOf(platformId);
+}
+
+/**
+ * Get the ID of a platform by its build number
+ * @param {number} number - Build number
+ * @returns {number|undefined} Platform ID
+ */
+function getPlatformId(number) {
+    return builtPlatformIds[number];
+}
+
+/**
+ * Swap the platforms a command names between IDs and build numbers
+ * @param {object} command - The command
+ * @param {Function} swap - getPlatformNumber (IDs to numbers) or getPlatformId (back)
+ * @returns {object} A copy of the command (the starbase stays 'starbase')
+ */
+function swapPlatforms(command, swap) {
+    const swapped = { ...command };
+    ['platform', 'weapon'].forEach(field => {
+        if (typeof swapped[field] === 'number') {
+            swapped[field] = swap(swapped[field]);
+        }
+    });
+    return swapped;
+}
+
+// ==================== PLAYBACK ====================
+
+/**
+ * Start (or restart) playing a replay
+ * Start its level with its seed right after this (main.js does both).
+ * @param {object} replay - A replay from importReplay() or stopRecording()
+ */
+export function startPlayback(replay) {
+    recording = null;
+    playback = { replay, next: 0 };
+    builtPlatformIds = [];
+}
+
+/**
+ * Stop playing back (a new game, a loaded game or the menu)
+ */
+export function stopPlayback() {
+    playback = null;
+}
+
+/**
+ * Check whether a replay is being played back
+ * @returns {boolean} True during playback
+ */
+export function isPlayingBack() {
+    return playback !== null;
+}
+
+/**
+ * Get the replay being played back
+ * @returns {object|null} The replay, or null when not playing back
+ */
+export function getPlaybackReplay() {
+    return playback ? playback.replay : null;
+}
+
+/**
+ * Take the next command that is due
+ * Commands come out once each, in the order they were given, naming
+ * platforms by their IDs in this game - so run each one before taking
+ * the next (a platform built on one tick can be upgraded on the same tick).
+ * @param {number} tick - Simulation steps run so far
+ * @returns {object|null} A command given at or before this tick, or null if none is due
+ */
+export function takeNextCommand(tick) {
+    if (!playback) return null;
+    
+    const command = playback.replay.commands[playback.next];
+    if (!command || command.tick > tick) return null;
+    
+    playback.next++;
+    return swapPlatforms(command, getPlatformId);
+}
+
+// ==================== FILES ====================
+
+/**
+ * Hash everything in CONFIG, so a replay can tell whether the game's settings changed
+ * @returns {string} 16 hex digits
+ */
+export function hashConfig() {
+    return hashText(JSON.stringify(CONFIG));
+}
+
+/**
+ * Turn a replay into a replay file
+ * @param {object} replay - A replay from stopRecording() or importReplay()
+ * @returns {string} Compact JSON (see REPLAY FILE FORMAT)
+ */
+export function exportReplay(replay) {
+    return JSON.stringify({
+        format: REPLAY_FORMAT,
+        version: REPLAY_VERSION,
+        level: replay.level,
+        mode: replay.mode,
+        seed: replay.seed,
+        config: replay.config,
+        tickRate: replay.tickRate,
+        ticks: replay.ticks,
+        commands: replay.commands.map(command =>
+            [command.tick, command.type, ...REPLAY_COMMANDS[command.type].map(field => command[field])])
+    });
+}
+
+/**
+ * Read a replay file
+ * @param {string} text - JSON from exportReplay()
+ * @returns {object} { valid: boolean, replay: object|null, errors: Array<string> }
+ */
+export function importReplay(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (e) {
+        return { valid: false, replay: null, errors: ['Not a JSON file'] };
+    }
+    
+    const result = validateReplay(data);
+    if (!result.valid) {
+        return { valid: false, replay: null, errors: result.errors };
+    }
+    
+    const replay = {
+        level: data.level,
+        mode: data.mode,
+        seed: data.seed,
+        config: data.config,
+        tickRate: data.tickRate,
+        ticks: data.ticks,
+        commands: data.commands.map(([tick, type, ...values]) => {
+            const command = { tick, type };
+            REPLAY_COMMANDS[type].forEach((field, index) => {
+                command[field] = values[index];
+            });
+            return command;
+        })
+    };
+    return { valid: true, replay, errors: [] };
+}
+
+/**
+ * Check a replay file for mistakes
+ * Like validateSave(), this returns every problem at once. Whether the
+ * level exists and the CONFIG hash matches is up to the caller.
+ * @param {object} data - Parsed replay file
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+export function validateReplay(data) {
+    if (!data || data.format !== REPLAY_FORMAT) {
+        return { valid: false, errors: ['Not a replay file'] };
+    }
+    if (data.version !== REPLAY_VERSION) {
+        return { valid: false, errors: [`Replay must be version ${REPLAY_VERSION}`] };
+    }
+    
+    const errors = [];
+    
+    if (typeof data.level !== 'string' || data.level === '') {
+        errors.push('level must be a level ID');
+    }
+    if (!GAME_MODES.includes(data.mode)) {
+        errors.push(`mode must be one of: ${GAME_MODES.join(', ')}`);
+    }
+    if (!Number.isInteger(data.seed)) {
+        errors.push('seed must be a whole number');
+    }
+    if (typeof data.config !== 'string') {
+        errors.push('config must be a CONFIG hash');
+    }
+    if (data.tickRate !== CONFIG.simulation.tickRate) {
+        errors.push(`tickRate must be ${CONFIG.simulation.tickRate} (the game's tick rate)`);
+    }
+    if (!Number.isInteger(data.ticks) || data.ticks < 0) {
+        errors.push('ticks must be a whole number of 0 or more');
+    }
+    
+    if (!Array.isArray(data.commands)) {
+        errors.push('"commands" must be an array');
+        return { valid: false, errors };
+    }
+    
+    let lastTick = 0;
+    data.commands.forEach((command, index) => {
+        const [tick, type, ...values] = Array.isArray(command) ? command : [];
+        // Own keys only - 'toString' and the like aren't commands
+        if (!Object.prototype.hasOwnProperty.call(REPLAY_COMMANDS, type)) {
+            errors.push(`Command ${index + 1}: unknown command '${type}'`);
+            return;
+        }
+        const fields = REPLAY_COMMANDS[type];
+        if (values.length !== fields.length) {
+            errors.push(`Command ${index + 1}: ${type} needs ${fields.length ? fields.join(', ') : 'nothing else'}`);
+        }
+        if (!Number.isInteger(tick) || tick < lastTick || tick > data.ticks) {
+            errors.push(`Command ${index + 1}: tick must be a whole number, in order, up to "ticks"`);
+        } else {
+            lastTick = tick;
+        }
+    });
+    
+    return { valid: errors.length === 0, errors };
+}
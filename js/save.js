@@ -0,0 +1,590 @@
+/**
+ * save.js - Saving and Loading a Run
+ * 
+ * A save captures everything needed to carry on exactly where the player
+ * left off: the level, the current wave and what is still to spawn, every
+ * platform, the starbase's upgrades, ability cooldowns, the enemies in
+ * flight, the economy and the random generator's position.
+ * 
+ * Saves are stored in localStorage, one key per slot:
+ * - "autosave": written automatically whenever a wave is completed
+ * - "manual":   written by the Save Game button on the pause screen
+ * 
+ * SAVE FORMAT (version 14):
+ * ========================
+ * {
+ *   "version": 14,
+ *   "savedAt": 1700000000000,             // Date.now() when saved
+ *   "levelId": "solOutpost",              // null = the first level
+ *   "levelName": "Sol Outpost",
+ *   "mode": "campaign",                   // or "endless" (see GAME_MODES in endless.js)
+ *   "wave": {
+ *     "number": 3,                        // The wave being played (or about to start)
+ *     "inProgress": true,                 // false = saved between waves
+ *     "elapsed": 12.5,                    // The rest only when inProgress:
+ *     "spawnQueue": [...],                // Spawns still to come (see buildSpawnQueue)
+ *     "enemiesToSpawn": 10,
+ *     "enemiesSpawned": 6,
+ *     "wavesInFlight": 1                  // More when later waves were called early (see simulation.js)
+ *   },
+ *   "random": { "seed": 123, "state": 456 },
+ *   "economy": { "credits": 150, "score": 900, "lives": 8, "killsByType": { "basic": 9, ... },
+ *                "playTime": 241.5, ... },
+ *   "stats": { "weapons": [...], "waves": [...], "credits": [...] }, // For the post-game report (see stats.js)
+ *   "abilities": { "cooldowns": { "emp": 12.5 },   // Seconds left to recharge (see abilities.js)
+ *                  "planetShieldTime": 0 },       // Seconds of shield burst left
+ *   "starbase": {
+ *     "targetingMode": "first",
+ *     "upgrades": { "damage": 2, "fireRate": 2, "twinBarrel": 1 }, // Tiers bought (see upgrades.js)
+ *     "record": { "kills": 12, "damageDealt": 1450 }
+ *   },
+ *   "platforms": [
+ *     { "type": "laserBattery", "position": [20, 0, 10], "totalSpent": 90,
+ *       "targetingMode": "weakest", "level": 2, "branch": null,   // See platform.js
+ *       "stats": { "damage": 26, "range": 85, ... }, "record": { "kills": 4, "damageDealt": 380 } }
+ *   ],
+ *   "enemies": [
+ *     { "type": "shielded", "pathName": "default", "pathProgress": 0.4, "health": 60,
+ *       "shield": 35, "maxShield": 100, "shieldCooldown": 1.2,
+ *       "statusEffects": { "burn": { "magnitude": 4, "duration": 1.5, "stacks": 2, // See enemy.js
+ *                                    "source": 3, "tickTimer": 0.25 } }, ... },
+ *     { "type": "carrier", ..., "stealth": false, "split": null, "heal": null,
+ *       "launch": { "type": "drone", "interval": 4, ... }, "launchTimer": 2.5, "dronesLeft": 6 },
+ *     { "type": "armored", ..., "isBoss": true, "bossName": "Dreadnought", "rewardMultiplier": 8,
+ *       "phases": [{ "at": 0.66, "escorts": { "type": "fast", "count": 4 } }, ...],
+ *       "phase": 1, "baseSpeed": 3 }
+ *   ]
+ * }
+ * 
+ * Projectiles in flight are not saved - a loaded game starts with none.
+ * 
+ * VERSIONS:
+ * =========
+ * Whenever the format changes, SAVE_VERSION goes up and a migration is
+ * added to MIGRATIONS that turns the previous version into the new one.
+ * Older saves are upgraded one version at a time when they are read,
+ * so a save from any earlier version still loads.
+ */
+
+import * as THREE from 'three';
+import { CONFIG } from './config.js';
+import { getActiveLevel } from './level.js';
+import { enemies, restoreEnemy, clearEnemies } from './enemy.js';
+import { platforms, createPlatform, clearAllPlatforms, setPlatformTargetingMode, setPlatformLevel,
+         getPlatformLevelStats } from './platform.js';
+import { resetStarbaseStats, getStarbaseTargetingMode, setStarbaseTargetingMode, getStarbaseCombatRecord,
+         restoreStarbaseCombatRecord } from './starbase.js';
+import { getUpgradeState, restoreUpgrades } from './upgrades.js';
+import { getAbilityState, restoreAbilities } from './abilities.js';
+import { clearProjectiles } from './projectile.js';
+import { initEconomy, getEconomyState, restoreEconomyState } from './economy.js';
+import { getRandomSeed, getRandomState, restoreRandomState } from './random.js';
+import { getWaveState, restoreWaveState } from './simulation.js';
+import { GAME_MODES } from './endless.js';
+import { getRunStatsState, restoreRunStatsState } from './stats.js';
+
+// Current save format version
+export const SAVE_VERSION = 14;
+
+// Save slots, in the order they are listed on the load screen
+export const SAVE_SLOTS = ['autosave', 'manual'];
+
+// localStorage key prefix for save slots
+const SAVE_KEY_PREFIX = 'solarDefense_save_';
+
+// Where the old economy-only progress (version 1) was stored
+const LEGACY_PROGRESS_KEY = 'solarDefense_progress';
+
+// Platform stats that are saved (upgrades change these)
+const PLATFORM_STATS = ['damage', 'range', 'fireRate', 'rotationSpeed', 'projectileSpeed'];
+
+// A platform's combat record (kills and damage dealt, shown in the inspector)
+const PLATFORM_RECORD = ['kills', 'damageDealt'];
+
+// Enemy fields that are saved
+const ENEMY_FIELDS = ['type', 'pathName', 'pathProgress', 'health', 'maxHealth', 'speed', 'armor',
+                      'shield', 'maxShield', 'shieldCooldown', 'isBoss', 'planetDamage', 'creditValue', 'pointValue',
+                      'healthMultiplier', 'stealth', 'split', 'heal', 'launch', 'launchTimer', 'dronesLeft',
+                      'rewardMultiplier', 'bossName', 'phases', 'phase', 'baseSpeed', 'statusEffects'];
+
+/**
+ * Upgrade steps between save versions
+ * MIGRATIONS[n] turns a version n save into a version n + 1 save.
+ */
+const MIGRATIONS = {
+    // Version 1 was the old saveProgress() format: only credits, score and
+    // kills, with no level or wave. It becomes a fresh run on the first
+    // level that keeps those numbers.
+    1: (data) => ({
+        version: 2,
+        savedAt: data.timestamp || 0,
+        levelId: null,
+        levelName: null,
+        wave: { number: 1, inProgress: false },
+        random: null,
+        economy: {
+            credits: data.credits,
+            score: data.score || 0,
+            totalKills: data.totalKills || 0
+        },
+        starbase: null,
+        platforms: [],
+        enemies: []
+    }),
+    
+    // Version 2 saved the starbase's stats. Nothing could change them then,
+    // so they were always CONFIG's values; from version 3 the starbase is
+    // rebuilt from the upgrade tiers bought instead.
+    2: (data) => ({
+        ...data,
+        version: 3,
+        starbase: {
+            targetingMode: data.starbase ? data.starbase.targetingMode : undefined,
+            upgrades: {}
+        }
+    }),
+    
+    // Version 3 platforms had no upgrade levels, so they were all level 1
+    3: (data) => ({
+        ...data,
+        version: 4,
+        platforms: data.platforms.map(platform => ({ ...platform, level: 1, branch: null }))
+    }),
+    
+    // Version 4 didn't count kills and damage per weapon
+    4: (data) => ({
+        ...data,
+        version: 5,
+        starbase: { ...data.starbase, record: { kills: 0, damageDealt: 0 } },
+        platforms: data.platforms.map(platform => ({ ...platform, record: { kills: 0, damageDealt: 0 } }))
+    }),
+    
+    // Version 5 came before shielded enemies, so no enemy had a shield
+    5: (data) => ({
+        ...data,
+        version: 6,
+        enemies: data.enemies.map(enemy => ({ ...enemy, shield: 0, maxShield: 0, shieldCooldown: 0 }))
+    }),
+    
+    // Version 6 came before enemy behaviors (splitters, healers, stealth, carriers)
+    6: (data) => ({
+        ...data,
+        version: 7,
+        enemies: data.enemies.map(enemy => ({
+            ...enemy,
+            healthMultiplier: 1,
+            stealth: false,
+            split: null,
+            heal: null,
+            launch: null,
+            launchTimer: 0,
+            dronesLeft: 0
+        }))
+    }),
+    
+    // Version 7 bosses had no phases, name or extra reward
+    7: (data) => ({
+        ...data,
+        version: 8,
+        enemies: data.enemies.map(enemy => ({
+            ...enemy,
+            rewardMultiplier: 1,
+            bossName: null,
+            phases: [],
+            phase: 0,
+            baseSpeed: enemy.speed
+        }))
+    }),
+    
+    // Version 8 came before endless mode, so every run was a campaign
+    8: (data) => ({
+        ...data,
+        version: 9,
+        mode: 'campaign'
+    }),
+    
+    // Version 9 didn't count kills by type or time played (for the leaderboard)
+    9: (data) => ({
+        ...data,
+        version: 10,
+        economy: { ...data.economy, killsByType: {}, playTime: 0 }
+    }),
+    
+    // Version 10 came before the post-game report, so nothing was collected for it
+    10: (data) => ({
+        ...data,
+        version: 11,
+        economy: { ...data.economy, creditsEarned: 0, creditsSpent: 0 },
+        stats: { weapons: [], waves: [], credits: [] }
+    }),
+    
+    // Version 11 came before waves could be called early - one wave ran at a time
+    11: (data) => ({
+        ...data,
+        version: 12,
+        wave: data.wave.inProgress ? { ...data.wave, wavesInFlight: 1 } : data.wave
+    }),
+    
+    // Version 12 came before abilities, so nothing was recharging or slowed
+    12: (data) => ({
+        ...data,
+        version: 13,
+        abilities: { cooldowns: {}, planetShieldTime: 0 },
+        enemies: data.enemies.map(enemy => ({ ...enemy, slowFactor: 1, slowTimer: 0 }))
+    }),
+    
+    // Version 13 slowed enemies by lowering their speed; slows are status effects now
+    13: (data) => ({
+        ...data,
+        version: 14,
+        enemies: data.enemies.map(({ slowFactor, slowTimer, ...enemy }) => ({
+            ...enemy,
+            speed: enemy.speed / slowFactor,
+            statusEffects: slowTimer > 0
+                ? { slow: { magnitude: 1 - slowFactor, duration: slowTimer, stacks: 1, source: 'ability', tickTimer: 0 } }
+                : {}
+        }))
+    })
+};
+
+// ==================== CREATING SAVES ====================
+
+/**
+ * Capture the current run
+ * @param {object} options - What main.js knows about the run
+ * @param {number} options.waveNumber - Wave being played, or the next wave if between waves
+ * @param {boolean} options.inProgress - Whether that wave has started
+ * @param {string} options.mode - 'campaign' or 'endless' (default 'campaign')
+ * @returns {object} Save data (see SAVE FORMAT above)
+ */
+export function createSaveData({ waveNumber, inProgress, mode = 'campaign' }) {
+    const level = getActiveLevel();
+    
+    const wave = { number: waveNumber, inProgress };
+    if (inProgress) {
+        Object.assign(wave, getWaveState());
+    }
+    
+    const savedPlatforms = platforms.filter(platform => platform.alive);
+    
+    return {
+        version: SAVE_VERSION,
+        savedAt: Date.now(),
+        levelId: level ? level.id : null,
+        levelName: level ? level.name : null,
+        mode,
+        wave,
+        random: { seed: getRandomSeed(), state: getRandomState() },
+        economy: getEconomyState(),
+        abilities: getAbilityState(),
+        starbase: {
+            targetingMode: getStarbaseTargetingMode(),
+            upgrades: getUpgradeState(),
+            record: getStarbaseCombatRecord()
+        },
+        platforms: savedPlatforms.map(platform => ({
+            type: platform.type,
+            position: platform.position.toArray(),
+            totalSpent: platform.totalSpent,
+            targetingMode: platform.targetingMode,
+            level: platform.level,
+            branch: platform.branch,
+            stats: pickFields(platform, PLATFORM_STATS),
+            record: pickFields(platform, PLATFORM_RECORD)
+        })),
+        enemies: enemies.filter(enemy => enemy.alive).map(enemy => pickFields(enemy, ENEMY_FIELDS)),
+        stats: getRunStatsState(savedPlatforms)
+    };
+}
+
+/**
+ * Copy some fields of an object
+ * @param {object} source - Object to copy from
+ * @param {Array<string>} fields - Field names
+ * @returns {object} A new object with just those fields
+ */
+function pickFields(source, fields) {
+    const result = {};
+    fields.forEach(field => {
+        result[field] = source[field];
+    });
+    return result;
+}
+
+// ==================== STORAGE ====================
+
+/**
+ * Write a save to a slot
+ * @param {string} slot - One of SAVE_SLOTS
+ * @param {object} data - Save data from createSaveData()
+ * @returns {boolean} True if the save was stored
+ */
+export function writeSave(slot, data) {
+    try {
+        localStorage.setItem(SAVE_KEY_PREFIX + slot, JSON.stringify(data));
+        return true;
+    } catch (e) {
+        console.warn('Could not save game:', e);
+        return false;
+    }
+}
+
+/**
+ * Read the save in a slot
+ * Older versions are migrated; broken saves are reported and ignored.
+ * @param {string} slot - One of SAVE_SLOTS
+ * @returns {object|null} The save (at SAVE_VERSION), or null if there is none
+ */
+export function readSave(slot) {
+    let data;
+    try {
+        const text = localStorage.getItem(SAVE_KEY_PREFIX + slot);
+        if (!text) return null;
+        data = JSON.parse(text);
+    } catch (e) {
+        console.warn(`Could not read save "${slot}":`, e);
+        return null;
+    }
+    
+    return upgradeSave(data, `Save "${slot}"`);
+}
+
+/**
+ * Delete the save in a slot
+ * @param {string} slot - One of SAVE_SLOTS
+ */
+export function deleteSave(slot) {
+    try {
+        localStorage.removeItem(SAVE_KEY_PREFIX + slot);
+    } catch (e) {
+        console.warn('Could not delete save:', e);
+    }
+}
+
+/**
+ * List every save, newest first
+ * 
+ * Progress stored by the old saveProgress() is moved into the autosave
+ * slot the first time this runs (if that slot is empty).
+ * 
+ * @returns {Array<object>} { slot, save } for each slot that has a save
+ */
+export function listSaves() {
+    moveLegacyProgress();
+    
+    return SAVE_SLOTS
+        .map(slot => ({ slot, save: readSave(slot) }))
+        .filter(entry => entry.save !== null)
+        .sort((a, b) => b.save.savedAt - a.save.savedAt);
+}
+
+/**
+ * Move old-style progress into the autosave slot
+ */
+function moveLegacyProgress() {
+    try {
+        const text = localStorage.getItem(LEGACY_PROGRESS_KEY);
+        if (!text) return;
+        
+        if (!localStorage.getItem(SAVE_KEY_PREFIX + 'autosave')) {
+            const save = upgradeSave(JSON.parse(text), 'Old progress');
+            if (save) writeSave('autosave', save);
+        }
+        localStorage.removeItem(LEGACY_PROGRESS_KEY);
+    } catch (e) {
+        console.warn('Could not move old progress:', e);
+    }
+}
+
+// ==================== VERSIONS & VALIDATION ====================
+
+/**
+ * Migrate a save to the current version and validate it
+ * @param {object} data - Save data of any version
+ * @param {string} label - Which save this is (for warnings)
+ * @returns {object|null} The upgraded save, or null if it can't be used
+ */
+function upgradeSave(data, label) {
+    let save;
+    try {
+        save = migrateSave(data);
+    } catch (e) {
+        console.warn(`${label}: ${e.message}`);
+        return null;
+    }
+    
+    const result = validateSave(save);
+    if (!result.valid) {
+        console.warn(`${label} has errors:\n  ${result.errors.join('\n  ')}`);
+        return null;
+    }
+    
+    return save;
+}
+
+/**
+ * Bring a save up to SAVE_VERSION, one migration at a time
+ * Saves without a version number are the old economy-only format (version 1).
+ * @param {object} data - Save data of any version
+ * @returns {object} Save data at SAVE_VERSION
+ */
+export function migrateSave(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Save must be an object');
+    }
+    
+    let save = data;
+    let version = Number.isInteger(save.version) ? save.version : 1;
+    
+    if (version > SAVE_VERSION) {
+        throw new Error(`Save is version ${version}, made by a newer version of the game (this one reads up to ${SAVE_VERSION})`);
+    }
+    
+    while (version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`Don't know how to upgrade a version ${version} save`);
+        }
+        save = migrate(save);
+        version = save.version;
+    }
+    
+    return save;
+}
+
+/**
+ * Check a (current version) save for mistakes
+ * Like validateLevel(), this returns every problem at once.
+ * @param {object} save - Save data at SAVE_VERSION
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+export function validateSave(save) {
+    const errors = [];
+    
+    if (!save || save.version !== SAVE_VERSION) {
+        return { valid: false, errors: [`Save must be version ${SAVE_VERSION}`] };
+    }
+    
+    if (!GAME_MODES.includes(save.mode)) {
+        errors.push(`mode must be one of: ${GAME_MODES.join(', ')}`);
+    }
+    
+    const wave = save.wave;
+    if (!wave || !Number.isInteger(wave.number) || wave.number < 1) {
+        errors.push('wave.number must be a whole number of 1 or more');
+    } else if (wave.inProgress && (!Array.isArray(wave.spawnQueue) || typeof wave.elapsed !== 'number')) {
+        errors.push('A wave in progress needs "elapsed" and a "spawnQueue"');
+    } else if (wave.inProgress && (!Number.isInteger(wave.wavesInFlight) || wave.wavesInFlight < 1
+        || wave.wavesInFlight > wave.number)) {
+        errors.push('wave.wavesInFlight must be a whole number from 1 to wave.number');
+    }
+    
+    if (!save.economy || typeof save.economy.credits !== 'number') {
+        errors.push('economy.credits must be a number');
+    }
+    
+    if (!save.stats || !Array.isArray(save.stats.weapons) || !Array.isArray(save.stats.waves)
+        || !Array.isArray(save.stats.credits)) {
+        errors.push('stats needs "weapons", "waves" and "credits" lists');
+    }
+    
+    if (!save.abilities || typeof save.abilities.cooldowns !== 'object' || save.abilities.cooldowns === null
+        || typeof save.abilities.planetShieldTime !== 'number') {
+        errors.push('abilities needs "cooldowns" and "planetShieldTime"');
+    }
+    
+    if (!save.starbase || typeof save.starbase.upgrades !== 'object' || save.starbase.upgrades === null) {
+        errors.push('starbase.upgrades must be an object');
+    }
+    
+    if (!Array.isArray(save.platforms)) {
+        errors.push('"platforms" must be an array');
+    } else {
+        save.platforms.forEach((platform, index) => {
+            if (!CONFIG.platforms[platform.type]) {
+                errors.push(`Platform ${index + 1}: unknown type '${platform.type}'`);
+            } else if (!getPlatformLevelStats(platform.type, platform.level, platform.branch)) {
+                errors.push(`Platform ${index + 1}: ${platform.type} has no level ${platform.level}`
+                    + (platform.branch ? ` '${platform.branch}'` : ''));
+            }
+            if (!Array.isArray(platform.position) || platform.position.length !== 3) {
+                errors.push(`Platform ${index + 1}: position must be [x, y, z]`);
+            }
+        });
+    }
+    
+    if (!Array.isArray(save.enemies)) {
+        errors.push('"enemies" must be an array');
+    } else {
+        save.enemies.forEach((enemy, index) => {
+            if (!CONFIG.enemies[enemy.type]) {
+                errors.push(`Enemy ${index + 1}: unknown type '${enemy.type}'`);
+            }
+            if (typeof enemy.pathProgress !== 'number' || typeof enemy.health !== 'number') {
+                errors.push(`Enemy ${index + 1}: needs pathProgress and health`);
+            }
+        });
+    }
+    
+    return { valid: errors.length === 0, errors };
+}
+
+// ==================== RESTORING ====================
+
+/**
+ * Put a saved run back into the game
+ * 
+ * Call this after the save's level is active and its paths and wave
+ * script are set up (main.js does this the same way as for a new game).
+ * Parts an older save didn't record keep a new game's values.
+ * 
+ * @param {object} save - A valid save at SAVE_VERSION
+ */
+export function restoreSaveData(save) {
+    clearEnemies();
+    clearProjectiles();
+    clearAllPlatforms();
+    
+    // Economy: start from a new game's values, then apply what was saved
+    initEconomy();
+    restoreEconomyState({ ...getEconomyState(), ...save.economy });
+    
+    // The starbase starts from CONFIG's stats and gets its upgrades back
+    resetStarbaseStats();
+    restoreUpgrades(save.starbase.upgrades);
+    setStarbaseTargetingMode(save.starbase.targetingMode);
+    restoreStarbaseCombatRecord(save.starbase.record || {});
+    
+    restoreAbilities(save.abilities);
+    
+    if (save.random) {
+        restoreRandomState(save.random.seed, save.random.state);
+    }
+    
+    const restoredPlatforms = save.platforms.map(saved => {
+        const platform = createPlatform(saved.type, new THREE.Vector3().fromArray(saved.position));
+        platform.totalSpent = saved.totalSpent || 0;
+        setPlatformTargetingMode(platform, saved.targetingMode);
+        setPlatformLevel(platform, saved.level, saved.branch);
+        PLATFORM_STATS.forEach(stat => {
+            if (saved.stats && typeof saved.stats[stat] === 'number') {
+                platform[stat] = saved.stats[stat];
+            }
+        });
+        PLATFORM_RECORD.forEach(field => {
+            if (saved.record && typeof saved.record[field] === 'number') {
+                platform[field] = saved.record[field];
+            }
+        });
+        return platform;
+    });
+    
+    // The post-game report carries on from where it was
+    restoreRunStatsState(save.stats, restoredPlatforms);
+    
+    save.enemies.forEach(saved => restoreEnemy(saved));
+    
+    if (save.wave.inProgress) {
+        restoreWaveState(save.wave);
+    }
+}
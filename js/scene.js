@@ -362,6 +362,22 @@ function setupLighting() {
     scene.add(hemisphereLight);
 }
 
+/**
+ * Creates an empty scene for running the game without a screen
+ * 
+ * Game objects still need a scene to be added to, but the headless
+ * balance simulator (tools/balance-sim.js) never draws anything, so the
+ * sun, planets and backgrounds (which need a canvas) are skipped.
+ * 
+ * @returns {THREE.Scene} An empty scene
+ */
+export function createHeadlessScene() {
+    scene = new THREE.Scene();
+    sun = null;
+    homePlanet = null;
+    return scene;
+}
+
 /**
  * Animate scene elements (called each frame)
  * @param {number} deltaTime - Time since last frame in seconds
@@ -0,0 +1,245 @@
+/**
+ * selection.js - Click-to-Select and the Selection Ring
+ * 
+ * The player can click any platform, the starbase or an enemy to inspect
+ * it. This module works out what a mouse ray hit, remembers the current
+ * selection, and draws a ring under it in the scene. Weapons also get a
+ * faint circle showing their range.
+ * 
+ * A selection is { kind, target }:
+ * - kind 'platform': target is the platform object (platform.js)
+ * - kind 'starbase': target is the starbase group (starbase.js)
+ * - kind 'enemy':    target is the enemy object (enemy.js)
+ * 
+ * The selection clears itself when its target dies or is sold. Nothing
+ * here affects the simulation - it only reads game objects.
+ * 
+ * Usage:
+ *   setSelection(pickSelectable(getMouseRay(camera)));
+ *   each frame: updateSelectionRing(deltaTime);
+ */
+
+import * as THREE from 'three';
+import { scene } from './scene.js';
+import { platforms } from './platform.js';
+import { getPlatformConfig } from './config.js';
+import { enemies } from './enemy.js';
+import { starbase, getStarbaseStats } from './starbase.js';
+
+// Ring colors: weapons are the player's (green), enemies are hostile (red)
+const RING_COLORS = {
+    platform: 0x00ff88,
+    starbase: 0x00ff88,
+    enemy: 0xff4444
+};
+
+// The current selection ({ kind, target }), or null
+let selection = null;
+
+// Ring under the selected object and range circle around a selected weapon
+// (created on first use, then reused)
+let selectionRing = null;
+let rangeRing = null;
+
+// Radius of the selection ring, measured when the object is selected
+let ringRadius = 1;
+
+// Time for the ring's pulse
+let pulseTime = 0;
+
+// ==================== PICKING ====================
+
+/**
+ * Find the selectable object a ray hits first
+ * 
+ * The ray is tested against every part of every platform, the starbase
+ * and every enemy. The part that was hit leads back to its game object:
+ * platform and enemy meshes carry a userData reference to it, and the
+ * starbase is recognised by its group.
+ * 
+ * @param {THREE.Raycaster} raycaster - Ray from the camera (getMouseRay in input.js)
+ * @returns {object|null} { kind, target }, or null if the ray hits nothing selectable
+ */
+export function pickSelectable(raycaster) {
+    const candidates = [
+        ...platforms.filter(platform => platform.alive).map(platform => platform.mesh),
+        ...enemies.filter(enemy => enemy.alive).map(enemy => enemy.mesh)
+    ];
+    if (starbase) candidates.push(starbase);
+    
+    const hits = raycaster.intersectObjects(candidates, true);
+    
+    for (const hit of hits) {
+        for (let object = hit.object; object; object = object.parent) {
+            if (object.userData.platform) return { kind: 'platform', target: object.userData.platform };
+            if (object.userData.enemy) return { kind: 'enemy', target: object.userData.enemy };
+            if (object === starbase) return { kind: 'starbase', target: starbase };
+        }
+    }
+    return null;
+}
+
+// ==================== SELECTION STATE ====================
+
+/**
+ * Select an object (or nothing)
+ * @param {object|null} newSelection - { kind, target } from pickSelectable(), or null
+ */
+export function setSelection(newSelection) {
+    selection = newSelection && isSelectionAlive(newSelection) ? newSelection : null;
+    pulseTime = 0;
+    
+    if (selection) {
+        // Size the ring to the object's footprint on the orbital plane
+        const size = new THREE.Box3().setFromObject(getSelectionObject(selection)).getSize(new THREE.Vector3());
+        ringRadius = Math.max(size.x, size.z) / 2 + 0.6;
+    }
+    updateSelectionRing(0);
+}
+
+/**
+ * Clear the selection
+ */
+export function clearSelection() {
+    setSelection(null);
+}
+
+/**
+ * Get the current selection
+ * @returns {object|null} { kind, target }, or null
+ */
+export function getSelection() {
+    if (selection && !isSelectionAlive(selection)) {
+        selection = null;
+    }
+    return selection;
+}
+
+/**
+ * Check whether a selection's object is still in the game
+ * @param {object} candidate - { kind, target }
+ * @returns {boolean} False once an enemy died or was cleared, a platform was sold, or the starbase is gone
+ */
+function isSelectionAlive(candidate) {
+    if (candidate.kind === 'starbase') return !!starbase && candidate.target === starbase;
+    
+    // Cleared enemies and removed platforms leave their arrays without dying
+    const list = candidate.kind === 'platform' ? platforms : enemies;
+    return !!candidate.target && candidate.target.alive && list.includes(candidate.target);
+}
+
+/**
+ * Get the 3D object that stands for a selection
+ * @param {object} candidate - { kind, target }
+ * @returns {THREE.Object3D} Its mesh or group
+ */
+function getSelectionObject(candidate) {
+    return candidate.kind === 'starbase' ? candidate.target : candidate.target.mesh;
+}
+
+/**
+ * Get the firing range of a selected weapon
+ * @param {object} candidate - { kind, target }
+ * @returns {number} Range in units (0 for enemies)
+ */
+function getSelectionRange(candidate) {
+    if (candidate.kind === 'platform') return candidate.target.range;
+    if (candidate.kind === 'starbase') return getStarbaseStats().range;
+    return 0;
+}
+
+// ==================== SELECTION RING ====================
+
+/**
+ * Move the selection ring (and range circle) to the selected object
+ * 
+ * Call once per frame after the scene is interpolated, so the ring follows
+ * what's drawn. If the selected object has gone, the selection clears and
+ * the rings hide.
+ * 
+ * @param {number} deltaTime - Time since last frame in seconds (for the pulse)
+ */
+export function updateSelectionRing(deltaTime) {
+    const current = getSelection();
+    
+    if (!current) {
+        if (selectionRing) selectionRing.visible = false;
+        if (rangeRing) rangeRing.visible = false;
+        return;
+    }
+    
+    createRings();
+    pulseTime += deltaTime;
+    
+    const object = getSelectionObject(current);
+    const position = object.position;
+    
+    // Flat under the object, gently pulsing so it reads as "selected"
+    const pulse = 1 + Math.sin(pulseTime * 4) * 0.06;
+    selectionRing.position.set(position.x, position.y - 0.2, position.z);
+    selectionRing.scale.setScalar(ringRadius * pulse);
+    selectionRing.material.color.setHex(RING_COLORS[current.kind]);
+    selectionRing.visible = true;
+    
+    // Weapons show how far they can reach
+    const range = getSelectionRange(current);
+    rangeRing.visible = range > 0;
+    if (range > 0) {
+        rangeRing.position.set(position.x, 0.05, position.z);
+        rangeRing.scale.setScalar(range);
+    }
+}
+
+/**
+ * Create the ring meshes the first time something is selected
+ * Both are unit-sized and scaled to fit, so they never need rebuilding.
+ */
+function createRings() {
+    if (selectionRing) return;
+    
+    selectionRing = new THREE.Mesh(
+        new THREE.RingGeometry(0.9, 1, 48),
+        new THREE.MeshBasicMaterial({
+            color: RING_COLORS.platform,
+            transparent: true,
+            opacity: 0.9,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        })
+    );
+    selectionRing.rotation.x = -Math.PI / 2; // Lie flat on the orbital plane
+    scene.add(selectionRing);
+    
+    rangeRing = new THREE.Mesh(
+        new THREE.RingGeometry(0.99, 1, 96),
+        new THREE.MeshBasicMaterial({
+            color: RING_COLORS.platform,
+            transparent: true,
+            opacity: 0.35,
+            side: THREE.DoubleSide,
+            depthWrite: false
+        })
+    );
+    rangeRing.rotation.x = -Math.PI / 2;
+    scene.add(rangeRing);
+}
+
+// ==================== DISPLAY NAMES ====================
+
+/**
+ * Get the name the inspector shows for a selection
+ * @param {object} candidate - { kind, target }
+ * @returns {string} e.g. "Laser Battery #3", "Starbase", "Armored enemy", "Dreadnought"
+ */
+export function getSelectionName(candidate) {
+    if (candidate.kind === 'starbase') return 'Starbase';
+    if (candidate.kind === 'platform') {
+        const platform = candidate.target;
+        return `${getPlatformConfig(platform.type).name || platform.type} #${platform.id}`;
+    }
+    
+    const enemy = candidate.target;
+    if (enemy.bossName) return enemy.bossName;
+    const type = enemy.type.charAt(0).toUpperCase() + enemy.type.slice(1);
+    return `${type} ${enemy.isBoss ? 'boss' : 'enemy'}`;
+}
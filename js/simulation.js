@@ -0,0 +1,288 @@
+/**
+ * simulation.js - One Step of Game Logic
+ * 
+ * Everything that decides how a wave plays out lives here: spawning
+ * enemies from the wave script, moving them along their paths, the
+ * starbase and platforms picking targets and firing, projectiles hitting
+ * enemies, and the economy bookkeeping for all of it.
+ * 
+ * Nothing in this file draws anything or touches the page. The browser
+ * game (main.js) calls stepSimulation() once per fixed step and turns
+ * the returned events into effects - damage numbers, explosions, camera
+ * shake. The headless balance simulator (tools/balance-sim.js) calls the
+ * very same function in Node and just counts the events.
+ * 
+ * Waves can overlap: addWaveToSimulation() starts the next wave while
+ * the current one is still running (the player called it early). Its
+ * spawns join the same queue, and the field counts as cleared once every
+ * wave in flight has spawned and been destroyed.
+ * 
+ * Usage:
+ *   startWaveSimulation(getWave(1));
+ *   addWaveToSimulation(getWave(2));   // Optional: called early
+ *   each fixed step:
+ *       const events = stepSimulation(FIXED_STEP);
+ *       // events.shots, events.hits, events.statusHits, events.leaked, events.defeated,
+ *       // events.waveCleared, events.bossSpawned, events.bossPhases
+ *   each fixed step of the break between waves:
+ *       stepBreak(FIXED_STEP);
+ */
+
+import { RANDOM_PATH, buildSpawnQueue } from './waves.js';
+import { getRandomPathName } from './path.js';
+import { spawnEnemy, updateEnemies, getEnemyCount, updateStealthDetection, updateBossPhases } from './enemy.js';
+import { starbase, updateStarbase, recordStarbaseDamage, getStarbaseStats } from './starbase.js';
+import { platforms, updatePlatforms, recordPlatformDamage } from './platform.js';
+import { createProjectile, updateProjectiles } from './projectile.js';
+import { recordKill, recordShot, recordHit, resetWaveTracking, loseLives } from './economy.js';
+import { recordWeaponDamage } from './stats.js';
+import { updateAbilities, isPlanetShielded } from './abilities.js';
+
+// Enemies still to spawn this wave, sorted by spawn time
+let spawnQueue = [];
+
+// Spawn bookkeeping for the wave-cleared check
+let enemiesToSpawn = 0;
+let enemiesSpawned = 0;
+
+// Seconds since the current wave started (the first, when waves overlap)
+let waveElapsed = 0;
+
+// How many waves are running at once (more than one after an early call)
+let wavesInFlight = 0;
+
+/**
+ * Get a wave ready to run
+ * @param {object} wave - One wave from the active wave script
+ */
+export function startWaveSimulation(wave) {
+    spawnQueue = buildSpawnQueue(wave);
+    enemiesToSpawn = spawnQueue.length;
+    enemiesSpawned = 0;
+    waveElapsed = 0;
+    wavesInFlight = 1;
+    
+    // Fresh kill/credit/accuracy counters for the wave summary
+    resetWaveTracking();
+}
+
+/**
+ * Start another wave alongside the one running (the next wave, called early)
+ * Its spawns are timed from now and join the queue, so both waves spawn
+ * side by side; the wave summary starts over for the new wave.
+ * @param {object} wave - One wave from the active wave script
+ */
+export function addWaveToSimulation(wave) {
+    const added = buildSpawnQueue(wave).map(spawn => ({ ...spawn, time: spawn.time + waveElapsed }));
+    
+    // Stable sort keeps the earlier wave's enemies first when times match
+    spawnQueue = [...spawnQueue, ...added].sort((a, b) => a.time - b.time);
+    enemiesToSpawn += added.length;
+    wavesInFlight++;
+    
+    resetWaveTracking();
+}
+
+/**
+ * Advance the game logic by one fixed step
+ * 
+ * Shots, hits and kills are recorded with the economy (for accuracy and
+ * credits) and planet damage is taken from the shield. The returned
+ * events are only for presentation and statistics. Ability cooldowns
+ * recharge here too, so they run on game time like everything else.
+ * 
+ * @param {number} deltaTime - Step length in seconds
+ * @returns {object} What happened during the step:
+ *          { shots: Array<object>, hits: Array<object>, statusHits: Array<object>,
+ *            leaked: Array<object>, planetDamage: number, defeated: boolean,
+ *            waveCleared: boolean, bossSpawned: Array<object>, bossPhases: Array<object> }
+ *          Splash damage is listed inside each hit (hit.splashHits); statusHits
+ *          is damage from status effects (burning enemies). bossSpawned
+ *          lists bosses that entered this step, bossPhases the phases bosses
+ *          moved into (see updateBossPhases in enemy.js).
+ */
+export function stepSimulation(deltaTime) {
+    const events = {
+        shots: [],
+        hits: [],
+        statusHits: [],
+        leaked: [],
+        planetDamage: 0,
+        defeated: false,
+        waveCleared: false,
+        bossSpawned: [],
+        bossPhases: []
+    };
+    
+    // --- ABILITIES ---
+    // Cooldowns recharge and a shield burst wears off
+    updateAbilities(deltaTime);
+    
+    // --- SPAWNING ---
+    // Spawn every queued enemy whose time has come (groups can overlap)
+    waveElapsed += deltaTime;
+    while (spawnQueue.length > 0 && spawnQueue[0].time <= waveElapsed) {
+        const spawn = spawnQueue.shift();
+        
+        // "random" picks a different path for each enemy for variety
+        const pathName = spawn.pathName === RANDOM_PATH ? getRandomPathName() : spawn.pathName;
+        const enemy = spawnEnemy(spawn.type, pathName, spawn);
+        if (enemy.isBoss) events.bossSpawned.push(enemy);
+        enemiesSpawned++;
+    }
+    
+    // --- ENEMIES ---
+    const enemyResult = updateEnemies(deltaTime);
+    
+    // Burning enemies take damage as they go; it counts for whatever set them alight
+    events.statusHits = enemyResult.statusHits;
+    events.statusHits.forEach(recordDamage);
+    
+    // Enemies that reach the planet drain its shield - defeat only at zero
+    // (while a shield burst is up they're stopped without doing any damage)
+    if (enemyResult.leaked.length > 0) {
+        events.leaked = enemyResult.leaked;
+        events.planetDamage = isPlanetShielded() ? 0
+            : enemyResult.leaked.reduce((total, enemy) => total + enemy.planetDamage, 0);
+        
+        if (loseLives(events.planetDamage) === 0) {
+            events.defeated = true;
+            return events;
+        }
+    }
+    
+    // --- DETECTION ---
+    // Weapons can only aim at stealth enemies a detector can see
+    updateStealthDetection(getDetectors());
+    
+    // --- STARBASE ---
+    // One shot per barrel when it fires (the Twin Barrel upgrade adds one)
+    events.shots.push(...updateStarbase(deltaTime));
+    
+    // --- PLATFORMS ---
+    // Each platform that fired returns projectile data, just like the starbase
+    events.shots.push(...updatePlatforms(deltaTime));
+    
+    events.shots.forEach(shotData => {
+        createProjectile(shotData);
+        recordShot(); // Track for accuracy
+    });
+    
+    // --- PROJECTILES ---
+    events.hits = updateProjectiles(deltaTime);
+    
+    events.hits.forEach(hit => {
+        // Track for accuracy (one hit per projectile - splash and pierced enemies don't count)
+        if (!hit.pierced) recordHit();
+        
+        // The direct hit and any splash damage from explosive projectiles (missiles)
+        [hit, ...(hit.splashHits || [])].forEach(recordDamage);
+    });
+    
+    // --- BOSS PHASES ---
+    // Bosses hurt badly enough this step change phase (and may call escorts)
+    events.bossPhases = updateBossPhases();
+    
+    // --- WIN CONDITION ---
+    // The wave is cleared once every enemy has spawned and none are left
+    events.waveCleared = enemiesSpawned >= enemiesToSpawn && getEnemyCount() === 0;
+    
+    return events;
+}
+
+/**
+ * Run one fixed step of the break between waves
+ * Nothing moves or fires, but game time goes on: ability cooldowns keep
+ * recharging and a shield burst keeps wearing off.
+ * @param {number} deltaTime - Step length in seconds
+ */
+export function stepBreak(deltaTime) {
+    updateAbilities(deltaTime);
+}
+
+/**
+ * Count a hit's damage and kill
+ * Each weapon keeps its own kills and damage for the inspector, and the
+ * run's statistics keep them for the post-game report. Abilities have no
+ * inspector, so theirs only go into the run's statistics.
+ * @param {object} damageHit - A hit (projectile, splash, status effect or ability)
+ */
+export function recordDamage(damageHit) {
+    if (damageHit.destroyed) recordKill(damageHit.enemy.type, damageHit.enemy.rewardMultiplier);
+    
+    recordWeaponDamage(damageHit.source, damageHit.damageDealt, damageHit.destroyed);
+    if (damageHit.source === 'starbase') {
+        recordStarbaseDamage(damageHit.damageDealt, damageHit.destroyed);
+    } else if (damageHit.source !== 'ability') {
+        recordPlatformDamage(damageHit.source, damageHit.damageDealt, damageHit.destroyed);
+    }
+}
+
+/**
+ * List everything that reveals stealth enemies
+ * @returns {Array<object>} { position, range } for the starbase and each platform with a detectionRange
+ */
+function getDetectors() {
+    const detectors = platforms
+        .filter(platform => platform.alive && platform.detectionRange > 0)
+        .map(platform => ({ position: platform.position, range: platform.detectionRange }));
+    
+    if (starbase) {
+        detectors.push({ position: starbase.position, range: getStarbaseStats().detectionRange });
+    }
+    return detectors;
+}
+
+/**
+ * Get how long the current wave has been running
+ * @returns {number} Seconds since the wave started
+ */
+export function getWaveElapsed() {
+    return waveElapsed;
+}
+
+/**
+ * Get how much longer the waves in flight keep spawning
+ * This is the time an early call skips (see getEarlyCallBonus in economy.js).
+ * @returns {number} Seconds until the last queued spawn (0 once all have spawned)
+ */
+export function getRemainingSpawnTime() {
+    if (spawnQueue.length === 0) return 0;
+    return Math.max(0, spawnQueue[spawnQueue.length - 1].time - waveElapsed);
+}
+
+/**
+ * Get how many waves are running at once
+ * @returns {number} 1 normally, more after early calls
+ */
+export function getWavesInFlight() {
+    return wavesInFlight;
+}
+
+/**
+ * Get the progress of the current wave, for saving a run
+ * @returns {object} { elapsed, spawnQueue, enemiesToSpawn, enemiesSpawned, wavesInFlight }
+ */
+export function getWaveState() {
+    return {
+        elapsed: waveElapsed,
+        spawnQueue: spawnQueue.map(spawn => ({ ...spawn })),
+        enemiesToSpawn,
+        enemiesSpawned,
+        wavesInFlight
+    };
+}
+
+/**
+ * Continue a wave from a saved point
+ * Unlike startWaveSimulation(), the wave tracking is left alone - the
+ * economy restores its own per-wave counters.
+ * @param {object} state - Value from getWaveState()
+ */
+export function restoreWaveState(state) {
+    spawnQueue = state.spawnQueue.map(spawn => ({ ...spawn }));
+    enemiesToSpawn = state.enemiesToSpawn;
+    enemiesSpawned = state.enemiesSpawned;
+    waveElapsed = state.elapsed;
+    wavesInFlight = state.wavesInFlight;
+}
@@ -2,7 +2,8 @@
  * starbase.js - Player Starbase
  * 
  * The starbase is the player's main weapon platform, positioned at the center
- * orbiting the planet. It AUTOMATICALLY targets and fires at the closest enemy.
+ * orbiting the planet. It AUTOMATICALLY targets and fires at enemies, choosing
+ * which one with its targeting mode (see TARGETING_MODES in enemy.js).
  * 
  * This is standard tower defense behavior - the player focuses on strategy
  * (placement, upgrades) while weapons handle the aiming and shooting.
@@ -18,7 +19,7 @@
 import * as THREE from 'three';
 import { scene } from './scene.js';
 import { CONFIG } from './config.js';
-import { getClosestEnemy } from './enemy.js';
+import { selectTarget, isTargetingMode, DEFAULT_TARGETING_MODE } from './enemy.js';
 
 // Import smooth animation utilities
 // dampAngle provides frame-rate independent smooth rotation
@@ -29,14 +30,8 @@ import { createMuzzleSparks } from './particles.js';
 
 export let starbase = null;
 
-// Starbase stats (can be upgraded later)
-let stats = {
-    damage: CONFIG.starbase.damage,
-    fireRate: CONFIG.starbase.fireRate,
-    rotationSpeed: CONFIG.starbase.rotationSpeed,
-    projectileSpeed: CONFIG.starbase.projectileSpeed,
-    range: CONFIG.starbase.range
-};
+// Starbase stats (raised by the upgrade tree, see upgrades.js)
+let stats = createDefaultStats();
 
 // Firing state
 let timeSinceLastShot = 0;
@@ -44,6 +39,12 @@ let timeSinceLastShot = 0;
 // Current target (for smooth tracking)
 let currentTarget = null;
 
+// Which enemy to prefer (one of TARGETING_MODES in enemy.js)
+let targetingMode = DEFAULT_TARGETING_MODE;
+
+// Kills and damage dealt this run (shown in the inspector)
+let combatRecord = { kills: 0, damageDealt: 0 };
+
 // Animation state for visual effects
 let animationTime = 0;
 
@@ -331,11 +332,60 @@ export function createStarbase() {
     // Store stats on the object for easy access
     starbase.userData.stats = stats;
     
+    // Twin Barrel may already be bought (e.g. a loaded game)
+    updateBarrelVisuals();
+    
     scene.add(starbase);
     
     return starbase;
 }
 
+/**
+ * Get the starbase's stats for a new game
+ * @returns {object} Stats from CONFIG.starbase
+ */
+function createDefaultStats() {
+    return {
+        damage: CONFIG.starbase.damage,
+        fireRate: CONFIG.starbase.fireRate,
+        rotationSpeed: CONFIG.starbase.rotationSpeed,
+        projectileSpeed: CONFIG.starbase.projectileSpeed,
+        range: CONFIG.starbase.range,
+        barrels: CONFIG.starbase.barrels,
+        pierce: CONFIG.starbase.pierce,
+        detectionRange: CONFIG.starbase.detectionRange
+    };
+}
+
+/**
+ * Show a second barrel when the starbase has the Twin Barrel upgrade
+ * 
+ * The twin is a copy of the main barrel assembly. The two sit side by
+ * side, and each one fires a shot per volley (see fireProjectile).
+ */
+function updateBarrelVisuals() {
+    const turret = starbase && starbase.getObjectByName('turret');
+    if (!turret) return;
+    
+    const barrel = turret.getObjectByName('barrel');
+    let twin = turret.getObjectByName('twinBarrel');
+    
+    if (stats.barrels >= 2 && !twin) {
+        twin = barrel.clone();
+        twin.name = 'twinBarrel';
+        turret.add(twin);
+    } else if (stats.barrels < 2 && twin) {
+        turret.remove(twin);
+        twin = null;
+    }
+    
+    // Side by side with a twin, centered without
+    barrel.position.x = twin ? -0.45 : 0;
+    if (twin) {
+        twin.position.x = 0.45;
+    }
+}
+
 /**
  * Updates the starbase visual effects
  * Called every frame to animate glowing elements, rotating parts, etc.
@@ -375,26 +425,26 @@ function updateStarbaseVisuals(deltaTime) {
 
 /**
  * Update starbase each frame
- * Automatically finds closest enemy, rotates to face it, and fires
+ * Automatically picks a target, rotates to face it, and fires
  * Also updates visual effects (pulsing glows, rotating elements)
  * 
  * @param {number} deltaTime - Time since last frame in seconds
- * @returns {object|null} Projectile data if fired, null otherwise
+ * @returns {Array<object>} Projectile data for each shot fired (one per barrel, or none)
  */
 export function updateStarbase(deltaTime) {
-    if (!starbase) return null;
+    if (!starbase) return [];
     
     // Update visual effects (pulsing, rotating, etc.)
     updateStarbaseVisuals(deltaTime);
     
     // Get the turret (the part that rotates)
     const turret = starbase.getObjectByName('turret');
-    if (!turret) return null;
+    if (!turret) return [];
     
     // === FIND TARGET ===
-    // Get the closest enemy within range
+    // Pick an enemy within range according to the targeting mode
     const starbasePosition = starbase.position;
-    currentTarget = getClosestEnemy(starbasePosition, stats.range);
+    currentTarget = selectTarget(starbasePosition, stats.range, targetingMode, currentTarget);
     
     // === AUTO-AIM ===
     // If we have a target, rotate to face it
@@ -444,21 +494,24 @@ export function updateStarbase(deltaTime) {
     // 3. Cooldown has elapsed
     if (currentTarget && isAimed && timeSinceLastShot >= fireInterval) {
         timeSinceLastShot = 0;
-        return fireProjectile(turret, currentTarget);
+        
+        // One shot from each barrel
+        return ['barrel', 'twinBarrel']
+            .map(name => turret.getObjectByName(name))
+            .filter(barrelGroup => barrelGroup)
+            .map(barrelGroup => fireProjectile(barrelGroup, currentTarget));
     }
     
-    return null;
+    return [];
 }
 
 /**
- * Fire a projectile from the starbase toward a target
- * @param {THREE.Object3D} turret - The turret object
+ * Fire a projectile from one of the starbase's barrels toward a target
+ * @param {THREE.Object3D} barrelGroup - The barrel assembly firing
  * @param {object} target - The enemy we're shooting at
- * @returns {object} Projectile data (position, direction, damage, speed)
+ * @returns {object} Projectile data (position, direction, damage, speed, source, kind, target, pierce)
  */
-function fireProjectile(turret, target) {
-    const barrelGroup = turret.getObjectByName('barrel');
-    
+function fireProjectile(barrelGroup, target) {
     // Get world position of barrel tip
     // The barrel group extends to z=3.35 (muzzle position)
     const barrelTip = new THREE.Vector3(0, 0, 3.5); // Local position of barrel end
@@ -482,7 +535,11 @@ function fireProjectile(turret, target) {
         direction: direction,
         damage: stats.damage,
         speed: stats.projectileSpeed,
-        source: 'starbase'
+        source: 'starbase',
+        kind: CONFIG.starbase.projectile,
+        damageType: CONFIG.starbase.damageType,
+        target,
+        pierce: stats.pierce     // Piercing Shots upgrade
     };
 }
 
@@ -496,6 +553,9 @@ function fireProjectile(turret, target) {
  * @param {THREE.Vector3} position - Where to create the flash
  */
 function createMuzzleFlash(position) {
+    // Nothing to draw when running headless (e.g. the Node balance simulator)
+    if (typeof requestAnimationFrame === 'undefined') return;
+    
     // Bright core flash - this is the main burst of light
     const flashGeometry = new THREE.SphereGeometry(0.6, 12, 12);
     const flashMaterial = new THREE.MeshBasicMaterial({
@@ -557,6 +617,25 @@ export function getCurrentTarget() {
     return currentTarget;
 }
 
+/**
+ * Get the starbase's targeting mode
+ * @returns {string} One of TARGETING_MODES (enemy.js)
+ */
+export function getStarbaseTargetingMode() {
+    return targetingMode;
+}
+
+/**
+ * Change which enemies the starbase prefers
+ * @param {string} mode - One of TARGETING_MODES (enemy.js)
+ * @returns {boolean} True if the mode was known and applied
+ */
+export function setStarbaseTargetingMode(mode) {
+    if (!isTargetingMode(mode)) return false;
+    targetingMode = mode;
+    return true;
+}
+
 /**
  * Get the starbase's current stats
  * @returns {object} Stats object
@@ -567,7 +646,8 @@ export function getStarbaseStats() {
 
 /**
  * Upgrade a starbase stat
- * @param {string} stat - Which stat to upgrade (damage, fireRate, rotationSpeed)
+ * @param {string} stat - Which stat to upgrade (damage, fireRate, rotationSpeed,
+ *                        projectileSpeed, range, barrels, pierce, detectionRange)
  * @param {number} amount - Amount to add
  */
 export function upgradeStarbase(stat, amount) {
@@ -576,6 +656,7 @@ export function upgradeStarbase(stat, amount) {
         if (starbase) {
             starbase.userData.stats = stats;
         }
+        updateBarrelVisuals();
     }
 }
 
@@ -583,20 +664,43 @@ export function upgradeStarbase(stat, amount) {
  * Reset starbase stats to default
  */
 export function resetStarbaseStats() {
-    stats = {
-        damage: CONFIG.starbase.damage,
-        fireRate: CONFIG.starbase.fireRate,
-        rotationSpeed: CONFIG.starbase.rotationSpeed,
-        projectileSpeed: CONFIG.starbase.projectileSpeed,
-        range: CONFIG.starbase.range
-    };
+    stats = createDefaultStats();
     if (starbase) {
         starbase.userData.stats = stats;
     }
+    updateBarrelVisuals();
     currentTarget = null;
+    targetingMode = DEFAULT_TARGETING_MODE;
+    combatRecord = { kills: 0, damageDealt: 0 };
     animationTime = 0; // Reset animation time for visual effects
 }
 
+/**
+ * Count damage the starbase's shots dealt (called by stepSimulation)
+ * @param {number} damage - Health the enemy lost
+ * @param {boolean} destroyed - Whether the hit killed it
+ */
+export function recordStarbaseDamage(damage, destroyed) {
+    combatRecord.damageDealt += damage;
+    if (destroyed) combatRecord.kills++;
+}
+
+/**
+ * Get the starbase's kills and damage dealt this run
+ * @returns {object} { kills, damageDealt }
+ */
+export function getStarbaseCombatRecord() {
+    return { ...combatRecord };
+}
+
+/**
+ * Put a saved combat record back (used when loading a saved game)
+ * @param {object} record - Value from getStarbaseCombatRecord()
+ */
+export function restoreStarbaseCombatRecord(record) {
+    combatRecord = { kills: record.kills || 0, damageDealt: record.damageDealt || 0 };
+}
+
 /**
  * Get the position of the starbase
  * @returns {THREE.Vector3} Position
@@ -0,0 +1,183 @@
+/**
+ * stats.js - Run Statistics
+ * 
+ * Collects what the post-game report (victory and defeat screens) shows
+ * beyond the economy's own totals:
+ * - Damage and kills per weapon. Unlike the inspector's combat records,
+ *   these outlive the weapon, so a platform sold mid-run still appears.
+ * - One entry per wave, from the economy's wave summary
+ * - Credits earned and spent so far, sampled every few seconds of play
+ *   (CONFIG.stats.creditSampleInterval) for the credits chart
+ * 
+ * The simulation step records damage; main.js records each wave as it
+ * ends and samples credits every step. Everything here is plain data, so
+ * it goes into saves as it is (see getRunStatsState).
+ * 
+ * Usage:
+ *   initRunStats();                                    // New game
+ *   recordWeaponDamage(hit.source, hit.damageDealt, hit.destroyed);
+ *   recordWaveStats(waveNumber, getWaveSummary(), true);
+ *   recordLostWave(waveNumber, getWaveSummary(), wavesCleared);   // Defeat
+ *   const report = getRunReport();                     // For the report screen
+ */
+
+import { CONFIG } from './config.js';
+import { platforms } from './platform.js';
+import { getGameStats } from './economy.js';
+
+// Damage and kills per weapon, in the order they first hit something:
+// { source, type, number, damage, kills } - number counts platforms of the same type;
+// the starbase and the player's abilities have their source as their type
+let weapons = [];
+
+// One entry per wave played: { wave, cleared, calledEarly, kills, credits, score, accuracy, duration }
+let waves = [];
+
+// Credits earned and spent so far: { time, earned, spent }
+let creditSamples = [{ time: 0, earned: 0, spent: 0 }];
+
+/**
+ * Start collecting for a new run
+ */
+export function initRunStats() {
+    weapons = [];
+    waves = [];
+    creditSamples = [{ time: 0, earned: 0, spent: 0 }];
+}
+
+/**
+ * Count damage one weapon dealt (called by recordDamage() in simulation.js for every hit)
+ * @param {string|number} source - 'starbase', 'ability' or a platform ID (the hit's source)
+ * @param {number} damage - Health the enemy lost
+ * @param {boolean} destroyed - Whether the hit killed it
+ */
+export function recordWeaponDamage(source, damage, destroyed) {
+    let weapon = weapons.find(candidate => candidate.source === source);
+    if (!weapon) {
+        // Shots can outlive a sold platform; one that never hit anything before is left out
+        const platform = platforms.find(candidate => candidate.id === source);
+        if (!platform && source !== 'starbase' && source !== 'ability') return;
+        
+        const type = platform ? platform.type : source;
+        const number = weapons.filter(candidate => candidate.type === type).length + 1;
+        weapon = { source, type, number, damage: 0, kills: 0 };
+        weapons.push(weapon);
+    }
+    
+    weapon.damage += damage;
+    if (destroyed) weapon.kills++;
+}
+
+/**
+ * Add a finished (or lost) wave to the report
+ * A wave the player called the next one over ends there: what happens
+ * after that counts towards the next wave.
+ * @param {number} waveNumber - Wave number (1-based)
+ * @param {object} summary - getWaveSummary() at the end of the wave
+ * @param {boolean} cleared - False for the wave the run was lost in
+ * @param {boolean} calledEarly - True if it ended with the next wave called early
+ */
+export function recordWaveStats(waveNumber, summary, cleared, calledEarly = false) {
+    waves.push({
+        wave: waveNumber,
+        cleared,
+        calledEarly,
+        kills: summary.kills,
+        credits: summary.credits,
+        score: summary.score,
+        accuracy: summary.waveAccuracy,
+        duration: summary.duration
+    });
+}
+
+/**
+ * Add the wave the run was lost in to the report
+ * Waves called early are still in flight, so they weren't beaten either:
+ * their rows are marked lost as well.
+ * @param {number} waveNumber - The latest wave in flight
+ * @param {object} summary - getWaveSummary() when the run was lost
+ * @param {number} wavesCleared - Waves the player got through
+ */
+export function recordLostWave(waveNumber, summary, wavesCleared) {
+    waves.forEach(wave => {
+        if (wave.wave > wavesCleared) wave.cleared = false;
+    });
+    recordWaveStats(waveNumber, summary, false);
+}
+
+/**
+ * Sample credits earned and spent, if it's time for the next point
+ * Call once per simulation step, after the play time has been counted.
+ */
+export function sampleCredits() {
+    const stats = getGameStats();
+    const last = creditSamples[creditSamples.length - 1];
+    if (last && stats.playTime - last.time < CONFIG.stats.creditSampleInterval) return;
+    
+    creditSamples.push({ time: stats.playTime, earned: stats.creditsEarned, spent: stats.creditsSpent });
+}
+
+/**
+ * Put together everything the post-game report shows
+ * @returns {object} { waves, weapons (most damage first), killsByType, credits (samples up to now),
+ *                     accuracy, shotsFired, shotsHit, creditsEarned, creditsSpent, duration }
+ */
+export function getRunReport() {
+    const stats = getGameStats();
+    const credits = [...creditSamples];
+    const last = credits[credits.length - 1];
+    if (!last || last.time < stats.playTime) {
+        credits.push({ time: stats.playTime, earned: stats.creditsEarned, spent: stats.creditsSpent });
+    }
+    
+    return {
+        waves: waves.map(wave => ({ ...wave })),
+        weapons: weapons.map(weapon => ({ ...weapon })).sort((a, b) => b.damage - a.damage),
+        killsByType: stats.killsByType,
+        credits,
+        accuracy: stats.accuracy,
+        shotsFired: stats.shotsFired,
+        shotsHit: stats.shotsHit,
+        creditsEarned: stats.creditsEarned,
+        creditsSpent: stats.creditsSpent,
+        duration: stats.playTime
+    };
+}
+
+/**
+ * Get everything collected so far, for saving a run (see js/save.js)
+ * Platform IDs change when a game is loaded, so each platform's weapon
+ * entry is saved with its place in the save's platform list instead
+ * (-1 once it has been sold).
+ * @param {Array<object>} savedPlatforms - The platforms going into the save, in order
+ * @returns {object} Plain data that can be stored as JSON
+ */
+export function getRunStatsState(savedPlatforms) {
+    return {
+        weapons: weapons.map(({ source, ...weapon }) => ({
+            ...weapon,
+            platform: source === 'starbase' ? null : savedPlatforms.findIndex(platform => platform.id === source)
+        })),
+        waves: waves.map(wave => ({ ...wave })),
+        credits: creditSamples.map(sample => ({ ...sample }))
+    };
+}
+
+/**
+ * Put the statistics back the way getRunStatsState() found them
+ * @param {object} state - Saved statistics
+ * @param {Array<object>} restoredPlatforms - The save's platforms, rebuilt in the same order
+ */
+export function restoreRunStatsState(state, restoredPlatforms) {
+    initRunStats();
+    weapons = state.weapons.map(({ platform, ...weapon }) => {
+        const restored = restoredPlatforms[platform];
+        // Sold platforms keep their entry but no source, so nothing new is credited to them
+        const source = weapon.type === 'starbase' ? 'starbase' : (restored ? restored.id : null);
+        return { ...weapon, source };
+    });
+    waves = state.waves.map(wave => ({ ...wave }));
+    if (state.credits.length > 0) {
+        creditSamples = state.credits.map(sample => ({ ...sample }));
+    }
+}
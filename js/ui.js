@@ -2,8 +2,12 @@
  * ui.js - User Interface System
  * 
  * Manages all 2D UI elements displayed on top of the 3D game:
- * - HUD (Heads-Up Display): Score, credits, wave info
- * - Screens: Start menu, victory, defeat, pause
+ * - HUD (Heads-Up Display): Score, credits, lives, wave info
+ * - Build menu: Platform types the player can place
+ * - Targeting panel: Which enemies each weapon prefers
+ * - Upgrade panel: Starbase upgrades bought between waves
+ * - Platform panel: Upgrade or sell the platform the player clicked
+ * - Screens: Start menu, level select, load game, leaderboard, victory, defeat, pause
  * - Damage numbers: Floating text when enemies are hit
  * 
  * Why separate from 3D?
@@ -23,109 +27,1777 @@
  * - Easing: How the animation accelerates/decelerates (e.g., "power2.out")
  */
 
-import { getCredits, getScore, getAccuracy, getGameStats } from './economy.js';
-import { getEnemyCount } from './enemy.js';
+import { getCredits, getScore, getLives, getMaxLives, getAccuracy, getGameStats, getSellRefund,
+         canAffordPlatform } from './economy.js';
+import { getEnemyCount, getActiveBoss, getSpeedMultiplier, getStatusEffectList, TARGETING_MODES } from './enemy.js';
+import { placementState, platforms, getPlatformUpgradeOptions, canUpgradePlatform } from './platform.js';
+import { getStarbaseTargetingMode, getStarbaseCombatRecord, getCurrentTarget, getStarbaseStats } from './starbase.js';
+import { getSelection, getSelectionName, clearSelection } from './selection.js';
+import { getUpgradeTree } from './upgrades.js';
+import { getAbilityStates, abilityTargeting } from './abilities.js';
+import { getLeaderboard, getPlayerName, setPlayerName } from './leaderboard.js';
+import { createBarChart, createLineChart } from './charts.js';
+import { CONFIG, getDamageTypeConfig } from './config.js';
 import gsap from 'gsap';
 
 // Cache DOM element references (faster than querying each frame)
 const elements = {};
 
+// Called with (level, mode) when a level card is clicked (set in setupUICallbacks)
+let onLevelSelected = null;
+
+// Levels on the level-select screen (set by setLevelList) and the mode picked above them
+let levelEntries = [];
+let selectedMode = 'campaign';
+
+// Called with the chosen save when Continue or a save card is clicked (set in setupUICallbacks)
+let onSaveSelected = null;
+
+// Saves shown on the load screen, newest first (set by setSaveList)
+let saveEntries = [];
+
+// Called with (weaponId, mode) when a targeting mode is picked (set in setupUICallbacks)
+let onTargetingChanged = null;
+
+// How fast damage numbers and credit popups play - they follow the game speed
+// (0 during a tactical pause, so they wait with the game)
+let feedbackSpeed = 1;
+
+// Damage numbers and credit popups still on screen, so a speed change reaches them too
+const feedbackTimelines = new Set();
+
+// Weapons the targeting panel was last built for, to rebuild only when they change
+let targetingWeaponsKey = '';
+
+// Called with an upgrade ID when a Buy button is clicked (set in setupUICallbacks)
+let onUpgradeSelected = null;
+
+// How upgrade effects are described ("+5 damage")
+const UPGRADE_STAT_NAMES = {
+    damage: 'damage',
+    fireRate: 'shots/s',
+    rotationSpeed: 'turn speed',
+    projectileSpeed: 'shot speed',
+    range: 'range',
+    barrels: 'barrel',
+    pierce: 'enemy pierced',
+    detectionRange: 'sensor range'
+};
+
+// Boss the boss bar was last built for, to redraw its phase marks only when it changes
+let bossBarBoss = null;
+
+// Platform shown in the platform panel (set by showPlatformPanel)
+let selectedPlatform = null;
+
+// Level the platform panel was last built for, to rebuild only after an upgrade
+let platformPanelKey = '';
+
+// Called with (platformId, branch) / platformId when Upgrade / Sell is clicked (set in setupUICallbacks)
+let onPlatformUpgradeSelected = null;
+let onPlatformSellSelected = null;
+
+// Rows of the platform panel's stats table
+const PLATFORM_STAT_LABELS = {
+    damage: 'Damage',
+    range: 'Range',
+    fireRate: 'Shots/s'
+};
+
+// Selection the inspector rows were last built for, to rebuild only when it changes
+let inspectorKey = '';
+
+// Leaderboard import/export callbacks (set in setupUICallbacks)
+let onLeaderboardExport = null;
+let onLeaderboardImport = null;
+
+// Replay callbacks (set in setupUICallbacks)
+let onReplayExport = null;
+let onReplayWatch = null;
+
+// Length of the replay being watched, in ticks, and whether the scrubber is being dragged
+let replayTicks = 0;
+let replayScrubbing = false;
+
+// How each save slot is named on the load screen
+const SAVE_SLOT_NAMES = {
+    autosave: 'Autosave',
+    manual: 'Saved Game'
+};
+
+/**
+ * Initialize UI system
+ * Finds and caches all DOM elements we'll need
+ */
+export function initUI() {
+    // HUD elements
+    elements.hud = document.getElementById('hud');
+    elements.waveNumber = document.getElementById('wave-number');
+    elements.enemiesRemaining = document.getElementById('enemies-remaining');
+    elements.score = document.getElementById('score');
+    elements.credits = document.getElementById('credits');
+    elements.shieldFill = document.getElementById('shield-fill');
+    elements.shieldValue = document.getElementById('shield-value');
+    
+    // Build menu
+    elements.buildOptions = document.getElementById('build-options');
+    elements.buildButtons = {}; // Filled in by createBuildMenu(), keyed by platform type
+    
+    // Targeting panel
+    elements.targetingOptions = document.getElementById('targeting-options');
+    elements.targetingSelects = {}; // Filled in by updateTargetingMenu(), keyed by weapon ID
+    
+    // Upgrade panel
+    elements.upgradePanel = document.getElementById('upgrade-panel');
+    elements.upgradeOptions = document.getElementById('upgrade-options');
+    elements.upgradeRows = {}; // Filled in by createUpgradeRows(), keyed by upgrade ID
+    elements.nextWaveButton = document.getElementById('next-wave-button');
+    elements.nextWaveNumber = document.getElementById('next-wave-number');
+    
+    // Next-wave preview
+    elements.wavePreview = document.getElementById('wave-preview');
+    elements.wavePreviewNumber = document.getElementById('wave-preview-number');
+    elements.wavePreviewName = document.getElementById('wave-preview-name');
+    elements.wavePreviewGroups = document.getElementById('wave-preview-groups');
+    elements.callWaveButton = document.getElementById('call-wave-button');
+    
+    // Ability bar
+    elements.abilityBar = document.getElementById('ability-bar');
+    elements.abilityButtons = {}; // Filled in by createAbilityBar(), keyed by ability ID
+    
+    // Game speed controls
+    elements.speedControls = document.getElementById('speed-controls');
+    elements.tacticalPauseButton = document.getElementById('tactical-pause-button');
+    
+    // Platform panel
+    elements.platformPanel = document.getElementById('platform-panel');
+    elements.platformPanelTitle = document.getElementById('platform-panel-title');
+    elements.platformPanelClose = document.getElementById('platform-panel-close');
+    elements.platformPanelStats = document.getElementById('platform-panel-stats');
+    elements.platformPanelUpgrades = document.getElementById('platform-panel-upgrades');
+    elements.platformUpgradeButtons = []; // Filled in by createPlatformPanelContents(), one per option
+    elements.platformSellButton = document.getElementById('platform-sell-button');
+    
+    // Inspector
+    elements.inspectorPanel = document.getElementById('inspector-panel');
+    elements.inspectorTitle = document.getElementById('inspector-title');
+    elements.inspectorClose = document.getElementById('inspector-close');
+    elements.inspectorStats = document.getElementById('inspector-stats');
+    elements.inspectorValues = []; // Filled in by updateInspector(), one cell per row
+    
+    // Boss bar
+    elements.bossBar = document.getElementById('boss-bar');
+    elements.bossName = document.getElementById('boss-name');
+    elements.bossPhase = document.getElementById('boss-phase');
+    elements.bossStatus = document.getElementById('boss-status');
+    elements.bossHealthFill = document.getElementById('boss-health-fill');
+    elements.bossShieldFill = document.getElementById('boss-shield-fill');
+    elements.bossPhaseMarks = document.getElementById('boss-phase-marks');
+    
+    // Screen containers
+    elements.startScreen = document.getElementById('start-screen');
+    elements.levelSelectScreen = document.getElementById('level-select-screen');
+    elements.levelList = document.getElementById('level-list');
+    elements.modeOptions = [...document.querySelectorAll('.mode-option')];
+    elements.loadScreen = document.getElementById('load-screen');
+    elements.saveList = document.getElementById('save-list');
+    elements.leaderboardScreen = document.getElementById('leaderboard-screen');
+    elements.playerName = document.getElementById('player-name');
+    elements.leaderboardMode = document.getElementById('leaderboard-mode');
+    elements.leaderboardLevel = document.getElementById('leaderboard-level');
+    elements.leaderboardTable = document.getElementById('leaderboard-table');
+    elements.leaderboardFile = document.getElementById('leaderboard-file');
+    elements.leaderboardMessage = document.getElementById('leaderboard-message');
+    elements.replayFile = document.getElementById('replay-file');
+    elements.replayMessage = document.getElementById('replay-message');
+    elements.victoryScreen = document.getElementById('victory-screen');
+    elements.defeatScreen = document.getElementById('defeat-screen');
+    elements.pauseScreen = document.getElementById('pause-screen');
+    
+    // Buttons
+    elements.startButton = document.getElementById('start-button');
+    elements.levelBackButton = document.getElementById('level-back-button');
+    elements.continueButton = document.getElementById('continue-button');
+    elements.loadButton = document.getElementById('load-button');
+    elements.loadBackButton = document.getElementById('load-back-button');
+    elements.leaderboardButton = document.getElementById('leaderboard-button');
+    elements.leaderboardBackButton = document.getElementById('leaderboard-back-button');
+    elements.leaderboardExport = document.getElementById('leaderboard-export');
+    elements.leaderboardImport = document.getElementById('leaderboard-import');
+    elements.saveButton = document.getElementById('save-button');
+    elements.restartVictory = document.getElementById('restart-victory');
+    elements.restartDefeat = document.getElementById('restart-defeat');
+    elements.resumeButton = document.getElementById('resume-button');
+    elements.restartPause = document.getElementById('restart-pause');
+    elements.watchReplayButton = document.getElementById('watch-replay-button');
+    elements.replayExportButtons = [...document.querySelectorAll('.replay-export-button')];
+    
+    // Replay bar (while watching a replay)
+    elements.replayBar = document.getElementById('replay-bar');
+    elements.replayScrubber = document.getElementById('replay-scrubber');
+    elements.replayTime = document.getElementById('replay-time');
+    elements.replayExitButton = document.getElementById('replay-exit-button');
+    elements.replayWarning = document.getElementById('replay-warning');
+    
+    // Final score displays
+    elements.finalScoreVictory = document.getElementById('final-score-victory');
+    elements.finalScoreDefeat = document.getElementById('final-score-defeat');
+    
+    // Run results (victory and defeat screens)
+    elements.victoryResults = document.getElementById('victory-results');
+    elements.defeatResults = document.getElementById('defeat-results');
+}
+
+/**
+ * Set up button event listeners
+ * @param {object} callbacks - Object containing callback functions
+ * @param {Function} callbacks.onStart - Called when Start button clicked
+ * @param {Function} callbacks.onRestart - Called when Restart button clicked
+ * @param {Function} callbacks.onResume - Called when Resume button clicked
+ * @param {Function} callbacks.onBuild - Called with a platform type when a build button is clicked
+ * @param {Function} callbacks.onTargetingChange - Called with (weaponId, mode) when a targeting mode is
+ *                                                 picked; weaponId is 'starbase' or a platform ID
+ * @param {Function} callbacks.onUpgrade - Called with an upgrade ID when Buy is clicked
+ * @param {Function} callbacks.onNextWave - Called when Start Wave is clicked in the upgrade panel
+ * @param {Function} callbacks.onPlatformUpgrade - Called with (platformId, branch) when a platform
+ *                                                 upgrade is clicked; branch is null below level 4
+ * @param {Function} callbacks.onPlatformSell - Called with a platform ID when Sell is clicked
+ * @param {Function} callbacks.onLoad - Called with a save when Continue or a saved game is chosen
+ * @param {Function} callbacks.onSave - Called when Save Game is clicked; returns true if it worked
+ * @param {Function} callbacks.onExportLeaderboard - Called when Export is clicked; returns the JSON to download
+ * @param {Function} callbacks.onImportLeaderboard - Called with a chosen file's text; returns
+ *                                                   { valid, imported, rejected, errors }
+ * @param {Function} callbacks.onSpeedChange - Called with a speed when a speed button is clicked
+ * @param {Function} callbacks.onTacticalPause - Called when the tactical pause button is clicked
+ * @param {Function} callbacks.onAbility - Called with an ability ID when an ability button is
+ *                                         clicked; returns { valid, reason }
+ * @param {Function} callbacks.onExportReplay - Called when Export Replay is clicked; returns the
+ *                                              JSON to download, or null if there is none
+ * @param {Function} callbacks.onWatchReplay - Called with a chosen replay file's text; returns { valid, reason }
+ * @param {Function} callbacks.onReplaySeek - Called with a tick when the replay scrubber is let go
+ * @param {Function} callbacks.onReplayExit - Called when Exit is clicked on the replay bar
+ */
+export function setupUICallbacks(callbacks) {
+    if (elements.buildOptions) {
+        createBuildMenu((type) => {
+            callbacks.onBuild && callbacks.onBuild(type);
+        });
+    }
+    
+    onTargetingChanged = callbacks.onTargetingChange;
+    
+    if (elements.upgradeOptions) {
+        onUpgradeSelected = callbacks.onUpgrade;
+        createUpgradeRows();
+    }
+    
+    if (elements.nextWaveButton) {
+        elements.nextWaveButton.addEventListener('click', () => {
+            callbacks.onNextWave && callbacks.onNextWave();
+        });
+    }
+    
+    if (elements.callWaveButton) {
+        elements.callWaveButton.addEventListener('click', () => {
+            callbacks.onCallWave && callbacks.onCallWave();
+        });
+    }
+    
+    if (elements.speedControls) {
+        createSpeedControls(callbacks.onSpeedChange);
+        elements.tacticalPauseButton.addEventListener('click', () => {
+            callbacks.onTacticalPause && callbacks.onTacticalPause();
+        });
+    }
+    
+    if (elements.abilityBar) {
+        createAbilityBar(callbacks.onAbility);
+    }
+    
+    onPlatformUpgradeSelected = callbacks.onPlatformUpgrade;
+    onPlatformSellSelected = callbacks.onPlatformSell;
+    
+    if (elements.platformSellButton) {
+        elements.platformSellButton.addEventListener('click', () => {
+            if (selectedPlatform && onPlatformSellSelected) {
+                onPlatformSellSelected(selectedPlatform.id);
+            }
+        });
+    }
+    
+    // Closing either panel deselects (the platform panel belongs to the selection)
+    [elements.platformPanelClose, elements.inspectorClose].forEach(button => {
+        if (button) {
+            button.addEventListener('click', () => {
+                clearSelection();
+                hidePlatformPanel();
+            });
+        }
+    });
+    
+    // "Start Game" opens the level-select screen; picking a level starts the game
+    onLevelSelected = callbacks.onStart;
+    
+    if (elements.startButton) {
+        elements.startButton.addEventListener('click', () => {
+            showScreen('levelSelect');
+        });
+    }
+    
+    // The mode buttons change what the level cards start (and what they show)
+    elements.modeOptions.forEach(button => {
+        button.addEventListener('click', () => {
+            selectedMode = button.dataset.mode;
+            elements.modeOptions.forEach(option => option.classList.toggle('selected', option === button));
+            setLevelList(levelEntries);
+        });
+    });
+    
+    if (elements.levelBackButton) {
+        elements.levelBackButton.addEventListener('click', () => {
+            showScreen('start');
+        });
+    }
+    
+    // "Continue" loads the newest save; "Load Game" lists them all
+    onSaveSelected = callbacks.onLoad;
+    
+    if (elements.continueButton) {
+        elements.continueButton.addEventListener('click', () => {
+            if (saveEntries.length > 0 && onSaveSelected) {
+                onSaveSelected(saveEntries[0].save);
+            }
+        });
+    }
+    
+    if (elements.loadButton) {
+        elements.loadButton.addEventListener('click', () => {
+            showScreen('load');
+        });
+    }
+    
+    if (elements.loadBackButton) {
+        elements.loadBackButton.addEventListener('click', () => {
+            showScreen('start');
+        });
+    }
+    
+    // The leaderboard screen: the pilot name runs are recorded under, any
+    // mode and level's board, and export/import as JSON
+    onLeaderboardExport = callbacks.onExportLeaderboard;
+    onLeaderboardImport = callbacks.onImportLeaderboard;
+    
+    if (elements.leaderboardButton) {
+        elements.leaderboardButton.addEventListener('click', () => {
+            showScreen('leaderboard');
+        });
+    }
+    
+    if (elements.leaderboardBackButton) {
+        elements.leaderboardBackButton.addEventListener('click', () => {
+            showScreen('start');
+        });
+    }
+    
+    if (elements.playerName) {
+        elements.playerName.addEventListener('change', () => {
+            elements.playerName.value = setPlayerName(elements.playerName.value);
+        });
+    }
+    
+    [elements.leaderboardMode, elements.leaderboardLevel].forEach(select => {
+        if (select) select.addEventListener('change', updateLeaderboardScreen);
+    });
+    
+    if (elements.leaderboardExport) {
+        elements.leaderboardExport.addEventListener('click', downloadLeaderboard);
+    }
+    
+    if (elements.leaderboardImport && elements.leaderboardFile) {
+        elements.leaderboardImport.addEventListener('click', () => {
+            elements.leaderboardFile.click();
+        });
+        elements.leaderboardFile.addEventListener('change', () => {
+            const [file] = elements.leaderboardFile.files;
+            elements.leaderboardFile.value = ''; // Choosing the same file again still fires 'change'
+            if (file) file.text().then(uploadLeaderboard);
+        });
+    }
+    
+    if (elements.saveButton) {
+        elements.saveButton.addEventListener('click', () => {
+            const saved = callbacks.onSave && callbacks.onSave();
+            showButtonFeedback(elements.saveButton, saved ? 'Saved!' : 'Save Failed');
+        });
+    }
+    
+    if (elements.restartVictory) {
+        elements.restartVictory.addEventListener('click', () => {
+            callbacks.onRestart && callbacks.onRestart();
+        });
+    }
+    
+    if (elements.restartDefeat) {
+        elements.restartDefeat.addEventListener('click', () => {
+            callbacks.onRestart && callbacks.onRestart();
+        });
+    }
+    
+    if (elements.resumeButton) {
+        elements.resumeButton.addEventListener('click', () => {
+            callbacks.onResume && callbacks.onResume();
+        });
+    }
+    
+    if (elements.restartPause) {
+        elements.restartPause.addEventListener('click', () => {
+            callbacks.onRestart && callbacks.onRestart();
+        });
+    }
+    
+    // Replays: exported from the victory and defeat screens, watched from the start screen
+    onReplayExport = callbacks.onExportReplay;
+    onReplayWatch = callbacks.onWatchReplay;
+    
+    elements.replayExportButtons.forEach(button => {
+        button.addEventListener('click', () => downloadReplay(button));
+    });
+    
+    if (elements.watchReplayButton && elements.replayFile) {
+        elements.watchReplayButton.addEventListener('click', () => {
+            elements.replayFile.click();
+        });
+        elements.replayFile.addEventListener('change', () => {
+            const [file] = elements.replayFile.files;
+            elements.replayFile.value = ''; // Choosing the same file again still fires 'change'
+            if (file) file.text().then(uploadReplay);
+        });
+    }
+    
+    if (elements.replayScrubber) {
+        // Dragging only moves the time shown; the replay jumps when the scrubber is let go
+        elements.replayScrubber.addEventListener('input', () => {
+            replayScrubbing = true;
+            showReplayTime(Number(elements.replayScrubber.value));
+        });
+        elements.replayScrubber.addEventListener('change', () => {
+            replayScrubbing = false;
+            callbacks.onReplaySeek && callbacks.onReplaySeek(Number(elements.replayScrubber.value));
+        });
+    }
+    
+    if (elements.replayExitButton) {
+        elements.replayExitButton.addEventListener('click', () => {
+            callbacks.onReplayExit && callbacks.onReplayExit();
+        });
+    }
+}
+
+/**
+ * Update HUD with current game state
+ * Call this every frame or when values change
+ * @param {number} waveNumber - Current wave number
+ */
+export function updateHUD(waveNumber) {
+    // Update wave number
+    if (elements.waveNumber) {
+        elements.waveNumber.textContent = waveNumber;
+    }
+    
+    // Update enemy count
+    if (elements.enemiesRemaining) {
+        elements.enemiesRemaining.textContent = getEnemyCount();
+    }
+    
+    // Update score
+    if (elements.score) {
+        elements.score.textContent = formatNumber(getScore());
+    }
+    
+    // Update credits
+    if (elements.credits) {
+        elements.credits.textContent = formatNumber(getCredits());
+    }
+    
+    // Update planet shield bar
+    updateShieldBar();
+    
+    // Bosses show their health at the top of the screen
+    updateBossBar();
+    
+    // Grey out platforms the player can't afford right now
+    updateBuildMenu();
+    
+    // Ability cooldowns sweep round as they recharge
+    updateAbilityBar();
+    
+    // One targeting row per weapon (platforms come and go)
+    updateTargetingMenu();
+    
+    // Upgrade prices light up as credits come in
+    if (elements.upgradePanel && !elements.upgradePanel.hidden) {
+        updateUpgradePanel();
+    }
+    
+    // Same for the clicked platform's upgrades
+    if (elements.platformPanel && !elements.platformPanel.hidden) {
+        updatePlatformPanel();
+    }
+    
+    // Live stats for whatever is selected
+    updateInspector();
+}
+
+/**
+ * Refresh the planet shield bar
+ * The bar turns yellow, then red, as the shield runs low (like enemy health bars)
+ */
+function updateShieldBar() {
+    const lives = getLives();
+    const maxLives = getMaxLives();
+    const percent = maxLives > 0 ? (lives / maxLives) * 100 : 0;
+    
+    if (elements.shieldFill) {
+        elements.shieldFill.style.width = `${percent}%`;
+        elements.shieldFill.classList.toggle('medium', percent <= 60 && percent > 30);
+        elements.shieldFill.classList.toggle('low', percent <= 30);
+    }
+    if (elements.shieldValue) {
+        elements.shieldValue.textContent = `${lives}/${maxLives}`;
+    }
+}
+
+/**
+ * Refresh the boss bar
+ * 
+ * While a boss is alive its health (and shield) is shown in a wide bar at
+ * the top of the screen instead of over its head. Ticks on the bar mark
+ * where its next phases start. The bar hides when no boss is left.
+ */
+function updateBossBar() {
+    if (!elements.bossBar) return;
+    
+    const boss = getActiveBoss();
+    if (!boss) {
+        elements.bossBar.hidden = true;
+        bossBarBoss = null;
+        return;
+    }
+    
+    // A new boss: name it and mark its phase thresholds
+    if (boss !== bossBarBoss) {
+        bossBarBoss = boss;
+        elements.bossName.textContent = getSelectionName({ kind: 'enemy', target: boss });
+        elements.bossPhaseMarks.innerHTML = boss.phases
+            .map(phase => `<div class="boss-phase-mark" style="left: ${phase.at * 100}%"></div>`).join('');
+    }
+    
+    const phaseCount = boss.phases.length + 1;
+    const phaseName = boss.phase > 0 ? boss.phases[boss.phase - 1].name : null;
+    elements.bossPhase.textContent = phaseCount > 1
+        ? `Phase ${boss.phase + 1} / ${phaseCount}${phaseName ? ` - ${phaseName}` : ''}`
+        : '';
+    
+    elements.bossHealthFill.style.width = `${Math.max(0, boss.health / boss.maxHealth) * 100}%`;
+    elements.bossShieldFill.style.width = boss.maxShield > 0 ? `${(boss.shield / boss.maxShield) * 100}%` : '0%';
+    elements.bossStatus.textContent = getStatusEffectList(boss).map(effect => effect.icon).join(' ');
+    elements.bossBar.hidden = false;
+}
+
+/**
+ * Flash the shield bar when the planet takes damage
+ * Bigger hits give a bigger flash
+ * @param {number} damage - Shield points just lost
+ */
+export function flashShieldBar(damage) {
+    if (!elements.shieldFill) return;
+    
+    const strength = Math.min(damage / 5, 1);
+    gsap.fromTo(elements.shieldFill.parentElement,
+        { scale: 1 + strength * 0.3, boxShadow: `0 0 ${10 + strength * 20}px rgba(255, 68, 68, 0.9)` },
+        { scale: 1, boxShadow: '0 0 0px rgba(255, 68, 68, 0)', duration: 0.4 + strength * 0.4, ease: 'power2.out' }
+    );
+}
+
+/**
+ * Create one build button per entry in CONFIG.platforms
+ * 
+ * The menu is generated from config, so adding a new platform type
+ * to CONFIG.platforms automatically adds it here too.
+ * 
+ * @param {Function} onSelect - Called with the platform type when a button is clicked
+ */
+function createBuildMenu(onSelect) {
+    elements.buildOptions.innerHTML = '';
+    elements.buildButtons = {};
+    
+    Object.entries(CONFIG.platforms).forEach(([type, config]) => {
+        const hotkey = CONFIG.keyBindings.build[type];
+        
+        const button = document.createElement('button');
+        button.className = 'build-option';
+        button.dataset.platformType = type;
+        button.innerHTML = `
+            <div class="build-option-header">
+                <span class="build-option-name">${config.name || type}</span>
+                ${hotkey ? `<span class="build-option-hotkey">${hotkey}</span>` : ''}
+            </div>
+            <div class="build-option-cost">${formatNumber(config.cost)} credits</div>
+            <div class="build-option-stats">
+                <span>DMG ${config.damage}</span>
+                <span>RNG ${config.range}</span>
+                <span>ROF ${config.fireRate}/s</span>
+            </div>
+            <div class="build-option-damage-type">${getDamageTypeConfig(config.damageType).name} damage${config.detectionRange ? ' · detects stealth' : ''}</div>
+        `;
+        
+        button.addEventListener('click', () => {
+            // Disabled buttons don't fire click events, but check anyway
+            if (!canAffordPlatform(type)) return;
+            onSelect(type);
+        });
+        
+        elements.buildOptions.appendChild(button);
+        elements.buildButtons[type] = button;
+    });
+    
+    updateBuildMenu();
+}
+
+/**
+ * Create one button per game speed (after the tactical pause button)
+ * @param {Function} onSelect - Called with the chosen speed
+ */
+function createSpeedControls(onSelect) {
+    elements.speedButtons = {};
+    
+    const { tacticalPause, gameSpeed } = CONFIG.keyBindings;
+    elements.tacticalPauseButton.title = `Tactical pause (${tacticalPause.toUpperCase()}) - build and upgrade while time stands still`;
+    
+    CONFIG.simulation.speeds.forEach(speed => {
+        const button = document.createElement('button');
+        button.className = 'speed-option';
+        button.textContent = `${speed}x`;
+        button.title = `Game speed ${speed}x (${gameSpeed.toUpperCase()} to cycle)`;
+        button.addEventListener('click', () => onSelect && onSelect(speed));
+        
+        elements.speedControls.appendChild(button);
+        elements.speedButtons[speed] = button;
+    });
+    
+    setGameSpeedDisplay(1, false);
+}
+
+/**
+ * Show the current game speed and tactical pause on the speed controls
+ * Damage numbers and credit popups speed up, slow down or stop to match.
+ * @param {number} speed - Current game speed
+ * @param {boolean} paused - Whether a tactical pause is on
+ */
+export function setGameSpeedDisplay(speed, paused) {
+    feedbackSpeed = paused ? 0 : speed;
+    feedbackTimelines.forEach(timeline => timeline.timeScale(feedbackSpeed));
+    
+    if (!elements.speedControls) return;
+    
+    elements.speedControls.classList.toggle('paused', paused);
+    elements.tacticalPauseButton.classList.toggle('selected', paused);
+    Object.entries(elements.speedButtons).forEach(([buttonSpeed, button]) => {
+        button.classList.toggle('selected', !paused && Number(buttonSpeed) === speed);
+    });
+}
+
+/**
+ * Create one button per entry in CONFIG.abilities
+ * @param {Function} onSelect - Called with the ability ID; returns { valid, reason }
+ */
+function createAbilityBar(onSelect) {
+    elements.abilityBar.innerHTML = '';
+    elements.abilityButtons = {};
+    
+    getAbilityStates().forEach(ability => {
+        const hotkey = CONFIG.keyBindings.abilities[ability.id];
+        
+        const button = document.createElement('button');
+        button.className = 'ability-option';
+        button.title = `${ability.description} - ${ability.cooldown}s cooldown${ability.targeted ? ', click to aim' : ''}`;
+        button.innerHTML = `
+            <div class="ability-cooldown"></div>
+            <span class="ability-name">${ability.name}</span>
+            <span class="ability-cost">${formatNumber(ability.cost)}</span>
+            ${hotkey ? `<span class="ability-hotkey">${hotkey}</span>` : ''}
+            <span class="ability-timer"></span>
+        `;
+        
+        // Say why an ability can't be used (recharging, too expensive, between waves)
+        button.addEventListener('click', () => {
+            const result = onSelect ? onSelect(ability.id) : null;
+            if (result && !result.valid) {
+                const rect = button.getBoundingClientRect();
+                showFloatingText(result.reason, rect.left + rect.width / 2, rect.top, '#ff4444');
+            }
+        });
+        
+        elements.abilityBar.appendChild(button);
+        elements.abilityButtons[ability.id] = button;
+    });
+    
+    updateAbilityBar();
+}
+
+/**
+ * Refresh ability button states
+ * - The dark sweep (--cooldown, 1 to 0) shrinks as the ability recharges,
+ *   with the seconds left on top
+ * - Greyed out when the player can't afford it
+ * - Highlighted while it is being aimed
+ */
+function updateAbilityBar() {
+    if (!elements.abilityButtons) return;
+    
+    getAbilityStates().forEach(ability => {
+        const button = elements.abilityButtons[ability.id];
+        if (!button) return;
+        
+        const recharging = ability.remaining > 0;
+        button.style.setProperty('--cooldown', recharging ? ability.remaining / ability.cooldown : 0);
+        button.querySelector('.ability-timer').textContent = recharging ? Math.ceil(ability.remaining) : '';
+        button.classList.toggle('recharging', recharging);
+        button.classList.toggle('unaffordable', !recharging && !ability.status.valid);
+        button.classList.toggle('selected', abilityTargeting.active && abilityTargeting.abilityId === ability.id);
+    });
+}
+
+/**
+ * Play a damage number or credit popup at the game speed
+ * @param {HTMLElement} element - The popup, removed when its animation ends
+ * @returns {gsap.core.Timeline} Timeline to add the animation to
+ */
+function createFeedbackTimeline(element) {
+    const timeline = gsap.timeline({
+        onComplete: () => {
+            feedbackTimelines.delete(timeline);
+            element.remove();
+        }
+    });
+    timeline.timeScale(feedbackSpeed);
+    feedbackTimelines.add(timeline);
+    return timeline;
+}
+
+/**
+ * Refresh build button states
+ * - Disabled (greyed out) when the player can't afford the platform
+ * - Highlighted while that platform type is being placed
+ */
+function updateBuildMenu() {
+    if (!elements.buildButtons) return;
+    
+    Object.entries(elements.buildButtons).forEach(([type, button]) => {
+        const affordable = canAffordPlatform(type);
+        button.disabled = !affordable;
+        button.classList.toggle('unaffordable', !affordable);
+        button.classList.toggle('selected', placementState.active && placementState.selectedType === type);
+    });
+}
+
+/**
+ * Refresh the targeting panel
+ * 
+ * There is one row for the starbase and one for every platform, each with
+ * a drop-down of TARGETING_MODES. The rows are only rebuilt when a
+ * platform is built or sold, so an open drop-down isn't closed under the
+ * player's cursor; otherwise just the selected modes are kept in sync.
+ */
+function updateTargetingMenu() {
+    if (!elements.targetingOptions) return;
+    
+    const weapons = [
+        { id: 'starbase', name: 'Starbase', mode: getStarbaseTargetingMode() },
+        ...platforms.filter(platform => platform.alive).map(platform => ({
+            id: String(platform.id),
+            name: `${CONFIG.platforms[platform.type].name || platform.type} #${platform.id}`,
+            mode: platform.targetingMode
+        }))
+    ];
+    
+    const weaponsKey = weapons.map(weapon => weapon.id).join(',');
+    if (weaponsKey !== targetingWeaponsKey) {
+        targetingWeaponsKey = weaponsKey;
+        createTargetingRows(weapons);
+    }
+    
+    weapons.forEach(weapon => {
+        const select = elements.targetingSelects[weapon.id];
+        if (select && select.value !== weapon.mode) {
+            select.value = weapon.mode;
+        }
+    });
+}
+
+/**
+ * Build one targeting row per weapon
+ * @param {Array<object>} weapons - { id, name, mode } for each weapon
+ */
+function createTargetingRows(weapons) {
+    elements.targetingOptions.innerHTML = '';
+    elements.targetingSelects = {};
+    
+    weapons.forEach(weapon => {
+        const row = document.createElement('label');
+        row.className = 'targeting-option';
+        row.textContent = weapon.name;
+        
+        const select = document.createElement('select');
+        Object.entries(TARGETING_MODES).forEach(([mode, targeting]) => {
+            const option = document.createElement('option');
+            option.value = mode;
+            option.textContent = targeting.name;
+            option.title = targeting.description;
+            select.appendChild(option);
+        });
+        select.value = weapon.mode;
+        
+        select.addEventListener('change', () => {
+            onTargetingChanged && onTargetingChanged(weapon.id, select.value);
+        });
+        
+        row.appendChild(select);
+        elements.targetingOptions.appendChild(row);
+        elements.targetingSelects[weapon.id] = select;
+    });
+}
+
+/**
+ * Show the starbase upgrade panel for the break between waves
+ * @param {number} nextWaveNumber - The wave the Start Wave button starts
+ */
+export function showUpgradePanel(nextWaveNumber) {
+    if (!elements.upgradePanel) return;
+    
+    if (elements.nextWaveNumber) {
+        elements.nextWaveNumber.textContent = nextWaveNumber;
+    }
+    updateUpgradePanel();
+    
+    elements.upgradePanel.hidden = false;
+    gsap.fromTo(elements.upgradePanel,
+        { opacity: 0, x: -40 },
+        { opacity: 1, x: 0, duration: 0.4, ease: 'power2.out' }
+    );
+}
+
+/**
+ * Hide the starbase upgrade panel (the next wave is starting)
+ */
+export function hideUpgradePanel() {
+    if (elements.upgradePanel) {
+        elements.upgradePanel.hidden = true;
+    }
+}
+
+/**
+ * Show the next wave's enemies, so the player can decide whether to call it early
+ * @param {number} waveNumber - The next wave's number
+ * @param {object} wave - The wave from the wave script, or for a generated endless
+ *                        wave the preview from getEndlessWavePreview()
+ * @param {boolean} canCall - Whether it can be called now (during a wave, not the break)
+ */
+export function showWavePreview(waveNumber, wave, canCall) {
+    if (!elements.wavePreview) return;
+    
+    elements.wavePreviewNumber.textContent = waveNumber;
+    elements.wavePreviewName.textContent = wave.name || '';
+    
+    const rows = wave.generated
+        ? [
+            ['Enemies', wave.types.join(', ')],
+            ['Budget', formatNumber(wave.budget)]
+        ]
+        : (wave.groups || []).map(group => [
+            `${group.count} × ${group.type}${group.stealth ? ' (stealth)' : ''}`,
+            group.path || 'random'
+        ]);
+    const bossRows = wave.generated
+        ? (wave.name ? [['Boss', 'generated']] : [])
+        : (wave.bosses || []).map(boss => [`Boss: ${boss.name || boss.type}`, boss.path || 'random']);
+    
+    elements.wavePreviewGroups.innerHTML = '';
+    [...rows, ...bossRows].forEach(([label, detail], index) => {
+        const item = document.createElement('li');
+        item.classList.toggle('boss', index >= rows.length);
+        item.innerHTML = `<span>${label}</span><span>${detail}</span>`;
+        elements.wavePreviewGroups.appendChild(item);
+    });
+    
+    elements.callWaveButton.hidden = !canCall;
+    elements.wavePreview.hidden = false;
+}
+
+/**
+ * Refresh the Call Early button with what calling now would pay
+ * @param {number} bonus - Credits from getEarlyCallBonus()
+ */
+export function updateWavePreview(bonus) {
+    if (!elements.callWaveButton || elements.callWaveButton.hidden) return;
+    
+    elements.callWaveButton.textContent = bonus > 0 ? `Call Early (+${formatNumber(bonus)} credits)` : 'Call Early';
+}
+
+/**
+ * Hide the next-wave preview (no waves left)
+ */
+export function hideWavePreview() {
+    if (elements.wavePreview) {
+        elements.wavePreview.hidden = true;
+    }
+}
+
+/**
+ * Create one row per entry in CONFIG.starbaseUpgrades
+ * Like the build menu, the rows are generated from config.
+ */
+function createUpgradeRows() {
+    elements.upgradeOptions.innerHTML = '';
+    elements.upgradeRows = {};
+    
+    getUpgradeTree().forEach(upgrade => {
+        const row = document.createElement('div');
+        row.className = 'upgrade-option';
+        row.classList.toggle('special', upgrade.special);
+        row.innerHTML = `
+            <div class="upgrade-option-header">
+                <span>${upgrade.name}</span>
+                <span class="upgrade-option-level"></span>
+            </div>
+            <div class="upgrade-option-description">${upgrade.description}</div>
+            <button class="upgrade-option-buy"></button>
+        `;
+        
+        const buyButton = row.querySelector('.upgrade-option-buy');
+        buyButton.addEventListener('click', () => {
+            // Disabled buttons can't be clicked, so the purchase is expected to work
+            onUpgradeSelected && onUpgradeSelected(upgrade.id);
+            updateUpgradePanel();
+        });
+        
+        elements.upgradeOptions.appendChild(row);
+        elements.upgradeRows[upgrade.id] = {
+            row,
+            level: row.querySelector('.upgrade-option-level'),
+            buyButton
+        };
+    });
+}
+
+/**
+ * Refresh every upgrade row: tier reached, next tier's effect and cost,
+ * and whether it can be bought (the reason shows on hover if not)
+ */
+function updateUpgradePanel() {
+    getUpgradeTree().forEach(upgrade => {
+        const row = elements.upgradeRows[upgrade.id];
+        if (!row) return;
+        
+        row.level.textContent = `${upgrade.level}/${upgrade.maxLevel}`;
+        row.row.classList.toggle('maxed', !upgrade.nextTier);
+        
+        if (!upgrade.nextTier) {
+            row.buyButton.textContent = 'Fully upgraded';
+            row.buyButton.disabled = true;
+            row.buyButton.title = '';
+            return;
+        }
+        
+        const effects = Object.entries(upgrade.nextTier.effects)
+            .map(([stat, amount]) => `+${amount} ${UPGRADE_STAT_NAMES[stat] || stat}`)
+            .join(', ');
+        row.buyButton.textContent = `${effects} - ${formatNumber(upgrade.nextTier.cost)} credits`;
+        row.buyButton.disabled = !upgrade.status.valid;
+        row.buyButton.title = upgrade.status.reason;
+    });
+}
+
+/**
+ * Show the upgrade/sell panel for a placed platform
+ * @param {object} platform - The platform the player clicked
+ */
+export function showPlatformPanel(platform) {
+    if (!elements.platformPanel) return;
+    
+    const wasHidden = elements.platformPanel.hidden;
+    selectedPlatform = platform;
+    platformPanelKey = '';
+    updatePlatformPanel();
+    
+    elements.platformPanel.hidden = false;
+    if (wasHidden) {
+        gsap.fromTo(elements.platformPanel,
+            { opacity: 0, y: 20 },
+            { opacity: 1, y: 0, duration: 0.3, ease: 'power2.out' }
+        );
+    }
+}
+
+/**
+ * Hide the platform panel (closed, or the platform was sold)
+ */
+export function hidePlatformPanel() {
+    selectedPlatform = null;
+    if (elements.platformPanel) {
+        elements.platformPanel.hidden = true;
+    }
+}
+
+/**
+ * Refresh the platform panel
+ * 
+ * The stats table and upgrade buttons are rebuilt when the platform
+ * changes level; otherwise only the buttons' affordability and the sell
+ * price are updated, so a button isn't replaced while it's being clicked.
+ */
+function updatePlatformPanel() {
+    if (!selectedPlatform || !selectedPlatform.alive) {
+        hidePlatformPanel();
+        return;
+    }
+    
+    const platform = selectedPlatform;
+    const options = getPlatformUpgradeOptions(platform);
+    
+    const key = `${platform.id}:${platform.level}:${platform.branch}`;
+    if (key !== platformPanelKey) {
+        platformPanelKey = key;
+        createPlatformPanelContents(platform, options);
+    }
+    
+    options.forEach((option, index) => {
+        const button = elements.platformUpgradeButtons[index];
+        const status = canUpgradePlatform(platform, option.branch);
+        button.disabled = !status.valid;
+        button.title = status.reason;
+    });
+    
+    if (elements.platformSellButton) {
+        elements.platformSellButton.textContent = `Sell for ${formatNumber(getSellRefund(platform.totalSpent))} credits`;
+    }
+}
+
+/**
+ * Build the platform panel's stats table (current level next to each
+ * upgrade option) and one upgrade button per option
+ * @param {object} platform - The platform shown
+ * @param {Array<object>} options - From getPlatformUpgradeOptions()
+ */
+function createPlatformPanelContents(platform, options) {
+    const config = CONFIG.platforms[platform.type];
+    const currentName = platform.branch ? config.branches[platform.branch].name : `Level ${platform.level}`;
+    
+    elements.platformPanelTitle.textContent = `${config.name || platform.type} #${platform.id}`;
+    
+    // Header row: the current level, then each option
+    const header = ['', `${currentName} (now)`, ...options.map(option => option.name)]
+        .map(text => `<th>${text}</th>`).join('');
+    
+    // One row per stat; next-level values are colored by whether they beat the current one
+    const rows = Object.entries(PLATFORM_STAT_LABELS).map(([stat, label]) => {
+        const current = platform[stat];
+        const cells = options.map(option => {
+            const value = option.stats[stat];
+            const change = value > current ? 'better' : value < current ? 'worse' : '';
+            return `<td class="${change}">${formatStat(value)}</td>`;
+        }).join('');
+        return `<tr><td>${label}</td><td>${formatStat(current)}</td>${cells}</tr>`;
+    }).join('');
+    
+    elements.platformPanelStats.innerHTML = `<tr>${header}</tr>${rows}`;
+    
+    // Upgrade buttons
+    elements.platformPanelUpgrades.innerHTML = '';
+    elements.platformUpgradeButtons = [];
+    
+    if (options.length === 0) {
+        const maxed = document.createElement('button');
+        maxed.className = 'platform-upgrade-button';
+        maxed.textContent = 'Fully upgraded';
+        maxed.disabled = true;
+        elements.platformPanelUpgrades.appendChild(maxed);
+        return;
+    }
+    
+    options.forEach(option => {
+        const button = document.createElement('button');
+        button.className = 'platform-upgrade-button';
+        button.innerHTML = `Upgrade to ${option.name} - ${formatNumber(option.cost)} credits`
+            + (option.description ? `<span class="platform-upgrade-description">${option.description}</span>` : '');
+        
+        button.addEventListener('click', () => {
+            onPlatformUpgradeSelected && onPlatformUpgradeSelected(platform.id, option.branch);
+            updatePlatformPanel();
+        });
+        
+        elements.platformPanelUpgrades.appendChild(button);
+        elements.platformUpgradeButtons.push(button);
+    });
+}
+
+/**
+ * Format a stat for the platform panel (whole numbers stay whole)
+ * @param {number} value - Stat value
+ * @returns {string} e.g. "26" or "1.35"
+ */
+function formatStat(value) {
+    return Number.isInteger(value) ? String(value) : String(Math.round(value * 100) / 100);
+}
+
+// ==================== INSPECTOR ====================
+
+/**
+ * Refresh the inspector for the current selection
+ * 
+ * The rows are rebuilt only when a different object is selected; each
+ * frame after that just rewrites the values. The panel hides itself when
+ * nothing is selected (including when the selected enemy dies).
+ */
+function updateInspector() {
+    if (!elements.inspectorPanel) return;
+    
+    const selection = getSelection();
+    if (!selection) {
+        elements.inspectorPanel.hidden = true;
+        inspectorKey = '';
+        return;
+    }
+    
+    const rows = getInspectorRows(selection);
+    const key = `${getSelectionName(selection)}:${rows.map(row => row.label).join(',')}`;
+    
+    if (key !== inspectorKey) {
+        inspectorKey = key;
+        elements.inspectorTitle.textContent = getSelectionName(selection);
+        elements.inspectorStats.innerHTML = rows
+            .map(row => `<tr><td>${row.label}</td><td></td></tr>`).join('');
+        elements.inspectorValues = [...elements.inspectorStats.querySelectorAll('td:last-child')];
+    }
+    
+    rows.forEach((row, index) => {
+        elements.inspectorValues[index].textContent = row.value;
+    });
+    elements.inspectorPanel.hidden = false;
+}
+
+/**
+ * Work out the inspector's rows for a selection
+ * Enemies show their health and armor; weapons show their combat record
+ * and what they are shooting at right now.
+ * @param {object} selection - { kind, target } from getSelection()
+ * @returns {Array<object>} [{ label, value }]
+ */
+function getInspectorRows(selection) {
+    if (selection.kind === 'enemy') {
+        const enemy = selection.target;
+        const rows = [
+            { label: 'Health', value: `${formatNumber(Math.ceil(enemy.health))} / ${formatNumber(enemy.maxHealth)}` }
+        ];
+        if (enemy.maxShield > 0) {
+            rows.push({ label: 'Shield', value: `${formatNumber(Math.ceil(enemy.shield))} / ${formatNumber(enemy.maxShield)}` });
+        }
+        rows.push(
+            { label: 'Armor', value: formatStat(enemy.armor) },
+            { label: 'Resists', value: describeResistances(enemy.resistances) },
+            { label: 'Speed', value: formatStat(enemy.speed * getSpeedMultiplier(enemy)) },
+            { label: 'Reward', value: `${formatNumber(enemy.creditValue)} credits` }
+        );
+        const effects = getStatusEffectList(enemy);
+        if (effects.length > 0) {
+            rows.push({ label: 'Effects', value: describeStatusEffects(effects) });
+        }
+        const ability = describeAbility(enemy);
+        if (ability) {
+            rows.push({ label: 'Ability', value: ability });
+        }
+        if (enemy.phases.length > 0) {
+            rows.push({ label: 'Phase', value: `${enemy.phase + 1} / ${enemy.phases.length + 1}` });
+        }
+        return rows;
+    }
+    
+    const isStarbase = selection.kind === 'starbase';
+    const record = isStarbase ? getStarbaseCombatRecord() : selection.target;
+    const target = isStarbase ? getCurrentTarget() : selection.target.currentTarget;
+    const mode = isStarbase ? getStarbaseTargetingMode() : selection.target.targetingMode;
+    const damageType = isStarbase ? CONFIG.starbase.damageType : selection.target.damageType;
+    const detectionRange = isStarbase ? getStarbaseStats().detectionRange : selection.target.detectionRange;
+    const projectileKind = isStarbase ? CONFIG.starbase.projectile : selection.target.projectileKind;
+    const onHit = (CONFIG.projectiles[projectileKind].effects || []).map(describeStatusApplication);
+    
+    const rows = [];
+    if (!isStarbase) {
+        const platform = selection.target;
+        rows.push({
+            label: 'Level',
+            value: platform.branch ? CONFIG.platforms[platform.type].branches[platform.branch].name : String(platform.level)
+        });
+    }
+    rows.push(
+        { label: 'Damage type', value: getDamageTypeConfig(damageType).name },
+        { label: 'Detects stealth', value: detectionRange > 0 ? `Within ${formatStat(detectionRange)}` : 'No' },
+        { label: 'On hit', value: onHit.length > 0 ? onHit.join(', ') : 'Damage only' },
+        { label: 'Kills', value: formatNumber(record.kills) },
+        { label: 'Damage dealt', value: formatNumber(Math.round(record.damageDealt)) },
+        { label: 'Target', value: describeTarget(target) },
+        { label: 'Targeting', value: TARGETING_MODES[mode].name }
+    );
+    return rows;
+}
+
+/**
+ * Describe an enemy's resistances for the inspector
+ * @param {object} resistances - Fraction resisted per damage type
+ * @returns {string} e.g. "Energy 30%, Explosive -25%", or "None"
+ */
+function describeResistances(resistances) {
+    const entries = Object.entries(resistances).filter(([, resistance]) => resistance !== 0);
+    if (entries.length === 0) return 'None';
+    return entries
+        .map(([type, resistance]) => `${getDamageTypeConfig(type).name} ${Math.round(resistance * 100)}%`)
+        .join(', ');
+}
+
+/**
+ * Describe what makes an enemy special, for the inspector
+ * @param {object} enemy - The enemy
+ * @returns {string} e.g. "Splits into 3 fast", "Cloaked (detected)", or '' for none
+ */
+function describeAbility(enemy) {
+    const abilities = [];
+    if (enemy.split) {
+        abilities.push(`Splits into ${enemy.split.count} ${enemy.split.type}`);
+    }
+    if (enemy.heal) {
+        abilities.push(`Repairs ${formatStat(enemy.heal.rate)}/s nearby`);
+    }
+    if (enemy.stealth) {
+        abilities.push(enemy.detected ? 'Cloaked (detected)' : 'Cloaked');
+    }
+    if (enemy.launch) {
+        abilities.push(`${enemy.dronesLeft} ${enemy.launch.type}s left to launch`);
+    }
+    return abilities.join(', ');
+}
+
 /**
- * Initialize UI system
- * Finds and caches all DOM elements we'll need
+ * Describe an enemy's status effects for the inspector
+ * @param {Array<object>} effects - From getStatusEffectList()
+ * @returns {string} e.g. "Burning x2 (2s), Slowed (3s)" - seconds left, rounded up
  */
-export function initUI() {
-    // HUD elements
-    elements.hud = document.getElementById('hud');
-    elements.waveNumber = document.getElementById('wave-number');
-    elements.enemiesRemaining = document.getElementById('enemies-remaining');
-    elements.score = document.getElementById('score');
-    elements.credits = document.getElementById('credits');
+function describeStatusEffects(effects) {
+    return effects
+        .map(effect => `${effect.name}${effect.stacks > 1 ? ` x${effect.stacks}` : ''} (${Math.ceil(effect.duration)}s)`)
+        .join(', ');
+}
+
+/**
+ * Describe a status effect a weapon's projectiles apply, for the inspector
+ * @param {object} application - { type, magnitude, duration } from CONFIG.projectiles
+ * @returns {string} e.g. "Burn 4/s for 2s", "Slow 30% for 1.5s"
+ */
+function describeStatusApplication(application) {
+    const { type, magnitude, duration } = application;
+    const name = type.charAt(0).toUpperCase() + type.slice(1);
+    const strength = {
+        slow: ` ${Math.round(magnitude * 100)}%`,
+        burn: ` ${formatStat(magnitude)}/s`,
+        mark: ` +${Math.round(magnitude * 100)}%`
+    }[type] || '';
+    return `${name}${strength} for ${formatStat(duration)}s`;
+}
+
+/**
+ * Describe a weapon's current target for the inspector
+ * @param {object|null} enemy - The targeted enemy
+ * @returns {string} e.g. "Armored enemy (120 HP)", or "None"
+ */
+function describeTarget(enemy) {
+    if (!enemy || !enemy.alive) return 'None';
+    return `${getSelectionName({ kind: 'enemy', target: enemy })} (${formatNumber(Math.ceil(enemy.health))} HP)`;
+}
+
+/**
+ * Fill the level-select screen with one card per level
+ * 
+ * Levels load asynchronously, so main.js calls this once they arrive.
+ * Until then the screen shows its "Loading levels..." placeholder.
+ * In endless mode the cards show the best run instead of the wave count.
+ * 
+ * @param {Array<object>} levels - Validated levels (see js/level.js)
+ */
+export function setLevelList(levels) {
+    levelEntries = levels;
+    updateLeaderboardLevels();
+    if (!elements.levelList) return;
     
-    // Screen containers
-    elements.startScreen = document.getElementById('start-screen');
-    elements.victoryScreen = document.getElementById('victory-screen');
-    elements.defeatScreen = document.getElementById('defeat-screen');
-    elements.pauseScreen = document.getElementById('pause-screen');
+    elements.levelList.innerHTML = '';
     
-    // Buttons
-    elements.startButton = document.getElementById('start-button');
-    elements.restartVictory = document.getElementById('restart-victory');
-    elements.restartDefeat = document.getElementById('restart-defeat');
-    elements.resumeButton = document.getElementById('resume-button');
-    elements.restartPause = document.getElementById('restart-pause');
+    if (levels.length === 0) {
+        elements.levelList.innerHTML = '<p>No levels could be loaded. Check the console for details.</p>';
+        return;
+    }
     
-    // Final score displays
-    elements.finalScoreVictory = document.getElementById('final-score-victory');
-    elements.finalScoreDefeat = document.getElementById('final-score-defeat');
+    levels.forEach(level => {
+        const best = getLeaderboard('endless', level.id)[0];
+        const waves = selectedMode === 'endless'
+            ? (best ? `Best: ${best.waves} waves` : 'Endless waves')
+            : `${level.waves.length} waves`;
+        
+        const button = document.createElement('button');
+        button.className = 'level-option';
+        button.dataset.levelId = level.id;
+        button.innerHTML = `
+            <div class="level-option-name">${level.name}</div>
+            <div class="level-option-description">${level.description || ''}</div>
+            <div class="level-option-stats">
+                <span>${waves}</span>
+                <span>${formatNumber(level.startingCredits ?? CONFIG.economy.startingCredits)} credits</span>
+                <span>${level.lives ?? CONFIG.economy.startingLives} lives</span>
+            </div>
+        `;
+        
+        button.addEventListener('click', () => {
+            onLevelSelected && onLevelSelected(level, selectedMode);
+        });
+        
+        elements.levelList.appendChild(button);
+    });
 }
 
 /**
- * Set up button event listeners
- * @param {object} callbacks - Object containing callback functions
- * @param {Function} callbacks.onStart - Called when Start button clicked
- * @param {Function} callbacks.onRestart - Called when Restart button clicked
- * @param {Function} callbacks.onResume - Called when Resume button clicked
+ * Fill the load screen with one card per saved game
+ * 
+ * Also shows the Continue and Load Game buttons on the start screen
+ * only when there is something to load. main.js calls this at startup
+ * and whenever a save is written or deleted.
+ * 
+ * @param {Array<object>} saves - { slot, save } entries from listSaves(), newest first
  */
-export function setupUICallbacks(callbacks) {
-    if (elements.startButton) {
-        elements.startButton.addEventListener('click', () => {
-            callbacks.onStart && callbacks.onStart();
-        });
-    }
+export function setSaveList(saves) {
+    saveEntries = saves;
     
-    if (elements.restartVictory) {
-        elements.restartVictory.addEventListener('click', () => {
-            callbacks.onRestart && callbacks.onRestart();
-        });
+    if (elements.continueButton) elements.continueButton.hidden = saves.length === 0;
+    if (elements.loadButton) elements.loadButton.hidden = saves.length === 0;
+    
+    if (!elements.saveList) return;
+    
+    elements.saveList.innerHTML = '';
+    
+    if (saves.length === 0) {
+        elements.saveList.innerHTML = '<p>No saved games.</p>';
+        return;
     }
     
-    if (elements.restartDefeat) {
-        elements.restartDefeat.addEventListener('click', () => {
-            callbacks.onRestart && callbacks.onRestart();
+    saves.forEach(({ slot, save }) => {
+        const wave = save.wave.inProgress
+            ? `Wave ${save.wave.number} in progress`
+            : `Before wave ${save.wave.number}`;
+        const mode = save.mode === 'endless' ? ' (Endless)' : '';
+        const shield = save.economy.lives !== undefined ? `<span>${save.economy.lives} shield</span>` : '';
+        
+        const button = document.createElement('button');
+        button.className = 'level-option';
+        button.dataset.saveSlot = slot;
+        button.innerHTML = `
+            <div class="level-option-name">${SAVE_SLOT_NAMES[slot] || slot}</div>
+            <div class="level-option-description">${save.levelName || 'First level'}${mode} - ${wave}</div>
+            <div class="level-option-stats">
+                <span>${formatNumber(save.economy.credits)} credits</span>
+                ${shield}
+                <span>${save.savedAt ? new Date(save.savedAt).toLocaleString() : ''}</span>
+            </div>
+        `;
+        
+        button.addEventListener('click', () => {
+            onSaveSelected && onSaveSelected(save);
         });
-    }
+        
+        elements.saveList.appendChild(button);
+    });
+}
+
+// ==================== LEADERBOARD ====================
+
+/**
+ * Fill in the run results on the victory or defeat screen
+ * The results have two panels, switched with the buttons above them: the
+ * run report (per-wave table and charts) and the leaderboard.
+ * Call before showScreen().
+ * @param {string} screenName - 'victory' or 'defeat'
+ * @param {object} result - { mode, entry, rank, entries, report } - the run as recorded,
+ *                          its place on the board (0 = didn't make it), the board and getRunReport()
+ */
+export function showRunResults(screenName, result) {
+    const container = screenName === 'victory' ? elements.victoryResults : elements.defeatResults;
+    if (!container) return;
     
-    if (elements.resumeButton) {
-        elements.resumeButton.addEventListener('click', () => {
-            callbacks.onResume && callbacks.onResume();
+    const { mode, entry, rank, entries, report } = result;
+    const modeName = mode === 'endless' ? 'Endless' : 'Campaign';
+    
+    container.innerHTML = `
+        <p>${entry.waves} waves cleared - ${entry.accuracy}% accuracy - ${formatDuration(entry.duration)}</p>
+        <p class="run-rank">${rank > 0 ? `New high score - #${rank} on the ${modeName} leaderboard!` : ''}</p>
+        <div class="run-tabs">
+            <button class="run-tab active" data-panel="report">Report</button>
+            <button class="run-tab" data-panel="leaderboard">Leaderboard</button>
+        </div>
+        <div class="run-panel" data-panel="report"></div>
+        <div class="run-panel" data-panel="leaderboard" hidden>
+            <h3>${modeName} Leaderboard</h3>
+            <table class="leaderboard-table"></table>
+        </div>
+    `;
+    renderRunReport(container.querySelector('.run-panel[data-panel="report"]'), report);
+    renderLeaderboardTable(container.querySelector('table'), entries, rank);
+    
+    const tabs = container.querySelectorAll('.run-tab');
+    const panels = container.querySelectorAll('.run-panel');
+    tabs.forEach(tab => {
+        tab.addEventListener('click', () => {
+            tabs.forEach(other => other.classList.toggle('active', other === tab));
+            panels.forEach(panel => { panel.hidden = panel.dataset.panel !== tab.dataset.panel; });
         });
+    });
+}
+
+/**
+ * Fill the run report panel: totals, a row per wave and the charts
+ * Numbers marked data-count are counted up by the screen animation.
+ * @param {HTMLElement} panel - The report panel
+ * @param {object} report - getRunReport()
+ */
+function renderRunReport(panel, report) {
+    const weaponBars = report.weapons.map(weapon => ({
+        label: getWeaponLabel(weapon),
+        value: Math.round(weapon.damage),
+        color: getWeaponColor(weapon.type)
+    }));
+    const killBars = Object.entries(report.killsByType)
+        .filter(([, count]) => count > 0)
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, count]) => ({ label: type, value: count, color: toCssColor(CONFIG.enemies[type].color) }));
+    const creditLines = [
+        { label: 'Earned', color: '#00ff88', points: report.credits.map(sample => ({ x: sample.time, y: sample.earned })) },
+        { label: 'Spent', color: '#ff8800', points: report.credits.map(sample => ({ x: sample.time, y: sample.spent })) }
+    ];
+    
+    panel.innerHTML = `
+        <p>
+            <span data-count="${report.shotsHit}">${report.shotsHit}</span> of
+            <span data-count="${report.shotsFired}">${report.shotsFired}</span> shots hit
+            (<span data-count="${report.accuracy}">${report.accuracy}</span>%) -
+            <span data-count="${report.creditsEarned}">${report.creditsEarned}</span> credits earned,
+            <span data-count="${report.creditsSpent}">${report.creditsSpent}</span> spent
+        </p>
+        <table class="leaderboard-table report-table">
+            <tr><th>Wave</th><th>Kills</th><th>Credits</th><th>Score</th><th>Accuracy</th><th>Time</th><th></th></tr>
+            ${report.waves.map(wave => `
+                <tr class="${wave.cleared ? '' : 'wave-lost'}">
+                    <td>${wave.wave}</td>
+                    <td>${wave.kills}</td>
+                    <td>+${formatNumber(wave.credits)}</td>
+                    <td>+${formatNumber(wave.score)}</td>
+                    <td>${wave.accuracy}%</td>
+                    <td>${formatDuration(wave.duration)}</td>
+                    <td>${wave.calledEarly ? 'Called early' : (wave.cleared ? 'Cleared' : 'Lost')}</td>
+                </tr>
+            `).join('')}
+        </table>
+        <div class="report-charts">
+            <div class="report-chart">
+                <h3>Damage by Weapon</h3>
+                ${weaponBars.length > 0 ? createBarChart(weaponBars, { format: formatNumber }) : '<p>No hits.</p>'}
+            </div>
+            <div class="report-chart">
+                <h3>Kills by Enemy</h3>
+                ${killBars.length > 0 ? createBarChart(killBars, { labelWidth: 80 }) : '<p>No kills.</p>'}
+            </div>
+            <div class="report-chart">
+                <h3>Credits</h3>
+                ${createLineChart(creditLines, { formatX: formatDuration })}
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Name a weapon on the damage chart
+ * @param {object} weapon - Entry from getRunReport().weapons
+ * @returns {string} e.g. "Laser Battery 2"
+ */
+function getWeaponLabel(weapon) {
+    if (weapon.type === 'starbase') return 'Starbase';
+    if (weapon.type === 'ability') return 'Abilities';
+    return `${CONFIG.platforms[weapon.type].name} ${weapon.number}`;
+}
+
+/**
+ * Pick the chart color for a weapon
+ * Platforms use the color their first upgrade glows with; abilities the
+ * orbital strike's reticle.
+ * @param {string} type - 'starbase', 'ability' or a platform type
+ * @returns {string} CSS color
+ */
+function getWeaponColor(type) {
+    if (type === 'starbase') return '#00ffff';
+    if (type === 'ability') return '#ff8800';
+    return toCssColor(CONFIG.platforms[type].levels[0].visual.color);
+}
+
+/**
+ * Turn a three.js hex color into a CSS one
+ * @param {number} color - e.g. 0xff4444
+ * @returns {string} e.g. "#ff4444"
+ */
+function toCssColor(color) {
+    return `#${color.toString(16).padStart(6, '0')}`;
+}
+
+/**
+ * Fill a leaderboard table
+ * @param {HTMLElement} table - The <table>
+ * @param {Array<object>} entries - Board entries, best first
+ * @param {number} highlightRank - Row to highlight (1 = first, 0 = none)
+ */
+function renderLeaderboardTable(table, entries, highlightRank = 0) {
+    if (entries.length === 0) {
+        table.innerHTML = '<tr><td>No runs yet.</td></tr>';
+        return;
     }
     
-    if (elements.restartPause) {
-        elements.restartPause.addEventListener('click', () => {
-            callbacks.onRestart && callbacks.onRestart();
-        });
+    table.innerHTML = `
+        <tr><th>#</th><th>Pilot</th><th>Score</th><th>Waves</th><th>Accuracy</th><th>Kills</th><th>Time</th><th>Date</th></tr>
+    `;
+    entries.forEach((entry, index) => {
+        const row = document.createElement('tr');
+        if (index + 1 === highlightRank) row.className = 'new-high-score';
+        row.innerHTML = `
+            <td>${index + 1}</td>
+            <td class="leaderboard-name"></td>
+            <td>${formatNumber(entry.score)}</td>
+            <td>${entry.waves}</td>
+            <td>${entry.accuracy}%</td>
+            <td title="${describeKills(entry.kills)}">${countKills(entry.kills)}</td>
+            <td>${formatDuration(entry.duration)}</td>
+            <td>${new Date(entry.date).toLocaleDateString()}</td>
+        `;
+        row.querySelector('.leaderboard-name').textContent = entry.name; // Typed by players - not HTML
+        table.appendChild(row);
+    });
+}
+
+/**
+ * Show the board picked on the leaderboard screen
+ */
+function updateLeaderboardScreen() {
+    if (!elements.leaderboardTable) return;
+    
+    const levelId = elements.leaderboardLevel.value;
+    const entries = levelId ? getLeaderboard(elements.leaderboardMode.value, levelId) : [];
+    renderLeaderboardTable(elements.leaderboardTable, entries);
+}
+
+/**
+ * List the loaded levels in the leaderboard screen's level picker
+ * Keeps the current choice if that level is still there.
+ */
+function updateLeaderboardLevels() {
+    if (!elements.leaderboardLevel) return;
+    
+    const current = elements.leaderboardLevel.value;
+    elements.leaderboardLevel.innerHTML = '';
+    levelEntries.forEach(level => {
+        const option = document.createElement('option');
+        option.value = level.id;
+        option.textContent = level.name;
+        elements.leaderboardLevel.appendChild(option);
+    });
+    if (levelEntries.some(level => level.id === current)) {
+        elements.leaderboardLevel.value = current;
     }
 }
 
 /**
- * Update HUD with current game state
- * Call this every frame or when values change
- * @param {number} waveNumber - Current wave number
+ * Save every board as a JSON file (Export button)
  */
-export function updateHUD(waveNumber) {
-    // Update wave number
-    if (elements.waveNumber) {
-        elements.waveNumber.textContent = waveNumber;
+function downloadLeaderboard() {
+    if (!onLeaderboardExport) return;
+    
+    const blob = new Blob([onLeaderboardExport()], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = 'solar-defense-leaderboard.json';
+    link.click();
+    URL.revokeObjectURL(link.href);
+    
+    showButtonFeedback(elements.leaderboardExport, 'Exported!');
+}
+
+/**
+ * Merge a chosen JSON file into the leaderboard (Import button)
+ * @param {string} text - The file's contents
+ */
+function uploadLeaderboard(text) {
+    if (!onLeaderboardImport) return;
+    
+    const result = onLeaderboardImport(text);
+    if (!result.valid) {
+        elements.leaderboardMessage.textContent = `Import failed: ${result.errors.join('; ')}`;
+        return;
     }
     
-    // Update enemy count
-    if (elements.enemiesRemaining) {
-        elements.enemiesRemaining.textContent = getEnemyCount();
+    // Rejected entries are listed in the console, like other data errors
+    if (result.rejected > 0) {
+        console.warn(`Leaderboard import rejected ${result.rejected} entries:\n  ${result.errors.join('\n  ')}`);
     }
+    elements.leaderboardMessage.textContent = `Imported ${result.imported} runs`
+        + (result.rejected > 0 ? ` - ${result.rejected} rejected as edited` : '');
     
-    // Update score
-    if (elements.score) {
-        elements.score.textContent = formatNumber(getScore());
+    updateLeaderboardScreen();
+    setLevelList(levelEntries); // Endless level cards show the best run
+}
+
+/**
+ * Count a run's kills
+ * @param {object} kills - Kills by enemy type
+ * @returns {number} Total kills
+ */
+function countKills(kills) {
+    return Object.values(kills).reduce((total, count) => total + count, 0);
+}
+
+/**
+ * Describe a run's kills, most common type first
+ * @param {object} kills - Kills by enemy type
+ * @returns {string} e.g. "42 kills: 30 basic, 12 fast"
+ */
+function describeKills(kills) {
+    const types = Object.entries(kills)
+        .filter(([, count]) => count > 0)
+        .sort((a, b) => b[1] - a[1])
+        .map(([type, count]) => `${count} ${type}`);
+    return `${countKills(kills)} kills${types.length > 0 ? `: ${types.join(', ')}` : ''}`;
+}
+
+/**
+ * Format a run's length
+ * @param {number} seconds - Game time in seconds
+ * @returns {string} e.g. "6:52"
+ */
+function formatDuration(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Briefly change a button's label to confirm an action, then restore it
+ * @param {HTMLElement} button - The button
+ * @param {string} text - Temporary label
+ */
+function showButtonFeedback(button, text) {
+    if (!button.dataset.label) {
+        button.dataset.label = button.textContent;
     }
+    button.textContent = text;
     
-    // Update credits
-    if (elements.credits) {
-        elements.credits.textContent = formatNumber(getCredits());
+    clearTimeout(button.feedbackTimeout);
+    button.feedbackTimeout = setTimeout(() => {
+        button.textContent = button.dataset.label;
+    }, 1500);
+}
+
+// ==================== REPLAYS ====================
+
+/**
+ * Save the replay of the game that just ended as a JSON file (Export Replay button)
+ * @param {HTMLElement} button - The button that was clicked
+ */
+function downloadReplay(button) {
+    const text = onReplayExport && onReplayExport();
+    if (!text) {
+        showButtonFeedback(button, 'No Replay');
+        return;
     }
+    
+    const blob = new Blob([text], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `solar-defense-replay-${Date.now()}.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+    
+    showButtonFeedback(button, 'Exported!');
+}
+
+/**
+ * Start watching a chosen replay file (Watch Replay button)
+ * @param {string} text - The file's contents
+ */
+function uploadReplay(text) {
+    if (!onReplayWatch) return;
+    
+    const result = onReplayWatch(text);
+    elements.replayMessage.textContent = result.valid ? '' : `Can't play replay: ${result.reason}`;
+}
+
+/**
+ * Show the replay bar for a replay that is starting
+ * The HUD's build and upgrade controls are hidden while it plays (see .replay in game.css).
+ * @param {number} ticks - Length of the replay in simulation ticks
+ * @param {string} warning - Shown under the bar (e.g. the replay's CONFIG differs), or '' for none
+ */
+export function showReplayBar(ticks, warning) {
+    if (!elements.replayBar) return;
+    
+    replayTicks = ticks;
+    replayScrubbing = false;
+    elements.replayScrubber.max = ticks;
+    elements.replayWarning.textContent = warning;
+    elements.replayWarning.hidden = !warning;
+    elements.replayBar.hidden = false;
+    elements.hud.classList.add('replay');
+    updateReplayBar(0);
+}
+
+/**
+ * Move the replay bar to where the replay is (called every frame while watching)
+ * @param {number} tick - Simulation ticks run so far
+ */
+export function updateReplayBar(tick) {
+    if (!elements.replayBar || replayScrubbing) return;
+    
+    elements.replayScrubber.value = tick;
+    showReplayTime(tick);
+}
+
+/**
+ * Hide the replay bar (not watching a replay)
+ */
+export function hideReplayBar() {
+    if (!elements.replayBar) return;
+    
+    elements.replayBar.hidden = true;
+    elements.hud.classList.remove('replay');
+}
+
+/**
+ * Show a point in the replay against its length, e.g. "1:23 / 6:40"
+ * @param {number} tick - Simulation tick
+ */
+function showReplayTime(tick) {
+    const tickRate = CONFIG.simulation.tickRate;
+    elements.replayTime.textContent = `${formatDuration(tick / tickRate)} / ${formatDuration(replayTicks / tickRate)}`;
 }
 
+// ==================== SCREENS ====================
+
 /**
  * Show a specific screen with beautiful GSAP animations
  * 
@@ -134,7 +1806,7 @@ export function updateHUD(waveNumber) {
  * - Staggered animations create visual interest
  * - Timeline ensures proper sequencing
  * 
- * @param {string} screenName - Which screen to show (start, victory, defeat, pause)
+ * @param {string} screenName - Which screen to show (start, levelSelect, load, leaderboard, victory, defeat, pause)
  */
 export function showScreen(screenName) {
     // Hide all screens first (instant, no animation)
@@ -148,11 +1820,32 @@ export function showScreen(screenName) {
                 animateScreenIn(elements.startScreen);
             }
             break;
+        case 'levelSelect':
+            if (elements.levelSelectScreen) {
+                elements.levelSelectScreen.classList.add('active');
+                animateScreenIn(elements.levelSelectScreen);
+            }
+            break;
+        case 'load':
+            if (elements.loadScreen) {
+                elements.loadScreen.classList.add('active');
+                animateScreenIn(elements.loadScreen);
+            }
+            break;
+        case 'leaderboard':
+            if (elements.leaderboardScreen) {
+                elements.leaderboardScreen.classList.add('active');
+                elements.playerName.value = getPlayerName();
+                elements.leaderboardMessage.textContent = '';
+                updateLeaderboardScreen();
+                animateScreenIn(elements.leaderboardScreen);
+            }
+            break;
         case 'victory':
             if (elements.victoryScreen) {
                 elements.victoryScreen.classList.add('active');
                 if (elements.finalScoreVictory) {
-                    elements.finalScoreVictory.textContent = formatNumber(getScore());
+                    elements.finalScoreVictory.dataset.count = getScore();
                 }
                 // Victory gets extra celebration animation
                 animateVictoryScreen(elements.victoryScreen);
@@ -162,7 +1855,7 @@ export function showScreen(screenName) {
             if (elements.defeatScreen) {
                 elements.defeatScreen.classList.add('active');
                 if (elements.finalScoreDefeat) {
-                    elements.finalScoreDefeat.textContent = formatNumber(getScore());
+                    elements.finalScoreDefeat.dataset.count = getScore();
                 }
                 // Defeat has a more somber animation
                 animateDefeatScreen(elements.defeatScreen);
@@ -272,6 +1965,8 @@ function animateVictoryScreen(screen) {
         },
         "-=0.8"
     );
+    
+    animateRunReport(tl, screen);
 }
 
 /**
@@ -331,14 +2026,53 @@ function animateDefeatScreen(screen) {
         },
         "-=0.3"
     );
+    
+    animateRunReport(tl, screen);
+}
+
+/**
+ * Count up the final score and report numbers, and grow the chart bars
+ * Shared by the victory and defeat animations, after the screen is in.
+ * 
+ * @param {gsap.core.Timeline} tl - The screen's timeline
+ * @param {HTMLElement} screen - The victory or defeat screen
+ */
+function animateRunReport(tl, screen) {
+    const counters = screen.querySelectorAll('[data-count]');
+    counters.forEach(counter => {
+        const target = Number(counter.dataset.count);
+        counter.textContent = '0';
+        tl.to({ val: 0 }, {
+            val: target,
+            duration: 1.2,
+            ease: "power2.out",
+            onUpdate: function() {
+                counter.textContent = formatNumber(Math.round(this.targets()[0].val));
+            }
+        }, counter === counters[0] ? ">" : "<");
+    });
+    
+    const bars = screen.querySelectorAll('.chart-bar');
+    if (bars.length === 0) return;
+    tl.fromTo(bars,
+        { scaleX: 0 },
+        {
+            scaleX: 1,
+            transformOrigin: "left center",
+            duration: 0.6,
+            stagger: 0.05,
+            ease: "power2.out"
+        },
+        "<"
+    );
 }
 
 /**
  * Hide all game screens
  */
 export function hideAllScreens() {
-    [elements.startScreen, elements.victoryScreen, 
-     elements.defeatScreen, elements.pauseScreen].forEach(screen => {
+    [elements.startScreen, elements.levelSelectScreen, elements.loadScreen, elements.leaderboardScreen,
+     elements.victoryScreen, elements.defeatScreen, elements.pauseScreen].forEach(screen => {
         if (screen) screen.classList.remove('active');
     });
 }
@@ -364,13 +2098,15 @@ export function setHUDVisible(visible) {
  * - Start big, shrink to normal (impact feel)
  * - Float upward and fade out
  * - Kill shots get extra emphasis
+ * - Hits that only dented a shield are blue
  * 
  * @param {number} damage - Damage amount to display
  * @param {number} screenX - Screen X position
  * @param {number} screenY - Screen Y position
  * @param {boolean} isKill - Whether this was a killing blow
+ * @param {boolean} isShield - Whether the enemy's shield took the whole hit
  */
-export function showDamageNumber(damage, screenX, screenY, isKill = false) {
+export function showDamageNumber(damage, screenX, screenY, isKill = false, isShield = false) {
     const element = document.createElement('div');
     element.className = 'damage-number';
     element.textContent = Math.round(damage);
@@ -387,6 +2123,10 @@ export function showDamageNumber(damage, screenX, screenY, isKill = false) {
         element.style.color = '#ff4444';
         element.style.fontSize = '32px';
         element.style.textShadow = '0 0 10px rgba(255, 68, 68, 0.8)';
+    } else if (isShield) {
+        element.style.color = '#44aaff';
+        element.style.fontSize = '18px';
+        element.style.textShadow = '0 0 5px rgba(68, 170, 255, 0.6)';
     } else {
         element.style.color = '#ffffff';
         element.style.fontSize = '20px';
@@ -395,10 +2135,8 @@ export function showDamageNumber(damage, screenX, screenY, isKill = false) {
     
     document.body.appendChild(element);
     
-    // Create GSAP animation
-    const tl = gsap.timeline({
-        onComplete: () => element.remove()
-    });
+    // Create GSAP animation (plays at the game speed)
+    const tl = createFeedbackTimeline(element);
     
     // Pop in (start big, shrink to normal)
     tl.fromTo(element,
@@ -444,10 +2182,8 @@ export function showFloatingText(text, screenX, screenY, color = '#00ff00') {
     
     document.body.appendChild(element);
     
-    // GSAP animation - pop in, float up, fade out
-    const tl = gsap.timeline({
-        onComplete: () => element.remove()
-    });
+    // GSAP animation - pop in, float up, fade out (at the game speed)
+    const tl = createFeedbackTimeline(element);
     
     // Start small and transparent
     tl.fromTo(element,
@@ -479,8 +2215,9 @@ export function showFloatingText(text, screenX, screenY, color = '#00ff00') {
  * - Smooth fade out
  * 
  * @param {number} waveNumber - Wave number to announce
+ * @param {string} name - The wave's name, if it has one (e.g. "Swarm")
  */
-export function showWaveAnnouncement(waveNumber) {
+export function showWaveAnnouncement(waveNumber, name) {
     // Create container for the announcement
     const announcement = document.createElement('div');
     announcement.style.cssText = `
@@ -496,7 +2233,7 @@ export function showWaveAnnouncement(waveNumber) {
         pointer-events: none;
         white-space: nowrap;
     `;
-    announcement.textContent = `Wave ${waveNumber}`;
+    announcement.textContent = name ? `Wave ${waveNumber}: ${name}` : `Wave ${waveNumber}`;
     
     document.body.appendChild(announcement);
     
@@ -549,6 +2286,70 @@ export function showWaveAnnouncement(waveNumber) {
     });
 }
 
+/**
+ * Announce a boss arriving or changing phase
+ * 
+ * A red title with a smaller line under it, shaken in rather than bounced
+ * like the wave announcement, so it reads as a threat. Sits above the
+ * middle of the screen so the entrance cinematic stays visible.
+ * 
+ * @param {string} title - e.g. the boss's name, or "Phase 2"
+ * @param {string} subtitle - e.g. "Boss approaching"
+ */
+export function showBossAnnouncement(title, subtitle) {
+    const announcement = document.createElement('div');
+    announcement.style.cssText = `
+        position: fixed;
+        top: 30%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        text-align: center;
+        color: #ff4444;
+        text-shadow: 0 0 20px rgba(255, 0, 0, 0.8);
+        z-index: 200;
+        pointer-events: none;
+        white-space: nowrap;
+    `;
+    
+    const titleLine = document.createElement('div');
+    titleLine.style.cssText = 'font-size: 56px; font-weight: bold; text-transform: uppercase; letter-spacing: 4px;';
+    titleLine.textContent = title;
+    
+    const subtitleLine = document.createElement('div');
+    subtitleLine.style.cssText = 'font-size: 20px; color: #ffaaaa; letter-spacing: 2px;';
+    subtitleLine.textContent = subtitle;
+    
+    announcement.append(titleLine, subtitleLine);
+    document.body.appendChild(announcement);
+    
+    const tl = gsap.timeline({
+        onComplete: () => announcement.remove()
+    });
+    
+    // Slam in from large
+    tl.fromTo(announcement,
+        { scale: 2, opacity: 0 },
+        { scale: 1, opacity: 1, duration: 0.35, ease: "power3.in" }
+    );
+    
+    // Shudder on impact
+    tl.to(announcement, {
+        x: "+=6",
+        duration: 0.05,
+        yoyo: true,
+        repeat: 5,
+        ease: "none"
+    });
+    
+    // Hold, then fade
+    tl.to({}, { duration: 1.5 });
+    tl.to(announcement, {
+        opacity: 0,
+        duration: 0.5,
+        ease: "power2.in"
+    });
+}
+
 /**
  * Show wave complete summary with animated stats
  * 
@@ -0,0 +1,212 @@
+/**
+ * upgrades.js - Starbase Upgrade Tree
+ * 
+ * Between waves the player can spend credits on starbase upgrades. The
+ * tree is defined in CONFIG.starbaseUpgrades: every upgrade has tiers
+ * that are bought in order, each tier costs more than the last, and a
+ * tier can require other upgrades to have reached a certain tier first.
+ * Specials (Twin Barrel, Piercing Shots) are single-tier upgrades that
+ * sit at the end of the tree.
+ * 
+ * Buying a tier adds its effects to the starbase stats through
+ * upgradeStarbase(). This module remembers which tiers were bought, so
+ * the upgrades can be put back after resetStarbaseStats() - that is how
+ * a saved game gets its upgraded starbase back.
+ * 
+ * Usage:
+ *   const result = purchaseUpgrade('damage');
+ *   if (!result.valid) console.log(result.reason); // e.g. "Not enough credits"
+ */
+
+import { CONFIG } from './config.js';
+import { getCredits, spendCredits } from './economy.js';
+import { upgradeStarbase, getStarbaseStats } from './starbase.js';
+
+// Tiers bought of each upgrade, keyed by upgrade ID (missing = none)
+let purchasedTiers = {};
+
+// ==================== QUERIES ====================
+
+/**
+ * Get how many tiers of an upgrade have been bought
+ * @param {string} id - Upgrade ID (a key of CONFIG.starbaseUpgrades)
+ * @returns {number} Tiers bought (0 = none)
+ */
+export function getUpgradeLevel(id) {
+    return purchasedTiers[id] || 0;
+}
+
+/**
+ * Get the next tier of an upgrade that can be bought
+ * @param {string} id - Upgrade ID
+ * @returns {object|null} The tier ({ cost, effects, requires }), or null if fully upgraded
+ */
+export function getNextTier(id) {
+    const upgrade = CONFIG.starbaseUpgrades[id];
+    if (!upgrade) return null;
+    return upgrade.tiers[getUpgradeLevel(id)] || null;
+}
+
+/**
+ * Check whether the next tier of an upgrade can be bought right now
+ * @param {string} id - Upgrade ID
+ * @returns {object} { valid: boolean, reason: string }
+ */
+export function canPurchaseUpgrade(id) {
+    if (!CONFIG.starbaseUpgrades[id]) {
+        return { valid: false, reason: 'Unknown upgrade' };
+    }
+    
+    const tier = getNextTier(id);
+    if (!tier) {
+        return { valid: false, reason: 'Fully upgraded' };
+    }
+    
+    // Every prerequisite must have reached its tier
+    const missing = Object.entries(tier.requires || {})
+        .filter(([requiredId, level]) => getUpgradeLevel(requiredId) < level);
+    if (missing.length > 0) {
+        const [requiredId, level] = missing[0];
+        return { valid: false, reason: `Requires ${CONFIG.starbaseUpgrades[requiredId].name} ${level}` };
+    }
+    
+    if (getCredits() < tier.cost) {
+        return { valid: false, reason: 'Not enough credits' };
+    }
+    
+    return { valid: true, reason: '' };
+}
+
+/**
+ * Describe every upgrade for the upgrade panel
+ * @returns {Array<object>} { id, name, description, special, level, maxLevel,
+ *                            nextTier, status } for each upgrade, in CONFIG order
+ */
+export function getUpgradeTree() {
+    return Object.entries(CONFIG.starbaseUpgrades).map(([id, upgrade]) => ({
+        id,
+        name: upgrade.name,
+        description: upgrade.description,
+        special: !!upgrade.special,
+        level: getUpgradeLevel(id),
+        maxLevel: upgrade.tiers.length,
+        nextTier: getNextTier(id),
+        status: canPurchaseUpgrade(id)
+    }));
+}
+
+// ==================== BUYING ====================
+
+/**
+ * Buy the next tier of an upgrade
+ * The cost is paid with spendCredits() and the tier's effects are added
+ * to the starbase straight away.
+ * @param {string} id - Upgrade ID
+ * @returns {object} { valid: boolean, reason: string }
+ */
+export function purchaseUpgrade(id) {
+    const check = canPurchaseUpgrade(id);
+    if (!check.valid) return check;
+    
+    const tier = getNextTier(id);
+    if (!spendCredits(tier.cost)) {
+        return { valid: false, reason: 'Not enough credits' };
+    }
+    
+    purchasedTiers[id] = getUpgradeLevel(id) + 1;
+    applyTier(tier);
+    
+    return check;
+}
+
+/**
+ * Add a tier's effects to the starbase stats
+ * @param {object} tier - Tier from CONFIG.starbaseUpgrades
+ */
+function applyTier(tier) {
+    Object.entries(tier.effects).forEach(([stat, amount]) => {
+        upgradeStarbase(stat, amount);
+    });
+}
+
+// ==================== NEW GAMES AND SAVED GAMES ====================
+
+/**
+ * Forget every upgrade (for a new game)
+ * The starbase stats are reset separately with resetStarbaseStats().
+ */
+export function resetUpgrades() {
+    purchasedTiers = {};
+}
+
+/**
+ * Get the bought tiers, for saving a run
+ * @returns {object} Tiers bought, keyed by upgrade ID
+ */
+export function getUpgradeState() {
+    return { ...purchasedTiers };
+}
+
+/**
+ * Put saved upgrades back and apply them to the starbase
+ * 
+ * Call this after resetStarbaseStats(), which puts the stats back to
+ * CONFIG values. Every bought tier is applied again, in order, so the
+ * starbase ends up exactly as it was. Upgrades or tiers that no longer
+ * exist in CONFIG are skipped.
+ * 
+ * @param {object} state - Value from getUpgradeState()
+ */
+export function restoreUpgrades(state) {
+    purchasedTiers = {};
+    
+    Object.entries(state || {}).forEach(([id, level]) => {
+        const upgrade = CONFIG.starbaseUpgrades[id];
+        if (!upgrade) return;
+        
+        const tiers = upgrade.tiers.slice(0, level);
+        tiers.forEach(applyTier);
+        purchasedTiers[id] = tiers.length;
+    });
+}
+
+/**
+ * Check that the upgrade tree in CONFIG makes sense
+ * Every tier needs a cost and effects on real starbase stats, and every
+ * prerequisite must name an upgrade that has that many tiers.
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+export function validateUpgradeTree() {
+    const errors = [];
+    const stats = Object.keys(getStarbaseStats());
+    const upgrades = CONFIG.starbaseUpgrades;
+    
+    Object.entries(upgrades).forEach(([id, upgrade]) => {
+        if (!Array.isArray(upgrade.tiers) || upgrade.tiers.length === 0) {
+            errors.push(`${id}: needs at least one tier`);
+            return;
+        }
+        
+        upgrade.tiers.forEach((tier, index) => {
+            const label = `${id} tier ${index + 1}`;
+            
+            if (typeof tier.cost !== 'number' || tier.cost <= 0) {
+                errors.push(`${label}: cost must be a positive number`);
+            }
+            Object.keys(tier.effects || {}).forEach(stat => {
+                if (!stats.includes(stat)) {
+                    errors.push(`${label}: unknown starbase stat '${stat}'`);
+                }
+            });
+            Object.entries(tier.requires || {}).forEach(([requiredId, level]) => {
+                if (requiredId === id) {
+                    errors.push(`${label}: can't require itself`);
+                } else if (!upgrades[requiredId] || upgrades[requiredId].tiers.length < level) {
+                    errors.push(`${label}: requires '${requiredId}' ${level}, which doesn't exist`);
+                }
+            });
+        });
+    });
+    
+    return { valid: errors.length === 0, errors };
+}
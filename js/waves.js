@@ -0,0 +1,378 @@
+/**
+ * waves.js - Wave Scripting System
+ * 
+ * Waves are described by a "wave script" - a JSON file listing every wave,
+ * which enemies it contains, and when and where they spawn. Keeping waves
+ * in data files means designers can build new levels without touching code.
+ * 
+ * WAVE SCRIPT FORMAT:
+ * ===================
+ * {
+ *   "name": "Campaign",
+ *   "waves": [
+ *     {
+ *       "name": "Swarm",                 // Optional: shown with the wave announcement
+ *       "bonusCredits": 50,              // Credits for clearing the wave
+ *       "groups": [
+ *         {
+ *           "type": "basic",             // Enemy type from CONFIG.enemies
+ *           "count": 5,                  // How many to spawn
+ *           "interval": 2,               // Seconds between spawns in this group
+ *           "startTime": 0,              // Seconds after wave start for the first spawn
+ *           "path": "random",            // Path name, or "random" (default)
+ *           "healthMultiplier": 1,       // Optional stat scaling
+ *           "speedMultiplier": 1,
+ *           "stealth": true,             // Optional: cloak them (any type, see enemy.js)
+ *           "split": { "count": 4 }      // Optional: change the type's behavior settings
+ *         }                              // (split, heal or launch - see CONFIG.enemies)
+ *       ],
+ *       "bosses": [                      // Optional single big enemies
+ *         {
+ *           "type": "armored", "startTime": 10, "healthMultiplier": 8,
+ *           "name": "Dreadnought",       // Optional: shown on the boss health bar
+ *           "rewardMultiplier": 5,       // Optional: kill reward scaling (default CONFIG.bosses)
+ *           "phases": [                  // Optional: changes as its health drops
+ *             { "at": 0.5, "speedMultiplier": 1.5, "escorts": { "type": "fast", "count": 3 },
+ *               "name": "Enraged" }
+ *           ]
+ *         }
+ *       ]
+ *     }
+ *   ]
+ * }
+ * 
+ * Every group runs on its own timeline from the start of the wave, so
+ * groups with overlapping start times spawn simultaneously.
+ * 
+ * A boss phase starts when the boss's health falls to "at" (a fraction of
+ * its maximum, so phases are listed with "at" going down). It can set the
+ * boss's speed to speedMultiplier times what it spawned with and call in
+ * escorts beside it.
+ */
+
+import { CONFIG } from './config.js';
+import { ENEMY_BEHAVIORS, checkBehaviorSettings } from './enemy.js';
+
+// The path value that means "pick a random path for each enemy"
+export const RANDOM_PATH = 'random';
+
+// Fields only boss entries may have
+const BOSS_FIELDS = ['name', 'rewardMultiplier', 'phases'];
+
+// The currently loaded wave script
+let activeScript = null;
+
+/**
+ * Load a wave script from a JSON file and validate it
+ * @param {string} url - Where the JSON file lives (relative to index.html)
+ * @param {Array<string>} pathNames - Paths that exist in the current map
+ * @returns {Promise<object>} The validated wave script
+ */
+export async function loadWaveScript(url, pathNames) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Could not load wave script "${url}" (HTTP ${response.status})`);
+    }
+    
+    const script = await response.json();
+    
+    const result = validateWaveScript(script, pathNames);
+    if (!result.valid) {
+        throw new Error(`Wave script "${url}" has errors:\n  ${result.errors.join('\n  ')}`);
+    }
+    
+    return script;
+}
+
+/**
+ * Check a wave script for mistakes
+ * 
+ * Returns every problem at once (not just the first) with messages that
+ * say exactly where the problem is, e.g.
+ * "Wave 3, group 2: unknown enemy type 'fsat' (known types: basic, fast, armored, ...)"
+ * 
+ * @param {object} script - The parsed wave script
+ * @param {Array<string>} pathNames - Paths that exist in the current map
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+export function validateWaveScript(script, pathNames = []) {
+    const errors = [];
+    
+    if (!script || !Array.isArray(script.waves)) {
+        return { valid: false, errors: ['Wave script must have a "waves" array'] };
+    }
+    if (script.waves.length === 0) {
+        errors.push('Wave script must contain at least one wave');
+    }
+    
+    const enemyTypes = Object.keys(CONFIG.enemies);
+    
+    script.waves.forEach((wave, waveIndex) => {
+        const waveLabel = `Wave ${waveIndex + 1}`;
+        
+        if (!wave || typeof wave !== 'object') {
+            errors.push(`${waveLabel}: must be an object`);
+            return;
+        }
+        
+        if (wave.bonusCredits !== undefined && !isNonNegativeNumber(wave.bonusCredits)) {
+            errors.push(`${waveLabel}: bonusCredits must be a number of 0 or more`);
+        }
+        if (wave.name !== undefined && typeof wave.name !== 'string') {
+            errors.push(`${waveLabel}: name must be a string`);
+        }
+        
+        const groups = wave.groups || [];
+        const bosses = wave.bosses || [];
+        
+        if (!Array.isArray(groups)) {
+            errors.push(`${waveLabel}: "groups" must be an array`);
+            return;
+        }
+        if (!Array.isArray(bosses)) {
+            errors.push(`${waveLabel}: "bosses" must be an array`);
+            return;
+        }
+        if (groups.length === 0 && bosses.length === 0) {
+            errors.push(`${waveLabel}: needs at least one group or boss`);
+        }
+        
+        groups.forEach((group, groupIndex) => {
+            const label = `${waveLabel}, group ${groupIndex + 1}`;
+            validateSpawnEntry(group, label, enemyTypes, pathNames, errors);
+            
+            if (!Number.isInteger(group.count) || group.count < 1) {
+                errors.push(`${label}: count must be a whole number of 1 or more`);
+            }
+            if (group.interval !== undefined && !isNonNegativeNumber(group.interval)) {
+                errors.push(`${label}: interval must be a number of 0 or more`);
+            }
+            BOSS_FIELDS.forEach(field => {
+                if (group[field] !== undefined) {
+                    errors.push(`${label}: only bosses can have ${field}`);
+                }
+            });
+        });
+        
+        bosses.forEach((boss, bossIndex) => {
+            const label = `${waveLabel}, boss ${bossIndex + 1}`;
+            validateSpawnEntry(boss, label, enemyTypes, pathNames, errors);
+            if (boss && typeof boss === 'object') {
+                validateBossEntry(boss, label, enemyTypes, errors);
+            }
+        });
+    });
+    
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate the fields shared by groups and boss entries
+ * @param {object} entry - Group or boss entry
+ * @param {string} label - Where the entry is (for error messages)
+ * @param {Array<string>} enemyTypes - Known enemy types
+ * @param {Array<string>} pathNames - Known path names
+ * @param {Array<string>} errors - Error list to add to
+ */
+function validateSpawnEntry(entry, label, enemyTypes, pathNames, errors) {
+    if (!entry || typeof entry !== 'object') {
+        errors.push(`${label}: must be an object`);
+        return;
+    }
+    
+    if (!enemyTypes.includes(entry.type)) {
+        errors.push(`${label}: unknown enemy type '${entry.type}' (known types: ${enemyTypes.join(', ')})`);
+    }
+    
+    const path = entry.path === undefined ? RANDOM_PATH : entry.path;
+    if (path !== RANDOM_PATH && !pathNames.includes(path)) {
+        errors.push(`${label}: unknown path '${path}' (known paths: ${pathNames.join(', ')}, or '${RANDOM_PATH}')`);
+    }
+    
+    if (entry.startTime !== undefined && !isNonNegativeNumber(entry.startTime)) {
+        errors.push(`${label}: startTime must be a number of 0 or more`);
+    }
+    
+    ['healthMultiplier', 'speedMultiplier'].forEach(field => {
+        if (entry[field] !== undefined && !(typeof entry[field] === 'number' && entry[field] > 0)) {
+            errors.push(`${label}: ${field} must be a number greater than 0`);
+        }
+    });
+    
+    if (entry.stealth !== undefined && typeof entry.stealth !== 'boolean') {
+        errors.push(`${label}: stealth must be true or false`);
+    }
+    
+    // Behavior settings can only be changed on types that have the behavior
+    const config = CONFIG.enemies[entry.type];
+    if (config) {
+        ENEMY_BEHAVIORS.forEach(behavior => {
+            if (entry[behavior] !== undefined && !config[behavior]) {
+                errors.push(`${label}: '${entry.type}' enemies have no ${behavior} behavior to change`);
+            }
+        });
+        errors.push(...checkBehaviorSettings(entry, label, entry.type));
+    }
+}
+
+/**
+ * Validate the fields only bosses have: name, rewardMultiplier and phases
+ * @param {object} boss - Boss entry
+ * @param {string} label - Where the entry is (for error messages)
+ * @param {Array<string>} enemyTypes - Known enemy types
+ * @param {Array<string>} errors - Error list to add to
+ */
+function validateBossEntry(boss, label, enemyTypes, errors) {
+    if (boss.name !== undefined && !(typeof boss.name === 'string' && boss.name.length > 0)) {
+        errors.push(`${label}: name must be a non-empty string`);
+    }
+    if (boss.rewardMultiplier !== undefined && !(typeof boss.rewardMultiplier === 'number' && boss.rewardMultiplier > 0)) {
+        errors.push(`${label}: rewardMultiplier must be a number greater than 0`);
+    }
+    if (boss.phases === undefined) return;
+    
+    if (!Array.isArray(boss.phases)) {
+        errors.push(`${label}: "phases" must be an array`);
+        return;
+    }
+    
+    let previousAt = 1;
+    boss.phases.forEach((phase, phaseIndex) => {
+        const phaseLabel = `${label}, phase ${phaseIndex + 1}`;
+        if (!phase || typeof phase !== 'object') {
+            errors.push(`${phaseLabel}: must be an object`);
+            return;
+        }
+        
+        // Health only goes down, so each phase has to start lower than the last
+        if (!(typeof phase.at === 'number' && phase.at > 0 && phase.at < previousAt)) {
+            errors.push(`${phaseLabel}: at must be a health fraction between 0 and ${previousAt} (phases go from high to low)`);
+        } else {
+            previousAt = phase.at;
+        }
+        
+        if (phase.speedMultiplier !== undefined && !(typeof phase.speedMultiplier === 'number' && phase.speedMultiplier > 0)) {
+            errors.push(`${phaseLabel}: speedMultiplier must be a number greater than 0`);
+        }
+        if (phase.escorts !== undefined) {
+            const escorts = phase.escorts;
+            if (!escorts || !enemyTypes.includes(escorts.type)) {
+                errors.push(`${phaseLabel}: escorts need a known enemy type (known types: ${enemyTypes.join(', ')})`);
+            }
+            if (!escorts || !Number.isInteger(escorts.count) || escorts.count < 1) {
+                errors.push(`${phaseLabel}: escorts need a count that is a whole number of 1 or more`);
+            }
+        }
+        if (phase.speedMultiplier === undefined && phase.escorts === undefined) {
+            errors.push(`${phaseLabel}: does nothing - give it a speedMultiplier or escorts`);
+        }
+        if (phase.name !== undefined && typeof phase.name !== 'string') {
+            errors.push(`${phaseLabel}: name must be a string`);
+        }
+    });
+}
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value is a finite number >= 0
+ */
+function isNonNegativeNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Build the spawn queue for a wave
+ * 
+ * Expands every group into individual spawns with an absolute time
+ * (seconds after the wave starts), then sorts them so the game loop
+ * only ever needs to look at the front of the queue.
+ * 
+ * @param {object} wave - One wave from a wave script
+ * @returns {Array<object>} Spawns sorted by time:
+ *          { time, type, pathName, healthMultiplier, speedMultiplier, isBoss }
+ *          plus stealth and behavior overrides when the entry has them, and
+ *          name, rewardMultiplier and phases for bosses.
+ *          pathName is RANDOM_PATH when a path should be picked at spawn time
+ */
+export function buildSpawnQueue(wave) {
+    const queue = [];
+    
+    (wave.groups || []).forEach(group => {
+        const startTime = group.startTime || 0;
+        const interval = group.interval || 0;
+        
+        for (let i = 0; i < group.count; i++) {
+            queue.push(createSpawn(group, startTime + i * interval, false));
+        }
+    });
+    
+    (wave.bosses || []).forEach(boss => {
+        queue.push(createSpawn(boss, boss.startTime || 0, true));
+    });
+    
+    // Stable sort keeps the script order for enemies that spawn at the same time
+    queue.sort((a, b) => a.time - b.time);
+    
+    return queue;
+}
+
+/**
+ * Create a single spawn entry
+ * @param {object} entry - Group or boss entry from the script
+ * @param {number} time - Spawn time in seconds after wave start
+ * @param {boolean} isBoss - Whether this is a boss spawn
+ * @returns {object} Spawn entry
+ */
+function createSpawn(entry, time, isBoss) {
+    const spawn = {
+        time,
+        type: entry.type,
+        pathName: entry.path || RANDOM_PATH,
+        healthMultiplier: entry.healthMultiplier || 1,
+        speedMultiplier: entry.speedMultiplier || 1,
+        isBoss
+    };
+    
+    // Passed straight on to spawnEnemy()
+    if (entry.stealth !== undefined) {
+        spawn.stealth = entry.stealth;
+    }
+    ENEMY_BEHAVIORS.forEach(behavior => {
+        if (entry[behavior]) {
+            spawn[behavior] = { ...entry[behavior] };
+        }
+    });
+    if (isBoss) {
+        if (entry.name) spawn.name = entry.name;
+        if (entry.rewardMultiplier) spawn.rewardMultiplier = entry.rewardMultiplier;
+        if (entry.phases) spawn.phases = entry.phases.map(phase => ({ ...phase }));
+    }
+    
+    return spawn;
+}
+
+/**
+ * Make a wave script the active one
+ * @param {object} script - A validated wave script
+ */
+export function setWaveScript(script) {
+    activeScript = script;
+}
+
+/**
+ * Get a wave from the active script
+ * @param {number} waveNumber - Wave number (1-based)
+ * @returns {object|null} The wave, or null if there is no such wave
+ */
+export function getWave(waveNumber) {
+    if (!activeScript) return null;
+    return activeScript.waves[waveNumber - 1] || null;
+}
+
+/**
+ * Get how many waves the active script has
+ * @returns {number} Number of waves (0 if no script is loaded)
+ */
+export function getWaveCount() {
+    return activeScript ? activeScript.waves.length : 0;
+}
@@ -0,0 +1,277 @@
+/**
+ * abilities.test.js - Tests for Player Abilities
+ * 
+ * This test file verifies abilities.js and how the simulation uses it:
+ * - The abilities in CONFIG are valid, and broken ones are caught
+ * - An orbital strike needs a target, costs credits and hits only its radius,
+ *   and its damage and kills go into the run report
+ * - Cooldowns run on game time, as the simulation steps - in the break between waves too
+ * - An EMP slows enemies near the planet for a while, without stacking
+ * - A shield burst stops leaking enemies from damaging the planet
+ * - Cooldowns, the shield burst and slowed enemies are saved with the run
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies, spawnEnemy, enemies, getSpeedMultiplier } from '../../js/enemy.js';
+import { initEconomy, addCredits, getCredits, getLives, getGameStats } from '../../js/economy.js';
+import { stepSimulation, stepBreak } from '../../js/simulation.js';
+import { createSaveData, restoreSaveData } from '../../js/save.js';
+import { initRunStats, getRunReport } from '../../js/stats.js';
+import { useAbility, canUseAbility, getAbilityCooldown, isPlanetShielded, resetAbilities,
+         validateAbilities } from '../../js/abilities.js';
+import { CONFIG } from '../../js/config.js';
+import { setUpTestRun, tearDownTestRun } from '../helpers/test-level.js';
+
+// One step at the default tick rate
+const STEP = 1 / CONFIG.simulation.tickRate;
+
+/**
+ * Start a fresh run on the test level, with plenty of credits
+ */
+function setUpAbilityRun() {
+    setUpTestRun({ startingCredits: 1000 });
+}
+
+/**
+ * Spawn an enemy part way along the test path
+ * @param {string} type - Enemy type
+ * @param {number} progress - How far along the path (0 at the start, 1 at the planet)
+ * @returns {object} The enemy
+ */
+function spawnAt(type, progress) {
+    const enemy = spawnEnemy(type, 'default');
+    enemy.pathProgress = progress;
+    enemy.mesh.position.set(80 * (1 - progress), 0, 0);
+    return enemy;
+}
+
+/**
+ * Test suite for abilities
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runAbilityTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    initEnemies({ healthBars: false });
+    
+    // Test 1: The abilities in CONFIG are valid, and broken ones are caught
+    try {
+        const result = validateAbilities();
+        if (!result.valid) {
+            throw new Error(`CONFIG.abilities has errors: ${result.errors.join('; ')}`);
+        }
+        
+        CONFIG.abilities.brokenTest = { name: 'Broken', effect: 'emp', cost: 10, cooldown: 5, radius: 10, slowFactor: 2 };
+        const broken = validateAbilities();
+        delete CONFIG.abilities.brokenTest;
+        if (broken.valid || !broken.errors.some(error => error.includes('duration'))
+            || !broken.errors.some(error => error.includes('slowFactor'))) {
+            throw new Error('Expected a missing duration and a speed-up EMP to be reported');
+        }
+        tests.push({ name: 'Abilities in CONFIG are valid', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Abilities in CONFIG are valid', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: An orbital strike needs a target, costs credits and hits only its radius
+    try {
+        setUpAbilityRun();
+        initRunStats();
+        const strike = CONFIG.abilities.orbitalStrike;
+        const near = spawnAt('basic', 0.5);
+        const far = spawnAt('basic', 0.1);
+        const nearHealth = near.health;
+        
+        if (useAbility('orbitalStrike').reason !== 'Pick a target' || getCredits() !== 1000) {
+            throw new Error('A strike with no target should be refused, for free');
+        }
+        
+        // The kill pays out like any other
+        const result = useAbility('orbitalStrike', new THREE.Vector3(40, 0, 0));
+        if (!result.valid || getCredits() !== 1000 - strike.cost + near.creditValue) {
+            throw new Error(`Expected the strike to cost ${strike.cost}, credits are ${getCredits()}`);
+        }
+        if (result.hits.length !== 1 || result.hits[0].enemy !== near || !result.hits[0].destroyed) {
+            throw new Error('Only the enemy inside the blast should be hit (and destroyed)');
+        }
+        if (!far.alive || enemies.includes(near) || getGameStats().totalKills !== 1) {
+            throw new Error('The kill should be counted and the enemy outside left alone');
+        }
+        const abilityStats = getRunReport().weapons.find(weapon => weapon.source === 'ability');
+        if (!abilityStats || abilityStats.type !== 'ability' || abilityStats.kills !== 1
+            || abilityStats.damage !== nearHealth) {
+            throw new Error('The strike\'s damage and kill should be in the run report');
+        }
+        if (getAbilityCooldown('orbitalStrike') !== strike.cooldown
+            || useAbility('orbitalStrike', new THREE.Vector3()).valid) {
+            throw new Error('The strike should be recharging after it fires');
+        }
+        
+        initEconomy(10);
+        resetAbilities();
+        if (canUseAbility('orbitalStrike').reason !== 'Not enough credits') {
+            throw new Error('A strike the player can\'t afford should be refused');
+        }
+        tests.push({ name: 'Orbital strike costs credits and hits its radius', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Orbital strike costs credits and hits its radius', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Cooldowns run on game time, as the simulation steps
+    try {
+        setUpAbilityRun();
+        const emp = CONFIG.abilities.emp;
+        useAbility('emp');
+        
+        const steps = Math.round(emp.cooldown / STEP);
+        for (let i = 0; i < steps - 1; i++) stepSimulation(STEP);
+        if (canUseAbility('emp').valid || !canUseAbility('emp').reason.startsWith('Recharging')) {
+            throw new Error('The EMP should still be recharging a step before its cooldown ends');
+        }
+        stepSimulation(STEP);
+        stepSimulation(STEP); // Steps add up to a hair under the cooldown
+        if (!canUseAbility('emp').valid || getAbilityCooldown('emp') !== 0) {
+            throw new Error(`The EMP should be ready after ${emp.cooldown} seconds of game time`);
+        }
+        
+        // The break between waves is game time as well
+        useAbility('emp');
+        useAbility('shieldBurst');
+        for (let i = 0; i < steps + 1; i++) stepBreak(STEP);
+        if (!canUseAbility('emp').valid || isPlanetShielded()) {
+            throw new Error('Cooldowns and the shield burst should run down in the break between waves');
+        }
+        tests.push({ name: 'Cooldowns recharge as the simulation steps and between waves', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Cooldowns recharge as the simulation steps and between waves', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: An EMP slows enemies near the planet for a while, without stacking
+    try {
+        setUpAbilityRun();
+        const emp = CONFIG.abilities.emp;
+        const near = spawnAt('basic', 0.7);
+        const far = spawnAt('basic', 0);
+        
+        const result = useAbility('emp');
+        if (result.slowed.length !== 1 || result.slowed[0] !== near) {
+            throw new Error('Only the enemy within range of the planet should be slowed');
+        }
+        if (Math.abs(getSpeedMultiplier(near) - emp.slowFactor) > 1e-9 || getSpeedMultiplier(far) !== 1) {
+            throw new Error(`Expected the enemy at ${emp.slowFactor} of its speed, got ${getSpeedMultiplier(near)}`);
+        }
+        
+        // A second, longer slow keeps the factor but not the shorter timer
+        resetAbilities();
+        near.statusEffects.slow.duration = 1;
+        useAbility('emp');
+        if (Math.abs(getSpeedMultiplier(near) - emp.slowFactor) > 1e-9 || near.statusEffects.slow.duration !== emp.duration) {
+            throw new Error('Slows should not stack, but the longer one should win');
+        }
+        
+        const steps = Math.round(emp.duration / STEP) + 1;
+        for (let i = 0; i < steps; i++) stepSimulation(STEP);
+        if (getSpeedMultiplier(near) !== 1 || near.statusEffects.slow) {
+            throw new Error(`Expected full speed back once the EMP wears off, got ${getSpeedMultiplier(near)}`);
+        }
+        tests.push({ name: 'EMP slows nearby enemies for its duration', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'EMP slows nearby enemies for its duration', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 5: A shield burst stops leaking enemies from damaging the planet
+    try {
+        setUpAbilityRun();
+        const shieldBurst = CONFIG.abilities.shieldBurst;
+        useAbility('shieldBurst');
+        
+        const leaker = spawnAt('armored', 0.999);
+        stepSimulation(STEP);
+        if (enemies.includes(leaker) || getLives() !== 10 || !isPlanetShielded()) {
+            throw new Error('A leak during a shield burst should do no damage');
+        }
+        
+        const steps = Math.round(shieldBurst.duration / STEP);
+        for (let i = 0; i < steps; i++) stepSimulation(STEP);
+        spawnAt('armored', 0.999);
+        stepSimulation(STEP);
+        if (isPlanetShielded() || getLives() !== 10 - CONFIG.enemies.armored.planetDamage) {
+            throw new Error('Leaks should damage the planet again once the shield burst is over');
+        }
+        tests.push({ name: 'Shield burst stops leaks for its duration', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Shield burst stops leaks for its duration', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 6: Cooldowns, the shield burst and slowed enemies are saved with the run
+    try {
+        setUpAbilityRun();
+        addCredits(500, 'test');
+        spawnAt('basic', 0.7);
+        useAbility('emp');
+        useAbility('shieldBurst');
+        for (let i = 0; i < 30; i++) stepSimulation(STEP);
+        
+        const enemy = enemies[0];
+        const before = { slow: JSON.stringify(enemy.statusEffects), emp: getAbilityCooldown('emp') };
+        const save = JSON.parse(JSON.stringify(createSaveData({ waveNumber: 1, inProgress: true })));
+        
+        setUpAbilityRun();
+        restoreSaveData(save);
+        
+        if (getAbilityCooldown('emp') !== before.emp || !isPlanetShielded()
+            || getAbilityCooldown('orbitalStrike') !== 0) {
+            throw new Error('Cooldowns and the shield burst were not restored');
+        }
+        if (enemies.length !== 1 || !enemies[0].statusEffects.slow || JSON.stringify(enemies[0].statusEffects) !== before.slow) {
+            throw new Error('The slowed enemy was not restored as it was');
+        }
+        tests.push({ name: 'Abilities are saved with the run', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Abilities are saved with the run', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Ability Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Abilities are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runAbilityTests = runAbilityTests;
+}
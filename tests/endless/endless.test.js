@@ -0,0 +1,221 @@
+/**
+ * endless.test.js - Tests for Endless Mode
+ * 
+ * This test file verifies the wave generator in endless.js:
+ * - CONFIG.endless is valid, and mistakes in it are reported
+ * - Generated waves are valid wave-script waves that grow with the wave number
+ * - The same seed always generates the same waves
+ * - Boss waves and special waves follow their rules
+ * 
+ * The leaderboard endless runs go on is tested in tests/leaderboard/.
+ */
+
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies, clearEnemies, getEnemyCount } from '../../js/enemy.js';
+import { initEconomy } from '../../js/economy.js';
+import { startWaveSimulation, stepSimulation } from '../../js/simulation.js';
+import { validateWaveScript, RANDOM_PATH } from '../../js/waves.js';
+import { setRandomSeed } from '../../js/random.js';
+import { generateEndlessWave, getWaveBudget, getUnlockedTypes, getEndlessHealthMultiplier,
+         validateEndlessConfig } from '../../js/endless.js';
+import { CONFIG } from '../../js/config.js';
+import { setUpTestLevel, tearDownTestRun } from '../helpers/test-level.js';
+
+const PATH_NAMES = ['north', 'south'];
+
+/**
+ * Generate waves 1 to count from a seed
+ * @param {number} seed - Random seed
+ * @param {number} count - How many waves
+ * @returns {Array<object>} The waves
+ */
+function generateRun(seed, count) {
+    setRandomSeed(seed);
+    const waves = [];
+    for (let waveNumber = 1; waveNumber <= count; waveNumber++) {
+        waves.push(generateEndlessWave(waveNumber, PATH_NAMES));
+    }
+    return waves;
+}
+
+/**
+ * Add up what a wave's groups spend from the budget
+ * @param {object} wave - Generated wave
+ * @returns {number} Total cost of its group enemies
+ */
+function getGroupCost(wave) {
+    return wave.groups.reduce((total, group) => total + group.count * CONFIG.endless.enemies[group.type].cost, 0);
+}
+
+/**
+ * Test suite for endless mode
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runEndlessTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    setUpTestLevel({
+        paths: { north: [[0, 0, -80], [0, 0, 0]], south: [[0, 0, 80], [0, 0, 0]] }
+    });
+    initEnemies({ healthBars: false });
+    
+    // Test 1: CONFIG.endless is valid; mistakes are reported
+    try {
+        const result = validateEndlessConfig();
+        if (!result.valid) {
+            throw new Error(result.errors.join('; '));
+        }
+        
+        CONFIG.endless.enemies.basic.cost = 0;
+        CONFIG.endless.specialWaves.swarm.types.push('dragon');
+        const broken = validateEndlessConfig();
+        CONFIG.endless.enemies.basic.cost = 1;
+        CONFIG.endless.specialWaves.swarm.types.pop();
+        if (broken.valid || broken.errors.length !== 2) {
+            throw new Error(`Expected 2 errors, got: ${broken.errors.join('; ')}`);
+        }
+        tests.push({ name: 'Endless settings are valid', passed: true });
+        passed++;
+    } catch (error) {
+        CONFIG.endless.enemies.basic.cost = 1;
+        tests.push({ name: 'Endless settings are valid', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: Generated waves are valid and grow with the wave number
+    try {
+        const waves = generateRun(7, 40);
+        const result = validateWaveScript({ waves }, PATH_NAMES);
+        if (!result.valid) {
+            throw new Error(result.errors.slice(0, 3).join('; '));
+        }
+        
+        waves.forEach((wave, index) => {
+            const waveNumber = index + 1;
+            const unlocked = getUnlockedTypes(waveNumber);
+            wave.groups.forEach(group => {
+                if (!unlocked.includes(group.type)) {
+                    throw new Error(`Wave ${waveNumber}: '${group.type}' isn't unlocked yet`);
+                }
+                if (![...PATH_NAMES, RANDOM_PATH].includes(group.path)) {
+                    throw new Error(`Wave ${waveNumber}: unknown path '${group.path}'`);
+                }
+            });
+            if (!wave.bosses && !wave.name && getGroupCost(wave) > getWaveBudget(waveNumber)) {
+                throw new Error(`Wave ${waveNumber} spent more than its budget`);
+            }
+        });
+        
+        if (getGroupCost(waves[1]) >= getGroupCost(waves[28])) {
+            throw new Error('Later waves should have more enemies');
+        }
+        if (waves[0].groups.some(group => group.healthMultiplier)
+            || waves[28].groups.some(group => group.healthMultiplier !== getEndlessHealthMultiplier(29))) {
+            throw new Error('Enemies should get tougher as the waves go on');
+        }
+        
+        // They play like any other wave
+        clearEnemies();
+        initEconomy();
+        startWaveSimulation(waves[11]);
+        for (let i = 0; i < 60 * 3; i++) stepSimulation(1 / 60);
+        if (getEnemyCount() === 0) {
+            throw new Error('A generated wave should spawn enemies');
+        }
+        tests.push({ name: 'Generated waves are valid and grow', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Generated waves are valid and grow', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: The same seed generates the same waves
+    try {
+        const first = JSON.stringify(generateRun(1234, 25));
+        const again = JSON.stringify(generateRun(1234, 25));
+        const other = JSON.stringify(generateRun(4321, 25));
+        if (first !== again) {
+            throw new Error('The same seed should give the same waves');
+        }
+        if (first === other) {
+            throw new Error('Different seeds should give different waves');
+        }
+        tests.push({ name: 'The same seed generates the same waves', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'The same seed generates the same waves', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Boss waves and special waves follow their rules
+    try {
+        const bossEvery = CONFIG.endless.bossEvery;
+        const waves = generateRun(99, bossEvery * 2);
+        waves.forEach((wave, index) => {
+            const isBossWave = (index + 1) % bossEvery === 0;
+            if (isBossWave !== !!wave.bosses) {
+                throw new Error(`Wave ${index + 1} should${isBossWave ? '' : ' not'} have a boss`);
+            }
+        });
+        const [boss] = waves[bossEvery - 1].bosses;
+        if (!boss.name || boss.phases.length === 0 || boss.healthMultiplier < 2) {
+            throw new Error('A generated boss should be named, tough and have phases');
+        }
+        
+        // With every wave special, each kind shows up and keeps to its rules
+        CONFIG.endless.specialChance = 1;
+        const seen = new Set();
+        const specials = Object.values(CONFIG.endless.specialWaves);
+        generateRun(5, 60).forEach((wave, index) => {
+            const special = specials.find(candidate => candidate.name === wave.name);
+            if (!special) return;
+            seen.add(special.name);
+            if (special.stealth && wave.groups.some(group => !group.stealth)) {
+                throw new Error(`${special.name} (wave ${index + 1}) should be all stealth`);
+            }
+            if (special.types && index + 1 >= 9 && wave.groups.some(group => !special.types.includes(group.type))) {
+                throw new Error(`${special.name} (wave ${index + 1}) should only have ${special.types.join(', ')}`);
+            }
+        });
+        CONFIG.endless.specialChance = 0.2;
+        if (seen.size !== specials.length) {
+            throw new Error(`Expected every special wave to appear, saw: ${[...seen].join(', ')}`);
+        }
+        tests.push({ name: 'Boss and special waves follow their rules', passed: true });
+        passed++;
+    } catch (error) {
+        CONFIG.endless.specialChance = 0.2;
+        tests.push({ name: 'Boss and special waves follow their rules', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Endless Mode Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Endless mode is working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runEndlessTests = runEndlessTests;
+}
@@ -0,0 +1,255 @@
+/**
+ * boss.test.js - Tests for Boss Waves
+ * 
+ * This test file verifies bosses (enemy.js, waves.js, simulation.js):
+ * - Boss entries in wave scripts are checked: name, reward and phases
+ * - Bosses pay out their reward multiplier when killed
+ * - Phases start as health falls past their thresholds, changing speed
+ *   and calling in escorts - even several phases from one big hit
+ * - The simulation reports bosses arriving and changing phase
+ * - A boss saved mid-fight comes back in the same phase
+ */
+
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies, spawnEnemy, clearEnemies, damageEnemy, enemies, updateBossPhases,
+         getActiveBoss, restoreEnemy } from '../../js/enemy.js';
+import { createStarbase } from '../../js/starbase.js';
+import { initEconomy, getCredits, getScore } from '../../js/economy.js';
+import { startWaveSimulation, stepSimulation } from '../../js/simulation.js';
+import { validateWaveScript, buildSpawnQueue } from '../../js/waves.js';
+import { createSaveData } from '../../js/save.js';
+import { CONFIG } from '../../js/config.js';
+import { setUpTestLevel, tearDownTestRun } from '../helpers/test-level.js';
+
+// A two-phase boss like the ones in the level files
+const TEST_BOSS = {
+    type: 'armored',
+    name: 'Test Dreadnought',
+    startTime: 0,
+    path: 'default',
+    healthMultiplier: 4,
+    rewardMultiplier: 3,
+    phases: [
+        { at: 0.6, escorts: { type: 'fast', count: 2 } },
+        { at: 0.3, name: 'Enraged', speedMultiplier: 2 }
+    ]
+};
+
+/**
+ * Test suite for boss waves
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runBossTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    setUpTestLevel();
+    initEnemies({ healthBars: false });
+    createStarbase();
+    
+    // Test 1: Boss entries are checked, and their settings reach the spawn
+    try {
+        const good = validateWaveScript({ waves: [{ bosses: [TEST_BOSS] }] }, ['default']);
+        if (!good.valid) {
+            throw new Error(good.errors.join('; '));
+        }
+        
+        const bad = validateWaveScript({ waves: [{
+            groups: [{ type: 'basic', count: 1, phases: [] }],
+            bosses: [{
+                type: 'armored',
+                rewardMultiplier: 0,
+                phases: [
+                    { at: 0.5, speedMultiplier: 2 },
+                    { at: 0.7, speedMultiplier: 2 },           // Higher than the phase before
+                    { at: 0.2, escorts: { type: 'nope', count: 1 } },
+                    { at: 0.1 }                                 // Does nothing
+                ]
+            }]
+        }] });
+        if (bad.valid || bad.errors.length !== 5) {
+            throw new Error(`Expected 5 errors, got: ${bad.errors.join('; ')}`);
+        }
+        
+        const [spawn] = buildSpawnQueue({ bosses: [TEST_BOSS] });
+        if (!spawn.isBoss || spawn.name !== TEST_BOSS.name || spawn.rewardMultiplier !== 3
+            || spawn.phases.length !== 2 || spawn.phases[0] === TEST_BOSS.phases[0]) {
+            throw new Error('The spawn should carry a copy of the boss\'s name, reward and phases');
+        }
+        tests.push({ name: 'Boss entries are checked', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Boss entries are checked', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: Bosses pay out their reward multiplier
+    try {
+        clearEnemies();
+        initEconomy();
+        const [spawn] = buildSpawnQueue({ bosses: [TEST_BOSS] });
+        const boss = spawnEnemy(spawn.type, 'default', spawn);
+        if (boss.creditValue !== CONFIG.economy.creditsPerKill.armored * 3) {
+            throw new Error(`Expected ${CONFIG.economy.creditsPerKill.armored * 3} credits, got ${boss.creditValue}`);
+        }
+        
+        // Without a multiplier of their own, bosses use CONFIG's
+        const plain = spawnEnemy('basic', 'default', { isBoss: true });
+        if (plain.rewardMultiplier !== CONFIG.bosses.rewardMultiplier || spawnEnemy('basic', 'default').rewardMultiplier !== 1) {
+            throw new Error('Bosses should default to CONFIG.bosses.rewardMultiplier, other enemies to 1');
+        }
+        
+        // Shot down by the starbase, the economy pays the same
+        clearEnemies();
+        startWaveSimulation({ bosses: [{ ...TEST_BOSS, phases: [] }] });
+        stepSimulation(1 / 60);
+        const credits = getCredits();
+        const score = getScore();
+        enemies[0].health = 1;
+        enemies[0].pathProgress = 0.8; // Well inside the starbase's range
+        for (let i = 0; i < 60 * 5 && enemies.length > 0; i++) stepSimulation(1 / 60);
+        if (getCredits() - credits !== CONFIG.economy.creditsPerKill.armored * 3
+            || getScore() - score !== CONFIG.scoring.pointsPerKill.armored * 3) {
+            throw new Error(`Expected ${CONFIG.economy.creditsPerKill.armored * 3} credits for the kill, got ${getCredits() - credits}`);
+        }
+        tests.push({ name: 'Bosses pay out their reward multiplier', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Bosses pay out their reward multiplier', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Phases start at their thresholds
+    try {
+        clearEnemies();
+        const [spawn] = buildSpawnQueue({ bosses: [TEST_BOSS] });
+        const boss = spawnEnemy(spawn.type, 'default', spawn);
+        boss.pathProgress = 0.5;
+        
+        boss.health = boss.maxHealth * 0.61;
+        if (updateBossPhases().length !== 0 || boss.phase !== 0) {
+            throw new Error('Nothing should happen above the first threshold');
+        }
+        
+        boss.health = boss.maxHealth * 0.6;
+        const [first] = updateBossPhases();
+        if (!first || first.phase !== 2 || boss.phase !== 1 || first.escorts.length !== 2) {
+            throw new Error('Reaching the first threshold should start phase 2 and call 2 escorts');
+        }
+        const escorts = enemies.filter(enemy => enemy.type === 'fast');
+        if (escorts.length !== 2 || escorts[0].maxHealth !== CONFIG.enemies.fast.health) {
+            throw new Error('Escorts should spawn at normal strength, not the boss\'s');
+        }
+        if (escorts.some(escort => escort.pathProgress > 0.5)) {
+            throw new Error('Escorts should spawn beside the boss');
+        }
+        if (updateBossPhases().length !== 0) {
+            throw new Error('A phase should only start once');
+        }
+        
+        // One big hit passes both thresholds in turn
+        const again = spawnEnemy(spawn.type, 'default', spawn);
+        const speed = again.speed;
+        damageEnemy(again, again.maxHealth * 0.8, 'kinetic');
+        const changes = updateBossPhases();
+        if (changes.length !== 2 || changes[1].name !== 'Enraged' || again.phase !== 2) {
+            throw new Error(`Expected both phases to start, got ${changes.length}`);
+        }
+        if (Math.abs(again.speed - speed * 2) > 1e-9) {
+            throw new Error(`Expected the boss to speed up to ${speed * 2}, got ${again.speed}`);
+        }
+        tests.push({ name: 'Phases start at their health thresholds', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Phases start at their health thresholds', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: The simulation reports bosses arriving and changing phase
+    try {
+        clearEnemies();
+        initEconomy();
+        startWaveSimulation({
+            groups: [{ type: 'basic', count: 1, path: 'default' }],
+            bosses: [TEST_BOSS]
+        });
+        
+        const events = stepSimulation(1 / 60);
+        const boss = getActiveBoss();
+        if (events.bossSpawned.length !== 1 || events.bossSpawned[0] !== boss || boss.bossName !== TEST_BOSS.name) {
+            throw new Error('The boss\'s arrival should be reported once');
+        }
+        
+        boss.health = boss.maxHealth * 0.5;
+        const next = stepSimulation(1 / 60);
+        if (next.bossSpawned.length !== 0 || next.bossPhases.length !== 1 || next.bossPhases[0].enemy !== boss) {
+            throw new Error('The phase change should be reported by the step it happened in');
+        }
+        
+        // The boss counts towards the wave like any other enemy
+        clearEnemies();
+        if (getActiveBoss() !== null || stepSimulation(1 / 60).waveCleared !== true) {
+            throw new Error('With the boss and everything else gone, the wave should clear');
+        }
+        tests.push({ name: 'The simulation reports bosses arriving and changing phase', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'The simulation reports bosses arriving and changing phase', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 5: A boss saved mid-fight comes back in the same phase
+    try {
+        clearEnemies();
+        const [spawn] = buildSpawnQueue({ bosses: [TEST_BOSS] });
+        const boss = spawnEnemy(spawn.type, 'default', spawn);
+        boss.health = boss.maxHealth * 0.2;
+        updateBossPhases();
+        
+        // Round-trip through JSON, like a save does
+        const [saved] = JSON.parse(JSON.stringify(createSaveData({ waveNumber: 1, inProgress: true }))).enemies;
+        clearEnemies();
+        const restored = restoreEnemy(saved);
+        if (!restored.isBoss || restored.bossName !== TEST_BOSS.name || restored.phase !== 2
+            || restored.speed !== boss.speed || restored.creditValue !== boss.creditValue) {
+            throw new Error('The boss\'s name, phase, speed and reward should be restored');
+        }
+        if (updateBossPhases().length !== 0) {
+            throw new Error('Phases already passed should not start again after loading');
+        }
+        tests.push({ name: 'A boss is saved and restored in its phase', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'A boss is saved and restored in its phase', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Boss Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Bosses are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runBossTests = runBossTests;
+}
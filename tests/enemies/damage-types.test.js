@@ -0,0 +1,237 @@
+/**
+ * damage-types.test.js - Tests for Damage Types, Resistances and Shields
+ * 
+ * This test file verifies the damage model in damageEnemy() (enemy.js):
+ * - CONFIG's damage types, resistances, shields and weapon types are valid
+ * - Resistances scale each damage type before armor is subtracted
+ * - A shield soaks up hits first (harder or softer by type), and overflow reaches health
+ * - A shield recharges only after the enemy hasn't been hit for a while
+ * - Weapons fire their configured damage type, and hits report shield damage
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies, spawnEnemy, clearEnemies, damageEnemy, updateEnemies,
+         validateDamageModel } from '../../js/enemy.js';
+import { createPlatform, clearAllPlatforms } from '../../js/platform.js';
+import { createProjectile, updateProjectiles, clearProjectiles } from '../../js/projectile.js';
+import { CONFIG } from '../../js/config.js';
+import { setUpTestLevel, tearDownTestRun } from '../helpers/test-level.js';
+
+/**
+ * Test suite for damage types, resistances and shields
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runDamageTypeTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    setUpTestLevel();
+    initEnemies({ healthBars: false });
+    
+    // Test 1: The damage model in CONFIG is valid, and mistakes are reported
+    try {
+        const result = validateDamageModel();
+        if (!result.valid) {
+            throw new Error(result.errors.join('; '));
+        }
+        
+        const weaponTypes = [CONFIG.starbase.damageType, CONFIG.platforms.laserBattery.damageType,
+            CONFIG.platforms.missileLauncher.damageType];
+        if (new Set(weaponTypes).size !== 3) {
+            throw new Error('The starbase, laser battery and missile launcher should deal different damage types');
+        }
+        
+        CONFIG.enemies.armored.resistances.plasma = 0.5;
+        CONFIG.enemies.fast.resistances.explosive = 1;
+        const broken = validateDamageModel();
+        delete CONFIG.enemies.armored.resistances.plasma;
+        CONFIG.enemies.fast.resistances.explosive = 0.3;
+        if (broken.valid || broken.errors.length !== 2) {
+            throw new Error(`Expected 2 errors, got: ${broken.errors.join('; ')}`);
+        }
+        tests.push({ name: 'Damage model is valid', passed: true });
+        passed++;
+    } catch (error) {
+        delete CONFIG.enemies.armored.resistances.plasma;
+        CONFIG.enemies.fast.resistances.explosive = 0.3;
+        tests.push({ name: 'Damage model is valid', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: Resistances scale damage before armor
+    try {
+        clearEnemies();
+        const armored = CONFIG.enemies.armored;
+        const expected = {
+            kinetic: 40 - armored.armor,
+            energy: 40 * (1 - armored.resistances.energy) - armored.armor,
+            explosive: 40 * (1 - armored.resistances.explosive) - armored.armor
+        };
+        
+        Object.entries(expected).forEach(([damageType, damage]) => {
+            const enemy = spawnEnemy('armored', 'default');
+            damageEnemy(enemy, 40, damageType);
+            if (Math.abs(armored.health - enemy.health - damage) > 1e-9) {
+                throw new Error(`${damageType}: expected ${damage} damage, got ${armored.health - enemy.health}`);
+            }
+        });
+        
+        // Armor still can't stop a hit entirely
+        const enemy = spawnEnemy('armored', 'default');
+        damageEnemy(enemy, 5, 'energy');
+        if (enemy.health !== armored.health - 1) {
+            throw new Error('A hit weaker than the armor should still do 1 damage');
+        }
+        tests.push({ name: 'Resistances scale damage before armor', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Resistances scale damage before armor', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: The shield soaks up hits first; overflow reaches health
+    try {
+        clearEnemies();
+        const config = CONFIG.enemies.shielded;
+        const energy = CONFIG.damageTypes.energy.shieldMultiplier;
+        const kinetic = CONFIG.damageTypes.kinetic.shieldMultiplier;
+        
+        const enemy = spawnEnemy('shielded', 'default');
+        if (enemy.shield !== config.shield.max || enemy.maxShield !== config.shield.max) {
+            throw new Error('A shielded enemy should spawn with a full shield');
+        }
+        
+        damageEnemy(enemy, 20, 'energy');
+        if (enemy.health !== config.health || enemy.shield !== config.shield.max - 20 * energy) {
+            throw new Error(`Energy should hit the shield ${energy}x and leave health alone`);
+        }
+        
+        // Kinetic rounds barely dent what's left; the rest goes through to health
+        const shieldLeft = enemy.shield;
+        damageEnemy(enemy, 200, 'kinetic');
+        const overflow = 200 - shieldLeft / kinetic;
+        if (enemy.shield !== 0 || Math.abs(config.health - enemy.health - overflow) > 1e-9) {
+            throw new Error(`Expected ${overflow} to overflow into health, got ${config.health - enemy.health}`);
+        }
+        
+        // Unshielded enemies take the full hit
+        const basic = spawnEnemy('basic', 'default');
+        damageEnemy(basic, 30, 'energy');
+        if (basic.health !== CONFIG.enemies.basic.health - 30) {
+            throw new Error('Enemies without a shield should take the hit on health');
+        }
+        tests.push({ name: 'Shields soak up hits first', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Shields soak up hits first', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Shields recharge only after the enemy hasn't been hit for a while
+    try {
+        clearEnemies();
+        const config = CONFIG.enemies.shielded.shield;
+        const enemy = spawnEnemy('shielded', 'default');
+        damageEnemy(enemy, 40, 'explosive');
+        const damaged = enemy.shield;
+        
+        // Just inside the delay: no recharge yet
+        const step = 1 / 60;
+        for (let time = step; time < config.regenDelay - step; time += step) updateEnemies(step);
+        if (enemy.shield !== damaged) {
+            throw new Error('The shield should not recharge during the delay');
+        }
+        
+        // Another hit restarts the delay
+        damageEnemy(enemy, 1, 'explosive');
+        const hitAgain = enemy.shield;
+        for (let i = 0; i < 30; i++) updateEnemies(step);
+        if (enemy.shield !== hitAgain) {
+            throw new Error('A hit should restart the recharge delay');
+        }
+        
+        // After the delay it recharges at its rate, up to full
+        for (let i = 0; i < 60 * (config.regenDelay + 1); i++) updateEnemies(step);
+        if (!(enemy.shield > hitAgain)) {
+            throw new Error('The shield should recharge after the delay');
+        }
+        for (let i = 0; i < 60 * 10; i++) updateEnemies(step);
+        if (enemy.shield !== config.max) {
+            throw new Error(`The shield should stop at ${config.max}, got ${enemy.shield}`);
+        }
+        tests.push({ name: 'Shields recharge after a delay', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Shields recharge after a delay', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 5: Weapons fire their damage type; hits report shield damage
+    try {
+        clearEnemies();
+        clearProjectiles();
+        clearAllPlatforms();
+        
+        const laser = createPlatform('laserBattery', new THREE.Vector3(30, 0, 20));
+        if (laser.damageType !== CONFIG.platforms.laserBattery.damageType) {
+            throw new Error('Platforms should take their damage type from CONFIG');
+        }
+        
+        const enemy = spawnEnemy('shielded', 'default');
+        enemy.mesh.position.set(10, 0, 0);
+        createProjectile({
+            position: new THREE.Vector3(0, 0, 0),
+            direction: new THREE.Vector3(1, 0, 0),
+            damage: 20,
+            source: laser.id,
+            damageType: laser.damageType
+        });
+        
+        let hits = [];
+        for (let i = 0; i < 60 && hits.length === 0; i++) {
+            hits = updateProjectiles(1 / 60);
+        }
+        const multiplier = CONFIG.damageTypes[laser.damageType].shieldMultiplier;
+        if (hits.length !== 1 || hits[0].damageType !== laser.damageType) {
+            throw new Error('Expected one hit carrying the laser\'s damage type');
+        }
+        if (hits[0].shieldDamage !== 20 * multiplier || hits[0].damageDealt !== hits[0].shieldDamage) {
+            throw new Error(`Expected ${20 * multiplier} shield damage, got ${hits[0].shieldDamage}`);
+        }
+        tests.push({ name: 'Weapons fire their damage type', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Weapons fire their damage type', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Damage Type Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Damage types are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runDamageTypeTests = runDamageTypeTests;
+}
@@ -0,0 +1,270 @@
+/**
+ * enemy-behaviors.test.js - Tests for Enemy Behaviors
+ * 
+ * This test file verifies the behaviors in enemy.js:
+ * - Behavior settings in CONFIG and wave scripts are checked, and wave
+ *   scripts can change them per group
+ * - Splitters break into fragments where they die
+ * - Healers repair enemies near them, up to full health
+ * - Stealth enemies can't be targeted until a detector sees them
+ * - Carriers launch drones until they run out
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies, spawnEnemy, clearEnemies, damageEnemy, updateEnemies, enemies, selectTarget,
+         getClosestEnemy, updateStealthDetection, validateEnemyBehaviors } from '../../js/enemy.js';
+import { createPlatform, clearAllPlatforms } from '../../js/platform.js';
+import { clearProjectiles } from '../../js/projectile.js';
+import { initEconomy } from '../../js/economy.js';
+import { startWaveSimulation, stepSimulation } from '../../js/simulation.js';
+import { validateWaveScript, buildSpawnQueue } from '../../js/waves.js';
+import { CONFIG } from '../../js/config.js';
+import { setUpTestLevel, tearDownTestRun } from '../helpers/test-level.js';
+
+/**
+ * Spawn an enemy part of the way along the test path
+ * @param {string} type - Enemy type
+ * @param {number} pathProgress - 0 to 1 along the path
+ * @param {object} options - Spawn options (see spawnEnemy)
+ * @returns {object} The enemy
+ */
+function spawnAt(type, pathProgress, options = {}) {
+    const enemy = spawnEnemy(type, 'default', options);
+    enemy.pathProgress = pathProgress;
+    enemy.mesh.position.set(80 * (1 - pathProgress), 0, 0); // The test path runs straight along X
+    return enemy;
+}
+
+/**
+ * Test suite for enemy behaviors
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runEnemyBehaviorTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    setUpTestLevel();
+    initEnemies({ healthBars: false });
+    
+    // Test 1: Behavior settings are checked; wave scripts can change them
+    try {
+        const result = validateEnemyBehaviors();
+        if (!result.valid) {
+            throw new Error(result.errors.join('; '));
+        }
+        
+        CONFIG.enemies.splitter.split.type = 'splitter';
+        CONFIG.enemies.healer.heal.rate = 0;
+        const broken = validateEnemyBehaviors();
+        CONFIG.enemies.splitter.split.type = 'fast';
+        CONFIG.enemies.healer.heal.rate = 12;
+        if (broken.valid || broken.errors.length !== 2) {
+            throw new Error(`Expected 2 config errors, got: ${broken.errors.join('; ')}`);
+        }
+        
+        const badScript = validateWaveScript({ waves: [{ groups: [
+            { type: 'basic', count: 1, split: { count: 2 } },
+            { type: 'splitter', count: 1, split: { count: 0 } },
+            { type: 'fast', count: 1, stealth: 'yes' }
+        ] }] });
+        if (badScript.valid || badScript.errors.length !== 3) {
+            throw new Error(`Expected 3 wave script errors, got: ${badScript.errors.join('; ')}`);
+        }
+        
+        const wave = { groups: [{ type: 'carrier', count: 1, stealth: true, launch: { capacity: 2 } }] };
+        if (!validateWaveScript({ waves: [wave] }).valid) {
+            throw new Error('Changing a behavior the type has should be allowed');
+        }
+        const [spawn] = buildSpawnQueue(wave);
+        const carrier = spawnEnemy(spawn.type, 'default', spawn);
+        if (!carrier.stealth || carrier.dronesLeft !== 2
+            || carrier.launch.interval !== CONFIG.enemies.carrier.launch.interval) {
+            throw new Error('The wave script\'s settings should be merged over the type\'s');
+        }
+        if (spawnEnemy('carrier', 'default').dronesLeft !== CONFIG.enemies.carrier.launch.capacity) {
+            throw new Error('Changing one group\'s settings should leave CONFIG alone');
+        }
+        tests.push({ name: 'Behavior settings are checked and can be changed per group', passed: true });
+        passed++;
+    } catch (error) {
+        CONFIG.enemies.splitter.split.type = 'fast';
+        CONFIG.enemies.healer.heal.rate = 12;
+        tests.push({ name: 'Behavior settings are checked and can be changed per group', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: Splitters break into fragments where they die
+    try {
+        clearEnemies();
+        const split = CONFIG.enemies.splitter.split;
+        const splitter = spawnAt('splitter', 0.5, { healthMultiplier: 2 });
+        
+        if (!damageEnemy(splitter, 100000)) {
+            throw new Error('The splitter should have died');
+        }
+        const fragments = enemies.filter(enemy => enemy.type === split.type);
+        if (fragments.length !== split.count) {
+            throw new Error(`Expected ${split.count} fragments, got ${fragments.length}`);
+        }
+        if (fragments.some(fragment => fragment.pathProgress > 0.5 || fragment.pathProgress < 0.45)) {
+            throw new Error('Fragments should start where the splitter died');
+        }
+        if (fragments[0].maxHealth !== CONFIG.enemies[split.type].health * 2) {
+            throw new Error('Fragments should share the splitter\'s health scaling');
+        }
+        
+        // The wave isn't over until the fragments are dealt with
+        clearEnemies();
+        initEconomy();
+        startWaveSimulation({ groups: [{ type: 'splitter', count: 1, path: 'default' }] });
+        stepSimulation(1 / 60);
+        damageEnemy(enemies[0], 100000);
+        if (stepSimulation(1 / 60).waveCleared) {
+            throw new Error('The wave should not clear while fragments are alive');
+        }
+        tests.push({ name: 'Splitters break into fragments where they die', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Splitters break into fragments where they die', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Healers repair enemies near them, up to full health
+    try {
+        clearEnemies();
+        const heal = CONFIG.enemies.healer.heal;
+        const healer = spawnAt('healer', 0.5);
+        const near = spawnAt('basic', 0.5);
+        const far = spawnAt('basic', 0.1);
+        [healer, near, far].forEach(enemy => { enemy.health -= 50; });
+        
+        for (let i = 0; i < 60; i++) updateEnemies(1 / 60);
+        if (Math.abs(near.health - (near.maxHealth - 50 + heal.rate)) > 1e-6) {
+            throw new Error(`Expected ${heal.rate} health back after a second, got ${near.health - (near.maxHealth - 50)}`);
+        }
+        if (healer.health !== healer.maxHealth - 50 || far.health !== far.maxHealth - 50) {
+            throw new Error('Healers should not heal themselves or enemies out of reach');
+        }
+        
+        for (let i = 0; i < 60 * 10; i++) updateEnemies(1 / 60);
+        if (near.health !== near.maxHealth) {
+            throw new Error('Healing should stop at full health');
+        }
+        tests.push({ name: 'Healers repair enemies near them', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Healers repair enemies near them', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Stealth enemies can't be targeted until a detector sees them
+    try {
+        clearEnemies();
+        const weapon = new THREE.Vector3(40, 0, 0);
+        const stealth = spawnAt('stealth', 0.5);
+        const basic = spawnAt('basic', 0.8);
+        
+        if (selectTarget(weapon, 100, 'nearest') !== basic || getClosestEnemy(weapon) !== basic) {
+            throw new Error('An undetected stealth enemy should be skipped');
+        }
+        if (stealth.mesh.material.opacity >= 1) {
+            throw new Error('An undetected stealth enemy should be faded out');
+        }
+        
+        updateStealthDetection([{ position: weapon, range: 5 }]);
+        if (!stealth.detected || selectTarget(weapon, 100, 'nearest') !== stealth) {
+            throw new Error('A detected stealth enemy should be targeted like any other');
+        }
+        updateStealthDetection([]);
+        if (selectTarget(weapon, 100, 'sticky', stealth) !== basic) {
+            throw new Error('Even a sticky weapon should lose a stealth enemy nothing can see');
+        }
+        
+        // In the game, laser batteries are detectors
+        clearEnemies();
+        clearProjectiles();
+        clearAllPlatforms();
+        initEconomy();
+        const laser = createPlatform('laserBattery', new THREE.Vector3(30, 0, 10));
+        startWaveSimulation({ groups: [{ type: 'stealth', count: 1, path: 'default' }] });
+        
+        let aimedWhileHidden = false;
+        for (let i = 0; i < 60 * 10 && !(enemies[0] && enemies[0].detected); i++) {
+            stepSimulation(1 / 60);
+            if (laser.currentTarget && !laser.currentTarget.detected) aimedWhileHidden = true;
+        }
+        const enemy = enemies[0];
+        if (aimedWhileHidden || !enemy || !enemy.detected) {
+            throw new Error('The laser should aim only once its scanner detects the enemy');
+        }
+        if (enemy.mesh.position.distanceTo(laser.position) > laser.detectionRange) {
+            throw new Error('The enemy was detected out of the laser\'s detection range');
+        }
+        if (laser.currentTarget !== enemy) {
+            throw new Error('The laser should target the enemy as soon as it is detected');
+        }
+        tests.push({ name: 'Stealth enemies are only targeted once detected', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Stealth enemies are only targeted once detected', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 5: Carriers launch drones until they run out
+    try {
+        clearEnemies();
+        clearAllPlatforms();
+        const launch = { ...CONFIG.enemies.carrier.launch, interval: 0.5 };
+        const carrier = spawnAt('carrier', 0.3, { launch: { interval: launch.interval } });
+        const countDrones = () => enemies.filter(enemy => enemy.type === launch.type).length;
+        
+        for (let i = 0; i < 25; i++) updateEnemies(1 / 60);
+        if (countDrones() !== 0) {
+            throw new Error('Nothing should launch before the interval');
+        }
+        for (let i = 0; i < 10; i++) updateEnemies(1 / 60);
+        if (countDrones() !== launch.count || carrier.dronesLeft !== launch.capacity - launch.count) {
+            throw new Error(`Expected ${launch.count} drones after one interval, got ${countDrones()}`);
+        }
+        
+        for (let i = 0; i < 60 * launch.interval * launch.capacity; i++) updateEnemies(1 / 60);
+        if (countDrones() !== launch.capacity || carrier.dronesLeft !== 0) {
+            throw new Error(`Expected ${launch.capacity} drones in all, got ${countDrones()}`);
+        }
+        tests.push({ name: 'Carriers launch drones until they run out', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Carriers launch drones until they run out', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Enemy Behavior Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Enemy behaviors are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runEnemyBehaviorTests = runEnemyBehaviorTests;
+}
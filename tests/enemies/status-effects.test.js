@@ -0,0 +1,297 @@
+/**
+ * status-effects.test.js - Tests for Enemy Status Effects
+ * 
+ * This test file verifies status effects (enemy.js, projectile.js, simulation.js):
+ * - The effects in CONFIG are valid, and broken ones are caught
+ * - Slow and stun scale how far enemies move, and wear off on time
+ * - Stacking rules: slows keep the strongest, burns stack, stuns don't renew
+ * - Burning goes through damageEnemy(), and its kills count for the weapon
+ * - Marked enemies take more damage from everything
+ * - Projectiles put their kind's effects on what they hit
+ * - Status effects are saved with the run
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies, spawnEnemy, damageEnemy, enemies, applyStatusEffect,
+         hasStatusEffect, getSpeedMultiplier, getStatusEffectList, validateStatusEffects } from '../../js/enemy.js';
+import { createPlatform, setPlatformLevel } from '../../js/platform.js';
+import { createProjectile, updateProjectiles } from '../../js/projectile.js';
+import { getCredits, getGameStats } from '../../js/economy.js';
+import { stepSimulation } from '../../js/simulation.js';
+import { createSaveData, restoreSaveData } from '../../js/save.js';
+import { CONFIG } from '../../js/config.js';
+import { setUpTestRun, tearDownTestRun } from '../helpers/test-level.js';
+
+// One step at the default tick rate
+const STEP = 1 / CONFIG.simulation.tickRate;
+
+/**
+ * Step the simulation for a while
+ * @param {number} seconds - Game time to run
+ */
+function runFor(seconds) {
+    const steps = Math.round(seconds / STEP);
+    for (let i = 0; i < steps; i++) stepSimulation(STEP);
+}
+
+/**
+ * Test suite for status effects
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runStatusEffectTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    initEnemies({ healthBars: false });
+    
+    // Test 1: The effects in CONFIG are valid, and broken ones are caught
+    try {
+        const result = validateStatusEffects();
+        if (!result.valid) {
+            throw new Error(`Status effects have errors: ${result.errors.join('; ')}`);
+        }
+        
+        const stacking = CONFIG.statusEffects.slow.stacking;
+        let broken;
+        try {
+            CONFIG.statusEffects.slow.stacking = 'sometimes';
+            CONFIG.projectiles.laser.effects = [{ type: 'freeze', magnitude: 1, duration: 1 },
+                                                { type: 'slow', magnitude: 2, duration: 1 }];
+            broken = validateStatusEffects();
+        } finally {
+            CONFIG.statusEffects.slow.stacking = stacking;
+            delete CONFIG.projectiles.laser.effects;
+        }
+        
+        if (broken.valid || !broken.errors.some(error => error.includes('sometimes'))
+            || !broken.errors.some(error => error.includes('freeze'))
+            || !broken.errors.some(error => error.includes('at most 1'))) {
+            throw new Error('Expected the bad stacking rule, unknown effect and too strong a slow to be reported');
+        }
+        tests.push({ name: 'Status effects in CONFIG are valid', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Status effects in CONFIG are valid', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: Slow and stun scale how far enemies move, and wear off on time
+    try {
+        setUpTestRun();
+        const plain = spawnEnemy('basic', 'default');
+        const slowed = spawnEnemy('basic', 'default');
+        const stunned = spawnEnemy('basic', 'default');
+        applyStatusEffect(slowed, 'slow', { magnitude: 0.5, duration: 1 });
+        applyStatusEffect(stunned, 'stun', { duration: 1 });
+        
+        runFor(0.5);
+        if (Math.abs(slowed.pathProgress - plain.pathProgress * 0.5) > 1e-9 || stunned.pathProgress !== 0) {
+            throw new Error('Slowed enemies should cover half the distance, and stunned ones none');
+        }
+        
+        runFor(0.6);
+        if (hasStatusEffect(slowed, 'slow') || hasStatusEffect(stunned, 'stun') || getSpeedMultiplier(stunned) !== 1) {
+            throw new Error('Effects should wear off once their duration is up');
+        }
+        
+        const boss = spawnEnemy('armored', 'default', { isBoss: true });
+        if (applyStatusEffect(boss, 'stun', { duration: 1 }) || !applyStatusEffect(boss, 'slow', { magnitude: 0.5, duration: 1 })) {
+            throw new Error('Bosses should shrug off stuns but not slows');
+        }
+        tests.push({ name: 'Slow and stun scale movement and wear off', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Slow and stun scale movement and wear off', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Stacking rules: slows keep the strongest, burns stack, stuns don't renew
+    try {
+        setUpTestRun();
+        const enemy = spawnEnemy('basic', 'default');
+        
+        applyStatusEffect(enemy, 'slow', { magnitude: 0.5, duration: 1 });
+        applyStatusEffect(enemy, 'slow', { magnitude: 0.2, duration: 3 });
+        if (enemy.statusEffects.slow.magnitude !== 0.5 || enemy.statusEffects.slow.duration !== 3) {
+            throw new Error('A slow should keep the stronger magnitude and the longer time left');
+        }
+        
+        const maxStacks = CONFIG.statusEffects.burn.maxStacks;
+        for (let i = 0; i < maxStacks + 2; i++) {
+            applyStatusEffect(enemy, 'burn', { magnitude: 2, duration: 1 });
+        }
+        if (enemy.statusEffects.burn.stacks !== maxStacks) {
+            throw new Error(`Burns should stack up to ${maxStacks}, got ${enemy.statusEffects.burn.stacks}`);
+        }
+        
+        applyStatusEffect(enemy, 'stun', { duration: 0.5 });
+        if (applyStatusEffect(enemy, 'stun', { duration: 2 }) || enemy.statusEffects.stun.duration !== 0.5) {
+            throw new Error('A stunned enemy should not be stunned again until it wears off');
+        }
+        
+        const order = getStatusEffectList(enemy).map(effect => effect.id);
+        if (order.join() !== 'slow,burn,stun') {
+            throw new Error(`Expected effects listed in CONFIG order, got ${order.join()}`);
+        }
+        tests.push({ name: 'Stacking rules are followed', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Stacking rules are followed', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Burning goes through damageEnemy(), and its kills count for the weapon
+    try {
+        setUpTestRun();
+        const burn = CONFIG.statusEffects.burn;
+        // Out of range, so only the burn does any damage
+        const platform = createPlatform('missileLauncher', new THREE.Vector3(0, 0, 300));
+        const enemy = spawnEnemy('basic', 'default');
+        enemy.armor = 0;
+        enemy.resistances = {};
+        const health = enemy.health;
+        
+        applyStatusEffect(enemy, 'burn', { magnitude: 10, duration: 3, source: platform.id });
+        let burnHits = [];
+        for (let i = 0; i < Math.round(burn.tickInterval / STEP) + 1; i++) {
+            burnHits.push(...stepSimulation(STEP).statusHits);
+        }
+        if (burnHits.length !== 1 || Math.abs(enemy.health - (health - 10 * burn.tickInterval)) > 1e-9) {
+            throw new Error(`Expected one tick of ${10 * burn.tickInterval} damage, health is ${enemy.health}`);
+        }
+        
+        enemy.health = 1;
+        const credits = getCredits();
+        burnHits = [];
+        for (let i = 0; i < Math.round(burn.tickInterval / STEP) + 1; i++) {
+            burnHits.push(...stepSimulation(STEP).statusHits);
+        }
+        if (!burnHits.some(hit => hit.destroyed && hit.statusEffect === 'burn') || enemies.includes(enemy)) {
+            throw new Error('The burn should have finished the enemy off');
+        }
+        if (platform.kills !== 1 || getGameStats().totalKills !== 1 || getCredits() !== credits + enemy.creditValue) {
+            throw new Error('The kill should count for the platform that set it alight, and pay out');
+        }
+        tests.push({ name: 'Burning damages over time and credits its weapon', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Burning damages over time and credits its weapon', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 5: Marked enemies take more damage from everything
+    try {
+        setUpTestRun();
+        const plain = spawnEnemy('basic', 'default');
+        const marked = spawnEnemy('basic', 'default');
+        [plain, marked].forEach(enemy => {
+            enemy.armor = 0;
+            enemy.resistances = {};
+        });
+        applyStatusEffect(marked, 'mark', { magnitude: 0.25, duration: 4 });
+        
+        damageEnemy(plain, 20, 'kinetic');
+        damageEnemy(marked, 20, 'kinetic');
+        if (plain.maxHealth - plain.health !== 20 || marked.maxHealth - marked.health !== 25) {
+            throw new Error(`Expected 20 and 25 damage, got ${plain.maxHealth - plain.health} and ${marked.maxHealth - marked.health}`);
+        }
+        tests.push({ name: 'Marked enemies take more damage', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Marked enemies take more damage', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 6: Projectiles put their kind's effects on what they hit
+    try {
+        setUpTestRun();
+        const enemy = spawnEnemy('armored', 'default');
+        enemy.mesh.position.set(10, 0, 0);
+        createProjectile({
+            position: new THREE.Vector3(0, 0, 0),
+            direction: new THREE.Vector3(1, 0, 0),
+            damage: 10,
+            source: 'starbase',
+            kind: 'missile',
+            target: enemy
+        });
+        
+        let hits = [];
+        for (let i = 0; i < 60 && hits.length === 0; i++) {
+            hits = updateProjectiles(STEP);
+        }
+        const effect = CONFIG.projectiles.missile.effects[0];
+        const burning = enemy.statusEffects.burn;
+        if (hits.length !== 1 || !burning || burning.duration !== effect.duration || burning.source !== 'starbase') {
+            throw new Error('A missile hit should set the enemy alight, for the starbase');
+        }
+        
+        // Upgrading to a branch can switch the projectile kind
+        const platform = createPlatform('laserBattery', new THREE.Vector3(30, 0, 10));
+        const branchLevel = CONFIG.platforms.laserBattery.levels.length + 2;
+        setPlatformLevel(platform, branchLevel, 'lance');
+        if (platform.projectileKind !== 'lanceBeam') {
+            throw new Error(`Expected the Focusing Lance to fire lanceBeam, got ${platform.projectileKind}`);
+        }
+        tests.push({ name: 'Projectiles apply their effects on hit', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Projectiles apply their effects on hit', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 7: Status effects are saved with the run
+    try {
+        setUpTestRun();
+        const enemy = spawnEnemy('basic', 'default');
+        applyStatusEffect(enemy, 'burn', { magnitude: 4, duration: 2, source: 'starbase' });
+        applyStatusEffect(enemy, 'burn', { magnitude: 4, duration: 2, source: 'starbase' });
+        applyStatusEffect(enemy, 'mark', { magnitude: 0.25, duration: 4 });
+        runFor(0.2);
+        
+        const before = JSON.stringify(enemy.statusEffects);
+        const save = JSON.parse(JSON.stringify(createSaveData({ waveNumber: 1, inProgress: true })));
+        
+        setUpTestRun();
+        restoreSaveData(save);
+        if (enemies.length !== 1 || JSON.stringify(enemies[0].statusEffects) !== before) {
+            throw new Error('The enemy\'s effects were not restored as they were');
+        }
+        tests.push({ name: 'Status effects are saved with the run', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Status effects are saved with the run', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Status Effect Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Status effects are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runStatusEffectTests = runStatusEffectTests;
+}
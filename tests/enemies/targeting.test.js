@@ -0,0 +1,224 @@
+/**
+ * targeting.test.js - Tests for Targeting Priority Modes
+ * 
+ * This test file verifies the shared targeting module in enemy.js:
+ * - Every mode in TARGETING_MODES picks the enemy it promises
+ * - Enemies out of range are never picked, whatever the mode
+ * - "sticky" keeps its target until it dies or leaves range
+ * - Platforms and the starbase each use their own mode
+ * - "fastest" goes by the speed enemies move at now (slows and stuns count)
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies, spawnEnemy, clearEnemies, selectTarget, applyStatusEffect, TARGETING_MODES,
+         DEFAULT_TARGETING_MODE } from '../../js/enemy.js';
+import { createPlatform, clearAllPlatforms, findTarget, setPlatformTargetingMode } from '../../js/platform.js';
+import { getStarbaseTargetingMode, setStarbaseTargetingMode, resetStarbaseStats } from '../../js/starbase.js';
+import { setUpTestLevel, tearDownTestRun } from '../helpers/test-level.js';
+
+// Where the weapon sits in every test
+const ORIGIN = new THREE.Vector3(40, 0, 0);
+
+/**
+ * Spawn an enemy with the given position, progress, health and speed
+ * @param {object} options - { x, z, pathProgress, health, speed }
+ * @returns {object} The enemy
+ */
+function placeEnemy({ x, z, pathProgress, health, speed }) {
+    const enemy = spawnEnemy('basic', 'default');
+    enemy.mesh.position.set(x, 0, z);
+    enemy.pathProgress = pathProgress;
+    enemy.health = health;
+    enemy.speed = speed;
+    return enemy;
+}
+
+/**
+ * Test suite for targeting priority modes
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runTargetingTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    setUpTestLevel();
+    initEnemies({ healthBars: false });
+    
+    // Test 1: Each mode picks the enemy it describes
+    try {
+        clearEnemies();
+        // Nearest the weapon, but early on its path and slow
+        const near = placeEnemy({ x: 42, z: 0, pathProgress: 0.2, health: 80, speed: 5 });
+        // Far along its path, close to the planet, badly damaged
+        const leading = placeEnemy({ x: 15, z: 0, pathProgress: 0.8, health: 10, speed: 6 });
+        // Just spawned, healthy and fast
+        const trailing = placeEnemy({ x: 60, z: 20, pathProgress: 0.05, health: 150, speed: 12 });
+        
+        const expected = {
+            nearest: near,
+            first: leading,
+            last: trailing,
+            strongest: trailing,
+            weakest: leading,
+            fastest: trailing,
+            closestToPlanet: leading,
+            sticky: near
+        };
+        
+        Object.keys(TARGETING_MODES).forEach(mode => {
+            if (!expected[mode]) {
+                throw new Error(`Mode '${mode}' has no expectation in this test`);
+            }
+            if (selectTarget(ORIGIN, 100, mode) !== expected[mode]) {
+                throw new Error(`Mode '${mode}' picked the wrong enemy`);
+            }
+        });
+        tests.push({ name: 'Every targeting mode picks the right enemy', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Every targeting mode picks the right enemy', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: Range limits every mode; ties go to the earlier enemy
+    try {
+        clearEnemies();
+        const inRange = placeEnemy({ x: 40, z: 10, pathProgress: 0.1, health: 50, speed: 5 });
+        placeEnemy({ x: 40, z: 90, pathProgress: 0.9, health: 500, speed: 20 });
+        
+        Object.keys(TARGETING_MODES).forEach(mode => {
+            if (selectTarget(ORIGIN, 30, mode) !== inRange) {
+                throw new Error(`Mode '${mode}' picked an enemy out of range`);
+            }
+        });
+        
+        clearEnemies();
+        const firstSpawned = placeEnemy({ x: 40, z: 10, pathProgress: 0.5, health: 50, speed: 5 });
+        placeEnemy({ x: 40, z: -10, pathProgress: 0.5, health: 50, speed: 5 });
+        if (selectTarget(ORIGIN, 30, 'strongest') !== firstSpawned) {
+            throw new Error('A tie should go to the enemy that spawned first');
+        }
+        tests.push({ name: 'Range limits every mode, ties go to the first enemy', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Range limits every mode, ties go to the first enemy', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Sticky keeps its target until it dies or leaves range
+    try {
+        clearEnemies();
+        const current = placeEnemy({ x: 40, z: 20, pathProgress: 0.3, health: 50, speed: 5 });
+        const closer = placeEnemy({ x: 40, z: 5, pathProgress: 0.3, health: 50, speed: 5 });
+        
+        if (selectTarget(ORIGIN, 30, 'sticky', current) !== current) {
+            throw new Error('Sticky should keep its current target while in range');
+        }
+        if (selectTarget(ORIGIN, 30, 'nearest', current) !== closer) {
+            throw new Error('Other modes should ignore the current target');
+        }
+        
+        current.mesh.position.set(40, 0, 50);
+        if (selectTarget(ORIGIN, 30, 'sticky', current) !== closer) {
+            throw new Error('Sticky should switch once its target leaves range');
+        }
+        
+        current.mesh.position.set(40, 0, 20);
+        current.alive = false;
+        if (selectTarget(ORIGIN, 30, 'sticky', current) !== closer) {
+            throw new Error('Sticky should switch once its target dies');
+        }
+        tests.push({ name: 'Sticky keeps its target until it dies or leaves range', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Sticky keeps its target until it dies or leaves range', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Platforms and the starbase have their own modes
+    try {
+        clearEnemies();
+        clearAllPlatforms();
+        resetStarbaseStats();
+        
+        const platform = createPlatform('laserBattery', ORIGIN);
+        const near = placeEnemy({ x: 42, z: 0, pathProgress: 0.2, health: 80, speed: 5 });
+        const leading = placeEnemy({ x: 25, z: 0, pathProgress: 0.7, health: 40, speed: 5 });
+        
+        if (platform.targetingMode !== DEFAULT_TARGETING_MODE || findTarget(platform) !== near) {
+            throw new Error('New platforms should target the nearest enemy');
+        }
+        if (!setPlatformTargetingMode(platform, 'first') || findTarget(platform) !== leading) {
+            throw new Error('Platform in "first" mode should target the leading enemy');
+        }
+        if (setPlatformTargetingMode(platform, 'random') || platform.targetingMode !== 'first') {
+            throw new Error('Unknown modes should be refused');
+        }
+        
+        setStarbaseTargetingMode('weakest');
+        if (getStarbaseTargetingMode() !== 'weakest' || platform.targetingMode !== 'first') {
+            throw new Error('Starbase and platform modes should be independent');
+        }
+        resetStarbaseStats();
+        if (getStarbaseTargetingMode() !== DEFAULT_TARGETING_MODE) {
+            throw new Error('A new game should reset the starbase mode');
+        }
+        tests.push({ name: 'Platforms and the starbase have their own modes', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Platforms and the starbase have their own modes', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 5: Fastest goes by the speed enemies move at now, slows and stuns included
+    try {
+        clearEnemies();
+        const slowedFast = placeEnemy({ x: 40, z: 10, pathProgress: 0.3, health: 50, speed: 12 });
+        const medium = placeEnemy({ x: 40, z: -10, pathProgress: 0.3, health: 50, speed: 8 });
+        applyStatusEffect(slowedFast, 'slow', { magnitude: 0.5, duration: 2 });
+        if (selectTarget(ORIGIN, 100, 'fastest') !== medium) {
+            throw new Error('A fast enemy slowed to half speed should rank behind a medium one');
+        }
+        
+        const stunnedFast = placeEnemy({ x: 40, z: 20, pathProgress: 0.3, health: 50, speed: 20 });
+        applyStatusEffect(stunnedFast, 'stun', { duration: 2 });
+        if (selectTarget(ORIGIN, 100, 'fastest') !== medium) {
+            throw new Error('A stunned enemy isn\'t moving, so it shouldn\'t be the fastest');
+        }
+        tests.push({ name: 'Fastest ranks enemies by how fast they move now', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Fastest ranks enemies by how fast they move now', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Targeting Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Targeting modes are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runTargetingTests = runTargetingTests;
+}
@@ -0,0 +1,69 @@
+/**
+ * test-level.js - Shared Test Fixtures
+ * 
+ * Many suites play on the same small level: one straight path from
+ * (80, 0, 0) into the planet, 100 credits and a shield of 10. These
+ * helpers set it up (and clear it away again), so each suite only names
+ * what it does differently.
+ * 
+ * Usage:
+ *   setUpTestRun({ startingCredits: 1000 });   // Fresh run on the test level
+ *   ...
+ *   tearDownTestRun();                          // At the end of the suite
+ */
+
+import { setActiveLevel } from '../../js/level.js';
+import { initPaths } from '../../js/path.js';
+import { clearEnemies } from '../../js/enemy.js';
+import { clearAllPlatforms } from '../../js/platform.js';
+import { clearProjectiles } from '../../js/projectile.js';
+import { resetStarbaseStats } from '../../js/starbase.js';
+import { resetAbilities } from '../../js/abilities.js';
+import { initEconomy } from '../../js/economy.js';
+
+// The test level's one path, from the edge of the map into the planet
+export const TEST_PATH = [[80, 0, 0], [0, 0, 0]];
+
+/**
+ * Make the test level active
+ * @param {object} overrides - Level fields to change (id, name, startingCredits, lives...)
+ */
+export function setUpTestLevel(overrides = {}) {
+    setActiveLevel({
+        id: 'test',
+        name: 'Test',
+        startingCredits: 100,
+        lives: 10,
+        paths: { default: TEST_PATH },
+        ...overrides
+    });
+    initPaths();
+}
+
+/**
+ * Start a fresh run on the test level: no enemies, projectiles or
+ * platforms, starbase and abilities reset, and the level's credits and shield
+ * @param {object} overrides - Level fields to change (see setUpTestLevel)
+ */
+export function setUpTestRun(overrides = {}) {
+    setUpTestLevel(overrides);
+    clearEnemies();
+    clearProjectiles();
+    clearAllPlatforms();
+    resetStarbaseStats();
+    resetAbilities();
+    initEconomy();
+}
+
+/**
+ * Clear the run away again and leave no level active (end of a suite)
+ */
+export function tearDownTestRun() {
+    clearEnemies();
+    clearProjectiles();
+    clearAllPlatforms();
+    resetStarbaseStats();
+    resetAbilities();
+    initEconomy();
+    setActiveLevel(null);
+}
@@ -0,0 +1,257 @@
+/**
+ * leaderboard.test.js - Tests for the Local Leaderboard
+ * 
+ * This test file verifies leaderboard.js and the run statistics it records:
+ * - Runs are kept per mode and level: campaigns by score, endless runs by waves cleared
+ * - The economy counts kills by type and play time, and saves them
+ * - Edited or impossible entries fail the tamper check and are dropped
+ * - Boards export to JSON and import back, without duplicates
+ * - The pilot name is tidied and remembered
+ */
+
+import { initEconomy, recordKill, recordPlayTime, getGameStats, getEconomyState,
+         restoreEconomyState } from '../../js/economy.js';
+import { recordRun, getLeaderboard, clearLeaderboard, validateLeaderboardEntry, exportLeaderboard,
+         importLeaderboard, getPlayerName, setPlayerName } from '../../js/leaderboard.js';
+import { CONFIG } from '../../js/config.js';
+import { setUpTestLevel, tearDownTestRun } from '../helpers/test-level.js';
+
+// Where leaderboard.js keeps its data (the tests edit it like a cheating player would)
+const LEADERBOARD_KEY = 'solarDefense_leaderboard';
+const PLAYER_NAME_KEY = 'solarDefense_playerName';
+
+/**
+ * Make a run that could really have been played
+ * @param {object} changes - Fields to change
+ * @returns {object} A run for recordRun()
+ */
+function makeRun(changes = {}) {
+    return {
+        name: 'Tester',
+        score: 2000,
+        waves: 3,
+        accuracy: 80,
+        kills: { basic: 10, fast: 4 },
+        duration: 120,
+        ...changes
+    };
+}
+
+/**
+ * Test suite for the leaderboard
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runLeaderboardTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    setUpTestLevel();
+    
+    // Test 1: Runs are kept per mode and level, best first
+    try {
+        clearLeaderboard();
+        recordRun('campaign', 'test', makeRun({ score: 2000 }));
+        recordRun('campaign', 'test', makeRun({ score: 5000 }));
+        const rank = recordRun('campaign', 'test', makeRun({ score: 3000 }));
+        const campaign = getLeaderboard('campaign', 'test');
+        if (rank !== 2 || campaign.map(entry => entry.score).join(',') !== '5000,3000,2000') {
+            throw new Error(`Campaigns should be ranked by score - got rank ${rank} and ${campaign.map(entry => entry.score)}`);
+        }
+        
+        recordRun('endless', 'test', makeRun({ waves: 4, score: 3000 }));
+        recordRun('endless', 'test', makeRun({ waves: 6, score: 1000 }));
+        if (getLeaderboard('endless', 'test')[0].waves !== 6) {
+            throw new Error('Endless runs should be ranked by waves cleared first');
+        }
+        if (getLeaderboard('campaign', 'other').length !== 0 || getLeaderboard('endless', 'test').length !== 2) {
+            throw new Error('Each mode and level should have its own board');
+        }
+        
+        const limit = CONFIG.leaderboard.limit;
+        for (let i = 0; i < limit; i++) recordRun('campaign', 'test', makeRun({ score: 10000 + i }));
+        if (getLeaderboard('campaign', 'test').length !== limit || recordRun('campaign', 'test', makeRun({ score: 1 })) !== 0) {
+            throw new Error(`Only the best ${limit} runs should be kept`);
+        }
+        tests.push({ name: 'Runs are kept per mode and level, best first', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Runs are kept per mode and level, best first', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: The economy counts kills by type and play time
+    try {
+        initEconomy();
+        recordKill('basic');
+        recordKill('fast', 5);
+        recordKill('basic');
+        for (let i = 0; i < 120; i++) recordPlayTime(1 / 60);
+        
+        const stats = getGameStats();
+        if (stats.killsByType.basic !== 2 || stats.killsByType.fast !== 1 || Math.abs(stats.playTime - 2) > 1e-9) {
+            throw new Error(`Expected 2 basic, 1 fast and 2 seconds, got ${JSON.stringify(stats.killsByType)} in ${stats.playTime}`);
+        }
+        
+        // They're saved with the rest of the economy
+        const saved = JSON.parse(JSON.stringify(getEconomyState()));
+        initEconomy();
+        if (getGameStats().playTime !== 0 || Object.keys(getGameStats().killsByType).length !== 0) {
+            throw new Error('A new game should start with no kills or play time');
+        }
+        restoreEconomyState(saved);
+        if (getGameStats().killsByType.basic !== 2 || getGameStats().playTime !== stats.playTime) {
+            throw new Error('Kills by type and play time should be restored');
+        }
+        
+        // And end up on the leaderboard as the run's details
+        clearLeaderboard();
+        recordRun('campaign', 'test', makeRun({ score: stats.score, waves: 0, kills: stats.killsByType, duration: stats.playTime }));
+        const [entry] = getLeaderboard('campaign', 'test');
+        if (!entry || entry.kills.fast !== 1 || entry.duration !== 2) {
+            throw new Error('The run\'s kills and duration should be recorded');
+        }
+        tests.push({ name: 'Kills by type and play time are counted and saved', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Kills by type and play time are counted and saved', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Edited or impossible entries are rejected
+    try {
+        clearLeaderboard();
+        recordRun('campaign', 'test', makeRun());
+        const [entry] = getLeaderboard('campaign', 'test');
+        if (!validateLeaderboardEntry('campaign', 'test', entry).valid) {
+            throw new Error(validateLeaderboardEntry('campaign', 'test', entry).errors.join('; '));
+        }
+        if (validateLeaderboardEntry('campaign', 'other', entry).valid || validateLeaderboardEntry('endless', 'test', entry).valid) {
+            throw new Error('An entry moved to another board should fail its check');
+        }
+        
+        // Editing the stored score drops the entry
+        const stored = JSON.parse(localStorage.getItem(LEADERBOARD_KEY));
+        stored.campaign.test[0].score += 1;
+        localStorage.setItem(LEADERBOARD_KEY, JSON.stringify(stored));
+        if (getLeaderboard('campaign', 'test').length !== 0) {
+            throw new Error('An edited entry should be dropped when the board is read');
+        }
+        
+        // Runs no one could have played aren't recorded at all
+        const impossible = [
+            makeRun({ score: 1000000000 }),                 // Far more than 14 kills are worth
+            makeRun({ waves: 10, duration: 20 }),           // 2 seconds a wave
+            makeRun({ kills: { basic: 100000 } }),          // Hundreds of kills a second
+            makeRun({ kills: { dragon: 1 } }),              // No such enemy
+            makeRun({ accuracy: 140 })
+        ];
+        impossible.forEach((run, index) => {
+            if (recordRun('campaign', 'test', run) !== 0) {
+                throw new Error(`Impossible run ${index + 1} should not be recorded`);
+            }
+        });
+        if (getLeaderboard('campaign', 'test').length !== 0) {
+            throw new Error('Nothing should be on the board');
+        }
+        tests.push({ name: 'Edited or impossible entries are rejected', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Edited or impossible entries are rejected', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Boards export and import back
+    try {
+        clearLeaderboard();
+        recordRun('campaign', 'test', makeRun({ score: 4000 }));
+        recordRun('endless', 'other', makeRun({ waves: 9, duration: 600 }));
+        const exported = exportLeaderboard();
+        
+        clearLeaderboard();
+        const result = importLeaderboard(exported);
+        if (!result.valid || result.imported !== 2 || result.rejected !== 0) {
+            throw new Error(`Expected 2 runs imported, got ${JSON.stringify(result)}`);
+        }
+        if (getLeaderboard('campaign', 'test')[0].score !== 4000 || getLeaderboard('endless', 'other')[0].waves !== 9) {
+            throw new Error('Imported runs should be back on their boards');
+        }
+        if (importLeaderboard(exported).imported !== 0 || getLeaderboard('campaign', 'test').length !== 1) {
+            throw new Error('Importing the same runs twice should not duplicate them');
+        }
+        
+        // An edited file loses only its edited entries
+        const edited = JSON.parse(exported);
+        edited.boards.campaign.test[0].name = 'Cheater';
+        edited.boards.campaign.test[0].score = 9999;
+        clearLeaderboard();
+        const partial = importLeaderboard(JSON.stringify(edited));
+        if (partial.imported !== 1 || partial.rejected !== 1 || getLeaderboard('campaign', 'test').length !== 0) {
+            throw new Error(`Expected 1 imported and 1 rejected, got ${JSON.stringify(partial)}`);
+        }
+        
+        if (importLeaderboard('not json').valid || importLeaderboard(JSON.stringify({ waves: [] })).valid) {
+            throw new Error('Files that aren\'t exported leaderboards should be refused');
+        }
+        tests.push({ name: 'Boards export and import back', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Boards export and import back', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 5: The pilot name is tidied and remembered
+    try {
+        localStorage.removeItem(PLAYER_NAME_KEY);
+        if (getPlayerName() !== CONFIG.leaderboard.defaultName) {
+            throw new Error('Without a name, runs should use the default one');
+        }
+        if (setPlayerName('  Ace  ') !== 'Ace' || getPlayerName() !== 'Ace') {
+            throw new Error('The name should be trimmed and remembered');
+        }
+        const long = setPlayerName('x'.repeat(CONFIG.leaderboard.maxNameLength + 5));
+        if (long.length !== CONFIG.leaderboard.maxNameLength || setPlayerName('   ') !== CONFIG.leaderboard.defaultName) {
+            throw new Error('Long names should be cut and blank ones replaced');
+        }
+        
+        clearLeaderboard();
+        recordRun('campaign', 'test', makeRun({ name: '  Ace  ' }));
+        if (getLeaderboard('campaign', 'test')[0].name !== 'Ace') {
+            throw new Error('Recorded names should be tidied the same way');
+        }
+        tests.push({ name: 'The pilot name is tidied and remembered', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'The pilot name is tidied and remembered', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    clearLeaderboard();
+    localStorage.removeItem(PLAYER_NAME_KEY);
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Leaderboard Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! The leaderboard is working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runLeaderboardTests = runLeaderboardTests;
+}
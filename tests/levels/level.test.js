@@ -0,0 +1,178 @@
+/**
+ * level.test.js - Tests for Level Definitions
+ * 
+ * This test file verifies that levels work correctly:
+ * - validateLevel() accepts good levels and explains bad ones
+ * - initPaths() builds the active level's paths
+ * - isValidPlacementPosition() follows the level's allowed/forbidden regions
+ * - initEconomy() reads starting credits and lives from the level
+ */
+
+import * as THREE from 'three';
+import { validateLevel, setActiveLevel } from '../../js/level.js';
+import { initPaths, getPathNames, getPathSpawnPosition } from '../../js/path.js';
+import { isValidPlacementPosition } from '../../js/platform.js';
+import { initEconomy, getCredits, getLives } from '../../js/economy.js';
+import { CONFIG } from '../../js/config.js';
+
+/**
+ * Build a small valid level for testing
+ * @returns {object} Level definition
+ */
+function createTestLevel() {
+    return {
+        id: 'testLevel',
+        name: 'Test Level',
+        startingCredits: 321,
+        lives: 3,
+        paths: {
+            north: [[0, 0, -80], [0, 0, -40], [0, 0, 0]],
+            south: [[0, 0, 80], [0, 0, 0]]
+        },
+        placement: {
+            minSpacing: 5,
+            allowed: [{ shape: 'rect', min: [-50, -50], max: [50, 50] }],
+            forbidden: [{ shape: 'circle', center: [30, 30], radius: 10, label: 'Asteroid field' }]
+        },
+        waves: [
+            { bonusCredits: 10, groups: [{ type: 'basic', count: 2, path: 'north' }] }
+        ]
+    };
+}
+
+/**
+ * Test suite for levels
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runLevelTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    // Test 1: A valid level passes validation
+    try {
+        const result = validateLevel(createTestLevel());
+        if (!result.valid) {
+            throw new Error(`Valid level was rejected: ${result.errors.join('; ')}`);
+        }
+        tests.push({ name: 'Valid level passes validation', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Valid level passes validation', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: Broken paths, regions and waves are all reported
+    try {
+        const level = createTestLevel();
+        level.paths.south = [[0, 0, 80]];
+        level.placement.forbidden.push({ shape: 'triangle' });
+        level.waves[0].groups[0].path = 'east';
+        
+        const result = validateLevel(level);
+        const expected = [
+            "Path 'south': needs at least 2 waypoints",
+            'placement.forbidden[1]: shape must be one of',
+            "Wave 1, group 1: unknown path 'east'"
+        ];
+        expected.forEach(message => {
+            if (!result.errors.some(e => e.startsWith(message))) {
+                throw new Error(`Missing error "${message}", got: ${result.errors.join('; ')}`);
+            }
+        });
+        tests.push({ name: 'Validator reports path, region and wave errors', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Validator reports path, region and wave errors', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: initPaths() builds the active level's paths
+    try {
+        setActiveLevel(createTestLevel());
+        initPaths();
+        
+        if (getPathNames().join(',') !== 'north,south') {
+            throw new Error(`Expected paths north,south, got ${getPathNames().join(',')}`);
+        }
+        if (!getPathSpawnPosition('south').equals(new THREE.Vector3(0, 0, 80))) {
+            throw new Error('Path should start at its first waypoint');
+        }
+        tests.push({ name: 'initPaths() uses the active level', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'initPaths() uses the active level', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Placement follows allowed and forbidden regions
+    try {
+        setActiveLevel(createTestLevel());
+        
+        if (!isValidPlacementPosition(new THREE.Vector3(-20, 0, 10)).valid) {
+            throw new Error('Position inside the allowed rect should be valid');
+        }
+        const outside = isValidPlacementPosition(new THREE.Vector3(60, 0, 0));
+        if (outside.valid || outside.reason !== 'Outside the build zone') {
+            throw new Error(`Expected "Outside the build zone", got "${outside.reason}"`);
+        }
+        const blocked = isValidPlacementPosition(new THREE.Vector3(32, 0, 28));
+        if (blocked.valid || blocked.reason !== 'Asteroid field') {
+            throw new Error(`Expected "Asteroid field", got "${blocked.reason}"`);
+        }
+        
+        // Without a level, the default ring from CONFIG.placement applies
+        setActiveLevel(null);
+        const tooClose = isValidPlacementPosition(new THREE.Vector3(CONFIG.placement.minDistance - 1, 0, 0));
+        if (tooClose.valid || tooClose.reason !== 'Too close to planet') {
+            throw new Error(`Expected "Too close to planet" with the default ring, got "${tooClose.reason}"`);
+        }
+        tests.push({ name: 'Placement follows level regions', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Placement follows level regions', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 5: Economy starts with the level's credits and lives
+    try {
+        setActiveLevel(createTestLevel());
+        initEconomy();
+        if (getCredits() !== 321 || getLives() !== 3) {
+            throw new Error(`Expected 321 credits and 3 lives, got ${getCredits()} and ${getLives()}`);
+        }
+        tests.push({ name: 'initEconomy() reads credits and lives from the level', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'initEconomy() reads credits and lives from the level', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    setActiveLevel(null);
+    initEconomy();
+    
+    // Print test results
+    console.log('\n=== Level Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Levels are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runLevelTests = runLevelTests;
+}
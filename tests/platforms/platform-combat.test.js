@@ -0,0 +1,201 @@
+/**
+ * platform-combat.test.js - Tests for the Platform Combat System
+ * 
+ * This test file verifies that Epic 3 (Tasks 3.1 - 3.4) works correctly:
+ * - findTarget() respects the platform's range
+ * - Turrets rotate toward their target
+ * - updatePlatforms() respects the fire rate cooldown
+ * - Projectile data uses the platform's stats and ID as its source
+ */
+
+import * as THREE from 'three';
+import { createScene } from '../../js/scene.js';
+import { initEnemies, spawnEnemy, clearEnemies } from '../../js/enemy.js';
+import { createPlatform, clearAllPlatforms, findTarget,
+         updatePlatformRotation, updatePlatforms } from '../../js/platform.js';
+import { getPlatformConfig } from '../../js/config.js';
+import { setUpTestLevel, tearDownTestRun } from '../helpers/test-level.js';
+
+/**
+ * Test suite for platform combat
+ * Run these tests to verify Epic 3 is completed correctly
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runPlatformCombatTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+
+    // Initialize the systems combat depends on
+    let sceneInitialized = false;
+    try {
+        createScene();
+        // Paths come from the active level, so give the tests a minimal one
+        setUpTestLevel();
+        initEnemies();
+        sceneInitialized = true;
+    } catch (error) {
+        tests.push({ 
+            name: 'Scene initialization', 
+            passed: false, 
+            error: `Failed to initialize scene: ${error.message}` 
+        });
+        failed++;
+    }
+
+    // Test 1: No target when there are no enemies
+    if (sceneInitialized) {
+        try {
+            clearAllPlatforms();
+            clearEnemies();
+            const platform = createPlatform('laserBattery', new THREE.Vector3(30, 0, 0));
+            
+            if (findTarget(platform) !== null) {
+                throw new Error('Expected null when no enemies exist');
+            }
+            
+            tests.push({ name: 'Returns null when no enemies exist', passed: true });
+            passed++;
+        } catch (error) {
+            tests.push({ name: 'Returns null when no enemies exist', passed: false, error: error.message });
+            failed++;
+        }
+    }
+
+    // Test 2: Returns the closest of several enemies in range
+    if (sceneInitialized) {
+        try {
+            clearAllPlatforms();
+            clearEnemies();
+            const platform = createPlatform('laserBattery', new THREE.Vector3(30, 0, 0));
+            const far = spawnEnemy('basic', 'default');
+            const near = spawnEnemy('basic', 'default');
+            far.mesh.position.set(30, 0, 50);
+            near.mesh.position.set(30, 0, 10);
+            
+            if (findTarget(platform) !== near) {
+                throw new Error('Expected the nearer enemy to be targeted');
+            }
+            
+            tests.push({ name: 'Returns closest enemy when multiple in range', passed: true });
+            passed++;
+        } catch (error) {
+            tests.push({ name: 'Returns closest enemy when multiple in range', passed: false, error: error.message });
+            failed++;
+        }
+    }
+
+    // Test 3: Ignores enemies outside the platform's range
+    if (sceneInitialized) {
+        try {
+            clearAllPlatforms();
+            clearEnemies();
+            const platform = createPlatform('laserBattery', new THREE.Vector3(30, 0, 0));
+            const enemy = spawnEnemy('basic', 'default');
+            enemy.mesh.position.set(30, 0, platform.range + 10);
+            
+            if (findTarget(platform) !== null) {
+                throw new Error('Expected null when enemy is out of range');
+            }
+            
+            tests.push({ name: 'Returns null when all enemies out of range', passed: true });
+            passed++;
+        } catch (error) {
+            tests.push({ name: 'Returns null when all enemies out of range', passed: false, error: error.message });
+            failed++;
+        }
+    }
+
+    // Test 4: Turret rotates toward its target
+    if (sceneInitialized) {
+        try {
+            clearAllPlatforms();
+            clearEnemies();
+            const platform = createPlatform('laserBattery', new THREE.Vector3(30, 0, 0));
+            const enemy = spawnEnemy('basic', 'default');
+            // Directly to the platform's +X side = 90 degrees
+            enemy.mesh.position.set(50, 0, 0);
+            
+            let aimed = false;
+            for (let i = 0; i < 300 && !aimed; i++) {
+                aimed = updatePlatformRotation(platform, enemy, 1 / 60);
+            }
+            
+            const turret = platform.mesh.getObjectByName('turret');
+            if (!aimed) {
+                throw new Error('Turret never reached its target');
+            }
+            if (Math.abs(turret.rotation.y - Math.PI / 2) > 0.087) {
+                throw new Error(`Expected rotation near ${(Math.PI / 2).toFixed(2)}, got ${turret.rotation.y.toFixed(2)}`);
+            }
+            
+            tests.push({ name: 'Turret rotates to face target', passed: true });
+            passed++;
+        } catch (error) {
+            tests.push({ name: 'Turret rotates to face target', passed: false, error: error.message });
+            failed++;
+        }
+    }
+
+    // Test 5: Fires at the configured rate with platform stats
+    if (sceneInitialized) {
+        try {
+            clearAllPlatforms();
+            clearEnemies();
+            const platform = createPlatform('laserBattery', new THREE.Vector3(30, 0, 0));
+            const config = getPlatformConfig('laserBattery');
+            const enemy = spawnEnemy('basic', 'default');
+            enemy.mesh.position.set(30, 0, 20); // Straight ahead, already aimed
+            
+            // Simulate 5 seconds at 60 FPS
+            const shots = [];
+            for (let i = 0; i < 300; i++) {
+                shots.push(...updatePlatforms(1 / 60));
+            }
+            
+            const expectedShots = Math.floor(5 * config.fireRate);
+            if (Math.abs(shots.length - expectedShots) > 1) {
+                throw new Error(`Expected about ${expectedShots} shots, got ${shots.length}`);
+            }
+            if (shots[0].damage !== config.damage || shots[0].speed !== config.projectileSpeed) {
+                throw new Error('Projectile data does not use platform stats');
+            }
+            if (shots[0].source !== platform.id) {
+                throw new Error(`Expected source ${platform.id}, got ${shots[0].source}`);
+            }
+            
+            tests.push({ name: 'Platform fires at correct rate with its own stats', passed: true });
+            passed++;
+        } catch (error) {
+            tests.push({ name: 'Platform fires at correct rate with its own stats', passed: false, error: error.message });
+            failed++;
+        }
+    }
+
+    // Clean up
+    tearDownTestRun();
+
+    // Print test results
+    console.log('\n=== Platform Combat Tests (Tasks 3.1 - 3.4) ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Platform combat is working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runPlatformCombatTests = runPlatformCombatTests;
+}
@@ -0,0 +1,183 @@
+/**
+ * platform-economy.test.js - Tests for Platform Purchasing and Selling
+ * 
+ * This test file verifies that Epic 4 (Tasks 4.1 - 4.3) works correctly:
+ * - canAffordPlatform() checks the platform cost against credits
+ * - confirmPlacement() charges credits and refuses when the player is broke
+ * - sellPlatform() refunds the configured percentage and removes the platform
+ */
+
+import * as THREE from 'three';
+import { createScene } from '../../js/scene.js';
+import { createPlacementPreview, updatePlacementPreview, confirmPlacement,
+         removePlacementPreview, placementState, sellPlatform, platforms,
+         clearAllPlatforms } from '../../js/platform.js';
+import { initEconomy, getCredits, canAffordPlatform } from '../../js/economy.js';
+import { CONFIG, getPlatformConfig } from '../../js/config.js';
+
+/**
+ * Test suite for platform economy
+ * Run these tests to verify Epic 4 is completed correctly
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runPlatformEconomyTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+
+    const laserCost = getPlatformConfig('laserBattery').cost;
+    const validPosition = new THREE.Vector3(30, 0, 0);
+
+    let sceneInitialized = false;
+    try {
+        createScene();
+        sceneInitialized = true;
+    } catch (error) {
+        tests.push({ 
+            name: 'Scene initialization', 
+            passed: false, 
+            error: `Failed to initialize scene: ${error.message}` 
+        });
+        failed++;
+    }
+
+    // Test 1: canAffordPlatform() compares cost with credits
+    try {
+        initEconomy(laserCost - 1);
+        if (canAffordPlatform('laserBattery')) {
+            throw new Error('Should not afford a laser battery with too few credits');
+        }
+        initEconomy(laserCost);
+        if (!canAffordPlatform('laserBattery')) {
+            throw new Error('Should afford a laser battery with exactly enough credits');
+        }
+        tests.push({ name: 'canAffordPlatform() checks platform cost', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'canAffordPlatform() checks platform cost', passed: false, error: error.message });
+        failed++;
+    }
+
+    // Test 2: Placement deducts the platform cost
+    if (sceneInitialized) {
+        try {
+            clearAllPlatforms();
+            initEconomy(laserCost + 25);
+            createPlacementPreview('laserBattery');
+            updatePlacementPreview(validPosition);
+            const platform = confirmPlacement();
+            
+            if (!platform) {
+                throw new Error(`Placement failed: ${placementState.invalidReason}`);
+            }
+            if (getCredits() !== 25) {
+                throw new Error(`Expected 25 credits left, got ${getCredits()}`);
+            }
+            if (platform.totalSpent !== laserCost) {
+                throw new Error(`Expected totalSpent ${laserCost}, got ${platform.totalSpent}`);
+            }
+            
+            tests.push({ name: 'Credits are deducted when platform is placed', passed: true });
+            passed++;
+        } catch (error) {
+            tests.push({ name: 'Credits are deducted when platform is placed', passed: false, error: error.message });
+            failed++;
+        }
+    }
+
+    // Test 3: Placement is rejected without enough credits
+    if (sceneInitialized) {
+        try {
+            clearAllPlatforms();
+            initEconomy(laserCost - 1);
+            createPlacementPreview('laserBattery');
+            updatePlacementPreview(validPosition);
+            
+            if (placementState.isValidPosition) {
+                throw new Error('Preview should be invalid when the player cannot afford it');
+            }
+            
+            const platform = confirmPlacement();
+            if (platform) {
+                throw new Error('Platform was placed without enough credits');
+            }
+            if (placementState.invalidReason !== 'Not enough credits') {
+                throw new Error(`Expected reason "Not enough credits", got "${placementState.invalidReason}"`);
+            }
+            if (getCredits() !== laserCost - 1 || platforms.length !== 0) {
+                throw new Error('Failed placement should not change credits or platforms');
+            }
+            removePlacementPreview();
+            
+            tests.push({ name: 'Cannot place platform without enough credits', passed: true });
+            passed++;
+        } catch (error) {
+            removePlacementPreview();
+            tests.push({ name: 'Cannot place platform without enough credits', passed: false, error: error.message });
+            failed++;
+        }
+    }
+
+    // Test 4: Selling refunds the configured percentage and removes the platform
+    if (sceneInitialized) {
+        try {
+            clearAllPlatforms();
+            initEconomy(laserCost);
+            createPlacementPreview('laserBattery');
+            updatePlacementPreview(validPosition);
+            const platform = confirmPlacement();
+            
+            const refund = sellPlatform(platform);
+            const expectedRefund = Math.floor(laserCost * CONFIG.economy.sellRefundPercent);
+            
+            if (refund !== expectedRefund) {
+                throw new Error(`Expected refund ${expectedRefund}, got ${refund}`);
+            }
+            if (getCredits() !== expectedRefund) {
+                throw new Error(`Expected ${expectedRefund} credits after selling, got ${getCredits()}`);
+            }
+            if (platforms.includes(platform) || platform.alive) {
+                throw new Error('Sold platform should be removed from the game');
+            }
+            if (sellPlatform(platform) !== 0) {
+                throw new Error('Selling an already-sold platform should refund nothing');
+            }
+            
+            tests.push({ name: 'Selling platform refunds correct amount', passed: true });
+            passed++;
+        } catch (error) {
+            tests.push({ name: 'Selling platform refunds correct amount', passed: false, error: error.message });
+            failed++;
+        }
+    }
+
+    // Clean up
+    if (sceneInitialized) {
+        clearAllPlatforms();
+    }
+    initEconomy();
+
+    // Print test results
+    console.log('\n=== Platform Economy Tests (Tasks 4.1 - 4.3) ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Platform economy is working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runPlatformEconomyTests = runPlatformEconomyTests;
+}
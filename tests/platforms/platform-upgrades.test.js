@@ -0,0 +1,221 @@
+/**
+ * platform-upgrades.test.js - Tests for Platform Upgrade Levels
+ * 
+ * This test file verifies the upgrade levels in platform.js:
+ * - Every platform type's levels and branches in CONFIG are valid
+ * - Levels go 1 -> 2 -> 3, then offer one option per level 4 branch
+ * - upgradePlatform() charges credits, sets the level's stats and adds to totalSpent
+ * - Branches must be chosen at level 3, and a platform can only take one
+ * - Each level changes the mesh (rings, side barrels), replacing the last level's extras
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { createPlatform, clearAllPlatforms, getPlatformUpgradeOptions, canUpgradePlatform,
+         upgradePlatform, setPlatformLevel, getPlatformLevelStats, validatePlatformLevels,
+         sellPlatform } from '../../js/platform.js';
+import { initEconomy, getCredits, getSellRefund } from '../../js/economy.js';
+import { CONFIG } from '../../js/config.js';
+
+/**
+ * Count the extras an upgrade level added to a platform mesh
+ * @param {object} platform - The platform
+ * @returns {object} { rings, barrels } - torus rings and extra barrels
+ */
+function countLevelVisuals(platform) {
+    let rings = 0;
+    let barrels = 0;
+    platform.mesh.traverse(child => {
+        if (child.name !== 'levelVisual') return;
+        if (child.geometry instanceof THREE.TorusGeometry) {
+            rings++;
+        } else {
+            barrels++;
+        }
+    });
+    return { rings, barrels };
+}
+
+/**
+ * Test suite for platform upgrade levels
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runPlatformUpgradeTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    const position = new THREE.Vector3(30, 0, 0);
+    
+    // Test 1: CONFIG levels are valid and offered in order
+    try {
+        const result = validatePlatformLevels();
+        if (!result.valid) {
+            throw new Error(result.errors.join('; '));
+        }
+        
+        clearAllPlatforms();
+        initEconomy(10000);
+        Object.entries(CONFIG.platforms).forEach(([type, config]) => {
+            const platform = createPlatform(type, position);
+            
+            for (let level = 2; level <= config.levels.length + 1; level++) {
+                const options = getPlatformUpgradeOptions(platform);
+                if (options.length !== 1 || options[0].level !== level || options[0].branch !== null) {
+                    throw new Error(`${type}: expected a single level ${level} option`);
+                }
+                upgradePlatform(platform);
+            }
+            
+            const branches = getPlatformUpgradeOptions(platform).map(option => option.branch);
+            if (JSON.stringify(branches) !== JSON.stringify(Object.keys(config.branches))) {
+                throw new Error(`${type}: expected one level 4 option per branch, got ${branches.join(', ')}`);
+            }
+            clearAllPlatforms();
+        });
+        tests.push({ name: 'Levels are valid and offered in order', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Levels are valid and offered in order', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: An upgrade charges credits and sets the next level's stats
+    try {
+        clearAllPlatforms();
+        initEconomy(1000);
+        const platform = createPlatform('laserBattery', position);
+        platform.totalSpent = CONFIG.platforms.laserBattery.cost;
+        const next = CONFIG.platforms.laserBattery.levels[0];
+        
+        const result = upgradePlatform(platform);
+        if (!result.valid) {
+            throw new Error(`Upgrade refused: ${result.reason}`);
+        }
+        if (platform.level !== 2 || getCredits() !== 1000 - next.cost) {
+            throw new Error(`Expected level 2 for ${next.cost} credits`);
+        }
+        if (platform.damage !== next.damage || platform.range !== next.range || platform.fireRate !== next.fireRate) {
+            throw new Error('Damage, range and fire rate should match level 2 in CONFIG');
+        }
+        if (platform.totalSpent !== CONFIG.platforms.laserBattery.cost + next.cost) {
+            throw new Error('The upgrade cost should be added to totalSpent');
+        }
+        
+        // Selling refunds part of the upgrades too
+        const expectedRefund = getSellRefund(platform.totalSpent);
+        if (sellPlatform(platform) !== expectedRefund) {
+            throw new Error('Sell refund should include the upgrade cost');
+        }
+        tests.push({ name: 'Upgrading charges credits and sets the level stats', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Upgrading charges credits and sets the level stats', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Level 4 needs a branch, and only one can be taken
+    try {
+        clearAllPlatforms();
+        initEconomy(10000);
+        const platform = createPlatform('missileLauncher', position);
+        upgradePlatform(platform);
+        upgradePlatform(platform);
+        
+        if (canUpgradePlatform(platform).reason !== 'Choose a branch') {
+            throw new Error('Level 4 without a branch should be refused');
+        }
+        if (upgradePlatform(platform, 'orbitalCannon').valid) {
+            throw new Error('An unknown branch should be refused');
+        }
+        
+        const siege = CONFIG.platforms.missileLauncher.branches.siege;
+        if (!upgradePlatform(platform, 'siege').valid || platform.branch !== 'siege'
+            || platform.damage !== siege.damage) {
+            throw new Error('Expected the Siege Launcher branch and its stats');
+        }
+        if (getPlatformUpgradeOptions(platform).length !== 0
+            || canUpgradePlatform(platform, 'swarm').reason !== 'Fully upgraded') {
+            throw new Error('A platform that took a branch should be fully upgraded');
+        }
+        
+        // Not enough credits
+        initEconomy(0);
+        const poor = createPlatform('laserBattery', new THREE.Vector3(-30, 0, 0));
+        if (upgradePlatform(poor).reason !== 'Not enough credits' || poor.level !== 1) {
+            throw new Error('An unaffordable upgrade must not be applied');
+        }
+        tests.push({ name: 'Level 4 needs a branch, and only one', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Level 4 needs a branch, and only one', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Each level changes the mesh
+    try {
+        clearAllPlatforms();
+        const platform = createPlatform('laserBattery', position);
+        const config = CONFIG.platforms.laserBattery;
+        
+        if (countLevelVisuals(platform).rings !== 0) {
+            throw new Error('A level 1 platform should have no level extras');
+        }
+        
+        setPlatformLevel(platform, 3);
+        const level3 = countLevelVisuals(platform);
+        if (level3.rings !== config.levels[1].visual.rings || level3.barrels !== 0) {
+            throw new Error(`Expected ${config.levels[1].visual.rings} rings at level 3, got ${level3.rings}`);
+        }
+        
+        // Branch extras replace the level 3 ones; side barrels turn with the turret
+        setPlatformLevel(platform, 4, 'pulse');
+        const pulse = countLevelVisuals(platform);
+        const visual = config.branches.pulse.visual;
+        if (pulse.rings !== visual.rings || pulse.barrels !== visual.sideBarrels * 2) {
+            throw new Error(`Expected ${visual.rings} rings and ${visual.sideBarrels * 2} side barrels`);
+        }
+        const turret = platform.mesh.getObjectByName('turret');
+        if (!turret.children.some(child => child.name === 'levelVisual')) {
+            throw new Error('Side barrels should be attached to the turret');
+        }
+        
+        if (setPlatformLevel(platform, 5) || getPlatformLevelStats('laserBattery', 4, 'railgun') !== null) {
+            throw new Error('Levels and branches that do not exist should be refused');
+        }
+        tests.push({ name: 'Each level changes the platform mesh', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Each level changes the platform mesh', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    clearAllPlatforms();
+    initEconomy();
+    
+    // Print test results
+    console.log('\n=== Platform Upgrade Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Platform upgrades are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runPlatformUpgradeTests = runPlatformUpgradeTests;
+}
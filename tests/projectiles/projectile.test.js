@@ -0,0 +1,191 @@
+/**
+ * projectile.test.js - Tests for Projectiles
+ * 
+ * This test file verifies projectile.js:
+ * - Homing missiles turn toward a moving target, no faster than their turn rate
+ * - A missile whose target dies picks the closest enemy left, or flies straight on
+ * - Splash damage reaches every enemy within the radius and none outside it
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies, spawnEnemy, clearEnemies, damageEnemy } from '../../js/enemy.js';
+import { createProjectile, updateProjectiles, clearProjectiles } from '../../js/projectile.js';
+import { CONFIG } from '../../js/config.js';
+import { setUpTestLevel, tearDownTestRun } from '../helpers/test-level.js';
+
+// One step at the default tick rate
+const STEP = 1 / CONFIG.simulation.tickRate;
+
+/**
+ * Spawn an enemy that takes damage at face value, standing still at a point
+ * @param {number} x - X position
+ * @param {number} z - Z position
+ * @returns {object} The enemy
+ */
+function spawnAt(x, z) {
+    const enemy = spawnEnemy('basic', 'default');
+    enemy.armor = 0;
+    enemy.resistances = {};
+    enemy.mesh.position.set(x, 0, z);
+    return enemy;
+}
+
+/**
+ * Fire a missile from the origin, heading along +X
+ * @param {object} target - Enemy it homes in on
+ * @param {number} damage - Damage on hit
+ * @returns {object} The projectile
+ */
+function fireMissile(target, damage = 10) {
+    return createProjectile({
+        position: new THREE.Vector3(0, 0, 0),
+        direction: new THREE.Vector3(1, 0, 0),
+        damage,
+        source: 'starbase',
+        kind: 'missile',
+        target
+    });
+}
+
+/**
+ * Test suite for projectiles
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runProjectileTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    setUpTestLevel();
+    initEnemies({ healthBars: false });
+    
+    // Test 1: Homing missiles turn toward a moving target, no faster than their turn rate
+    try {
+        clearEnemies();
+        clearProjectiles();
+        const maxTurn = CONFIG.projectiles.missile.turnRate * STEP;
+        const target = spawnAt(0, 30);
+        const missile = fireMissile(target);
+        
+        // The target is off to the side, so the first step turns as far as it can
+        updateProjectiles(STEP);
+        const firstTurn = missile.direction.angleTo(new THREE.Vector3(1, 0, 0));
+        if (Math.abs(firstTurn - maxTurn) > 1e-6) {
+            throw new Error(`Expected a first turn of ${maxTurn} radians, got ${firstTurn}`);
+        }
+        
+        let hits = [];
+        for (let i = 0; i < 300 && hits.length === 0; i++) {
+            target.mesh.position.x += 10 * STEP;
+            const heading = missile.direction.clone();
+            hits = updateProjectiles(STEP);
+            if (heading.angleTo(missile.direction) > maxTurn + 1e-6) {
+                throw new Error(`The missile turned ${heading.angleTo(missile.direction)} radians in one step`);
+            }
+        }
+        if (hits.length !== 1 || hits[0].enemy !== target) {
+            throw new Error('The missile should have caught up with its moving target');
+        }
+        tests.push({ name: 'Missiles home in at their turn rate', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Missiles home in at their turn rate', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: A missile whose target dies picks the closest enemy left, or flies straight on
+    try {
+        clearEnemies();
+        clearProjectiles();
+        const target = spawnAt(30, 0);
+        const closer = spawnAt(0, 20);
+        const further = spawnAt(0, -40);
+        const missile = fireMissile(target);
+        
+        damageEnemy(target, 1000);
+        updateProjectiles(STEP);
+        if (missile.target !== closer) {
+            throw new Error('The missile should lock onto the closest enemy left');
+        }
+        
+        damageEnemy(closer, 1000);
+        damageEnemy(further, 1000);
+        const heading = missile.direction.clone();
+        updateProjectiles(STEP);
+        if (missile.target !== null || !missile.alive || missile.direction.angleTo(heading) !== 0) {
+            throw new Error('With nothing left to chase, the missile should fly straight on');
+        }
+        tests.push({ name: 'Missiles retarget when their target dies', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Missiles retarget when their target dies', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Splash damage reaches every enemy within the radius and none outside it
+    try {
+        clearEnemies();
+        clearProjectiles();
+        const { splashRadius, splashDamage } = CONFIG.projectiles.missile;
+        const target = spawnAt(12, 0);
+        // Beside the flight path, so only the blast can reach them
+        const inside = [spawnAt(12, splashRadius - 2), spawnAt(12, 2 - splashRadius)];
+        const outside = [spawnAt(12, splashRadius + 3), spawnAt(12 + splashRadius + 3, 0)];
+        fireMissile(target, 40);
+        
+        let hits = [];
+        for (let i = 0; i < 60 && hits.length === 0; i++) {
+            hits = updateProjectiles(STEP);
+        }
+        if (hits.length !== 1 || hits[0].enemy !== target || target.maxHealth - target.health !== 40) {
+            throw new Error('The target should take the full hit');
+        }
+        
+        const splashed = hits[0].splashHits.map(hit => hit.enemy);
+        const expected = Math.round(40 * splashDamage);
+        if (splashed.length !== inside.length || !inside.every(enemy => splashed.includes(enemy))) {
+            throw new Error(`Expected ${inside.length} enemies in the blast, got ${splashed.length}`);
+        }
+        if (!inside.every(enemy => enemy.maxHealth - enemy.health === expected)) {
+            throw new Error(`Enemies in the blast should take ${expected} damage`);
+        }
+        if (!outside.every(enemy => enemy.health === enemy.maxHealth)) {
+            throw new Error('Enemies outside the blast should be untouched');
+        }
+        tests.push({ name: 'Splash damages everything within its radius', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Splash damages everything within its radius', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Projectile Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Projectiles are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runProjectileTests = runProjectileTests;
+}
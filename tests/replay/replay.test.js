@@ -0,0 +1,348 @@
+/**
+ * replay.test.js - Tests for Recording and Playing Back a Run
+ * 
+ * This test file verifies replay.js:
+ * - A recorded game exports as compact JSON and imports back the same
+ * - Replay files with mistakes are refused, with every problem listed
+ * - The CONFIG hash changes with CONFIG
+ * - Commands come out at their tick, naming the platforms of the game being watched
+ * - Playing a recording back through the same commands gives the same game
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies, enemies } from '../../js/enemy.js';
+import { placePlatform, createPlatform, upgradePlatform, sellPlatform, setPlatformTargetingMode,
+         platforms } from '../../js/platform.js';
+import { setStarbaseTargetingMode } from '../../js/starbase.js';
+import { getCredits, getGameStats } from '../../js/economy.js';
+import { startWaveSimulation, stepSimulation, getWaveState } from '../../js/simulation.js';
+import { setRandomSeed } from '../../js/random.js';
+import { startRecording, recordCommand, stopRecording, getLastReplay, notePlatformBuilt, startPlayback,
+         stopPlayback, takeNextCommand, hashConfig, exportReplay, importReplay, validateReplay,
+         REPLAY_VERSION } from '../../js/replay.js';
+import { CONFIG } from '../../js/config.js';
+import { setUpTestRun, tearDownTestRun } from '../helpers/test-level.js';
+
+// One step at the default tick rate
+const STEP = 1 / CONFIG.simulation.tickRate;
+
+// Steps run in the current test game (the tick commands are timed by)
+let tick = 0;
+
+/**
+ * Start the same wave on a one-path test level
+ */
+function startTestGame() {
+    setUpTestRun({ startingCredits: 800 });
+    setRandomSeed(777);
+    tick = 0;
+    
+    startWaveSimulation({ groups: [{ type: 'basic', count: 8, interval: 1, path: 'default' }] });
+}
+
+/**
+ * Carry out a command the way main.js does (the commands a wave can use here)
+ * @param {object} command - { type, ...fields }, naming platforms by ID
+ * @returns {object} { valid, reason }
+ */
+function runCommand(command) {
+    const platform = platforms.find(candidate => candidate.id === command.platform || candidate.id === command.weapon);
+    switch (command.type) {
+        case 'build': {
+            const result = placePlatform(command.platformType, new THREE.Vector3(command.x, command.y, command.z));
+            if (result.valid) notePlatformBuilt(result.platform.id);
+            return result;
+        }
+        case 'upgrade':
+            return upgradePlatform(platform, command.branch);
+        case 'sell':
+            sellPlatform(platform);
+            return { valid: true, reason: '' };
+        case 'targeting':
+            return { valid: command.weapon === 'starbase'
+                ? setStarbaseTargetingMode(command.mode) : setPlatformTargetingMode(platform, command.mode) };
+        default:
+            return { valid: false, reason: `Unsupported command '${command.type}'` };
+    }
+}
+
+/**
+ * Give a command as the player, recording it
+ * @param {object} command - { type, ...fields }, naming platforms by ID
+ */
+function issueCommand(command) {
+    const result = runCommand(command);
+    if (!result.valid) {
+        throw new Error(`${command.type} failed: ${result.reason}`);
+    }
+    recordCommand(tick, command);
+}
+
+/**
+ * Run steps, feeding in a replay's commands as they come due
+ * @param {number} steps - Steps to run
+ */
+function runSteps(steps) {
+    for (let i = 0; i < steps; i++) {
+        let command;
+        while ((command = takeNextCommand(tick))) {
+            runCommand(command);
+        }
+        tick++;
+        stepSimulation(STEP);
+    }
+}
+
+/**
+ * Describe where the game stands
+ * @returns {string} JSON of the wave, credits, kills, platforms and every enemy
+ */
+function describeGame() {
+    return JSON.stringify({
+        wave: getWaveState(),
+        credits: getCredits(),
+        kills: getGameStats().totalKills,
+        platforms: platforms.map(platform => [platform.type, platform.level, platform.targetingMode,
+            platform.position.toArray()]),
+        enemies: enemies.map(enemy => [enemy.mesh.position.toArray(), enemy.health])
+    });
+}
+
+/**
+ * A small hand-written replay file
+ * @returns {object} Parsed replay file
+ */
+function createReplayFile() {
+    return {
+        format: 'solar-defense-replay',
+        version: REPLAY_VERSION,
+        level: 'test',
+        mode: 'campaign',
+        seed: 5,
+        config: hashConfig(),
+        tickRate: CONFIG.simulation.tickRate,
+        ticks: 600,
+        commands: [
+            [10, 'build', 'laserBattery', 30, 0, 10],
+            [10, 'upgrade', 0, null],
+            [300, 'targeting', 'starbase', 'strongest'],
+            [600, 'callWave']
+        ]
+    };
+}
+
+/**
+ * Test suite for replays
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runReplayTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    initEnemies({ healthBars: false });
+    
+    // Test 1: A recording exports as compact JSON and imports back the same
+    try {
+        startRecording({ level: 'test', mode: 'endless', seed: 99 });
+        notePlatformBuilt(41);
+        recordCommand(0, { type: 'build', platformType: 'missileLauncher', x: 12.5, y: 0, z: -3.25 });
+        recordCommand(120, { type: 'upgrade', platform: 41, branch: null });
+        recordCommand(120, { type: 'targeting', weapon: 'starbase', mode: 'first' });
+        recordCommand(480, { type: 'buyUpgrade', upgradeId: 'damage' });
+        recordCommand(900, { type: 'startWave' });
+        const replay = stopRecording(1000);
+        
+        if (replay !== getLastReplay() || replay.seed !== 99 || replay.config !== hashConfig() || replay.ticks !== 1000) {
+            throw new Error('The stopped recording should hold the seed, CONFIG hash and length');
+        }
+        if (replay.commands[1].platform !== 0) {
+            throw new Error(`Platforms should be recorded by build number, got ${replay.commands[1].platform}`);
+        }
+        
+        const text = exportReplay(replay);
+        if (/\s/.test(text.replace(/"[^"]*"/g, ''))) {
+            throw new Error('The replay file should have no spaces between values');
+        }
+        if (!text.includes('[120,"upgrade",0,null]')) {
+            throw new Error(`Commands should be written as short arrays, got ${text}`);
+        }
+        
+        const result = importReplay(text);
+        if (!result.valid || JSON.stringify(result.replay) !== JSON.stringify(replay)) {
+            throw new Error(`The replay should import as it was recorded: ${result.errors.join('; ')}`);
+        }
+        tests.push({ name: 'A recording exports compactly and imports back the same', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'A recording exports compactly and imports back the same', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: Replay files with mistakes are refused
+    try {
+        if (!validateReplay(createReplayFile()).valid) {
+            throw new Error(`A good replay was refused: ${validateReplay(createReplayFile()).errors.join('; ')}`);
+        }
+        if (importReplay('{not json').valid || importReplay('{"format":"solar-defense-leaderboard"}').valid) {
+            throw new Error('Files that aren\'t replays should be refused');
+        }
+        if (validateReplay({ ...createReplayFile(), version: REPLAY_VERSION + 1 }).valid) {
+            throw new Error('A replay from a newer version should be refused');
+        }
+        
+        const broken = createReplayFile();
+        broken.mode = 'survival';
+        broken.seed = 1.5;
+        broken.commands = [
+            [10, 'build', 'laserBattery', 30, 0],   // Missing z
+            [5, 'startWave'],                       // Goes back in time
+            [20, 'selfDestruct'],                   // Not a command
+            [700, 'callWave']                       // Past the end
+        ];
+        const { valid, errors } = validateReplay(broken);
+        if (valid || errors.length !== 6) {
+            throw new Error(`Expected 6 problems, got ${errors.length}: ${errors.join('; ')}`);
+        }
+        
+        // Names every object inherits aren't commands, and mustn't reach importReplay()
+        const inherited = createReplayFile();
+        inherited.commands = [[10, 'toString'], [20, 'constructor']];
+        const result = importReplay(JSON.stringify(inherited));
+        if (result.valid || !result.errors.some(error => error.includes("unknown command 'toString'"))
+            || !result.errors.some(error => error.includes("unknown command 'constructor'"))) {
+            throw new Error('Inherited names should be refused as unknown commands');
+        }
+        tests.push({ name: 'Replay files with mistakes are refused', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Replay files with mistakes are refused', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: The CONFIG hash changes with CONFIG
+    try {
+        const hash = hashConfig();
+        if (!/^[0-9a-f]{16}$/.test(hash) || hashConfig() !== hash) {
+            throw new Error(`Expected a steady 16-digit hash, got ${hash}`);
+        }
+        
+        const damage = CONFIG.platforms.laserBattery.damage;
+        CONFIG.platforms.laserBattery.damage = damage + 1;
+        const changed = hashConfig();
+        CONFIG.platforms.laserBattery.damage = damage;
+        
+        if (changed === hash || hashConfig() !== hash) {
+            throw new Error('Changing a CONFIG value should change the hash');
+        }
+        tests.push({ name: 'The CONFIG hash changes with CONFIG', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'The CONFIG hash changes with CONFIG', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Commands come out at their tick, naming this game's platforms
+    try {
+        const { replay } = importReplay(JSON.stringify(createReplayFile()));
+        startPlayback(replay);
+        
+        if (takeNextCommand(9) !== null) {
+            throw new Error('No command is due before tick 10');
+        }
+        const build = takeNextCommand(10);
+        if (!build || build.type !== 'build' || build.z !== 10) {
+            throw new Error('The build should come out at tick 10');
+        }
+        
+        // This game's first platform has a different ID than when it was recorded
+        notePlatformBuilt(1234);
+        const upgrade = takeNextCommand(10);
+        if (!upgrade || upgrade.platform !== 1234) {
+            throw new Error(`The upgrade should name this game's platform, got ${upgrade && upgrade.platform}`);
+        }
+        if (takeNextCommand(10) !== null || takeNextCommand(599).weapon !== 'starbase') {
+            throw new Error('Each command should come out once, in order');
+        }
+        if (takeNextCommand(600).type !== 'callWave' || takeNextCommand(10000) !== null) {
+            throw new Error('The last command should come out at its tick');
+        }
+        stopPlayback();
+        if (takeNextCommand(10000) !== null) {
+            throw new Error('Nothing should come out once playback has stopped');
+        }
+        tests.push({ name: 'Commands come out at their tick for this game\'s platforms', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Commands come out at their tick for this game\'s platforms', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 5: Playing a recording back gives the same game
+    try {
+        startTestGame();
+        startRecording({ level: 'test', mode: 'campaign', seed: 777 });
+        runSteps(30);
+        issueCommand({ type: 'build', platformType: 'laserBattery', x: 40.37, y: 0, z: 8.91 });
+        runSteps(60);
+        const laser = platforms[0];
+        issueCommand({ type: 'build', platformType: 'missileLauncher', x: 30.5, y: 0, z: -9.75 });
+        issueCommand({ type: 'upgrade', platform: laser.id, branch: null });
+        issueCommand({ type: 'targeting', weapon: laser.id, mode: 'strongest' });
+        runSteps(240);
+        issueCommand({ type: 'sell', platform: laser.id });
+        issueCommand({ type: 'targeting', weapon: 'starbase', mode: 'last' });
+        runSteps(300);
+        const original = describeGame();
+        const text = exportReplay(stopRecording(tick));
+        
+        // Played back after other platforms were made, so the IDs don't match
+        createPlatform('laserBattery', new THREE.Vector3(50, 0, 50));
+        startTestGame();
+        startPlayback(importReplay(text).replay);
+        runSteps(630);
+        stopPlayback();
+        
+        if (describeGame() !== original) {
+            throw new Error('The replay should play out exactly like the recorded game');
+        }
+        if (getGameStats().totalKills === 0 || platforms.length !== 1) {
+            throw new Error('Expected kills and one platform left after the sale');
+        }
+        tests.push({ name: 'Playing a recording back gives the same game', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Playing a recording back gives the same game', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    stopPlayback();
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Replay Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Replays are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runReplayTests = runReplayTests;
+}
@@ -0,0 +1,263 @@
+/**
+ * save-game.test.js - Tests for Saving and Loading a Run
+ * 
+ * This test file verifies that saved games work correctly:
+ * - A saved run restores platforms (and their levels), enemies, starbase upgrades, weapon records,
+ *   economy, run statistics and wave progress
+ * - Old saves (including the economy-only saveProgress() format) are migrated
+ * - validateSave() explains what is wrong with a broken save
+ * - Saves are stored per slot and listed newest first
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies, clearEnemies, enemies } from '../../js/enemy.js';
+import { createPlatform, clearAllPlatforms, platforms, upgradePlatform } from '../../js/platform.js';
+import { getStarbaseStats, resetStarbaseStats, recordStarbaseDamage, getStarbaseCombatRecord } from '../../js/starbase.js';
+import { purchaseUpgrade, resetUpgrades, getUpgradeLevel } from '../../js/upgrades.js';
+import { initEconomy, addCredits, loseLives, getEconomyState } from '../../js/economy.js';
+import { setRandomSeed, random } from '../../js/random.js';
+import { startWaveSimulation, stepSimulation, getWaveState } from '../../js/simulation.js';
+import { SAVE_VERSION, SAVE_SLOTS, createSaveData, restoreSaveData, migrateSave, validateSave,
+         writeSave, readSave, deleteSave, listSaves } from '../../js/save.js';
+import { setUpTestLevel, tearDownTestRun } from '../helpers/test-level.js';
+
+/**
+ * Test suite for saved games
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runSaveGameTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    initEnemies({ healthBars: false });
+    
+    // Test 1: A saved run comes back exactly as it was
+    try {
+        setUpTestLevel();
+        clearEnemies();
+        clearAllPlatforms();
+        resetStarbaseStats();
+        resetUpgrades();
+        initEconomy();
+        setRandomSeed(42);
+        
+        const platform = createPlatform('missileLauncher', new THREE.Vector3(30, 0, 10));
+        platform.totalSpent = 100;
+        addCredits(75, 'test');
+        upgradePlatform(platform);
+        platform.damage = 55;
+        platform.kills = 7;
+        platform.damageDealt = 420;
+        recordStarbaseDamage(30, true);
+        purchaseUpgrade('damage');
+        const upgradedDamage = getStarbaseStats().damage;
+        loseLives(3);
+        
+        startWaveSimulation({ groups: [{ type: 'shielded', count: 4, interval: 5, path: 'default' }] });
+        for (let i = 0; i < 120; i++) stepSimulation(1 / 60); // 2 seconds: one enemy out
+        const enemy = enemies[0];
+        enemy.health = 42;
+        enemy.shield = 35;
+        enemy.shieldCooldown = 1.5;
+        
+        // Round-trip through JSON, like localStorage does
+        const save = JSON.parse(JSON.stringify(createSaveData({ waveNumber: 2, inProgress: true })));
+        const economyBefore = getEconomyState();
+        const waveBefore = getWaveState();
+        const progressBefore = enemy.pathProgress;
+        const nextRandom = random();
+        
+        // Wipe everything, then load
+        clearEnemies();
+        clearAllPlatforms();
+        resetStarbaseStats();
+        resetUpgrades();
+        initEconomy();
+        setRandomSeed(1);
+        restoreSaveData(save);
+        
+        if (platforms.length !== 1 || platforms[0].type !== 'missileLauncher'
+            || platforms[0].damage !== 55 || platforms[0].totalSpent !== platform.totalSpent
+            || platforms[0].position.x !== 30) {
+            throw new Error('Platform type, position, stats or spending not restored');
+        }
+        if (platforms[0].level !== 2 || !platforms[0].mesh.getObjectByName('levelVisual')) {
+            throw new Error('Platform upgrade level (and its visuals) not restored');
+        }
+        if (platforms[0].kills !== 7 || platforms[0].damageDealt !== 420
+            || getStarbaseCombatRecord().kills !== 1 || getStarbaseCombatRecord().damageDealt !== 30) {
+            throw new Error('Weapon kills and damage dealt not restored');
+        }
+        if (getUpgradeLevel('damage') !== 1 || getStarbaseStats().damage !== upgradedDamage) {
+            throw new Error(`Expected the damage upgrade back (${upgradedDamage}), got ${getStarbaseStats().damage}`);
+        }
+        if (enemies.length !== 1 || enemies[0].health !== 42 || enemies[0].pathProgress !== progressBefore) {
+            throw new Error('Enemy health or path progress not restored');
+        }
+        if (enemies[0].shield !== 35 || enemies[0].shieldCooldown !== 1.5) {
+            throw new Error('Enemy shield not restored');
+        }
+        if (JSON.stringify(getEconomyState()) !== JSON.stringify(economyBefore)) {
+            throw new Error('Economy not restored');
+        }
+        if (JSON.stringify(getWaveState()) !== JSON.stringify(waveBefore)) {
+            throw new Error('Wave progress and spawn queue not restored');
+        }
+        if (random() !== nextRandom) {
+            throw new Error('Random sequence did not continue from the saved point');
+        }
+        tests.push({ name: 'Saved run is restored exactly', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Saved run is restored exactly', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: Old saves are migrated; saves from the future are refused
+    try {
+        const legacy = { credits: 250, score: 1200, totalKills: 30, timestamp: 1000 };
+        const migrated = migrateSave(legacy);
+        
+        if (migrated.version !== SAVE_VERSION || migrated.economy.credits !== 250
+            || migrated.economy.totalKills !== 30 || migrated.wave.number !== 1) {
+            throw new Error('Economy-only progress was not migrated to the current version');
+        }
+        const beforeShields = migrateSave({ ...migrated, version: 5, enemies: [{ type: 'basic', health: 10 }] });
+        if (beforeShields.enemies[0].shield !== 0 || beforeShields.enemies[0].maxShield !== 0) {
+            throw new Error('Enemies from before shields should migrate without one');
+        }
+        if (beforeShields.enemies[0].stealth !== false || beforeShields.enemies[0].launch !== null) {
+            throw new Error('Enemies from before behaviors should migrate without any');
+        }
+        const beforePhases = migrateSave({ ...migrated, version: 7, enemies: [{ type: 'armored', speed: 3, isBoss: true }] });
+        if (beforePhases.enemies[0].phases.length !== 0 || beforePhases.enemies[0].baseSpeed !== 3) {
+            throw new Error('Bosses from before phases should migrate without any');
+        }
+        if (migrated.mode !== 'campaign') {
+            throw new Error('Runs from before endless mode should migrate as campaigns');
+        }
+        if (migrated.economy.playTime !== 0 || Object.keys(migrated.economy.killsByType).length !== 0) {
+            throw new Error('Runs from before the leaderboard should migrate with no kills by type or play time');
+        }
+        if (migrated.economy.creditsEarned !== 0 || migrated.stats.waves.length !== 0) {
+            throw new Error('Runs from before the run report should migrate with empty statistics');
+        }
+        const beforeAbilities = migrateSave({ ...migrated, version: 12, enemies: [{ type: 'basic', speed: 3 }] });
+        if (Object.keys(beforeAbilities.abilities.cooldowns).length !== 0
+            || Object.keys(beforeAbilities.enemies[0].statusEffects).length !== 0) {
+            throw new Error('Runs from before abilities should migrate with nothing recharging or slowed');
+        }
+        const slowedBefore = migrateSave({ ...migrated, version: 13,
+            enemies: [{ type: 'basic', speed: 2, slowFactor: 0.4, slowTimer: 3 }] });
+        const slow = slowedBefore.enemies[0].statusEffects.slow;
+        if (slowedBefore.enemies[0].speed !== 5 || !slow || Math.abs(slow.magnitude - 0.6) > 1e-9 || slow.duration !== 3) {
+            throw new Error('Slowed enemies from before status effects should migrate with a slow effect');
+        }
+        if (!validateSave(migrated).valid) {
+            throw new Error(`Migrated save is invalid: ${validateSave(migrated).errors.join('; ')}`);
+        }
+        
+        let refused = false;
+        try {
+            migrateSave({ version: SAVE_VERSION + 1 });
+        } catch (e) {
+            refused = true;
+        }
+        if (!refused) {
+            throw new Error('A save from a newer version should be refused');
+        }
+        tests.push({ name: 'Old saves migrate, newer saves are refused', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Old saves migrate, newer saves are refused', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: validateSave() explains every problem
+    try {
+        const broken = migrateSave({ credits: 10 });
+        broken.wave.number = 0;
+        broken.platforms = [{ type: 'deathStar', position: [1, 2] }];
+        
+        const result = validateSave(broken);
+        if (result.valid || result.errors.length !== 3) {
+            throw new Error(`Expected 3 errors, got: ${result.errors.join('; ')}`);
+        }
+        if (!result.errors.some(error => error.includes("unknown type 'deathStar'"))) {
+            throw new Error('Expected the unknown platform type to be named');
+        }
+        tests.push({ name: 'validateSave() reports every problem', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'validateSave() reports every problem', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Slots are stored separately and listed newest first
+    // (the player's real saves share this storage, so keep them aside)
+    const keptSaves = SAVE_SLOTS.map(slot => localStorage.getItem(`solarDefense_save_${slot}`));
+    try {
+        deleteSave('autosave');
+        deleteSave('manual');
+        
+        const older = migrateSave({ credits: 1, timestamp: 100 });
+        const newer = migrateSave({ credits: 2, timestamp: 200 });
+        writeSave('manual', older);
+        writeSave('autosave', newer);
+        
+        const saves = listSaves();
+        if (saves.length !== 2 || saves[0].slot !== 'autosave' || saves[1].slot !== 'manual') {
+            throw new Error('Expected both slots, newest (autosave) first');
+        }
+        if (readSave('manual').economy.credits !== 1) {
+            throw new Error('readSave() returned the wrong slot');
+        }
+        
+        deleteSave('autosave');
+        deleteSave('manual');
+        if (listSaves().length !== 0) {
+            throw new Error('deleteSave() should empty the slot');
+        }
+        tests.push({ name: 'Save slots are stored and listed newest first', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Save slots are stored and listed newest first', passed: false, error: error.message });
+        failed++;
+    }
+    SAVE_SLOTS.forEach((slot, index) => {
+        if (keptSaves[index] !== null) {
+            localStorage.setItem(`solarDefense_save_${slot}`, keptSaves[index]);
+        }
+    });
+    
+    // Clean up
+    resetUpgrades();
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Save Game Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Saved games are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runSaveGameTests = runSaveGameTests;
+}
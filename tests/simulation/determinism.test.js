@@ -0,0 +1,160 @@
+/**
+ * determinism.test.js - Tests for the Deterministic Simulation Core
+ * 
+ * This test file verifies the pieces that make games reproducible:
+ * - The seeded random generator repeats exactly for the same seed
+ * - Random path choices follow the seed
+ * - Render interpolation blends between steps and restores the exact
+ *   simulation state afterwards
+ */
+
+import * as THREE from 'three';
+import { setRandomSeed, getRandomSeed, random, randomInt } from '../../js/random.js';
+import { getRandomPathName } from '../../js/path.js';
+import { savePreviousState, applyInterpolation, restoreSimulationState } from '../../js/interpolation.js';
+import { setUpTestLevel, tearDownTestRun } from '../helpers/test-level.js';
+
+/**
+ * Draw a list of random numbers from a seed
+ * @param {number} seed - Seed to start from
+ * @param {number} count - How many numbers to draw
+ * @returns {Array<number>} The numbers
+ */
+function drawSequence(seed, count) {
+    setRandomSeed(seed);
+    const values = [];
+    for (let i = 0; i < count; i++) {
+        values.push(random());
+    }
+    return values;
+}
+
+/**
+ * Test suite for the deterministic simulation core
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runDeterminismTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    // Test 1: Same seed, same numbers; different seed, different numbers
+    try {
+        const first = drawSequence(12345, 20);
+        const second = drawSequence(12345, 20);
+        const other = drawSequence(54321, 20);
+        
+        if (first.join(',') !== second.join(',')) {
+            throw new Error('The same seed produced different sequences');
+        }
+        if (first.join(',') === other.join(',')) {
+            throw new Error('Different seeds produced the same sequence');
+        }
+        if (first.some(value => value < 0 || value >= 1)) {
+            throw new Error('random() must return numbers from 0 to 1');
+        }
+        if (getRandomSeed() !== 54321) {
+            throw new Error('getRandomSeed() should return the last seed set');
+        }
+        tests.push({ name: 'Seeded generator is repeatable', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Seeded generator is repeatable', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: randomInt() stays in range
+    try {
+        setRandomSeed(7);
+        for (let i = 0; i < 200; i++) {
+            const value = randomInt(3);
+            if (!Number.isInteger(value) || value < 0 || value > 2) {
+                throw new Error(`randomInt(3) returned ${value}`);
+            }
+        }
+        tests.push({ name: 'randomInt() stays in range', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'randomInt() stays in range', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Random path choices follow the seed
+    try {
+        setUpTestLevel({
+            paths: {
+                a: [[80, 0, 0], [0, 0, 0]],
+                b: [[-80, 0, 0], [0, 0, 0]],
+                c: [[0, 0, 80], [0, 0, 0]]
+            }
+        });
+        
+        const pickPaths = () => {
+            setRandomSeed(99);
+            return Array.from({ length: 15 }, () => getRandomPathName()).join(',');
+        };
+        if (pickPaths() !== pickPaths()) {
+            throw new Error('Same seed picked different paths');
+        }
+        tests.push({ name: 'Path choices follow the seed', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Path choices follow the seed', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Interpolation blends, then restores the exact simulation state
+    try {
+        const object = new THREE.Object3D();
+        object.position.set(0, 0, 0);
+        object.rotation.y = 0;
+        
+        savePreviousState([object]);
+        
+        // One simulation step: move along X and turn well past 90 degrees
+        object.position.set(10, 0, 0);
+        object.rotation.y = 2.5;
+        
+        applyInterpolation([object], 0.5);
+        if (Math.abs(object.position.x - 5) > 1e-9) {
+            throw new Error(`Expected halfway position 5, got ${object.position.x}`);
+        }
+        
+        restoreSimulationState([object]);
+        if (object.position.x !== 10 || object.rotation.y !== 2.5) {
+            throw new Error(`Expected exact restore to x=10, rotation.y=2.5, got x=${object.position.x}, rotation.y=${object.rotation.y}`);
+        }
+        tests.push({ name: 'Interpolation restores exact simulation state', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Interpolation restores exact simulation state', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Determinism Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! The simulation is deterministic.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runDeterminismTests = runDeterminismTests;
+}
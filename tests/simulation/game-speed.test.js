@@ -0,0 +1,220 @@
+/**
+ * game-speed.test.js - Tests for Game Speed and the Tactical Pause
+ * 
+ * This test file verifies gameSpeed.js and how the game loop uses it:
+ * - Game time is real time times the speed, and nothing in a tactical pause
+ * - Only the configured speeds can be picked; cycling wraps around
+ * - A faster game runs more steps of the same length and plays out the same
+ * - A tactical pause stops the wave without changing how it turns out
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies, enemies } from '../../js/enemy.js';
+import { createPlatform } from '../../js/platform.js';
+import { getCredits, getGameStats } from '../../js/economy.js';
+import { startWaveSimulation, stepSimulation, getWaveState } from '../../js/simulation.js';
+import { setRandomSeed } from '../../js/random.js';
+import { getGameSpeed, setGameSpeed, cycleGameSpeed, isTacticalPaused, setTacticalPause, toGameTime,
+         resetGameSpeed } from '../../js/gameSpeed.js';
+import { CONFIG } from '../../js/config.js';
+import { setUpTestRun, tearDownTestRun } from '../helpers/test-level.js';
+
+// One step at the default tick rate
+const STEP = 1 / CONFIG.simulation.tickRate;
+
+// Game time not yet spent on steps (like the accumulator in main.js)
+let accumulator = 0;
+
+/**
+ * Start the same wave on a one-path test level, with one laser defending
+ */
+function startTestWave() {
+    setUpTestRun({ startingCredits: 500 });
+    setRandomSeed(4242);
+    resetGameSpeed();
+    accumulator = 0;
+    
+    createPlatform('laserBattery', new THREE.Vector3(40, 0, 8));
+    startWaveSimulation({ groups: [{ type: 'basic', count: 6, interval: 1.5, path: 'default' }] });
+}
+
+/**
+ * Play frames the way main.js does: real frame time becomes game time,
+ * which is spent in fixed steps
+ * @param {number} frames - Frames to play
+ * @param {number} frameTime - Real seconds per frame
+ * @param {number} maxSteps - Stop once this many steps have run in total (optional)
+ * @returns {number} Steps that ran
+ */
+function playFrames(frames, frameTime, maxSteps = Infinity) {
+    let steps = 0;
+    for (let frame = 0; frame < frames && steps < maxSteps; frame++) {
+        accumulator += toGameTime(frameTime);
+        while (accumulator >= STEP && steps < maxSteps) {
+            stepSimulation(STEP);
+            accumulator -= STEP;
+            steps++;
+        }
+    }
+    return steps;
+}
+
+/**
+ * Describe where the wave stands
+ * @returns {string} JSON of the wave, credits, kills and every enemy
+ */
+function describeGame() {
+    return JSON.stringify({
+        wave: getWaveState(),
+        credits: getCredits(),
+        kills: getGameStats().totalKills,
+        enemies: enemies.map(enemy => [enemy.mesh.position.toArray(), enemy.health])
+    });
+}
+
+/**
+ * Test suite for game speed and the tactical pause
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runGameSpeedTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    initEnemies({ healthBars: false });
+    
+    // Test 1: Game time follows the speed and stops in a tactical pause
+    try {
+        resetGameSpeed();
+        if (getGameSpeed() !== 1 || isTacticalPaused() || toGameTime(0.5) !== 0.5) {
+            throw new Error('A new game should run at 1x, unpaused');
+        }
+        
+        setGameSpeed(3);
+        if (toGameTime(0.1) !== 0.1 * 3) {
+            throw new Error(`Expected 3x game time, got ${toGameTime(0.1)}`);
+        }
+        
+        setTacticalPause(true);
+        if (toGameTime(0.1) !== 0 || getGameSpeed() !== 3) {
+            throw new Error('A tactical pause should stop game time but keep the chosen speed');
+        }
+        
+        resetGameSpeed();
+        if (getGameSpeed() !== 1 || isTacticalPaused()) {
+            throw new Error('resetGameSpeed() should go back to 1x, unpaused');
+        }
+        tests.push({ name: 'Game time follows the speed and stops when paused', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Game time follows the speed and stops when paused', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: Only configured speeds can be picked; cycling wraps around
+    try {
+        resetGameSpeed();
+        const result = setGameSpeed(1.5);
+        if (result.valid || !result.reason || getGameSpeed() !== 1) {
+            throw new Error('A speed that isn\'t in CONFIG.simulation.speeds should be refused');
+        }
+        
+        const speeds = CONFIG.simulation.speeds;
+        const seen = speeds.map(() => cycleGameSpeed());
+        if (seen.join(',') !== [...speeds.slice(1), speeds[0]].join(',')) {
+            throw new Error(`Expected to cycle through ${speeds}, got ${seen}`);
+        }
+        tests.push({ name: 'Only configured speeds can be picked', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Only configured speeds can be picked', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: At 3x the same steps run in a third of the frames, with the same result
+    try {
+        startTestWave();
+        const steps = playFrames(900, 1 / 60);
+        const atNormalSpeed = describeGame();
+        
+        startTestWave();
+        setGameSpeed(3);
+        let frames = 0;
+        let fastSteps = 0;
+        while (fastSteps < steps) {
+            fastSteps += playFrames(1, 1 / 60, steps - fastSteps);
+            frames++;
+        }
+        
+        if (Math.abs(frames - 900 / 3) > 1) {
+            throw new Error(`Expected about 300 frames at 3x, took ${frames}`);
+        }
+        if (describeGame() !== atNormalSpeed) {
+            throw new Error('The wave should play out the same at 3x');
+        }
+        if (getGameStats().totalKills === 0) {
+            throw new Error('Expected the laser to kill something in the test wave');
+        }
+        tests.push({ name: 'A faster game plays out the same', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'A faster game plays out the same', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: A tactical pause stops the wave without changing how it turns out
+    try {
+        startTestWave();
+        const steps = playFrames(600, 1 / 60);
+        const unpaused = describeGame();
+        
+        startTestWave();
+        const before = playFrames(200, 1 / 60);
+        setTacticalPause(true);
+        const snapshot = describeGame();
+        if (playFrames(300, 1 / 60) !== 0 || describeGame() !== snapshot) {
+            throw new Error('Nothing should move during a tactical pause');
+        }
+        setTacticalPause(false);
+        playFrames(Infinity, 1 / 60, steps - before);
+        
+        if (describeGame() !== unpaused) {
+            throw new Error('The wave should turn out the same with a pause in the middle');
+        }
+        tests.push({ name: 'A tactical pause stops the wave without changing it', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'A tactical pause stops the wave without changing it', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    resetGameSpeed();
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Game Speed Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Game speed is working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runGameSpeedTests = runGameSpeedTests;
+}
@@ -0,0 +1,164 @@
+/**
+ * simulation-step.test.js - Tests for the Shared Simulation Step
+ * 
+ * This test file verifies the game logic that both the browser game and
+ * the headless balance simulator run (js/simulation.js):
+ * - placePlatform() builds and charges for platforms without the preview
+ * - stepSimulation() plays a wave to the end and records kills
+ * - Hits say which weapon fired them and how much damage they really did
+ * - Leaked enemies drain the shield and end the game at zero
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies } from '../../js/enemy.js';
+import { placePlatform, createPlatform } from '../../js/platform.js';
+import { getCredits, getLives, getGameStats } from '../../js/economy.js';
+import { getPlatformConfig } from '../../js/config.js';
+import { startWaveSimulation, stepSimulation } from '../../js/simulation.js';
+import { setUpTestRun, tearDownTestRun } from '../helpers/test-level.js';
+
+// One step at the default tick rate
+const STEP = 1 / 60;
+
+/**
+ * Start a fresh game on a one-path test level
+ * @param {number} lives - Shield points for the level
+ */
+function resetGame(lives = 10) {
+    setUpTestRun({ startingCredits: 200, lives });
+}
+
+/**
+ * Step the simulation until a condition is met (or give up)
+ * @param {Function} isDone - Called with each step's events
+ * @param {number} maxSeconds - Simulated seconds before giving up
+ * @returns {Array<object>} Events of every step that ran
+ */
+function stepUntil(isDone, maxSeconds = 60) {
+    const allEvents = [];
+    for (let i = 0; i < maxSeconds / STEP; i++) {
+        const events = stepSimulation(STEP);
+        allEvents.push(events);
+        if (isDone(events)) break;
+    }
+    return allEvents;
+}
+
+/**
+ * Test suite for the shared simulation step
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runSimulationStepTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    // The simulation needs a scene to add objects to, but nothing is drawn
+    createHeadlessScene();
+    initEnemies({ healthBars: false });
+    
+    // Test 1: placePlatform() charges for valid builds only
+    try {
+        resetGame();
+        const cost = getPlatformConfig('laserBattery').cost;
+        
+        const built = placePlatform('laserBattery', new THREE.Vector3(30, 0, 10));
+        if (!built.valid || !built.platform) {
+            throw new Error(`Expected a valid build, got "${built.reason}"`);
+        }
+        if (getCredits() !== 200 - cost || built.platform.totalSpent !== cost) {
+            throw new Error(`Expected ${cost} credits to be charged, balance is ${getCredits()}`);
+        }
+        
+        const rejected = placePlatform('laserBattery', new THREE.Vector3(0, 0, 0));
+        if (rejected.valid || rejected.reason !== 'Too close to planet') {
+            throw new Error(`Expected "Too close to planet", got "${rejected.reason}"`);
+        }
+        if (getCredits() !== 200 - cost) {
+            throw new Error('A rejected build must not cost anything');
+        }
+        tests.push({ name: 'placePlatform() charges for valid builds only', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'placePlatform() charges for valid builds only', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: A platform clears a one-enemy wave; hits carry their source
+    try {
+        resetGame();
+        const platform = createPlatform('laserBattery', new THREE.Vector3(30, 0, 10));
+        startWaveSimulation({ groups: [{ type: 'basic', count: 1, path: 'default' }] });
+        
+        const allEvents = stepUntil(events => events.waveCleared);
+        const hits = allEvents.flatMap(events => events.hits);
+        
+        if (!allEvents[allEvents.length - 1].waveCleared) {
+            throw new Error('Wave was never cleared');
+        }
+        if (getGameStats().totalKills !== 1 || getLives() !== 10) {
+            throw new Error(`Expected 1 kill and a full shield, got ${getGameStats().totalKills} kills, ${getLives()} shield`);
+        }
+        if (hits.length === 0 || hits.some(hit => hit.source !== platform.id)) {
+            throw new Error('Every hit should name the platform as its source');
+        }
+        const totalDealt = hits.reduce((total, hit) => total + hit.damageDealt, 0);
+        if (totalDealt !== 100) {
+            throw new Error(`Expected damageDealt to add up to the enemy's 100 health, got ${totalDealt}`);
+        }
+        tests.push({ name: 'Platform clears a wave, hits carry their source', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Platform clears a wave, hits carry their source', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Leaks drain the shield and end the game at zero
+    try {
+        resetGame(1);
+        startWaveSimulation({ groups: [{ type: 'basic', count: 1, path: 'default', speedMultiplier: 4 }] });
+        
+        const allEvents = stepUntil(events => events.defeated);
+        const last = allEvents[allEvents.length - 1];
+        
+        if (!last.defeated || last.planetDamage !== 1 || last.leaked.length !== 1) {
+            throw new Error('Expected one leak for 1 shield damage and a defeat');
+        }
+        if (getLives() !== 0) {
+            throw new Error(`Expected the shield to be empty, got ${getLives()}`);
+        }
+        tests.push({ name: 'Leaks drain the shield and end the game', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Leaks drain the shield and end the game', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Simulation Step Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! The simulation step is working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runSimulationStepTests = runSimulationStepTests;
+}
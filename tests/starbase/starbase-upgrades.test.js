@@ -0,0 +1,247 @@
+/**
+ * starbase-upgrades.test.js - Tests for the Starbase Upgrade Tree
+ * 
+ * This test file verifies the upgrade tree in CONFIG.starbaseUpgrades:
+ * - The tree is valid, and every upgrade's tiers cost more each time
+ * - Buying a tier spends credits and raises the starbase's stats
+ * - Prerequisites and credits are checked before anything is bought
+ * - Twin Barrel fires two shots; Piercing Shots pass through an enemy
+ * - Bought upgrades come back after resetStarbaseStats() (loaded games)
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies, spawnEnemy, clearEnemies } from '../../js/enemy.js';
+import { createStarbase, getStarbaseStats, resetStarbaseStats, updateStarbase } from '../../js/starbase.js';
+import { createProjectile, updateProjectiles, clearProjectiles } from '../../js/projectile.js';
+import { initEconomy, getCredits, addCredits } from '../../js/economy.js';
+import { purchaseUpgrade, canPurchaseUpgrade, getUpgradeLevel, resetUpgrades, getUpgradeState,
+         restoreUpgrades, validateUpgradeTree } from '../../js/upgrades.js';
+import { CONFIG } from '../../js/config.js';
+import { setUpTestLevel, tearDownTestRun } from '../helpers/test-level.js';
+
+/**
+ * Start a fresh game with plenty of credits
+ * @param {number} credits - Credits to add on top of the level's 100
+ */
+function resetGame(credits = 0) {
+    clearEnemies();
+    clearProjectiles();
+    resetStarbaseStats();
+    resetUpgrades();
+    initEconomy();
+    if (credits > 0) addCredits(credits, 'test');
+}
+
+/**
+ * Buy upgrades in order, failing loudly if one can't be bought
+ * @param {Array<string>} ids - Upgrade IDs
+ */
+function buyAll(ids) {
+    ids.forEach(id => {
+        const result = purchaseUpgrade(id);
+        if (!result.valid) {
+            throw new Error(`Could not buy ${id}: ${result.reason}`);
+        }
+    });
+}
+
+/**
+ * Test suite for the starbase upgrade tree
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runStarbaseUpgradeTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    setUpTestLevel();
+    initEnemies({ healthBars: false });
+    createStarbase();
+    
+    // Test 1: The tree is valid and costs grow each tier
+    try {
+        const result = validateUpgradeTree();
+        if (!result.valid) {
+            throw new Error(result.errors.join('; '));
+        }
+        
+        Object.entries(CONFIG.starbaseUpgrades).forEach(([id, upgrade]) => {
+            upgrade.tiers.forEach((tier, index) => {
+                if (index > 0 && tier.cost <= upgrade.tiers[index - 1].cost) {
+                    throw new Error(`${id} tier ${index + 1} should cost more than tier ${index}`);
+                }
+            });
+        });
+        
+        // A broken upgrade is reported
+        CONFIG.starbaseUpgrades.broken = {
+            name: 'Broken',
+            tiers: [{ cost: 10, effects: { shields: 5 }, requires: { warpDrive: 1 } }]
+        };
+        const broken = validateUpgradeTree();
+        delete CONFIG.starbaseUpgrades.broken;
+        if (broken.valid || broken.errors.length !== 2) {
+            throw new Error(`Expected 2 errors for the broken upgrade, got: ${broken.errors.join('; ')}`);
+        }
+        tests.push({ name: 'Upgrade tree is valid and costs grow', passed: true });
+        passed++;
+    } catch (error) {
+        delete CONFIG.starbaseUpgrades.broken;
+        tests.push({ name: 'Upgrade tree is valid and costs grow', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: Buying a tier spends credits and raises the stat
+    try {
+        resetGame(1000);
+        const creditsBefore = getCredits();
+        const damageBefore = getStarbaseStats().damage;
+        const tier = CONFIG.starbaseUpgrades.damage.tiers[0];
+        
+        buyAll(['damage']);
+        
+        if (getCredits() !== creditsBefore - tier.cost) {
+            throw new Error(`Expected ${tier.cost} credits to be spent`);
+        }
+        if (getStarbaseStats().damage !== damageBefore + tier.effects.damage) {
+            throw new Error(`Expected damage ${damageBefore + tier.effects.damage}, got ${getStarbaseStats().damage}`);
+        }
+        if (getUpgradeLevel('damage') !== 1) {
+            throw new Error('Expected damage to be at tier 1');
+        }
+        tests.push({ name: 'Buying a tier spends credits and raises the stat', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Buying a tier spends credits and raises the stat', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Prerequisites and credits are checked first
+    try {
+        resetGame();
+        
+        const locked = canPurchaseUpgrade('twinBarrel');
+        if (locked.valid || !locked.reason.startsWith('Requires')) {
+            throw new Error(`Twin Barrel should be locked, got "${locked.reason}"`);
+        }
+        
+        // 100 credits: the first damage tier (40) is fine, the second (80) is not
+        buyAll(['damage']);
+        const creditsBefore = getCredits();
+        const poor = purchaseUpgrade('damage');
+        if (poor.valid || poor.reason !== 'Not enough credits' || getCredits() !== creditsBefore) {
+            throw new Error('An unaffordable tier must not be bought or charged');
+        }
+        if (getUpgradeLevel('damage') !== 1) {
+            throw new Error('A failed purchase must not raise the tier');
+        }
+        tests.push({ name: 'Prerequisites and credits are checked first', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Prerequisites and credits are checked first', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Twin Barrel fires two shots; Piercing Shots pass through an enemy
+    try {
+        resetGame(5000);
+        buyAll(['damage', 'fireRate', 'damage', 'fireRate', 'twinBarrel']);
+        
+        const enemy = spawnEnemy('basic', 'default');
+        enemy.mesh.position.set(30, 8, 0);
+        
+        let shots = [];
+        for (let i = 0; i < 600 && shots.length === 0; i++) {
+            shots = updateStarbase(1 / 60);
+        }
+        if (shots.length !== 2) {
+            throw new Error(`Expected 2 shots per volley, got ${shots.length}`);
+        }
+        
+        // A piercing bolt flies through two enemies in a line
+        clearEnemies();
+        buyAll(['projectileSpeed', 'projectileSpeed', 'damage', 'piercing']);
+        const front = spawnEnemy('armored', 'default');
+        const back = spawnEnemy('armored', 'default');
+        front.mesh.position.set(10, 0, 0);
+        back.mesh.position.set(20, 0, 0);
+        
+        createProjectile({
+            position: new THREE.Vector3(0, 0, 0),
+            direction: new THREE.Vector3(1, 0, 0),
+            damage: 10,
+            source: 'starbase',
+            pierce: getStarbaseStats().pierce
+        });
+        
+        let hits = [];
+        for (let i = 0; i < 120; i++) {
+            hits = hits.concat(updateProjectiles(1 / 60));
+        }
+        if (hits.length !== 2 || hits[0].enemy !== front || hits[1].enemy !== back) {
+            throw new Error(`Expected the bolt to hit both enemies, got ${hits.length} hits`);
+        }
+        if (hits[0].pierced || !hits[1].pierced) {
+            throw new Error('Only hits after the first should be marked as pierced');
+        }
+        tests.push({ name: 'Twin Barrel and Piercing Shots work', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Twin Barrel and Piercing Shots work', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 5: Upgrades come back after resetStarbaseStats()
+    try {
+        resetGame(1000);
+        buyAll(['damage', 'fireRate', 'range']);
+        const upgradedStats = getStarbaseStats();
+        const saved = JSON.parse(JSON.stringify(getUpgradeState()));
+        
+        resetStarbaseStats();
+        resetUpgrades();
+        restoreUpgrades(saved);
+        
+        if (JSON.stringify(getStarbaseStats()) !== JSON.stringify(upgradedStats)) {
+            throw new Error('Starbase stats differ after restoring the upgrades');
+        }
+        if (getUpgradeLevel('range') !== 1 || getUpgradeLevel('damage') !== 1) {
+            throw new Error('Upgrade tiers were not restored');
+        }
+        tests.push({ name: 'Upgrades survive resetStarbaseStats()', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Upgrades survive resetStarbaseStats()', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    resetGame();
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Starbase Upgrade Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Starbase upgrades are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runStarbaseUpgradeTests = runStarbaseUpgradeTests;
+}
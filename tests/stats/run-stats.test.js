@@ -0,0 +1,243 @@
+/**
+ * run-stats.test.js - Tests for the Post-Game Run Report
+ * 
+ * This test file verifies stats.js and the economy totals it reports:
+ * - Damage and kills are counted per weapon, and sold platforms keep theirs
+ * - Hits from a played wave end up in the report
+ * - Each wave gets its own kills, accuracy and time
+ * - Credits earned and spent are sampled over play time
+ * - The statistics survive a save and load, with platforms matched up again
+ */
+
+import * as THREE from 'three';
+import { createHeadlessScene } from '../../js/scene.js';
+import { initEnemies } from '../../js/enemy.js';
+import { createPlatform, sellPlatform, platforms } from '../../js/platform.js';
+import { getStarbaseCombatRecord } from '../../js/starbase.js';
+import { resetUpgrades } from '../../js/upgrades.js';
+import { initEconomy, addCredits, spendCredits, recordKill, recordShot, recordHit, recordPlayTime,
+         resetWaveTracking, getWaveSummary, getGameStats } from '../../js/economy.js';
+import { startWaveSimulation, stepSimulation } from '../../js/simulation.js';
+import { createSaveData, restoreSaveData } from '../../js/save.js';
+import { initRunStats, recordWeaponDamage, recordWaveStats, sampleCredits, getRunReport } from '../../js/stats.js';
+import { CONFIG } from '../../js/config.js';
+import { setUpTestRun, tearDownTestRun } from '../helpers/test-level.js';
+
+/**
+ * Start a fresh run on a one-path test level
+ */
+function resetRun() {
+    setUpTestRun({ startingCredits: 500 });
+    resetUpgrades();
+    initRunStats();
+}
+
+/**
+ * Describe a report without its platform IDs, which change when a game is loaded
+ * @param {object} report - getRunReport()
+ * @returns {string} JSON of the report
+ */
+function describeReport(report) {
+    return JSON.stringify({ ...report, weapons: report.weapons.map(({ source, ...weapon }) => weapon) });
+}
+
+/**
+ * Test suite for the run report
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runRunStatsTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    createHeadlessScene();
+    initEnemies({ healthBars: false });
+    
+    // Test 1: Damage is counted per weapon; sold platforms keep theirs
+    try {
+        resetRun();
+        const first = createPlatform('laserBattery', new THREE.Vector3(30, 0, 10));
+        const second = createPlatform('laserBattery', new THREE.Vector3(30, 0, -10));
+        recordWeaponDamage(second.id, 40, false);
+        recordWeaponDamage(first.id, 100, true);
+        recordWeaponDamage('starbase', 25, false);
+        recordWeaponDamage(first.id, 20, false);
+        
+        sellPlatform(first);
+        recordWeaponDamage(first.id, 10, true);  // A missile still in flight
+        recordWeaponDamage(999, 50, true);       // Never hit anything before it went
+        
+        const { weapons } = getRunReport();
+        if (weapons.map(weapon => weapon.damage).join(',') !== '130,40,25') {
+            throw new Error(`Expected 130, 40 and 25 damage, most first, got ${weapons.map(weapon => weapon.damage)}`);
+        }
+        if (weapons[0].kills !== 2 || weapons[0].type !== 'laserBattery' || weapons[0].number !== 2) {
+            throw new Error('The sold laser should keep its kills and be numbered in the order it first hit');
+        }
+        if (weapons[2].type !== 'starbase' || weapons[2].number !== 1) {
+            throw new Error('The starbase should have its own entry');
+        }
+        tests.push({ name: 'Damage is counted per weapon, sold platforms included', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Damage is counted per weapon, sold platforms included', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: A played wave's hits end up in the report
+    try {
+        resetRun();
+        const platform = createPlatform('missileLauncher', new THREE.Vector3(40, 0, 10));
+        startWaveSimulation({ groups: [{ type: 'basic', count: 4, interval: 1, path: 'default' }] });
+        for (let i = 0; i < 60 * 30; i++) stepSimulation(1 / 60);
+        
+        const report = getRunReport();
+        const reported = report.weapons.reduce((total, weapon) => total + weapon.damage, 0);
+        const dealt = platform.damageDealt + getStarbaseCombatRecord().damageDealt;
+        if (reported === 0 || Math.abs(reported - dealt) > 1e-6) {
+            throw new Error(`The report should add up to the damage weapons dealt (${dealt}), got ${reported}`);
+        }
+        const kills = report.weapons.reduce((total, weapon) => total + weapon.kills, 0);
+        if (kills !== getGameStats().totalKills || report.killsByType.basic !== kills) {
+            throw new Error(`Expected the weapons' ${kills} kills to match the economy's`);
+        }
+        tests.push({ name: 'A played wave\'s hits end up in the report', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'A played wave\'s hits end up in the report', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Each wave gets its own kills, accuracy and time
+    try {
+        resetRun();
+        resetWaveTracking();
+        recordKill('basic');
+        recordKill('fast');
+        for (let i = 0; i < 4; i++) recordShot();
+        recordHit();
+        recordPlayTime(30);
+        recordWaveStats(1, getWaveSummary(), true);
+        
+        resetWaveTracking();
+        recordKill('basic');
+        recordShot();
+        recordHit();
+        recordPlayTime(12);
+        recordWaveStats(2, getWaveSummary(), false);
+        
+        const { waves } = getRunReport();
+        if (waves.length !== 2 || waves[0].kills !== 2 || waves[1].kills !== 1) {
+            throw new Error(`Expected 2 kills then 1, got ${JSON.stringify(waves)}`);
+        }
+        if (waves[0].accuracy !== 25 || waves[1].accuracy !== 100 || getWaveSummary().accuracy !== 40) {
+            throw new Error('Each wave should have its own accuracy, alongside the game\'s');
+        }
+        if (waves[0].duration !== 30 || waves[1].duration !== 12 || !waves[0].cleared || waves[1].cleared) {
+            throw new Error('Waves should record their time and whether they were cleared');
+        }
+        tests.push({ name: 'Each wave gets its own kills, accuracy and time', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Each wave gets its own kills, accuracy and time', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: Credits earned and spent are sampled over play time
+    try {
+        resetRun();
+        const interval = CONFIG.stats.creditSampleInterval;
+        for (let second = 1; second <= interval * 3; second++) {
+            addCredits(10, 'test');
+            if (second % interval === 0) spendCredits(15);
+            recordPlayTime(1);
+            sampleCredits();
+        }
+        recordPlayTime(1);
+        addCredits(7, 'test');
+        
+        const { credits, creditsEarned, creditsSpent } = getRunReport();
+        if (credits.length !== 5 || credits[1].time !== interval || credits[3].spent !== 45) {
+            throw new Error(`Expected a sample every ${interval} seconds, got ${JSON.stringify(credits)}`);
+        }
+        const last = credits[credits.length - 1];
+        if (last.earned !== creditsEarned || creditsEarned !== interval * 3 * 10 + 7 || creditsSpent !== 45) {
+            throw new Error('The report should end with the totals so far');
+        }
+        if (spendCredits(100000) || getGameStats().creditsSpent !== 45) {
+            throw new Error('Purchases the player can\'t afford shouldn\'t count as spent');
+        }
+        tests.push({ name: 'Credits earned and spent are sampled', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Credits earned and spent are sampled', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 5: The statistics survive a save and load
+    try {
+        resetRun();
+        const sold = createPlatform('laserBattery', new THREE.Vector3(30, 0, 10));
+        const kept = createPlatform('missileLauncher', new THREE.Vector3(30, 0, -10));
+        recordWeaponDamage(sold.id, 60, true);
+        recordWeaponDamage(kept.id, 80, false);
+        sellPlatform(sold);
+        recordPlayTime(CONFIG.stats.creditSampleInterval);
+        sampleCredits();
+        recordWaveStats(1, getWaveSummary(), true);
+        
+        const save = JSON.parse(JSON.stringify(createSaveData({ waveNumber: 2, inProgress: false })));
+        const before = describeReport(getRunReport());
+        
+        resetRun();
+        restoreSaveData(save);
+        if (platforms[0].id === kept.id) {
+            throw new Error('Loaded platforms should get new IDs');
+        }
+        if (describeReport(getRunReport()) !== before) {
+            throw new Error('The report should be the same after loading');
+        }
+        
+        // New hits go to the loaded platform, not the sold one
+        recordWeaponDamage(platforms[0].id, 20, true);
+        const { weapons } = getRunReport();
+        const missile = weapons.find(weapon => weapon.type === 'missileLauncher');
+        const laser = weapons.find(weapon => weapon.type === 'laserBattery');
+        if (missile.damage !== 100 || missile.kills !== 1 || laser.damage !== 60) {
+            throw new Error(`Loaded platforms should keep counting, got ${JSON.stringify(weapons)}`);
+        }
+        tests.push({ name: 'The statistics survive a save and load', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'The statistics survive a save and load', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    initRunStats();
+    tearDownTestRun();
+    
+    // Print test results
+    console.log('\n=== Run Report Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! The run report is working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runRunStatsTests = runRunStatsTests;
+}
@@ -0,0 +1,173 @@
+/**
+ * wave-script.test.js - Tests for the JSON Wave Script System
+ * 
+ * This test file verifies that wave scripts work correctly:
+ * - validateWaveScript() accepts good scripts and explains bad ones
+ * - buildSpawnQueue() expands groups and bosses into a time-sorted queue
+ * - setWaveScript() / getWave() / getWaveCount() expose the active script
+ */
+
+import { validateWaveScript, buildSpawnQueue, setWaveScript, getWave,
+         getWaveCount, RANDOM_PATH } from '../../js/waves.js';
+
+const PATH_NAMES = ['default', 'leftFlank', 'rightFlank'];
+
+/**
+ * Build a small valid wave script for testing
+ * @returns {object} Wave script
+ */
+function createTestScript() {
+    return {
+        name: 'Test',
+        waves: [
+            {
+                bonusCredits: 40,
+                groups: [
+                    { type: 'basic', count: 3, interval: 2, startTime: 1 },
+                    { type: 'fast', count: 2, interval: 1, startTime: 2, path: 'leftFlank', speedMultiplier: 1.5 }
+                ],
+                bosses: [
+                    { type: 'armored', startTime: 4, path: 'default', healthMultiplier: 5 }
+                ]
+            }
+        ]
+    };
+}
+
+/**
+ * Test suite for wave scripts
+ * @returns {boolean} True if all tests pass, false otherwise
+ */
+export function runWaveScriptTests() {
+    const tests = [];
+    let passed = 0;
+    let failed = 0;
+    
+    // Test 1: A valid script passes validation
+    try {
+        const result = validateWaveScript(createTestScript(), PATH_NAMES);
+        if (!result.valid) {
+            throw new Error(`Valid script was rejected: ${result.errors.join('; ')}`);
+        }
+        tests.push({ name: 'Valid wave script passes validation', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Valid wave script passes validation', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 2: Unknown enemy types and paths give readable errors
+    try {
+        const script = createTestScript();
+        script.waves[0].groups[1].type = 'fsat';
+        script.waves[0].bosses[0].path = 'backDoor';
+        
+        const result = validateWaveScript(script, PATH_NAMES);
+        if (result.valid) {
+            throw new Error('Script with a typo should be rejected');
+        }
+        if (!result.errors.some(e => e.startsWith("Wave 1, group 2: unknown enemy type 'fsat'"))) {
+            throw new Error(`Missing enemy type error, got: ${result.errors.join('; ')}`);
+        }
+        if (!result.errors.some(e => e.startsWith("Wave 1, boss 1: unknown path 'backDoor'"))) {
+            throw new Error(`Missing path error, got: ${result.errors.join('; ')}`);
+        }
+        tests.push({ name: 'Validator reports unknown enemy types and paths', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Validator reports unknown enemy types and paths', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 3: Bad numbers are rejected
+    try {
+        const script = createTestScript();
+        script.waves[0].groups[0].count = 0;
+        script.waves[0].groups[0].startTime = -1;
+        script.waves[0].groups[1].speedMultiplier = 0;
+        
+        const result = validateWaveScript(script, PATH_NAMES);
+        if (result.errors.length !== 3) {
+            throw new Error(`Expected 3 errors, got: ${result.errors.join('; ')}`);
+        }
+        if (validateWaveScript({}, PATH_NAMES).valid) {
+            throw new Error('Script without a waves array should be rejected');
+        }
+        tests.push({ name: 'Validator rejects invalid counts, times and multipliers', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Validator rejects invalid counts, times and multipliers', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 4: buildSpawnQueue() merges groups into one time-sorted queue
+    try {
+        const queue = buildSpawnQueue(createTestScript().waves[0]);
+        const times = queue.map(spawn => spawn.time);
+        const expectedTimes = [1, 2, 3, 3, 4, 5];
+        
+        if (queue.length !== 6) {
+            throw new Error(`Expected 6 spawns, got ${queue.length}`);
+        }
+        if (times.join(',') !== expectedTimes.join(',')) {
+            throw new Error(`Expected spawn times ${expectedTimes.join(',')}, got ${times.join(',')}`);
+        }
+        if (queue[0].pathName !== RANDOM_PATH) {
+            throw new Error('Groups without a path should use a random path');
+        }
+        if (queue[1].pathName !== 'leftFlank' || queue[1].speedMultiplier !== 1.5) {
+            throw new Error('Group path and speed multiplier should be copied to each spawn');
+        }
+        tests.push({ name: 'buildSpawnQueue() interleaves simultaneous groups', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'buildSpawnQueue() interleaves simultaneous groups', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Test 5: Boss entries and the active script
+    try {
+        const script = createTestScript();
+        const boss = buildSpawnQueue(script.waves[0]).find(spawn => spawn.isBoss);
+        if (!boss || boss.type !== 'armored' || boss.healthMultiplier !== 5) {
+            throw new Error('Boss entry should become a single boss spawn with its multiplier');
+        }
+        
+        setWaveScript(script);
+        if (getWaveCount() !== 1 || getWave(1).bonusCredits !== 40 || getWave(2) !== null) {
+            throw new Error('getWave()/getWaveCount() should read the active script');
+        }
+        tests.push({ name: 'Boss spawns and active script lookup', passed: true });
+        passed++;
+    } catch (error) {
+        tests.push({ name: 'Boss spawns and active script lookup', passed: false, error: error.message });
+        failed++;
+    }
+    
+    // Clean up
+    setWaveScript(null);
+    
+    // Print test results
+    console.log('\n=== Wave Script Tests ===');
+    tests.forEach(test => {
+        const status = test.passed ? '✓ PASS' : '✗ FAIL';
+        console.log(`${status}: ${test.name}`);
+        if (!test.passed && test.error) {
+            console.log(`  Error: ${test.error}`);
+        }
+    });
+    console.log(`\nResults: ${passed} passed, ${failed} failed, ${tests.length} total`);
+    
+    if (failed === 0) {
+        console.log('✓ All tests passed! Wave scripts are working.\n');
+        return true;
+    } else {
+        console.log('✗ Some tests failed. Please review the errors above.\n');
+        return false;
+    }
+}
+
+// Make it available globally for easy testing in browser console
+if (typeof window !== 'undefined') {
+    window.runWaveScriptTests = runWaveScriptTests;
+}
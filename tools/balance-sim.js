@@ -0,0 +1,653 @@
+/**
+ * balance-sim.js - Headless Balance Simulator
+ * 
+ * Plays a level from start to finish in Node, without a browser: no WebGL,
+ * no HTML health bars, no GSAP. It runs the same simulation step the game
+ * uses (js/simulation.js) - enemies flying along their paths, the starbase
+ * and platforms targeting and firing, projectile collisions and the
+ * economy - as fast as the computer allows, then prints what happened
+ * in every wave.
+ * 
+ * Instead of a player, a "build order" file says which platforms to
+ * build, where and when. Because the simulation is seeded, the same
+ * CONFIG, level, build order and seed always give the same numbers, so
+ * a balance change can be checked by comparing reports (e.g. in CI).
+ * 
+ * USAGE:
+ * ======
+ *   npm install --no-save three@0.160.0      (once - the game modules import three)
+ *   node tools/balance-sim.js --build data/builds/sol-outpost-basic.json
+ * 
+ * Options:
+ *   --build <file>     Build order (see below). Without one, only the starbase fights.
+ *   --level <file>     Level to play (default: the build order's "level", else CONFIG.levels[0])
+ *   --waves <file>     Wave script to use instead of the level's own waves
+ *   --config <file>    JSON merged into CONFIG first, e.g. { "enemies": { "fast": { "speed": 14 } } }
+ *   --seed <number>    Random seed (default: the build order's "seed", else 1)
+ *   --json             Print the report as JSON instead of text
+ * 
+ * BUILD ORDER FORMAT:
+ * ===================
+ * {
+ *   "name": "Lasers first",
+ *   "level": "data/levels/sol-outpost.json",   // Optional
+ *   "seed": 1,                                 // Optional
+ *   "starbaseTargeting": "first",              // Optional, see TARGETING_MODES in js/enemy.js
+ *   "build": [
+ *     // Build when wave 1 starts (or "time" seconds into it), at [x, z]
+ *     { "wave": 1, "time": 0, "type": "laserBattery", "position": [-20, 15] },
+ *     // "targeting" (optional) sets the new platform's targeting mode
+ *     { "wave": 2, "type": "missileLauncher", "position": [25, 5], "targeting": "strongest" }
+ *   ],
+ *   "upgrades": [                              // Optional starbase upgrades (js/upgrades.js)
+ *     // Bought in the break before wave 3, in the order listed
+ *     { "wave": 3, "id": "damage" }
+ *   ]
+ * }
+ * 
+ * A build the player couldn't afford yet waits until there are enough
+ * credits, like a player saving up. A build in an invalid spot (outside
+ * the build zone, too close to another platform) is reported and skipped.
+ * Upgrades wait for a later break in the same way; one that is locked
+ * (its prerequisites aren't bought) is reported and skipped.
+ * 
+ * File paths are relative to the current directory; wave scripts named
+ * inside a level are relative to the project root, as in the browser.
+ */
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import * as THREE from 'three';
+
+import { CONFIG, getPlatformConfig } from '../js/config.js';
+import { createHeadlessScene } from '../js/scene.js';
+import { validateLevel, setActiveLevel } from '../js/level.js';
+import { validateWaveScript, setWaveScript, getWave, getWaveCount } from '../js/waves.js';
+import { initPaths } from '../js/path.js';
+import { initEnemies, clearEnemies, isTargetingMode, TARGETING_MODES } from '../js/enemy.js';
+import { createStarbase, resetStarbaseStats, setStarbaseTargetingMode } from '../js/starbase.js';
+import { placePlatform, clearAllPlatforms, setPlatformTargetingMode } from '../js/platform.js';
+import { projectiles, clearProjectiles } from '../js/projectile.js';
+import { initEconomy, awardWaveBonus, getWaveSummary, getCredits, getAccuracy,
+         getLives, getMaxLives, getGameStats } from '../js/economy.js';
+import { setRandomSeed } from '../js/random.js';
+import { purchaseUpgrade, resetUpgrades, getNextTier, getUpgradeLevel } from '../js/upgrades.js';
+import { startWaveSimulation, stepSimulation, getWaveElapsed } from '../js/simulation.js';
+
+// Project root - level files name their wave scripts relative to it
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Give up on a wave that runs this long (simulated seconds) - something is stuck
+const MAX_WAVE_SECONDS = 600;
+
+// ==================== COMMAND LINE ====================
+
+/**
+ * Read the command-line options
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {object} { build, level, waves, config, seed, json }
+ */
+function parseArguments(args) {
+    const options = { json: false };
+    const valueOptions = ['build', 'level', 'waves', 'config', 'seed'];
+    
+    for (let i = 0; i < args.length; i++) {
+        const name = args[i].replace(/^--/, '');
+        
+        if (name === 'json') {
+            options.json = true;
+        } else if (valueOptions.includes(name) && args[i + 1] !== undefined) {
+            options[name] = args[++i];
+        } else {
+            throw new Error(`Unknown or incomplete option "${args[i]}"`);
+        }
+    }
+    
+    if (options.seed !== undefined && !Number.isInteger(Number(options.seed))) {
+        throw new Error('--seed must be a whole number');
+    }
+    
+    return options;
+}
+
+/**
+ * Read and parse a JSON file
+ * @param {string} file - Path to the file
+ * @returns {Promise<object>} The parsed JSON
+ */
+async function readJson(file) {
+    const text = await readFile(file, 'utf8');
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new Error(`"${file}" is not valid JSON: ${error.message}`);
+    }
+}
+
+/**
+ * Merge overrides into an object, one nested key at a time
+ * Arrays and plain values in the overrides replace what was there.
+ * @param {object} target - Object to change (CONFIG)
+ * @param {object} overrides - Values to merge in
+ */
+function mergeConfig(target, overrides) {
+    Object.entries(overrides).forEach(([key, value]) => {
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        if (isObject && target[key] && typeof target[key] === 'object') {
+            mergeConfig(target[key], value);
+        } else {
+            target[key] = value;
+        }
+    });
+}
+
+// ==================== LOADING ====================
+
+/**
+ * Load and validate a level (and its wave script) from disk
+ * Works like loadLevel() in level.js, but reads files instead of fetching.
+ * @param {string} file - Level file
+ * @param {string} [wavesFile] - Wave script to use instead of the level's waves
+ * @returns {Promise<object>} The validated level, with its waves filled in
+ */
+async function loadLevelFile(file, wavesFile) {
+    const level = await readJson(file);
+    
+    const result = validateLevel(level);
+    if (!result.valid) {
+        throw new Error(`Level "${file}" has errors:\n  ${result.errors.join('\n  ')}`);
+    }
+    
+    const scriptFile = wavesFile || (!level.waves && path.join(ROOT, level.waveScript));
+    if (scriptFile) {
+        const script = await readJson(scriptFile);
+        const scriptResult = validateWaveScript(script, Object.keys(level.paths));
+        if (!scriptResult.valid) {
+            throw new Error(`Wave script "${scriptFile}" has errors:\n  ${scriptResult.errors.join('\n  ')}`);
+        }
+        level.waves = script.waves;
+    }
+    
+    return level;
+}
+
+/**
+ * Check a build order for mistakes
+ * @param {object} buildOrder - The parsed build order
+ * @param {number} waveCount - Number of waves in the level
+ * @returns {object} { valid: boolean, errors: Array<string> }
+ */
+function validateBuildOrder(buildOrder, waveCount) {
+    const errors = [];
+    
+    if (!Array.isArray(buildOrder.build)) {
+        return { valid: false, errors: ['Build order must have a "build" array'] };
+    }
+    
+    const platformTypes = Object.keys(CONFIG.platforms);
+    const targetingModes = Object.keys(TARGETING_MODES).join(', ');
+    
+    if (buildOrder.starbaseTargeting !== undefined && !isTargetingMode(buildOrder.starbaseTargeting)) {
+        errors.push(`starbaseTargeting: unknown targeting mode '${buildOrder.starbaseTargeting}' (known modes: ${targetingModes})`);
+    }
+    
+    buildOrder.build.forEach((entry, index) => {
+        const label = `Build ${index + 1}`;
+        
+        if (!platformTypes.includes(entry.type)) {
+            errors.push(`${label}: unknown platform type '${entry.type}' (known types: ${platformTypes.join(', ')})`);
+        }
+        if (!Number.isInteger(entry.wave) || entry.wave < 1 || entry.wave > waveCount) {
+            errors.push(`${label}: wave must be a whole number from 1 to ${waveCount}`);
+        }
+        if (entry.time !== undefined && !(typeof entry.time === 'number' && entry.time >= 0)) {
+            errors.push(`${label}: time must be a number of 0 or more`);
+        }
+        if (!Array.isArray(entry.position) || entry.position.length !== 2
+            || !entry.position.every(n => typeof n === 'number' && Number.isFinite(n))) {
+            errors.push(`${label}: position must be [x, z]`);
+        }
+        if (entry.targeting !== undefined && !isTargetingMode(entry.targeting)) {
+            errors.push(`${label}: unknown targeting mode '${entry.targeting}' (known modes: ${targetingModes})`);
+        }
+    });
+    
+    if (buildOrder.upgrades !== undefined && !Array.isArray(buildOrder.upgrades)) {
+        errors.push('"upgrades" must be an array');
+    }
+    
+    (Array.isArray(buildOrder.upgrades) ? buildOrder.upgrades : []).forEach((entry, index) => {
+        const label = `Upgrade ${index + 1}`;
+        const upgradeIds = Object.keys(CONFIG.starbaseUpgrades);
+        
+        if (!upgradeIds.includes(entry.id)) {
+            errors.push(`${label}: unknown upgrade '${entry.id}' (known upgrades: ${upgradeIds.join(', ')})`);
+        }
+        if (!Number.isInteger(entry.wave) || entry.wave < 1 || entry.wave > waveCount) {
+            errors.push(`${label}: wave must be a whole number from 1 to ${waveCount}`);
+        }
+    });
+    
+    return { valid: errors.length === 0, errors };
+}
+
+// ==================== SIMULATION ====================
+
+/**
+ * Play a level from the first wave until victory or defeat
+ * @param {object} level - A validated level with its waves
+ * @param {object} buildOrder - Validated build order ({ build, upgrades, starbaseTargeting })
+ * @param {number} seed - Random seed
+ * @returns {object} The report: { level, seed, result, waves, ... }
+ */
+function runSimulation(level, buildOrder, seed) {
+    const step = 1 / CONFIG.simulation.tickRate;
+    
+    // Same order as startGame() in main.js
+    setRandomSeed(seed);
+    setActiveLevel(level);
+    initPaths();
+    setWaveScript({ name: level.name, waves: level.waves });
+    clearEnemies();
+    clearProjectiles();
+    clearAllPlatforms();
+    resetStarbaseStats();
+    resetUpgrades();
+    initEconomy();
+    
+    if (buildOrder.starbaseTargeting) {
+        setStarbaseTargetingMode(buildOrder.starbaseTargeting);
+    }
+    
+    // Builds still to do, in the order they should happen
+    const pending = buildOrder.build
+        .map(entry => ({ ...entry, time: entry.time || 0 }))
+        .sort((a, b) => a.wave - b.wave || a.time - b.time);
+    
+    // Upgrades still to buy (a stable sort keeps the listed order within a wave)
+    const pendingUpgrades = (buildOrder.upgrades || [])
+        .map(entry => ({ ...entry }))
+        .sort((a, b) => a.wave - b.wave);
+    
+    // Display names for projectile sources ('starbase' or a platform id)
+    const weaponNames = { starbase: 'Starbase' };
+    
+    // The wave stats of the wave each projectile was fired in
+    const firedIn = new WeakMap();
+    
+    const waves = [];
+    let result = 'victory';
+    
+    for (let waveNumber = 1; waveNumber <= getWaveCount(); waveNumber++) {
+        const stats = createWaveStats(waveNumber);
+        const creditsAtStart = getCredits();
+        
+        // The break before the wave: buy upgrades
+        stats.spent += buyDueUpgrades(pendingUpgrades, waveNumber, stats);
+        
+        startWaveSimulation(getWave(waveNumber));
+        
+        let steps = 0;
+        let cleared = false;
+        
+        while (!cleared) {
+            stats.spent += placeDueBuilds(pending, waveNumber, stats, weaponNames);
+            
+            const events = stepSimulation(step);
+            steps++;
+            recordEvents(events, stats, weaponNames, firedIn);
+            
+            if (events.defeated) {
+                result = 'defeat';
+                break;
+            }
+            if (steps * step > MAX_WAVE_SECONDS) {
+                result = 'timeout';
+                break;
+            }
+            cleared = events.waveCleared;
+        }
+        
+        if (cleared) {
+            awardWaveBonus(waveNumber, getWave(waveNumber).bonusCredits);
+        }
+        
+        finishWaveStats(stats, steps * step, creditsAtStart);
+        waves.push(stats);
+        
+        if (!cleared) break;
+    }
+    
+    const gameStats = getGameStats();
+    
+    return {
+        level: level.id,
+        levelName: level.name,
+        seed,
+        tickRate: CONFIG.simulation.tickRate,
+        result,
+        lives: getLives(),
+        maxLives: getMaxLives(),
+        score: gameStats.score,
+        credits: gameStats.credits,
+        kills: gameStats.totalKills,
+        accuracy: getAccuracy(),
+        waves,
+        unbuilt: pending.map(entry => ({ wave: entry.wave, type: entry.type, position: entry.position })),
+        unbought: pendingUpgrades.map(entry => ({ wave: entry.wave, id: entry.id }))
+    };
+}
+
+/**
+ * Buy every pending starbase upgrade planned for this wave or earlier
+ * 
+ * Upgrades that can't be afforded yet stay in the list for the next
+ * break. Locked or maxed-out upgrades are reported and dropped.
+ * 
+ * @param {Array<object>} pending - Remaining upgrade entries (changed in place)
+ * @param {number} waveNumber - The wave about to start
+ * @param {object} stats - This wave's stats (bought upgrades are added)
+ * @returns {number} Credits spent
+ */
+function buyDueUpgrades(pending, waveNumber, stats) {
+    let spent = 0;
+    
+    for (let i = 0; i < pending.length; i++) {
+        const entry = pending[i];
+        if (entry.wave > waveNumber) break; // Sorted, so nothing later is due either
+        
+        const cost = getNextTier(entry.id) ? getNextTier(entry.id).cost : 0;
+        const purchase = purchaseUpgrade(entry.id);
+        
+        if (!purchase.valid && purchase.reason === 'Not enough credits') {
+            continue; // Save up for the next break
+        }
+        
+        pending.splice(i, 1);
+        i--;
+        
+        if (purchase.valid) {
+            spent += cost;
+        }
+        
+        stats.upgrades.push({
+            id: entry.id,
+            level: getUpgradeLevel(entry.id),
+            bought: purchase.valid,
+            reason: purchase.valid ? undefined : purchase.reason
+        });
+    }
+    
+    return spent;
+}
+
+/**
+ * Build every pending platform whose time has come
+ * 
+ * Builds that can't be afforded yet stay in the list and are tried again
+ * next step. Builds in invalid spots are reported and dropped.
+ * 
+ * @param {Array<object>} pending - Remaining build entries (changed in place)
+ * @param {number} waveNumber - Current wave
+ * @param {object} stats - This wave's stats (built platforms are added)
+ * @param {object} weaponNames - Source-to-name lookup (new platforms are added)
+ * @returns {number} Credits spent
+ */
+function placeDueBuilds(pending, waveNumber, stats, weaponNames) {
+    let spent = 0;
+    
+    for (let i = 0; i < pending.length; i++) {
+        const entry = pending[i];
+        if (entry.wave > waveNumber || (entry.wave === waveNumber && entry.time > getWaveElapsed())) {
+            break; // Sorted, so nothing later is due either
+        }
+        
+        const [x, z] = entry.position;
+        const placement = placePlatform(entry.type, new THREE.Vector3(x, 0, z));
+        
+        if (!placement.valid && placement.reason === 'Not enough credits') {
+            continue; // Save up and try again next step
+        }
+        
+        pending.splice(i, 1);
+        i--;
+        
+        if (placement.valid) {
+            const platform = placement.platform;
+            if (entry.targeting) {
+                setPlatformTargetingMode(platform, entry.targeting);
+            }
+            weaponNames[platform.id] = `${getPlatformConfig(entry.type).name} #${platform.id}`;
+            spent += platform.totalSpent;
+        }
+        
+        stats.builds.push({
+            type: entry.type,
+            position: entry.position,
+            time: round(getWaveElapsed(), 2),
+            placed: placement.valid,
+            reason: placement.valid ? undefined : placement.reason
+        });
+    }
+    
+    return spent;
+}
+
+// ==================== STATISTICS ====================
+
+/**
+ * Create empty stats for a wave
+ * @param {number} waveNumber - Wave number
+ * @returns {object} Wave stats
+ */
+function createWaveStats(waveNumber) {
+    return {
+        wave: waveNumber,
+        duration: 0,
+        kills: 0,
+        leaks: 0,
+        shieldDamage: 0,
+        earned: 0,
+        spent: 0,
+        balance: 0,
+        accuracy: 0,
+        builds: [],
+        upgrades: [],
+        weapons: {}
+    };
+}
+
+/**
+ * Count what happened during one simulation step
+ * 
+ * A hit counts for the wave its shot was fired in, so a missile still in
+ * flight when a wave ends doesn't give the next wave more hits than shots.
+ * Damage and kills count for the wave they happen in.
+ * 
+ * @param {object} events - Result of stepSimulation()
+ * @param {object} stats - This wave's stats
+ * @param {object} weaponNames - Source-to-name lookup
+ * @param {WeakMap} firedIn - Projectile-to-wave-stats lookup, kept up to date here
+ */
+function recordEvents(events, stats, weaponNames, firedIn) {
+    stats.leaks += events.leaked.length;
+    stats.shieldDamage += events.planetDamage;
+    
+    events.shots.forEach(shot => {
+        getWeaponStats(stats, shot.source, weaponNames).shots++;
+    });
+    
+    events.hits.forEach(hit => {
+        const weapon = getWeaponStats(stats, hit.source, weaponNames);
+        if (!hit.pierced) {
+            // Like accuracy: one hit per shot (shots that hit the step they were fired aren't tagged yet)
+            getWeaponStats(firedIn.get(hit.projectile) || stats, hit.source, weaponNames).hits++;
+        }
+        
+        [hit, ...(hit.splashHits || [])].forEach(damageHit => {
+            weapon.damage += damageHit.damageDealt;
+            if (damageHit.destroyed) {
+                weapon.kills++;
+                stats.kills++;
+            }
+        });
+    });
+    
+    // Burn damage counts for the weapon that set the enemy alight
+    events.statusHits.forEach(hit => {
+        const weapon = getWeaponStats(stats, hit.source, weaponNames);
+        weapon.damage += hit.damageDealt;
+        if (hit.destroyed) {
+            weapon.kills++;
+            stats.kills++;
+        }
+    });
+    
+    // Shots fired this step that are still flying
+    projectiles.forEach(projectile => {
+        if (!firedIn.has(projectile)) firedIn.set(projectile, stats);
+    });
+}
+
+/**
+ * Get (or create) the stats for one weapon in a wave
+ * @param {object} stats - This wave's stats
+ * @param {string|number} source - Projectile source
+ * @param {object} weaponNames - Source-to-name lookup
+ * @returns {object} { name, shots, hits, kills, damage, dps }
+ */
+function getWeaponStats(stats, source, weaponNames) {
+    if (!stats.weapons[source]) {
+        stats.weapons[source] = {
+            name: weaponNames[source] || String(source),
+            shots: 0,
+            hits: 0,
+            kills: 0,
+            damage: 0,
+            dps: 0
+        };
+    }
+    return stats.weapons[source];
+}
+
+/**
+ * Fill in the totals once a wave is over
+ * @param {object} stats - This wave's stats
+ * @param {number} duration - Simulated seconds the wave took
+ * @param {number} creditsAtStart - Credits when the wave started
+ */
+function finishWaveStats(stats, duration, creditsAtStart) {
+    stats.duration = round(duration, 2);
+    stats.earned = getWaveSummary().credits;
+    stats.balance = getCredits();
+    stats.accuracy = getAccuracy(); // Whole game so far, as shown in the wave summary
+    
+    Object.values(stats.weapons).forEach(weapon => {
+        weapon.dps = duration > 0 ? round(weapon.damage / duration, 1) : 0;
+    });
+    
+    // Every credit is accounted for: start + earned - spent = balance
+    if (creditsAtStart + stats.earned - stats.spent !== stats.balance) {
+        console.warn(`Wave ${stats.wave}: credits don't add up`);
+    }
+}
+
+/**
+ * @param {number} value - Number to round
+ * @param {number} digits - Decimal places
+ * @returns {number} The rounded number
+ */
+function round(value, digits) {
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// ==================== OUTPUT ====================
+
+/**
+ * Print a report as readable text
+ * @param {object} report - Result of runSimulation()
+ */
+function printReport(report) {
+    console.log(`Level: ${report.levelName} (${report.level})   Seed: ${report.seed}   Tick rate: ${report.tickRate}/s`);
+    
+    report.waves.forEach(wave => {
+        console.log(`\nWave ${wave.wave} (${wave.duration}s)`);
+        console.log(`  Kills ${wave.kills}   Leaks ${wave.leaks} (shield -${wave.shieldDamage})   `
+            + `Credits +${wave.earned} / -${wave.spent} = ${wave.balance}   Accuracy ${wave.accuracy}%`);
+        
+        wave.builds.forEach(build => {
+            const where = `(${build.position.join(', ')})`;
+            console.log(build.placed
+                ? `  Built ${build.type} at ${where}, ${build.time}s in`
+                : `  Could not build ${build.type} at ${where}: ${build.reason}`);
+        });
+        
+        wave.upgrades.forEach(upgrade => {
+            console.log(upgrade.bought
+                ? `  Upgraded ${upgrade.id} to ${upgrade.level}`
+                : `  Could not upgrade ${upgrade.id}: ${upgrade.reason}`);
+        });
+        
+        console.log(`  ${'Weapon'.padEnd(22)}${'Shots'.padStart(6)}${'Hits'.padStart(6)}`
+            + `${'Kills'.padStart(6)}${'Damage'.padStart(8)}${'DPS'.padStart(8)}`);
+        Object.values(wave.weapons).forEach(weapon => {
+            console.log(`  ${weapon.name.padEnd(22)}${String(weapon.shots).padStart(6)}`
+                + `${String(weapon.hits).padStart(6)}${String(weapon.kills).padStart(6)}`
+                + `${String(Math.round(weapon.damage)).padStart(8)}${weapon.dps.toFixed(1).padStart(8)}`);
+        });
+    });
+    
+    console.log(`\nResult: ${report.result.toUpperCase()}   Shield ${report.lives}/${report.maxLives}   `
+        + `Kills ${report.kills}   Score ${report.score}   Credits ${report.credits}   Accuracy ${report.accuracy}%`);
+    
+    report.unbuilt.forEach(entry => {
+        console.log(`  Never built: ${entry.type} at (${entry.position.join(', ')}) planned for wave ${entry.wave}`);
+    });
+    report.unbought.forEach(entry => {
+        console.log(`  Never bought: ${entry.id} planned for wave ${entry.wave}`);
+    });
+}
+
+// ==================== MAIN ====================
+
+/**
+ * Load everything named on the command line, run the simulation and print the report
+ */
+async function main() {
+    const options = parseArguments(process.argv.slice(2));
+    
+    const buildOrder = options.build ? await readJson(options.build) : { build: [] };
+    
+    if (options.config) {
+        mergeConfig(CONFIG, await readJson(options.config));
+    }
+    
+    const levelFile = options.level || buildOrder.level || CONFIG.levels[0];
+    const level = await loadLevelFile(levelFile, options.waves);
+    
+    const buildResult = validateBuildOrder(buildOrder, level.waves.length);
+    if (!buildResult.valid) {
+        throw new Error(`Build order has errors:\n  ${buildResult.errors.join('\n  ')}`);
+    }
+    
+    // The game without its graphics: an empty scene and no health bars
+    createHeadlessScene();
+    initEnemies({ healthBars: false });
+    createStarbase();
+    
+    const seed = options.seed !== undefined ? Number(options.seed) : (buildOrder.seed !== undefined ? buildOrder.seed : 1);
+    const report = runSimulation(level, buildOrder, seed);
+    
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});